@@ -19,6 +19,11 @@
     <link rel="stylesheet" href="assets/css/components/progress.css">
     <link rel="stylesheet" href="assets/css/components/badges.css">
     <link rel="stylesheet" href="assets/css/components/cards.css">
+    <link rel="stylesheet" href="assets/css/components/poll-results.css">
+    <link rel="stylesheet" href="assets/css/components/hotspot.css">
+    <link rel="stylesheet" href="assets/css/components/media-player.css">
+    <link rel="stylesheet" href="assets/css/components/countdown.css">
+    <link rel="stylesheet" href="assets/css/components/topic-breakdown.css">
     
     <!-- Admin-specific CSS -->
     <link rel="stylesheet" href="assets/css/admin/dashboard.css">
@@ -27,6 +32,12 @@
     <link rel="stylesheet" href="assets/css/admin/question-editor.css">
     <link rel="stylesheet" href="assets/css/admin/notes-editor.css">
     <link rel="stylesheet" href="assets/css/admin/results.css">
+    <link rel="stylesheet" href="assets/css/admin/leaderboard.css">
+    <link rel="stylesheet" href="assets/css/admin/team-manager.css">
+    <link rel="stylesheet" href="assets/css/admin/survivors.css">
+    <link rel="stylesheet" href="assets/css/admin/progress-grid.css">
+    <link rel="stylesheet" href="assets/css/admin/debug-panel.css">
+    <link rel="stylesheet" href="assets/css/admin/session-replay.css">
     
     <!-- External Dependencies -->
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
@@ -89,6 +100,15 @@
                 <div id="currentQuestionContainer" class="question-container">
                     <!-- Current question populated by JavaScript -->
                 </div>
+                <div id="progressGrid" class="progress-grid-panel hidden">
+                    <!-- Player progress populated by JavaScript (self-paced delivery) -->
+                </div>
+                <div id="leaderboardPanel" class="leaderboard-panel hidden">
+                    <!-- Leaderboard populated by JavaScript -->
+                </div>
+                <div id="survivorPanel" class="survivor-panel hidden">
+                    <!-- Survivors populated by JavaScript (elimination mode) -->
+                </div>
             </div>
 
             <!-- Questions Management Tab -->
@@ -106,9 +126,118 @@
                         </label>
                         <textarea id="questionsJson" class="form-textarea" placeholder="Paste your questions JSON here..."></textarea>
                     </div>
+                    <div id="regionEditor" class="region-editor hidden"></div>
                     <button id="updateQuestionsBtn" class="btn btn-primary">
                         <i class="fas fa-save"></i> Update Questions
                     </button>
+                    <div id="quizSettings" class="quiz-settings">
+                        <h4 class="quiz-settings-title"><i class="fas fa-sliders-h"></i> Quiz Settings</h4>
+                        <div class="quiz-settings-fields">
+                            <label class="form-label">
+                                Delivery (change before starting)
+                                <select id="settingDeliveryMode" class="form-input" data-setting="deliveryMode">
+                                    <option value="live">Live (you run each question)</option>
+                                    <option value="self-paced">Self-paced (players advance on their own)</option>
+                                </select>
+                            </label>
+                            <label class="form-label">
+                                Default time limit (seconds, 0 = no timer)
+                                <input type="number" id="settingTimeLimit" class="form-input" data-setting="timeLimit" min="0" max="3600" step="5" value="0">
+                            </label>
+                            <label class="form-check">
+                                <input type="checkbox" id="settingAutoReveal" data-setting="autoReveal">
+                                Reveal the answer when the time is up
+                            </label>
+                        </div>
+                        <h5 class="quiz-settings-subtitle"><i class="fas fa-star"></i> Scoring</h5>
+                        <div class="quiz-settings-fields">
+                            <label class="form-label">
+                                Points per correct answer
+                                <input type="number" id="settingBasePoints" class="form-input" data-setting="basePoints" min="0" max="10000" step="100" value="1000">
+                            </label>
+                            <label class="form-label">
+                                Speed bonus (instant answer)
+                                <input type="number" id="settingSpeedBonus" class="form-input" data-setting="speedBonus" min="0" max="10000" step="100" value="500">
+                            </label>
+                            <label class="form-label">
+                                Bonus window without time limit (seconds)
+                                <input type="number" id="settingBonusWindow" class="form-input" data-setting="bonusWindow" min="1" max="3600" step="5" value="20">
+                            </label>
+                            <label class="form-label">
+                                Streak bonus (% per answer in a row)
+                                <input type="number" id="settingStreakBonus" class="form-input" data-setting="streakBonus" min="0" max="100" step="5" value="10">
+                            </label>
+                            <label class="form-label">
+                                Points lost per wrong answer (0 = off)
+                                <input type="number" id="settingNegativeMarking" class="form-input" data-setting="negativeMarking" min="0" max="10000" step="50" value="0">
+                            </label>
+                            <label class="form-label">
+                                Points per correct oral answer (buzzer)
+                                <input type="number" id="settingOralPoints" class="form-input" data-setting="oralPoints" min="0" max="10000" step="100" value="1000">
+                            </label>
+                            <label class="form-label">
+                                Points lost per wrong oral answer
+                                <input type="number" id="settingOralPenalty" class="form-input" data-setting="oralPenalty" min="0" max="10000" step="50" value="500">
+                            </label>
+                            <label class="form-label">
+                                Leaderboard size
+                                <input type="number" id="settingLeaderboardSize" class="form-input" data-setting="leaderboardSize" min="1" max="50" value="5">
+                            </label>
+                        </div>
+                        <h5 class="quiz-settings-subtitle"><i class="fas fa-users"></i> Teams</h5>
+                        <div class="quiz-settings-fields">
+                            <label class="form-label">
+                                Team mode
+                                <select id="settingTeamMode" class="form-input" data-setting="teamMode">
+                                    <option value="off">Off (individual play)</option>
+                                    <option value="first">First answer from a team counts</option>
+                                    <option value="majority">Team majority answer counts</option>
+                                </select>
+                            </label>
+                            <label class="form-label">
+                                Team selection
+                                <select id="settingTeamSelection" class="form-input" data-setting="teamSelection">
+                                    <option value="pick">Players pick a team</option>
+                                    <option value="auto">Assign automatically</option>
+                                </select>
+                            </label>
+                        </div>
+                        <h5 class="quiz-settings-subtitle"><i class="fas fa-heart"></i> Elimination</h5>
+                        <div class="quiz-settings-fields">
+                            <label class="form-check">
+                                <input type="checkbox" id="settingEliminationMode" data-setting="eliminationMode">
+                                Wrong or missing answers cost a life
+                            </label>
+                            <label class="form-label">
+                                Lives per player
+                                <input type="number" id="settingLives" class="form-input" data-setting="lives" min="1" max="10" value="1">
+                            </label>
+                            <label class="form-label">
+                                Revive after rounds out (0 = never)
+                                <input type="number" id="settingRevivalAfter" class="form-input" data-setting="revivalAfter" min="0" max="100" value="0">
+                            </label>
+                        </div>
+                        <button id="saveSettingsBtn" class="btn btn-secondary btn-sm">
+                            <i class="fas fa-save"></i> Save Settings
+                        </button>
+                    </div>
+                    <!-- Teams for team mode (TeamManager) -->
+                    <div id="teamManager" class="team-manager">
+                        <h4 class="quiz-settings-title"><i class="fas fa-users"></i> Teams</h4>
+                        <div id="teamList" class="team-list"></div>
+                        <div class="team-actions">
+                            <button id="addTeamBtn" class="btn btn-secondary btn-sm">
+                                <i class="fas fa-plus"></i> Add Team
+                            </button>
+                            <button id="saveTeamsBtn" class="btn btn-primary btn-sm">
+                                <i class="fas fa-save"></i> Save Teams
+                            </button>
+                            <button id="balanceTeamsBtn" class="btn btn-purple btn-sm">
+                                <i class="fas fa-random"></i> Auto-balance Players
+                            </button>
+                        </div>
+                        <div id="teamPlayers" class="team-players"></div>
+                    </div>
                     <div class="sample-json">
                         <strong><i class="fas fa-info-circle"></i> Sample JSON Format:</strong>
                         <pre>[
@@ -122,7 +251,31 @@
 ]
 Note: 
 - "correct" = index of right answer (0 = first option)
+- "type": "multi" = select all that apply: "correct" is a list of indices,
+  "scoring" = "all-or-nothing" (default), "proportional" or "penalty"
+- "type": "order" = put in sequence: list "options" in the correct order (no "correct"),
+  "scoring" = "sequence" (default, partial credit) or "all-or-nothing"
+- "type": "match" = connect pairs: "pairs": [["term", "meaning"], ...] instead of
+  "options"/"correct", "scoring" = "per-pair" (default, partial credit) or "all-or-nothing"
+- "type": "text" = typed answer: "accepted": ["colour", "color"] instead of "options"/"correct",
+  optional "patterns" (regexes for the whole answer), "tolerance" (typos allowed, 0-5),
+  "caseSensitive" / "accentSensitive" (default false)
+- "type": "numeric" = typed number: "correct": 9.81, optional "tolerance" (default 0),
+  "toleranceMode" = "absolute" (default) or "percent", "unit" = e.g. "m/s²"
+- "type": "hotspot" = tap the "image": "regions" (pixels of the original image) instead of
+  "options"/"correct": {"shape": "circle", "x", "y", "r"}, {"shape": "rect", "x", "y", "width", "height"}
+  or {"shape": "polygon", "points": [[x, y], ...]}, optional "label" - or draw them in the region editor
+- "type": "poll" = opinion question, not scored: "options" without "correct"
+- "type": "wordcloud" = short typed word, not scored: only "question"
+- "showResults": true (poll / wordcloud) = also show the results to players at reveal
 - "image" = optional image URL
+- "media" = optional audio / video prompt: {"type": "audio" or "video", "src": URL,
+  "playback": "player" (default, on each device) or "projector", "maxPlays" (0 = unlimited), "autoplay"}
+- "timeLimit" = optional seconds to answer once the options are shown (overrides the default
+  in Quiz Settings, 0 = no timer)
+- "tags", "difficulty" ("easy", "medium" or "hard"), "objective" = optional metadata, results
+  are broken down per tag and learning objective
+- "points" = optional weight of the question in the score (default 1)
 - "explanation" = teaching notes for admin</pre>
                     </div>
                 </div>
@@ -145,6 +298,12 @@ Note:
                 <div id="resultsContainer" class="results-container">
                     <!-- Results populated by JavaScript -->
                 </div>
+                <div id="topicPerformance" class="topic-performance hidden">
+                    <h3><i class="fas fa-tags"></i> Class Performance by Topic</h3>
+                    <div id="topicPerformanceContainer">
+                        <!-- Topics populated by JavaScript -->
+                    </div>
+                </div>
             </div>
         </div>
     </div>
@@ -7,6 +7,59 @@
 require_once __DIR__ . '/../src/Database.php';
 require_once __DIR__ . '/../src/QuizManager.php';
 
+/**
+ * Human-readable messages for failure codes returned by QuizManager ('reason')
+ * Every failed response carries a machine-readable `code`; the client maps it to an
+ * error class (see assets/js/core/errors.js)
+ */
+const ERROR_MESSAGES = [
+    'invalid_phase' => 'Not allowed in the current phase',
+    'player_not_found' => 'Player not found - please join again',
+    'already_buzzed' => 'Already buzzed',
+    'question_not_found' => 'Question not found',
+    'question_changed' => 'The question has changed',
+    'invalid_answer' => 'This answer does not fit the question',
+    'time_up' => 'Time is up - answers are closed',
+    'team_answered' => 'Your team has already answered',
+    'locked_out' => 'Your oral answer was wrong - you are out of this question',
+    'eliminated' => 'You have been eliminated - you can watch the rest of the game',
+    'already_answered' => 'You have already answered this question',
+    'not_answered' => 'Answer the question before moving on',
+    'version_conflict' => 'State conflict detected',
+    'not_found' => 'Not found',
+    'server_error' => 'Server error'
+];
+
+/**
+ * Game actions written to the session recording (see QuizManager::recordEvent)
+ */
+const RECORDED_ACTIONS = [
+    'startGame', 'showOptions', 'revealCorrect', 'nextQuestion', 'finishGame', 'markSpoken', 'adjudicateBuzzer', 'softReset', 'resetGame',
+    'joinGame', 'pressBuzzer', 'submitAnswer', 'advanceQuestion', 'acceptTextAnswer'
+];
+
+/**
+ * Build a failed response with a machine-readable code
+ */
+function errorResponse(string $code, string $message, array $extra = []): array {
+    return array_merge(['success' => false, 'code' => $code, 'error' => $message], $extra);
+}
+
+/**
+ * Make sure a failed result has both `code` and `error`
+ */
+function withErrorCode(array $response): array {
+    if (($response['success'] ?? true) !== false) {
+        return $response;
+    }
+
+    $code = $response['code'] ?? $response['reason'] ?? 'server_error';
+    return array_merge($response, [
+        'code' => $code,
+        'error' => $response['error'] ?? (ERROR_MESSAGES[$code] ?? 'Request failed')
+    ]);
+}
+
 // Set JSON response headers
 header('Content-Type: application/json');
 header('Access-Control-Allow-Origin: *');
@@ -20,7 +73,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 
 // Only accept POST requests
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
-    echo json_encode(['success' => false, 'error' => 'Only POST requests are allowed']);
+    echo json_encode(errorResponse('invalid_request', 'Only POST requests are allowed'));
     exit;
 }
 
@@ -28,7 +81,7 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
 $input = json_decode(file_get_contents('php://input'), true);
 
 if (!$input || !isset($input['action'])) {
-    echo json_encode(['success' => false, 'error' => 'Invalid request - action required']);
+    echo json_encode(errorResponse('invalid_request', 'Invalid request - action required'));
     exit;
 }
 
@@ -41,17 +94,32 @@ try {
     $game = new QuizManager($db, $sessionId);
     
     $action = $input['action'];
-    $response = ['success' => false, 'error' => 'Unknown action'];
+    $response = errorResponse('unknown_action', 'Unknown action');
+
+    // Player actions replayed from the client outbox carry an idempotency key;
+    // a key seen before gets the original response instead of running the action again
+    $idempotencyKey = !empty($input['idempotencyKey']) ? (string)$input['idempotencyKey'] : null;
+    if ($idempotencyKey) {
+        $processed = $game->getProcessedAction($idempotencyKey);
+        if ($processed !== null) {
+            echo json_encode(array_merge(withErrorCode($processed), [
+                'duplicate' => true,
+                'stateVersion' => $game->getStateVersion()
+            ]));
+            exit;
+        }
+    }
 
     switch ($action) {
         // ==================== STUDENT ACTIONS ====================
         
         case 'joinGame':
             if (empty($input['nickname'])) {
-                $response = ['success' => false, 'error' => 'Nickname is required'];
+                $response = errorResponse('missing_field', 'Nickname is required');
                 break;
             }
-            $result = $game->joinGame(trim($input['nickname']));
+            // teamId: team picked on the login screen (team mode)
+            $result = $game->joinGame(trim($input['nickname']), !empty($input['teamId']) ? (string)$input['teamId'] : null);
             // Increment state version so admin polling picks up new players
             if ($result['success'] && !$result['existing']) {
                 $game->incrementStateVersion();
@@ -61,61 +129,75 @@ try {
             ]);
             break;
 
-        case 'getGameState':
-            $gameState = $game->getFullGameState();
-            $currentQuestion = (int)$gameState['currentQuestion'];
-            $questions = $game->getQuestions();
-            $players = $game->getPlayers();
-            
-            $currentQuestionData = null;
-            if ($gameState['gameStarted'] && isset($questions[$currentQuestion])) {
-                $currentQuestionData = $questions[$currentQuestion];
-            }
-            
-            $playerAnswerHistory = [];
-            if (!empty($input['playerId'])) {
-                $playerAnswerHistory = $game->getPlayerAnswers($input['playerId']);
-            }
-            
+        case 'getTeams':
+            // Login screen team picker (before the player has joined)
+            $settings = $game->getSettings();
             $response = [
                 'success' => true,
-                'gameState' => $gameState,
-                'currentQuestionData' => $currentQuestionData,
-                'questions' => $questions,
-                'players' => $players,
-                'totalQuestions' => count($questions),
-                'stateVersion' => $game->getStateVersion(),
-                'messages' => $game->getMessages(),
-                'playerAnswerHistory' => $playerAnswerHistory,
-                'serverTime' => time()
+                'teams' => $game->getTeams(),
+                'teamMode' => $settings['teamMode'],
+                'teamSelection' => $settings['teamSelection']
             ];
             break;
 
+        case 'getGameState':
+            // Same payload the player stream (stream.php) pushes
+            // With sinceVersion, only what changed since that version is returned
+            $response = $game->getStatePayloadSince(
+                'player',
+                (int)($input['sinceVersion'] ?? 0),
+                $input['playerId'] ?? null
+            );
+            break;
+
+        case 'getServerTime':
+            // Lightweight clock sync ping (see assets/js/core/clock.js)
+            $response = ['success' => true, 'serverTime' => $game->getServerTime()];
+            break;
+
         case 'pressBuzzer':
             if (empty($input['playerId'])) {
-                $response = ['success' => false, 'error' => 'Player ID is required'];
+                $response = errorResponse('missing_field', 'Player ID is required');
                 break;
             }
             
             $currentQuestion = (int)$game->getState('currentQuestion', '0');
-            $result = $game->recordBuzzer($input['playerId'], $currentQuestion);
+            // Queued buzzes replayed after the question moved on are stale
+            if (isset($input['questionIndex']) && (int)$input['questionIndex'] !== $currentQuestion) {
+                $response = errorResponse('question_changed', ERROR_MESSAGES['question_changed'], ['stateVersion' => $game->getStateVersion()]);
+                break;
+            }
+            // pressedAt: press time on the server clock as estimated by the client (ms), rtt: its round trip (ms)
+            $result = $game->recordBuzzer(
+                $input['playerId'],
+                $currentQuestion,
+                isset($input['pressedAt']) ? (float)$input['pressedAt'] : null,
+                isset($input['rtt']) ? (float)$input['rtt'] : null
+            );
             
             if ($result['success']) {
                 $newVersion = $game->incrementStateVersion();
                 $response = ['success' => true, 'stateVersion' => $newVersion];
             } else {
-                $response = ['success' => true, 'stateVersion' => $game->getStateVersion()];
+                $response = array_merge($result, ['stateVersion' => $game->getStateVersion()]);
             }
             break;
 
         case 'submitAnswer':
             if (empty($input['playerId']) || !isset($input['answer'])) {
-                $response = ['success' => false, 'error' => 'Player ID and answer are required'];
+                $response = errorResponse('missing_field', 'Player ID and answer are required');
                 break;
             }
             
-            $currentQuestion = (int)$game->getState('currentQuestion', '0');
-            $result = $game->submitAnswer($input['playerId'], $currentQuestion, (int)$input['answer']);
+            // Self-paced players answer their own question
+            $progress = $game->getState('phase') === 'self_paced' ? $game->getPlayerProgress($input['playerId']) : null;
+            $currentQuestion = $progress ? $progress['question'] : (int)$game->getState('currentQuestion', '0');
+            // Queued answers replayed after the question moved on are stale
+            if (isset($input['questionIndex']) && (int)$input['questionIndex'] !== $currentQuestion) {
+                $response = errorResponse('question_changed', ERROR_MESSAGES['question_changed'], ['stateVersion' => $game->getStateVersion()]);
+                break;
+            }
+            $result = $game->submitAnswer($input['playerId'], $currentQuestion, $input['answer']);
             
             if ($result['success']) {
                 $newVersion = $game->incrementStateVersion();
@@ -126,9 +208,26 @@ try {
             }
             break;
 
+        case 'advanceQuestion':
+            // Self-paced delivery: the player moves on after seeing the answer
+            if (empty($input['playerId'])) {
+                $response = errorResponse('missing_field', 'Player ID is required');
+                break;
+            }
+
+            $fromQuestion = isset($input['questionIndex']) ? (int)$input['questionIndex'] : null;
+            $result = $game->advanceQuestion($input['playerId'], $fromQuestion);
+            if ($result['success']) {
+                $newVersion = $game->incrementStateVersion();
+                $response = array_merge($result, ['stateVersion' => $newVersion]);
+            } else {
+                $response = array_merge($result, ['stateVersion' => $game->getStateVersion()]);
+            }
+            break;
+
         case 'getPlayerSummary':
             if (empty($input['playerId'])) {
-                $response = ['success' => false, 'error' => 'Player ID is required'];
+                $response = errorResponse('missing_field', 'Player ID is required');
                 break;
             }
             
@@ -144,13 +243,13 @@ try {
         
         case 'updateQuestions':
             if (empty($input['questionsJson'])) {
-                $response = ['success' => false, 'error' => 'Questions JSON is required'];
+                $response = errorResponse('missing_field', 'Questions JSON is required');
                 break;
             }
             
             $newQuestions = json_decode($input['questionsJson'], true);
             if (!$newQuestions || !is_array($newQuestions)) {
-                $response = ['success' => false, 'error' => 'Invalid JSON format'];
+                $response = errorResponse('invalid_json', 'Invalid JSON format');
                 break;
             }
             
@@ -179,19 +278,33 @@ try {
 
         case 'showOptions':
             $result = $game->showOptions();
-            $newVersion = $game->incrementStateVersion();
-            $response = array_merge($result, ['stateVersion' => $newVersion]);
+            if ($result['success']) {
+                $newVersion = $game->incrementStateVersion();
+                $response = array_merge($result, ['stateVersion' => $newVersion]);
+            } else {
+                $response = $result;
+            }
             break;
 
         case 'revealCorrect':
             $result = $game->revealCorrect();
+            if ($result['success']) {
+                $newVersion = $game->incrementStateVersion();
+                $response = array_merge($result, ['stateVersion' => $newVersion]);
+            } else {
+                $response = $result;
+            }
+            break;
+
+        case 'finishGame':
+            $result = $game->finishGame();
             $newVersion = $game->incrementStateVersion();
             $response = array_merge($result, ['stateVersion' => $newVersion]);
             break;
 
         case 'markSpoken':
             if (empty($input['playerId'])) {
-                $response = ['success' => false, 'error' => 'Player ID is required'];
+                $response = errorResponse('missing_field', 'Player ID is required');
                 break;
             }
             
@@ -201,6 +314,23 @@ try {
             $response = ['success' => true, 'stateVersion' => $newVersion];
             break;
 
+        case 'adjudicateBuzzer':
+            // Verdict on a buzzing player's oral answer: correct, wrong or pass
+            if (empty($input['playerId']) || empty($input['outcome'])) {
+                $response = errorResponse('missing_field', 'Player ID and outcome are required');
+                break;
+            }
+
+            $currentQuestion = (int)$game->getState('currentQuestion', '0');
+            $result = $game->adjudicateBuzzer($input['playerId'], $currentQuestion, (string)$input['outcome']);
+            if ($result['success']) {
+                $newVersion = $game->incrementStateVersion();
+                $response = array_merge($result, ['stateVersion' => $newVersion]);
+            } else {
+                $response = $result;
+            }
+            break;
+
         case 'softReset':
             $result = $game->softReset();
             $newVersion = $game->incrementStateVersion();
@@ -213,28 +343,83 @@ try {
             $response = array_merge($result, ['stateVersion' => $newVersion]);
             break;
 
+        case 'acceptTextAnswer':
+            // Teacher accepts a typed variant after the fact (admin results review)
+            if (!isset($input['questionIndex']) || !isset($input['answer'])) {
+                $response = errorResponse('missing_field', 'Question index and answer are required');
+                break;
+            }
+            $result = $game->acceptTextAnswer((int)$input['questionIndex'], $input['answer']);
+            if ($result['success']) {
+                $newVersion = $game->incrementStateVersion();
+                $response = array_merge($result, ['stateVersion' => $newVersion]);
+            } else {
+                $response = array_merge($result, ['stateVersion' => $game->getStateVersion()]);
+            }
+            break;
+
+        case 'updateSettings':
+            // Quiz-wide settings, e.g. the default time limit (see QuizManager::DEFAULT_SETTINGS)
+            if (!isset($input['settings']) || !is_array($input['settings'])) {
+                $response = errorResponse('missing_field', 'Settings are required');
+                break;
+            }
+            $result = $game->updateSettings($input['settings']);
+            if ($result['success']) {
+                $newVersion = $game->incrementStateVersion();
+                $response = array_merge($result, ['stateVersion' => $newVersion]);
+            } else {
+                $response = $result;
+            }
+            break;
+
+        case 'saveTeams':
+            if (!isset($input['teams']) || !is_array($input['teams'])) {
+                $response = errorResponse('missing_field', 'Teams are required');
+                break;
+            }
+            $result = $game->saveTeams($input['teams']);
+            if ($result['success']) {
+                $newVersion = $game->incrementStateVersion();
+                $response = array_merge($result, ['stateVersion' => $newVersion]);
+            } else {
+                $response = $result;
+            }
+            break;
+
+        case 'assignTeam':
+            if (empty($input['playerId'])) {
+                $response = errorResponse('missing_field', 'Player ID is required');
+                break;
+            }
+            // Empty teamId = remove the player from their team
+            $result = $game->assignTeam($input['playerId'], !empty($input['teamId']) ? (string)$input['teamId'] : null);
+            if ($result['success']) {
+                $newVersion = $game->incrementStateVersion();
+                $response = array_merge($result, ['stateVersion' => $newVersion]);
+            } else {
+                $response = $result;
+            }
+            break;
+
+        case 'autoBalanceTeams':
+            $result = $game->autoBalanceTeams();
+            if ($result['success']) {
+                $newVersion = $game->incrementStateVersion();
+                $response = array_merge($result, ['stateVersion' => $newVersion]);
+            } else {
+                $response = $result;
+            }
+            break;
+
         case 'getGameData':
-            $gameState = $game->getFullGameState();
-            $currentQuestion = (int)$gameState['currentQuestion'];
-            
             // For admin, include ALL answers (for Results tab), not just current question
-            $allAnswers = $game->getAllAnswers();
-            
-            $response = [
-                'success' => true,
-                'gameState' => $gameState,
-                'questions' => $game->getQuestions(),
-                'players' => $game->getPlayers(),
-                'allAnswers' => $allAnswers,  // All answers for Results tab
-                'stateVersion' => $game->getStateVersion(),
-                'serverTime' => time(),
-                'answerStats' => $game->getAnswerStats($currentQuestion)
-            ];
+            $response = $game->getStatePayloadSince('admin', (int)($input['sinceVersion'] ?? 0));
             break;
 
         case 'sendMessage':
             if (empty($input['message'])) {
-                $response = ['success' => false, 'error' => 'Message is required'];
+                $response = errorResponse('missing_field', 'Message is required');
                 break;
             }
             
@@ -253,7 +438,7 @@ try {
 
         case 'saveNotes':
             if (!isset($input['content'])) {
-                $response = ['success' => false, 'error' => 'Content is required'];
+                $response = errorResponse('missing_field', 'Content is required');
                 break;
             }
             
@@ -278,7 +463,7 @@ try {
 
         case 'loadSession':
             if (empty($input['id'])) {
-                $response = ['success' => false, 'error' => 'Session ID is required'];
+                $response = errorResponse('missing_field', 'Session ID is required');
                 break;
             }
             
@@ -291,9 +476,21 @@ try {
             }
             break;
 
+        case 'getRecording':
+            // Recording of a saved session (`id`) or of the current game
+            if (!empty($input['id'])) {
+                $recording = $game->getSavedRecording($input['id']);
+                $response = $recording
+                    ? array_merge(['success' => true], $recording)
+                    : errorResponse('not_found', 'Session not found');
+            } else {
+                $response = ['success' => true, 'name' => null, 'events' => $game->getSessionEvents()];
+            }
+            break;
+
         case 'deleteSession':
             if (empty($input['id'])) {
-                $response = ['success' => false, 'error' => 'Session ID is required'];
+                $response = errorResponse('missing_field', 'Session ID is required');
                 break;
             }
             
@@ -309,7 +506,7 @@ try {
 
         case 'createSession':
             if (empty($input['name'])) {
-                $response = ['success' => false, 'error' => 'Session name is required'];
+                $response = errorResponse('missing_field', 'Session name is required');
                 break;
             }
             
@@ -319,23 +516,33 @@ try {
 
         case 'switchSession':
             if (empty($input['targetSessionId'])) {
-                $response = ['success' => false, 'error' => 'Target session ID is required'];
+                $response = errorResponse('missing_field', 'Target session ID is required');
                 break;
             }
             
             $switched = $game->switchSession($input['targetSessionId']);
-            $response = ['success' => $switched, 'sessionId' => $input['targetSessionId']];
+            $response = $switched
+                ? ['success' => true, 'sessionId' => $input['targetSessionId']]
+                : errorResponse('not_found', 'Session not found', ['sessionId' => $input['targetSessionId']]);
             break;
 
         default:
-            $response = ['success' => false, 'error' => 'Unknown action: ' . $action];
+            $response = errorResponse('unknown_action', 'Unknown action: ' . $action);
+    }
+
+    $response = withErrorCode($response);
+
+    if ($response['success'] && in_array($action, RECORDED_ACTIONS, true)) {
+        $game->recordEvent($action, $input);
+    }
+
+    if ($idempotencyKey) {
+        $clientTimestamp = isset($input['clientTimestamp']) ? (int)$input['clientTimestamp'] : null;
+        $game->recordProcessedAction($idempotencyKey, $action, $response, $clientTimestamp);
     }
 
     echo json_encode($response);
 
 } catch (Exception $e) {
-    echo json_encode([
-        'success' => false,
-        'error' => $e->getMessage()
-    ]);
+    echo json_encode(errorResponse('server_error', $e->getMessage()));
 }
@@ -6,7 +6,9 @@
 // Core modules
 import { ApiClient } from './core/api.js';
 import { StateManager } from './core/state.js';
+import { ConflictError, CancelledError, getErrorMessage } from './core/errors.js';
 import { onReady, debounce, escapeHtml, escapeHtmlWithBreaks, formatTime } from './core/utils.js';
+import { isOptionCorrect, answerIncludes, formatAnswer, formatCorrectAnswer, describeQuestionType, getQuestionType, isScoredQuestion, groupTextAnswers, numericRange, hitRegion, summarizeTopics } from './core/questions.js';
 
 // Shared components
 import { HelpPanel } from './components/HelpPanel.js';
@@ -15,13 +17,33 @@ import { MessageSystem } from './components/MessageSystem.js';
 import { MarkdownRenderer } from './components/MarkdownRenderer.js';
 import { Modal } from './components/Modal.js';
 import { ActionFeedback } from './components/ActionFeedback.js';
+import { renderPollResults } from './components/PollResults.js';
+import { renderHotspotImage, fitHotspotImages } from './components/HotspotImage.js';
+import { MediaPlayer } from './components/MediaPlayer.js';
+import { Countdown } from './components/Countdown.js';
+import { renderTopicBreakdown } from './components/TopicBreakdown.js';
 
 // Admin modules
 import { GameControl } from './admin/GameControl.js';
 import { QuestionEditor } from './admin/QuestionEditor.js';
+import { RegionEditor } from './admin/RegionEditor.js';
+import { QuizSettings } from './admin/QuizSettings.js';
+import { Leaderboard } from './admin/Leaderboard.js';
+import { TeamManager } from './admin/TeamManager.js';
+import { SurvivorBoard } from './admin/SurvivorBoard.js';
+import { ProgressGrid } from './admin/ProgressGrid.js';
 import { SessionManager } from './admin/SessionManager.js';
 import { NotesEditor } from './admin/NotesEditor.js';
 import { TabsNavigation } from './admin/TabsNavigation.js';
+import { DebugPanel } from './admin/DebugPanel.js';
+import { SessionReplay } from './admin/SessionReplay.js';
+
+// Verdicts on an oral answer in the buzzer list (QuizManager::adjudicateBuzzer)
+const ORAL_VERDICTS = [
+    { outcome: 'correct', label: 'Correct', icon: 'fa-check', title: 'Correct - award the oral points', message: 'Oral answer marked correct' },
+    { outcome: 'wrong', label: 'Wrong', icon: 'fa-times', title: 'Wrong - deduct points and lock the player out of this question', message: 'Oral answer marked wrong' },
+    { outcome: 'pass', label: 'Pass', icon: 'fa-forward', title: 'Pass to the next buzzer (no points)', message: 'Passed to the next buzzer' }
+];
 
 class AdminApp {
     constructor() {
@@ -42,11 +64,25 @@ class AdminApp {
         // Initialize action feedback for confirmations
         this.feedback = new ActionFeedback();
 
+        // Plays audio / video prompts on the projector (no play limit for the host)
+        this.media = new MediaPlayer();
+
+        // Answer timer of the current question (counts down on the server clock)
+        this.countdown = new Countdown({
+            clock: this.state.getClock(),
+            onExpire: () => this.handleTimeUp()
+        });
+
         // Module instances (will be initialized in init())
         this.modules = {};
 
+        // Unsubscribe functions for state slices
+        this.stateSubscriptions = [];
+
+        // True while a recorded game is replayed
+        this.isReplaying = false;
+
         // Bind methods
-        this.handleStateChange = this.handleStateChange.bind(this);
         this.handleError = this.handleError.bind(this);
     }
 
@@ -57,6 +93,7 @@ class AdminApp {
         try {
             // Setup network status indicator
             this.networkStatus = new NetworkStatus();
+            this.state.on('pollingMode', ({ mode, delay }) => this.networkStatus.setMode(mode, delay));
 
             // Setup help panel
             this.helpPanel = new HelpPanel({
@@ -89,6 +126,41 @@ class AdminApp {
                 onUpdate: () => this.state.refresh()
             });
 
+            // Initialize hotspot region editor (shown while the JSON has hotspot questions)
+            this.modules.regionEditor = new RegionEditor({
+                containerSelector: '#regionEditor',
+                textareaSelector: '#questionsJson'
+            });
+
+            // Initialize quiz settings form (default time limit etc.)
+            this.modules.settings = new QuizSettings({
+                api: this.api,
+                containerSelector: '#quizSettings',
+                saveBtnSelector: '#saveSettingsBtn',
+                onSave: () => this.state.refresh()
+            });
+
+            // Initialize leaderboard (shown between questions)
+            this.modules.leaderboard = new Leaderboard({
+                containerSelector: '#leaderboardPanel'
+            });
+
+            // Initialize survivor board (elimination mode)
+            this.modules.survivorBoard = new SurvivorBoard({
+                containerSelector: '#survivorPanel'
+            });
+
+            // Initialize progress grid (self-paced delivery)
+            this.modules.progressGrid = new ProgressGrid({
+                containerSelector: '#progressGrid'
+            });
+
+            // Initialize team manager (team mode)
+            this.modules.teamManager = new TeamManager({
+                api: this.api,
+                onChange: () => this.state.refresh()
+            });
+
             // Initialize session manager
             this.modules.sessionManager = new SessionManager({
                 api: this.api,
@@ -96,7 +168,8 @@ class AdminApp {
                 feedback: this.feedback,
                 saveBtn: '#saveSessionBtn',
                 loadBtn: '#loadSessionBtn',
-                onLoad: () => this.state.refresh()
+                onLoad: () => this.state.refresh(),
+                onReplay: (sessionId) => this.modules.replay.open(sessionId)
             });
 
             // Initialize notes editor
@@ -107,6 +180,20 @@ class AdminApp {
                 markdownRenderer: new MarkdownRenderer()
             });
 
+            // Initialize state history debug panel (hidden until toggled)
+            this.modules.debugPanel = new DebugPanel({
+                stateManager: this.state
+            });
+
+            // Initialize recorded game replay (plays through the state listeners)
+            this.modules.replay = new SessionReplay({
+                api: this.api,
+                stateManager: this.state,
+                messages: this.messages,
+                onStart: () => this.setReplayMode(true),
+                onStop: () => this.setReplayMode(false)
+            });
+
             // Call init() on all modules
             Object.values(this.modules).forEach(module => {
                 if (module.init) {
@@ -119,7 +206,7 @@ class AdminApp {
             window.sessionManager = this.modules.sessionManager;
 
             // Subscribe to state changes
-            this.state.subscribe(this.handleStateChange);
+            this.subscribeToState();
 
             // Start polling now that we're subscribed
             this.state.startPolling();
@@ -179,6 +266,17 @@ class AdminApp {
             nextBtn.addEventListener('click', () => this.navigateResults(1));
         }
 
+        // Accept buttons of the typed answers review (the results are re-rendered on every update)
+        const resultsContainer = document.getElementById('resultsContainer');
+        if (resultsContainer) {
+            resultsContainer.addEventListener('click', (e) => {
+                const btn = e.target.closest('.btn-accept-answer');
+                if (btn) {
+                    this.acceptTextAnswer(btn.dataset.answer, btn);
+                }
+            });
+        }
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Ctrl+S to save session
@@ -191,6 +289,11 @@ class AdminApp {
                 e.preventDefault();
                 this.modules.sessionManager.showLoadModal();
             }
+            // Ctrl+Shift+D to toggle the state history debug panel
+            if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'd') {
+                e.preventDefault();
+                this.modules.debugPanel.toggle();
+            }
         });
     }
 
@@ -211,69 +314,108 @@ class AdminApp {
             }
 
             // Save to server
-            const result = await this.api.updateQuestions(questions);
+            await this.api.updateQuestions(questions);
 
-            if (result.success) {
-                this.messages.success(`Template loaded! ${questions.length} questions added.`);
-                this.feedback.show('Template Applied!', 'success');
-                await this.state.refresh();
+            this.messages.success(`Template loaded! ${questions.length} questions added.`);
+            this.feedback.show('Template Applied!', 'success');
+            await this.state.refresh();
 
-                // Switch to questions tab to show the loaded questions
-                this.modules.tabs.showTab('questions');
-            } else {
-                this.messages.error(result.error || 'Failed to apply template');
-            }
+            // Switch to questions tab to show the loaded questions
+            this.modules.tabs.showTab('questions');
         } catch (error) {
             this.handleError(error);
         }
     }
 
     /**
-     * Handle state changes from StateManager
+     * Subscribe each part of the dashboard to the state slice it renders
+     * so e.g. a notes save (version bump only) re-renders nothing
      */
-    handleStateChange(newState, oldState) {
-        console.log('[AdminApp] State change:', {
-            phase: newState.gameState?.phase,
-            players: newState.players?.length,
-            answerStats: newState.answerStats
+    subscribeToState() {
+        const subscribe = (selector, callback) => {
+            this.stateSubscriptions.push(this.state.subscribe(selector, callback));
+        };
+
+        // Status badge, control buttons and phase indicator
+        subscribe(s => s.gameState, (gameState) => {
+            this.updateGameStatusBadge(gameState);
+            this.modules.gameControl.updateButtons(gameState);
+            this.updatePhaseIndicator(gameState?.phase);
         });
 
-        // Update game status badge
-        this.updateGameStatusBadge(newState.gameState);
+        // Quiz settings form
+        subscribe(s => s.gameState?.settings, (settings) => this.modules.settings.update(settings));
 
-        // Update player count
-        this.updatePlayerCount(newState.players);
+        // Leaderboard between questions
+        subscribe(
+            s => ({ leaderboard: s.leaderboard, teamLeaderboard: s.teamLeaderboard, phase: s.gameState?.phase, currentQuestion: s.gameState?.currentQuestion, size: s.gameState?.settings?.leaderboardSize }),
+            (slice, previous, state) => this.modules.leaderboard.update(state.leaderboard, state.gameState, state.teamLeaderboard)
+        );
 
-        // Update player list if visible
-        const playerList = document.getElementById('playerList');
-        if (playerList && !playerList.classList.contains('hidden')) {
-            this.updatePlayerListContent();
-        }
+        // Survivors in elimination mode
+        subscribe(
+            s => ({ elimination: s.elimination, lives: s.gameState?.settings?.lives }),
+            (slice, previous, state) => this.modules.survivorBoard.update(state.elimination, state.gameState)
+        );
 
-        // Update progress bar
-        this.updateProgress(newState.gameState, newState.questions);
+        // Progress of every player in self-paced delivery
+        subscribe(s => s.playerProgress, (progress) => this.modules.progressGrid.update(progress));
 
-        // Update current question display
-        this.updateCurrentQuestion(newState);
+        // Team list and the team of each player
+        subscribe(
+            s => ({ teams: s.teams, players: s.players }),
+            ({ teams, players }) => this.modules.teamManager.update(teams, players)
+        );
 
-        // Update game control buttons
-        this.modules.gameControl.updateButtons(newState.gameState);
+        // Player count and list (if visible)
+        subscribe(s => s.players, (players) => {
+            this.updatePlayerCount(players);
 
-        // Update phase indicator
-        this.updatePhaseIndicator(newState.gameState?.phase);
+            const playerList = document.getElementById('playerList');
+            if (playerList && !playerList.classList.contains('hidden')) {
+                this.updatePlayerListContent();
+            }
+        });
 
-        // Update results if on results tab
-        if (this.modules.tabs.activeTab === 'results') {
-            this.updateResultsView(newState);
-        }
+        // Progress bar
+        subscribe(
+            s => ({ gameStarted: s.gameState?.gameStarted, currentQuestion: s.gameState?.currentQuestion, total: s.questions?.length }),
+            (slice, previous, state) => this.updateProgress(state.gameState, state.questions)
+        );
+
+        // Current question card (question, answer stats, options preview, buzzers)
+        subscribe(
+            s => ({ gameState: s.gameState, questions: s.questions, players: s.players, teams: s.teams, answerStats: s.answerStats }),
+            (slice, previous, state) => this.updateCurrentQuestion(state)
+        );
+
+        // Audio / video prompt follows the question and phase
+        subscribe(
+            s => ({ phase: s.gameState?.phase, currentQuestion: s.gameState?.currentQuestion }),
+            (slice, previous, state) => this.syncQuestionMedia(slice, previous, state.questions)
+        );
+
+        // Results tab (rendered on tab change otherwise)
+        subscribe(
+            s => ({ gameState: s.gameState, questions: s.questions, players: s.players, allAnswers: s.allAnswers }),
+            (slice, previous, state) => {
+                if (this.modules.tabs.activeTab === 'results') {
+                    this.updateResultsView(state);
+                }
+            }
+        );
 
         // Check for new buzzers
-        if (newState.gameState?.buzzers?.length > (oldState?.gameState?.buzzers?.length || 0)) {
-            this.onNewBuzzer(newState.gameState.buzzers);
-        }
+        subscribe(s => s.gameState?.buzzers, (buzzers, previous) => {
+            if (buzzers?.length > (previous?.length || 0)) {
+                this.onNewBuzzer(buzzers);
+            }
+        });
 
         // AUTO-ADVANCE: When all players answered, automatically go to next question
-        this.checkAutoAdvance(newState, oldState);
+        subscribe(s => s.answerStats, (answerStats, previous, state, oldState) => {
+            this.checkAutoAdvance(state, oldState);
+        });
     }
 
     /**
@@ -293,7 +435,8 @@ class AdminApp {
             const phaseNames = {
                 'question_shown': 'Question',
                 'options_shown': 'Options',
-                'reveal': 'Reveal'
+                'reveal': 'Reveal',
+                'self_paced': 'Self-Paced'
             };
             const phaseName = phaseNames[gameState.phase] || 'In Progress';
             html = `<span class="status-active">${phaseName}</span>`;
@@ -342,6 +485,7 @@ class AdminApp {
             'question_shown': { text: 'Question Phase', class: 'phase-question' },
             'options_shown': { text: 'Options Phase', class: 'phase-options' },
             'reveal': { text: 'Reveal Phase', class: 'phase-reveal' },
+            'self_paced': { text: 'Self-Paced', class: 'phase-self-paced' },
             'finished': { text: 'Finished', class: 'phase-finished' }
         };
 
@@ -373,21 +517,32 @@ class AdminApp {
             return;
         }
 
+        // Players are on different questions; the progress grid shows where each one is
+        if (gameState.phase === 'self_paced') {
+            container.innerHTML = '';
+            return;
+        }
+
         const currentQ = questions[gameState.currentQuestion];
         if (!currentQ) return;
 
-        const buzzersHtml = this.renderBuzzersList(gameState.buzzers, state.players);
+        const teams = gameState.settings?.teamMode !== 'off' ? state.teams : [];
+        const buzzersHtml = this.renderBuzzersList(gameState.buzzers, state.players, teams, gameState.oralOutcomes);
         const optionsHtml = this.renderOptionsPreview(currentQ, gameState);
         const answerStatsHtml = this.renderAnswerStats(answerStats, gameState);
+        const mediaHtml = this.renderQuestionMedia(currentQ.media);
+        const timerHtml = this.renderQuestionTimer(gameState);
 
         container.innerHTML = `
             <div class="current-question-card">
                 <div class="question-preview">
+                    ${timerHtml}
                     <div class="question-number">
                         Question ${gameState.currentQuestion + 1} of ${questions.length}
                     </div>
                     <div class="question-text">${escapeHtmlWithBreaks(currentQ.question)}</div>
-                    ${currentQ.image ? `<img src="${escapeHtml(currentQ.image)}" class="question-image" alt="Question image">` : ''}
+                    ${currentQ.image && !(getQuestionType(currentQ) === 'hotspot' && optionsHtml) ? `<img src="${escapeHtml(currentQ.image)}" class="question-image" alt="Question image">` : ''}
+                    ${mediaHtml}
                 </div>
                 
                 ${gameState.phase === 'options_shown' ? answerStatsHtml : ''}
@@ -409,7 +564,87 @@ class AdminApp {
         `;
 
         // Setup mark as spoken buttons
-        this.setupSpokenButtons(container);
+        this.setupAdjudicationButtons(container);
+        fitHotspotImages(container);
+
+        if (currentQ.media?.playback === 'projector') {
+            this.media.mount(container);
+        }
+    }
+
+    /**
+     * Countdown ring while the options are shown with a deadline
+     */
+    renderQuestionTimer(gameState) {
+        if (gameState.phase !== 'options_shown' || !gameState.deadline) {
+            this.countdown.reset();
+            return '';
+        }
+
+        this.countdown.start(gameState.deadline, gameState.timeLimit);
+        return `<div class="question-timer">${this.countdown.render()}</div>`;
+    }
+
+    /**
+     * The answer timer ran out: answers are closed, reveal if the quiz is set to
+     */
+    async handleTimeUp() {
+        const gameState = this.state.state?.gameState;
+
+        // Replayed states must never trigger game actions
+        if (this.isReplaying || gameState?.phase !== 'options_shown') return;
+
+        if (!gameState.settings?.autoReveal) {
+            this.feedback.show('info', 'Time is up - answers are closed');
+            return;
+        }
+
+        try {
+            await this.api.revealCorrect();
+            this.feedback.show('success', 'Time is up! Revealing...');
+            await this.state.refresh();
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                await this.state.refresh();
+                return;
+            }
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Audio / video prompt: controls for clips played on the projector, a note otherwise
+     */
+    renderQuestionMedia(media) {
+        if (!media) return '';
+
+        if (media.playback === 'projector') {
+            return this.media.render(media, { limited: false });
+        }
+
+        return `
+            <p class="media-note">
+                <i class="fas ${media.type === 'video' ? 'fa-film' : 'fa-volume-up'}"></i>
+                Players play this clip on their devices${media.maxPlays ? ` (max ${media.maxPlays} ${media.maxPlays === 1 ? 'play' : 'plays'})` : ''}
+            </p>
+        `;
+    }
+
+    /**
+     * Stop the clip when the question changes, autoplay projector clips when a question is shown
+     * and buffer the clip of the next question
+     */
+    syncQuestionMedia({ phase, currentQuestion }, previous, questions = []) {
+        if (currentQuestion !== previous?.currentQuestion || phase === 'waiting' || phase === 'finished') {
+            this.media.stop();
+        }
+
+        const media = questions[currentQuestion]?.media;
+        if (phase === 'question_shown' && phase !== previous?.phase && media?.playback === 'projector' && media.autoplay) {
+            this.media.play();
+        }
+
+        this.media.preload(questions[(currentQuestion ?? -1) + 1]?.media);
     }
 
     /**
@@ -447,9 +682,9 @@ class AdminApp {
     }
 
     /**
-     * Render buzzers list
+     * Render buzzers list (grouped by team in team mode) with the oral answer verdict buttons
      */
-    renderBuzzersList(buzzers, players) {
+    renderBuzzersList(buzzers, players, teams = [], oralOutcomes = []) {
         if (!buzzers?.length) {
             return '<p class="no-buzzers">No buzzers yet</p>';
         }
@@ -457,23 +692,83 @@ class AdminApp {
         const playerMap = {};
         players?.forEach(p => playerMap[p.id] = p);
 
-        return `
-            <ul class="buzzers-list">
-                ${buzzers.map((buzz, index) => {
+        // Buzzers come in server arrival order; the fair order uses the latency-compensated
+        // press time (pressedAt), so slow connections are not penalised
+        const arrivalRank = {};
+        buzzers.forEach((buzz, index) => arrivalRank[buzz.playerId] = index + 1);
+        const pressTime = buzz => buzz.pressedAt ?? buzz.timestamp;
+        const fairOrder = [...buzzers].sort((a, b) => pressTime(a) - pressTime(b));
+        const firstPress = pressTime(fairOrder[0]);
+
+        // The turn passes down the fair order until someone answers correctly
+        const outcomeOf = {};
+        oralOutcomes?.forEach(oral => outcomeOf[oral.playerId] = oral.outcome);
+        const isAnswered = Object.values(outcomeOf).includes('correct');
+        const nextUp = isAnswered ? null : fairOrder.find(buzz => !outcomeOf[buzz.playerId])?.playerId;
+
+        const renderItem = (buzz) => {
+            const index = fairOrder.indexOf(buzz);
             const player = playerMap[buzz.playerId];
             const isFirst = index === 0;
+            const arrival = arrivalRank[buzz.playerId];
+            const gapMs = Math.round((pressTime(buzz) - firstPress) * 1000);
+            const rtt = typeof buzz.rtt === 'number' ? `RTT ${Math.round(buzz.rtt)} ms` : 'RTT n/a';
+            const outcome = outcomeOf[buzz.playerId];
             return `
-                        <li class="buzzer-item ${isFirst ? 'first-buzzer' : ''}">
-                            <span class="buzzer-rank">#${index + 1}</span>
-                            <span class="buzzer-name">${escapeHtml(player?.nickname || buzz.playerId)}</span>
-                            <span class="buzzer-time">${formatTime(buzz.timestamp)}</span>
-                            <button class="btn btn-sm btn-mark-spoken" data-player-id="${buzz.playerId}">
-                                Mark as Spoken
+                <li class="buzzer-item ${isFirst ? 'first-buzzer' : ''} ${outcome ? `oral-${outcome}` : ''} ${buzz.playerId === nextUp ? 'next-up' : ''}">
+                    <span class="buzzer-rank">#${index + 1}</span>
+                    <span class="buzzer-name">
+                        ${escapeHtml(player?.nickname || buzz.playerId)}
+                        ${buzz.playerId === nextUp ? '<span class="buzzer-next">Up next</span>' : ''}
+                    </span>
+                    <span class="buzzer-time">${formatTime(buzz.timestamp * 1000)}${isFirst ? '' : ` (+${gapMs} ms)`}</span>
+                    <span class="buzzer-arrival ${arrival !== index + 1 ? 'reordered' : ''}" title="Order in which the buzz reached the server">arrived #${arrival}</span>
+                    <span class="buzzer-rtt" title="Measured round-trip time">${rtt}</span>
+                    <span class="buzzer-verdicts">
+                        ${ORAL_VERDICTS.map(verdict => `
+                            <button class="btn btn-sm btn-adjudicate ${verdict.outcome} ${outcome === verdict.outcome ? 'active' : ''}"
+                                    data-player-id="${buzz.playerId}" data-outcome="${verdict.outcome}" title="${verdict.title}">
+                                <i class="fas ${verdict.icon}"></i> ${verdict.label}
                             </button>
-                        </li>
-                    `;
-        }).join('')}
-            </ul>
+                        `).join('')}
+                    </span>
+                </li>
+            `;
+        };
+
+        if (!teams?.length) {
+            return `
+                <p class="buzzers-order-note">Ordered by press time (latency-compensated)</p>
+                <ul class="buzzers-list">
+                    ${fairOrder.map(renderItem).join('')}
+                </ul>
+            `;
+        }
+
+        // Team mode: teams in the order of their first buzz, players without a team last
+        const groups = new Map();
+        fairOrder.forEach(buzz => {
+            const teamId = playerMap[buzz.playerId]?.teamId;
+            const team = teams.find(t => t.id === teamId) || null;
+            const key = team ? team.id : '';
+            if (!groups.has(key)) groups.set(key, { team, buzzes: [] });
+            groups.get(key).buzzes.push(buzz);
+        });
+        const ordered = [...groups.values()].sort((a, b) => Boolean(b.team) - Boolean(a.team));
+
+        return `
+            <p class="buzzers-order-note">Ordered by team, then press time (latency-compensated)</p>
+            ${ordered.map((group, teamIndex) => `
+                <div class="buzzer-team" style="--team-color: ${escapeHtml(group.team?.color || 'transparent')}">
+                    <h5 class="buzzer-team-name">
+                        ${group.team ? `#${teamIndex + 1} ${escapeHtml(group.team.name)}` : 'No team'}
+                        <span class="buzzer-team-count">${group.buzzes.length} buzzed</span>
+                    </h5>
+                    <ul class="buzzers-list">
+                        ${group.buzzes.map(renderItem).join('')}
+                    </ul>
+                </div>
+            `).join('')}
         `;
     }
 
@@ -485,15 +780,66 @@ class AdminApp {
             return '';
         }
 
-        const answers = gameState.answers || {};
+        const answers = gameState.answers || [];
+
+        // Hotspot taps are shown on the image once revealed (the class may be watching this screen)
+        if (getQuestionType(question) === 'hotspot') {
+            return `
+                <div class="options-preview">
+                    <h4><i class="fas fa-crosshairs"></i> Taps</h4>
+                    <p class="question-type-label">${escapeHtml(describeQuestionType(question))}</p>
+                    ${this.renderHotspotResults(question, answers, gameState.phase === 'reveal')}
+                </div>
+            `;
+        }
+
+        // Polls and word clouds show live results instead of the options
+        if (!isScoredQuestion(question)) {
+            return `
+                <div class="options-preview">
+                    <h4><i class="fas fa-chart-bar"></i> Live Results</h4>
+                    <p class="question-type-label">${escapeHtml(describeQuestionType(question))}</p>
+                    ${renderPollResults(question, answers)}
+                </div>
+            `;
+        }
 
         return `
             <div class="options-preview">
                 <h4><i class="fas fa-list"></i> Answer Options</h4>
+                ${getQuestionType(question) !== 'single' ? `<p class="question-type-label">${escapeHtml(describeQuestionType(question))}</p>` : ''}
                 <div class="options-grid-admin">
+                    ${['text', 'numeric'].includes(getQuestionType(question)) ? `
+                            <div class="option-preview ${gameState.phase === 'reveal' ? 'correct' : ''}">
+                                <span class="option-letter"><i class="fas ${getQuestionType(question) === 'numeric' ? 'fa-calculator' : 'fa-keyboard'}"></i></span>
+                                <span class="option-text">${gameState.phase === 'reveal' ? escapeHtml(formatCorrectAnswer(question)) : 'Typed answer'}</span>
+                                <span class="answer-count">${answers.length} answers</span>
+                            </div>
+                        ` : ''}
                     ${question.options.map((opt, index) => {
-            const isCorrect = index === question.correct;
-            const answerCount = Object.values(answers).filter(a => a === index).length;
+            // Matching terms show their partner on reveal (both columns are shuffled, so not before)
+            if (getQuestionType(question) === 'match') {
+                const isReveal = gameState.phase === 'reveal';
+                return `
+                            <div class="option-preview ${isReveal ? 'correct' : ''}">
+                                <span class="option-letter">${String.fromCharCode(65 + index)}</span>
+                                <span class="option-text">${escapeHtml(opt)}${isReveal ? ` = ${escapeHtml(question.right?.[question.correct[index]] ?? '')}` : ''}</span>
+                            </div>
+                        `;
+            }
+
+            // Ordering items show their correct position on reveal instead of answer counts
+            if (getQuestionType(question) === 'order') {
+                return `
+                            <div class="option-preview">
+                                <span class="option-letter">${gameState.phase === 'reveal' ? question.correct.indexOf(index) + 1 : String.fromCharCode(65 + index)}</span>
+                                <span class="option-text">${escapeHtml(opt)}</span>
+                            </div>
+                        `;
+            }
+
+            const isCorrect = isOptionCorrect(question, index);
+            const answerCount = answers.filter(a => answerIncludes(a.answer, index)).length;
             return `
                             <div class="option-preview ${isCorrect && gameState.phase === 'reveal' ? 'correct' : ''}">
                                 <span class="option-letter">${String.fromCharCode(65 + index)}</span>
@@ -508,18 +854,19 @@ class AdminApp {
     }
 
     /**
-     * Setup mark as spoken buttons
+     * Setup the oral answer verdict buttons of the buzzer list
      */
-    setupSpokenButtons(container) {
-        container.querySelectorAll('.btn-mark-spoken').forEach(btn => {
+    setupAdjudicationButtons(container) {
+        container.querySelectorAll('.btn-adjudicate').forEach(btn => {
             btn.addEventListener('click', async () => {
-                const playerId = btn.dataset.playerId;
+                const { playerId, outcome } = btn.dataset;
                 try {
-                    await this.api.markSpoken(playerId);
-                    this.messages.success('Player marked as spoken');
+                    const result = await this.api.adjudicateBuzzer(playerId, outcome);
+                    const points = result.points ? ` (${result.points > 0 ? '+' : ''}${result.points} points)` : '';
+                    this.messages.success(`${ORAL_VERDICTS.find(v => v.outcome === outcome).message}${points}`);
                     this.state.refresh();
                 } catch (error) {
-                    this.messages.error('Failed to mark player');
+                    this.messages.error(getErrorMessage(error, 'Failed to judge the answer'));
                 }
             });
         });
@@ -586,6 +933,7 @@ class AdminApp {
 
         const { gameState, questions, players, allAnswers } = state;
         const indicator = document.getElementById('resultsQuestionIndicator');
+        this.updateTopicPerformance(questions, allAnswers, players);
         const prevBtn = document.getElementById('prevQuestionBtn');
         const nextBtn = document.getElementById('nextQuestionBtn');
 
@@ -618,32 +966,29 @@ class AdminApp {
         const answers = allAnswers || gameState?.answers || [];
         const questionAnswers = answers.filter(answer => answer.question === this.resultsQuestionIndex);
 
-        // Count answers per option
-        const answerCounts = {};
-        question.options.forEach((_, index) => {
-            answerCounts[index] = 0;
-        });
-        questionAnswers.forEach(answer => {
-            if (answerCounts.hasOwnProperty(answer.answer)) {
-                answerCounts[answer.answer]++;
-            }
-        });
-
-        // Categorize players by correct/incorrect
+        // Categorize players by correct/partially correct/incorrect (scored by the server)
+        // Responses to polls and word clouds are listed without a verdict
+        const isScored = isScoredQuestion(question);
         const correctPlayers = [];
+        const partialPlayers = [];
         const incorrectPlayers = [];
+        const respondedPlayers = [];
 
         (players || []).forEach(player => {
             const playerAnswer = questionAnswers.find(a => a.playerId === player.id);
             if (playerAnswer) {
-                const isCorrect = playerAnswer.answer === question.correct;
                 const playerInfo = {
                     name: player.nickname,
-                    answer: question.options[playerAnswer.answer],
-                    isCorrect
+                    answer: formatAnswer(question, playerAnswer.answer),
+                    score: playerAnswer.score ?? (playerAnswer.isCorrect ? 1 : 0),
+                    isCorrect: playerAnswer.isCorrect
                 };
-                if (isCorrect) {
+                if (!isScored) {
+                    respondedPlayers.push(playerInfo);
+                } else if (playerInfo.isCorrect) {
                     correctPlayers.push(playerInfo);
+                } else if (playerInfo.score > 0) {
+                    partialPlayers.push(playerInfo);
                 } else {
                     incorrectPlayers.push(playerInfo);
                 }
@@ -658,21 +1003,26 @@ class AdminApp {
                     <i class="fas fa-question-circle" style="margin-top: 0.2rem;"></i>
                     <span>${escapeHtmlWithBreaks(question.question)}</span>
                 </h4>
-                <div class="answers-grid">
-                    ${question.options.map((option, index) => `
-                        <div class="answer-option ${index === question.correct ? 'answer-correct' : 'answer-incorrect'}">
-                            ${escapeHtml(option)}
-                            <div class="player-count" style="display: flex; align-items: center; gap: 0.25rem; margin-top: 0.25rem;">
-                                <i class="fas ${index === question.correct ? 'fa-check' : 'fa-times'}"></i>
-                                ${answerCounts[index]} ${answerCounts[index] === 1 ? 'player' : 'players'}
-                            </div>
-                        </div>
-                    `).join('')}
-                </div>
+                ${getQuestionType(question) !== 'single' ? `<p class="question-type-label">${escapeHtml(describeQuestionType(question))}</p>` : ''}
+                ${this.renderAnswerDistribution(question, questionAnswers)}
                 <div style="margin-top: 1.5rem; padding: 1rem; background-color: var(--bg-gray-900); border-radius: 0.5rem;">
                     <h4 style="color: var(--cyan-400); margin-bottom: 0.75rem; display: flex; align-items: center; gap: 0.5rem;">
                         <i class="fas fa-users"></i> Participant Responses
                     </h4>
+                    ${respondedPlayers.length > 0 ? `
+                    <div style="margin-bottom: 1rem;">
+                        <h5 style="color: var(--cyan-400); margin-bottom: 0.5rem; display: flex; align-items: center; gap: 0.5rem;">
+                            <i class="fas fa-comment"></i> Responses (${respondedPlayers.length})
+                        </h5>
+                        <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
+                            ${respondedPlayers.map(p => `
+                                <span style="background-color: rgba(6, 182, 212, 0.1); color: var(--cyan-400); padding: 0.25rem 0.5rem; border-radius: 0.25rem; font-size: 0.875rem;">
+                                    ${escapeHtml(p.name)}: ${escapeHtml(p.answer)}
+                                </span>
+                            `).join('')}
+                        </div>
+                    </div>
+                    ` : ''}
                     ${correctPlayers.length > 0 ? `
                     <div style="margin-bottom: 1rem;">
                         <h5 style="color: var(--green-500); margin-bottom: 0.5rem; display: flex; align-items: center; gap: 0.5rem;">
@@ -687,6 +1037,20 @@ class AdminApp {
                         </div>
                     </div>
                     ` : ''}
+                    ${partialPlayers.length > 0 ? `
+                    <div style="margin-bottom: 1rem;">
+                        <h5 style="color: var(--yellow-500); margin-bottom: 0.5rem; display: flex; align-items: center; gap: 0.5rem;">
+                            <i class="fas fa-adjust"></i> Partially Correct (${partialPlayers.length})
+                        </h5>
+                        <div style="display: flex; flex-wrap: wrap; gap: 0.5rem;">
+                            ${partialPlayers.map(p => `
+                                <span style="background-color: rgba(245, 158, 11, 0.1); color: var(--yellow-500); padding: 0.25rem 0.5rem; border-radius: 0.25rem; font-size: 0.875rem;">
+                                    ${escapeHtml(p.name)}: ${escapeHtml(p.answer)} (${Math.round(p.score * 100)}%)
+                                </span>
+                            `).join('')}
+                        </div>
+                    </div>
+                    ` : ''}
                     ${incorrectPlayers.length > 0 ? `
                     <div style="margin-bottom: 1rem;">
                         <h5 style="color: var(--red-500); margin-bottom: 0.5rem; display: flex; align-items: center; gap: 0.5rem;">
@@ -717,6 +1081,303 @@ class AdminApp {
                 ` : ''}
             </div>
         `;
+        fitHotspotImages(container);
+    }
+
+    /**
+     * Class-wide performance per tag and learning objective (hidden when the questions have none)
+     */
+    updateTopicPerformance(questions, answers, players) {
+        const section = document.getElementById('topicPerformance');
+        const container = document.getElementById('topicPerformanceContainer');
+        if (!section || !container) return;
+
+        const html = renderTopicBreakdown(summarizeTopics(questions, answers, players?.length || 0));
+        container.innerHTML = html;
+        section.classList.toggle('hidden', !html);
+    }
+
+    /**
+     * Render how the answers to a question are distributed (depends on the question type)
+     */
+    renderAnswerDistribution(question, questionAnswers) {
+        if (!isScoredQuestion(question)) {
+            return renderPollResults(question, questionAnswers);
+        }
+        if (getQuestionType(question) === 'order') {
+            return this.renderOrderingCounts(question, questionAnswers);
+        }
+        if (getQuestionType(question) === 'match') {
+            return this.renderMatchResults(question, questionAnswers);
+        }
+        if (getQuestionType(question) === 'text') {
+            return this.renderTextReview(question, questionAnswers);
+        }
+        if (getQuestionType(question) === 'numeric') {
+            return this.renderNumericHistogram(question, questionAnswers);
+        }
+        if (getQuestionType(question) === 'hotspot') {
+            return this.renderHotspotResults(question, questionAnswers);
+        }
+
+        // Count answers per option (a multi-select answer counts for every picked option)
+        const answerCounts = question.options.map((_, index) =>
+            questionAnswers.filter(answer => answerIncludes(answer.answer, index)).length
+        );
+
+        return `
+            <div class="answers-grid">
+                ${question.options.map((option, index) => `
+                    <div class="answer-option ${isOptionCorrect(question, index) ? 'answer-correct' : 'answer-incorrect'}">
+                        ${escapeHtml(option)}
+                        <div class="player-count" style="display: flex; align-items: center; gap: 0.25rem; margin-top: 0.25rem;">
+                            <i class="fas ${isOptionCorrect(question, index) ? 'fa-check' : 'fa-times'}"></i>
+                            ${answerCounts[index]} ${answerCounts[index] === 1 ? 'player' : 'players'}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the most common orderings submitted for an ordering question
+     */
+    renderOrderingCounts(question, questionAnswers, limit = 5) {
+        const counts = new Map();
+        questionAnswers.forEach(answer => {
+            const key = JSON.stringify(answer.answer);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        const correctKey = JSON.stringify(question.correct);
+        const mostCommon = [...counts.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit);
+
+        return `
+            <div class="ordering-results">
+                <div class="answer-option answer-correct">
+                    <i class="fas fa-check"></i> ${escapeHtml(formatCorrectAnswer(question))}
+                </div>
+                <h5><i class="fas fa-sort-amount-down"></i> Most common orderings</h5>
+                ${mostCommon.length === 0 ? '<p class="ordering-empty">No answers yet</p>' : `
+                    <ol class="ordering-list">
+                        ${mostCommon.map(([key, count]) => `
+                            <li class="${key === correctKey ? 'ordering-correct' : ''}">
+                                <span>${escapeHtml(formatAnswer(question, JSON.parse(key)))}</span>
+                                <span class="player-count">${count} ${count === 1 ? 'player' : 'players'}</span>
+                            </li>
+                        `).join('')}
+                    </ol>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render how often each pair of a matching question was connected correctly,
+     * plus the wrong connections players made most often
+     */
+    renderMatchResults(question, questionAnswers, limit = 5) {
+        const right = question.right || [];
+        const confusions = new Map();
+
+        const rows = question.options.map((left, leftIndex) => {
+            const correctRight = question.correct[leftIndex];
+            let hits = 0;
+
+            questionAnswers.forEach(answer => {
+                const chosen = answer.answer?.[leftIndex];
+                if (chosen === correctRight) {
+                    hits++;
+                } else if (Number.isInteger(chosen)) {
+                    const key = `${leftIndex}:${chosen}`;
+                    confusions.set(key, (confusions.get(key) || 0) + 1);
+                }
+            });
+
+            const rate = questionAnswers.length > 0 ? Math.round(hits / questionAnswers.length * 100) : 0;
+            return `
+                <tr>
+                    <td>${escapeHtml(left)}</td>
+                    <td>${escapeHtml(right[correctRight] ?? '')}</td>
+                    <td class="match-rate">${hits} / ${questionAnswers.length} (${rate}%)</td>
+                </tr>
+            `;
+        }).join('');
+
+        const mostConfused = [...confusions.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit);
+
+        return `
+            <div class="ordering-results">
+                <table class="match-results">
+                    <thead><tr><th>Term</th><th>Match</th><th>Connected correctly</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <h5><i class="fas fa-random"></i> Most often confused</h5>
+                ${mostConfused.length === 0 ? '<p class="ordering-empty">No wrong pairs yet</p>' : `
+                    <ol class="ordering-list">
+                        ${mostConfused.map(([key, count]) => {
+                            const [leftIndex, rightIndex] = key.split(':').map(Number);
+                            return `
+                                <li>
+                                    <span>${escapeHtml(question.options[leftIndex])} <span class="match-confused">= ${escapeHtml(right[rightIndex] ?? '')}</span></span>
+                                    <span class="player-count">${count} ${count === 1 ? 'player' : 'players'}</span>
+                                </li>
+                            `;
+                        }).join('')}
+                    </ol>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the typed answers of a text question grouped by similarity,
+     * with a button to accept a variant after the fact
+     */
+    renderTextReview(question, questionAnswers) {
+        const players = this.state.state?.players || [];
+        const nameOf = playerId => players.find(p => p.id === playerId)?.nickname || 'Unknown';
+        const groups = groupTextAnswers(question, questionAnswers);
+
+        const renderVariant = variant => {
+            const isAccepted = variant.answers.every(answer => answer.isCorrect);
+            const count = variant.answers.length;
+            return `
+                <li class="text-review-variant ${isAccepted ? 'ordering-correct' : ''}">
+                    <span class="text-review-text">${escapeHtml(variant.text)}</span>
+                    <span class="player-count" title="${escapeHtml(variant.answers.map(a => nameOf(a.playerId)).join(', '))}">
+                        ${count} ${count === 1 ? 'player' : 'players'}
+                    </span>
+                    ${isAccepted
+                        ? '<span class="text-review-status"><i class="fas fa-check"></i> Accepted</span>'
+                        : `<button class="btn btn-secondary btn-sm btn-accept-answer" data-answer="${escapeHtml(variant.text).replace(/"/g, '&quot;')}">
+                               <i class="fas fa-check"></i> Accept
+                           </button>`}
+                </li>
+            `;
+        };
+
+        return `
+            <div class="ordering-results">
+                <div class="answer-option answer-correct">
+                    <i class="fas fa-check"></i> ${escapeHtml(formatCorrectAnswer(question))}
+                </div>
+                <h5><i class="fas fa-spell-check"></i> Typed answers</h5>
+                ${groups.length === 0 ? '<p class="ordering-empty">No answers yet</p>' : groups.map(group => `
+                    <ol class="ordering-list text-review-group">
+                        ${group.variants.map(renderVariant).join('')}
+                    </ol>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a histogram of the numbers submitted to a numeric question; bins overlapping
+     * the accepted range are highlighted
+     */
+    renderNumericHistogram(question, questionAnswers, maxBins = 10) {
+        const values = questionAnswers
+            .map(answer => answer.answer)
+            .filter(value => typeof value === 'number' && Number.isFinite(value))
+            .sort((a, b) => a - b);
+        const [low, high] = numericRange(question);
+        const label = value => String(Number(value.toPrecision(4)));
+
+        // Few distinct values get a bar each, otherwise the range is split into equal bins
+        const distinct = [...new Set(values)];
+        let bins;
+        if (distinct.length <= maxBins) {
+            bins = distinct.map(value => ({
+                from: value,
+                to: value,
+                label: label(value),
+                count: values.filter(v => v === value).length
+            }));
+        } else {
+            const min = values[0];
+            const width = (values[values.length - 1] - min) / maxBins;
+            bins = Array.from({ length: maxBins }, (_, i) => ({
+                from: min + i * width,
+                to: min + (i + 1) * width,
+                label: `${label(min + i * width)}–${label(min + (i + 1) * width)}`,
+                count: 0
+            }));
+            values.forEach(value => {
+                bins[Math.min(maxBins - 1, Math.floor((value - min) / width))].count++;
+            });
+        }
+
+        const peak = Math.max(0, ...bins.map(bin => bin.count));
+        const median = values.length % 2
+            ? values[(values.length - 1) / 2]
+            : (values[values.length / 2 - 1] + values[values.length / 2]) / 2;
+        const withinTolerance = questionAnswers.filter(answer => answer.isCorrect).length;
+
+        return `
+            <div class="ordering-results">
+                <div class="answer-option answer-correct">
+                    <i class="fas fa-check"></i> ${escapeHtml(formatCorrectAnswer(question))}
+                </div>
+                <h5><i class="fas fa-chart-bar"></i> Submitted values</h5>
+                ${values.length === 0 ? '<p class="ordering-empty">No answers yet</p>' : `
+                    <div class="numeric-histogram">
+                        ${bins.map(bin => `
+                            <div class="histogram-bin ${bin.from <= high && bin.to >= low ? 'histogram-correct' : ''}"
+                                 title="${escapeHtml(bin.label)}: ${bin.count} ${bin.count === 1 ? 'player' : 'players'}">
+                                <div class="histogram-track">
+                                    <span class="histogram-count">${bin.count || ''}</span>
+                                    <div class="histogram-bar" style="height: ${peak ? Math.round(bin.count / peak * 100) : 0}%"></div>
+                                </div>
+                                <span class="histogram-label">${escapeHtml(bin.label)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <p class="histogram-summary">
+                        Median ${escapeHtml(formatAnswer(question, Number(median.toPrecision(6))))} ·
+                        ${withinTolerance} of ${questionAnswers.length} within tolerance
+                    </p>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Accept a typed answer for the question shown in the results; everyone who typed it is re-scored
+     */
+    async acceptTextAnswer(answer, button) {
+        if (this.isReplaying || answer === undefined) return;
+
+        if (button) button.disabled = true;
+        try {
+            const result = await this.api.acceptTextAnswer(this.resultsQuestionIndex || 0, answer);
+            this.messages.success(`Accepted "${escapeHtml(answer)}" - ${result.rescored} ${result.rescored === 1 ? 'answer' : 'answers'} re-scored`);
+            this.state.refresh();
+        } catch (error) {
+            if (button) button.disabled = false;
+            this.messages.error(getErrorMessage(error, 'Failed to accept answer'));
+        }
+    }
+
+    /**
+     * Render the image of a hotspot question with the regions and a heatmap of all taps
+     * @param {boolean} isRevealed - Without it only the number of taps is shown
+     */
+    renderHotspotResults(question, questionAnswers, isRevealed = true) {
+        const points = questionAnswers.map(answer => answer.answer).filter(point => point && typeof point === 'object');
+        const hits = points.filter(point => hitRegion(question, point)).length;
+
+        return `
+            ${renderHotspotImage(question, { regions: isRevealed, heat: isRevealed ? points : [] })}
+            <p class="hotspot-stats">
+                ${points.length} ${points.length === 1 ? 'tap' : 'taps'}${isRevealed ? ` - ${hits} inside, ${points.length - hits} outside the marked areas` : ''}
+            </p>
+        `;
     }
 
     /**
@@ -770,12 +1431,12 @@ class AdminApp {
     async checkAutoAdvance(newState, oldState) {
         const { answerStats, gameState } = newState;
         const oldAnswerStats = oldState?.answerStats;
+
+        // Replayed states must never trigger game actions
+        if (this.isReplaying) return;
         
         // Skip auto-advance on first load (oldState is null)
-        if (!oldState) {
-            console.log('[AdminApp] Skipping auto-advance check on initial load');
-            return;
-        }
+        if (!oldState) return;
         
         // Only auto-advance if:
         // 1. We're in options_shown phase
@@ -787,10 +1448,6 @@ class AdminApp {
             answerStats?.answersCount > 0 &&
             answerStats?.activeCount > 0 &&
             !oldAnswerStats?.allAnswered) {
-            
-            console.log('[AdminApp] ✅ ALL PLAYERS ANSWERED! Auto-advancing...');
-            console.log('[AdminApp] Answer stats:', answerStats);
-            
             // Small delay to let users see the "All answered" message
             setTimeout(() => this.autoAdvanceToNextQuestion(), 1500);
         }
@@ -801,34 +1458,33 @@ class AdminApp {
      */
     async autoAdvanceToNextQuestion() {
         try {
-            console.log('[AdminApp] Step 1: Revealing correct answer...');
-            
             // Step 1: Reveal the correct answer
-            const revealResult = await this.api.revealCorrect();
-            if (!revealResult.success) {
-                console.error('[AdminApp] Failed to reveal:', revealResult);
-                return;
-            }
+            await this.api.revealCorrect();
             
             this.feedback.show('success', 'All answered! Revealing...');
             await this.state.refresh();
             
             // Step 2: After a delay, go to next question
             setTimeout(async () => {
-                console.log('[AdminApp] Step 2: Moving to next question...');
-                
-                const nextResult = await this.api.nextQuestion();
-                if (nextResult.success) {
+                try {
+                    await this.api.nextQuestion();
                     this.feedback.show('success', 'Next question!');
-                    console.log('[AdminApp] ✅ Successfully moved to next question');
-                } else {
-                    console.log('[AdminApp] Next question result:', nextResult);
+                } catch (error) {
+                    // Conflict: the teacher (or another tab) already moved on
+                    if (!(error instanceof ConflictError)) {
+                        this.handleError(error);
+                    }
                 }
                 await this.state.refresh();
             }, 2000); // 2 second delay to show the correct answer
             
         } catch (error) {
             console.error('[AdminApp] Auto-advance error:', error);
+            if (error instanceof ConflictError) {
+                // Already revealed elsewhere - just catch up
+                await this.state.refresh();
+                return;
+            }
             this.handleError(error);
         }
     }
@@ -838,13 +1494,9 @@ class AdminApp {
      */
     async autoAdvance() {
         try {
-            const result = await this.api.revealCorrect();
-            if (result.success) {
-                this.feedback.show('success', 'Revealing answer...');
-                await this.state.refresh();
-            } else {
-                this.messages.error(result.error || 'Failed to reveal answer');
-            }
+            await this.api.revealCorrect();
+            this.feedback.show('success', 'Revealing answer...');
+            await this.state.refresh();
         } catch (error) {
             this.handleError(error);
         }
@@ -862,8 +1514,19 @@ class AdminApp {
      * Handle errors
      */
     handleError(error) {
+        // Aborted requests (e.g. polling stopped) are not errors for the user
+        if (error instanceof CancelledError) return;
+
         console.error('AdminApp error:', error);
-        this.messages.error(error.message || 'An unexpected error occurred');
+        this.messages.error(getErrorMessage(error, error?.message || 'An unexpected error occurred'));
+    }
+
+    /**
+     * Toggle replay mode (game controls are disabled while a recording plays)
+     */
+    setReplayMode(isReplaying) {
+        this.isReplaying = isReplaying;
+        document.body.classList.toggle('replay-mode', isReplaying);
     }
 
     /**
@@ -871,7 +1534,8 @@ class AdminApp {
      */
     destroy() {
         this.state.stopPolling();
-        this.state.unsubscribe(this.handleStateChange);
+        this.stateSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.stateSubscriptions = [];
 
         Object.values(this.modules).forEach(module => {
             if (module.destroy) {
@@ -6,7 +6,10 @@
 // Core modules
 import { ApiClient } from './core/api.js';
 import { StateManager } from './core/state.js';
+import { TabCoordinator } from './core/tabs.js';
+import { UnauthorizedError, CancelledError, getErrorMessage } from './core/errors.js';
 import { onReady, debounce, escapeHtml, escapeHtmlWithBreaks, formatTime } from './core/utils.js';
+import { formatCorrectAnswer, getQuestionType, isScoredQuestion, getQuestionPoints } from './core/questions.js';
 
 // Shared components
 import { HelpPanel } from './components/HelpPanel.js';
@@ -14,6 +17,11 @@ import { NetworkStatus } from './components/NetworkStatus.js';
 import { MessageSystem, showSuccess, showError } from './components/MessageSystem.js';
 import { MarkdownRenderer } from './components/MarkdownRenderer.js';
 import { ActionFeedback } from './components/ActionFeedback.js';
+import { TabTakeoverPrompt } from './components/TabTakeoverPrompt.js';
+import { renderPollResults } from './components/PollResults.js';
+import { renderHotspotImage, fitHotspotImages } from './components/HotspotImage.js';
+import { MediaPlayer } from './components/MediaPlayer.js';
+import { Countdown } from './components/Countdown.js';
 
 // Make showSuccess/showError available globally for OptionsPhase
 window.showSuccess = showSuccess;
@@ -32,10 +40,15 @@ class PlayerApp {
         // Initialize API client (relative path works in any subfolder)
         this.api = new ApiClient('api.php');
 
+        // One tab per browser talks to the server; the others follow it read-only
+        this.tabs = new TabCoordinator();
+
         // Initialize state manager with faster polling for players
         this.state = new StateManager(this.api, {
             pollingInterval: 500, // Faster polling for responsive gameplay
-            autoStart: false      // Don't start until logged in
+            autoStart: false,     // Don't start until logged in
+            coordinator: this.tabs,
+            streamParams: () => ({ playerId: this.playerId }) // Own answers and progress (self-paced)
         });
 
         // Initialize message system for notifications
@@ -48,6 +61,9 @@ class PlayerApp {
         this.playerId = localStorage.getItem('quizPlayerId');
         this.playerNickname = localStorage.getItem('quizPlayerNickname');
 
+        // Teams offered on the login screen (team mode)
+        this.teams = [];
+
         // Track player's answers for this session
         this.myAnswers = {};
 
@@ -57,8 +73,12 @@ class PlayerApp {
         // Module instances
         this.modules = {};
 
+        // Unsubscribe functions for state slices
+        this.stateSubscriptions = [];
+
         // Bind methods
         this.handleStateChange = this.handleStateChange.bind(this);
+        this.handleVersionChange = this.handleVersionChange.bind(this);
         this.handleError = this.handleError.bind(this);
     }
 
@@ -67,8 +87,24 @@ class PlayerApp {
      */
     async init() {
         try {
-            // Setup network status indicator
-            this.networkStatus = new NetworkStatus();
+            // Setup network status indicator; replay queued buzzes/answers when back online
+            this.networkStatus = new NetworkStatus({
+                onStatusChange: (status) => {
+                    if (status === 'online') {
+                        this.flushOutbox();
+                    }
+                }
+            });
+            this.state.on('pollingMode', ({ mode, delay }) => this.networkStatus.setMode(mode, delay));
+
+            // Elect the leader tab; followers show a takeover prompt
+            this.tabPrompt = new TabTakeoverPrompt({
+                onTakeOver: () => this.tabs.takeOver()
+            });
+            this.tabPrompt.init();
+            this.tabs.on('role', ({ role }) => this.handleRoleChange(role));
+            this.tabs.on('identity', (identity) => this.handleIdentityChange(identity));
+            this.tabs.init();
 
             // Setup help panel
             this.helpPanel = new HelpPanel({
@@ -88,6 +124,7 @@ class PlayerApp {
                     login: '#loginScreen',
                     waiting: '#waitingScreen',
                     quiz: '#quizScreen',
+                    spectator: '#spectatorScreen',
                     end: '#endScreen'
                 }
             });
@@ -99,7 +136,10 @@ class PlayerApp {
                 containerSelector: '#buzzerPhase',
                 audio: this.modules.audio,
                 feedback: this.feedback,
-                getPlayerId: () => this.playerId
+                getPlayerId: () => this.playerId,
+                getQuestionIndex: () => this.currentQuestionIndex,
+                clock: this.state.getClock(),
+                onEliminated: () => this.state.refresh()
             });
 
             // Initialize options phase handler
@@ -111,11 +151,24 @@ class PlayerApp {
                 feedback: this.feedback,
                 messages: this.messages,
                 getPlayerId: () => this.playerId,
+                getQuestionIndex: () => this.currentQuestionIndex,
                 onAnswerSubmit: (questionIndex, answerIndex) => {
                     this.myAnswers[questionIndex] = answerIndex;
                 }
             });
 
+            // Initialize the audio / video prompt player
+            this.modules.media = new MediaPlayer();
+
+            // Initialize the answer timer (counts down on the server clock)
+            this.modules.countdown = new Countdown({
+                clock: this.state.getClock(),
+                onTick: (secondsLeft) => {
+                    if (secondsLeft <= 5) this.modules.audio.playTick();
+                },
+                onExpire: () => this.handleTimeUp()
+            });
+
             // Initialize end screen handler
             this.modules.endScreen = new EndScreen({
                 containerSelector: '#endScreen',
@@ -147,8 +200,28 @@ class PlayerApp {
             window.optionsPhase = this.modules.options;
             window.buzzerPhase = this.modules.buzzer;
 
-            // Subscribe to state changes
-            this.state.subscribe(this.handleStateChange);
+            // Subscribe to state changes: screens follow the game slice (plus the player's
+            // own progress and answers in self-paced delivery), notes and queued actions
+            // follow any version bump
+            this.stateSubscriptions.push(
+                this.state.subscribe(
+                    s => ({ gameState: s.gameState, questions: s.questions, players: s.players, leaderboard: s.leaderboard, teamLeaderboard: s.teamLeaderboard, elimination: s.elimination, progress: s.progress, playerAnswerHistory: s.playerAnswerHistory }),
+                    (slice, previous, newState, oldState) => this.handleStateChange(newState, oldState)
+                ),
+                this.state.subscribe(s => s.stateVersion, this.handleVersionChange)
+            );
+
+            // Show that actions are waiting for the connection
+            window.addEventListener('outbox:queued', () => {
+                this.networkStatus.setStatus('offline', 'Offline - actions queued', false);
+            });
+            const handleOutboxDrained = () => {
+                if (this.api.outbox.size() === 0) {
+                    this.networkStatus.setStatus('online', 'Queued actions sent');
+                }
+            };
+            window.addEventListener('outbox:replayed', handleOutboxDrained);
+            window.addEventListener('outbox:expired', handleOutboxDrained);
 
             // Setup global error handler
             window.addEventListener('unhandledrejection', (event) => {
@@ -158,8 +231,14 @@ class PlayerApp {
             // Setup login form
             this.setupLoginForm();
 
-            // Check if already logged in
-            if (this.playerId && this.playerNickname) {
+            // Self-paced players move on from the answer themselves
+            document.getElementById('nextQuestionBtn')?.addEventListener('click', () => this.advanceQuestion());
+
+            // Check if already logged in (followers reuse the leader tab's player)
+            await this.tabs.ready();
+            if (this.playerId && this.playerNickname && !this.tabs.isLeader()) {
+                this.startSession();
+            } else if (this.playerId && this.playerNickname) {
                 await this.handleReturningPlayer();
             } else {
                 this.modules.screenManager.show('login');
@@ -184,6 +263,8 @@ class PlayerApp {
 
         if (!form) return;
 
+        this.loadTeamPicker();
+
         form.addEventListener('submit', async (e) => {
             e.preventDefault();
 
@@ -194,36 +275,63 @@ class PlayerApp {
             }
 
             try {
-                const result = await this.api.joinGame(nickname);
+                const teamId = form.querySelector('input[name="team"]:checked')?.value || null;
+                const result = await this.api.joinGame(nickname, teamId);
 
-                if (result.success) {
-                    this.playerId = result.playerId;
-                    this.playerNickname = nickname;
+                this.playerId = result.playerId;
+                this.playerNickname = nickname;
 
-                    // Store in localStorage for returning players
-                    localStorage.setItem('quizPlayerId', this.playerId);
-                    localStorage.setItem('quizPlayerNickname', nickname);
+                // Store in localStorage for returning players
+                localStorage.setItem('quizPlayerId', this.playerId);
+                localStorage.setItem('quizPlayerNickname', nickname);
+                this.tabs.broadcastIdentity({ playerId: this.playerId, nickname });
 
-                    this.feedback.show('success', `Welcome, ${nickname}!`);
+                const team = this.teams.find(t => t.id === result.teamId);
+                this.feedback.show('success', team ? `Welcome, ${nickname}! You play for ${team.name}` : `Welcome, ${nickname}!`);
 
-                    // Start polling and show waiting screen
-                    this.state.startPolling();
-                    this.modules.screenManager.show('waiting');
+                // Start polling and show waiting screen
+                this.state.startPolling();
+                this.modules.screenManager.show('waiting');
 
-                    // Load initial notes
-                    await this.loadPlayerNotes();
+                // Load initial notes
+                await this.loadPlayerNotes();
 
-                    // Check current game state
-                    await this.state.refresh();
-                } else {
-                    this.messages.error(result.error || 'Failed to join game');
-                }
+                // Check current game state
+                await this.state.refresh();
             } catch (error) {
                 this.handleError(error);
+                // The picked team was removed meanwhile: offer the current teams
+                if (error.code === 'invalid_teams') this.loadTeamPicker();
             }
         });
     }
 
+    /**
+     * Offer the teams on the login screen when players pick their own team (team mode)
+     */
+    async loadTeamPicker() {
+        const picker = document.getElementById('teamPicker');
+        const container = document.getElementById('teamPickerOptions');
+        if (!picker || !container) return;
+
+        try {
+            const result = await this.api.getTeams();
+            this.teams = result.teams || [];
+
+            const canPick = result.teamMode !== 'off' && result.teamSelection === 'pick' && this.teams.length > 0;
+            picker.classList.toggle('hidden', !canPick);
+            container.innerHTML = canPick ? this.teams.map(team => `
+                <label class="team-option" style="--team-color: ${escapeHtml(team.color)}">
+                    <input type="radio" name="team" value="${escapeHtml(team.id)}">
+                    <span>${escapeHtml(team.name)}</span>
+                </label>
+            `).join('') : '';
+        } catch (error) {
+            // Without the picker players are put in the smallest team
+            console.warn('[PlayerApp] Could not load teams:', error);
+        }
+    }
+
     /**
      * Handle returning player (already has stored credentials)
      */
@@ -232,31 +340,85 @@ class PlayerApp {
             // Verify the player still exists
             const result = await this.api.joinGame(this.playerNickname);
 
-            if (result.success) {
-                this.playerId = result.playerId;
+            this.playerId = result.playerId;
 
-                // Update stored ID in case it changed
-                localStorage.setItem('quizPlayerId', this.playerId);
+            // Update stored ID in case it changed
+            localStorage.setItem('quizPlayerId', this.playerId);
 
-                // Start polling
-                this.state.startPolling();
-                this.modules.screenManager.show('waiting');
+            // Start polling
+            this.state.startPolling();
+            this.modules.screenManager.show('waiting');
 
-                // Load initial notes
-                await this.loadPlayerNotes();
+            // Load initial notes
+            await this.loadPlayerNotes();
 
-                this.feedback.show('success', `Welcome back, ${this.playerNickname}!`);
-            } else {
-                // Clear stored data and show login
+            this.feedback.show('success', `Welcome back, ${this.playerNickname}!`);
+        } catch (error) {
+            // Keep stored credentials when the server just could not be reached
+            if (!error.retryable) {
                 this.clearPlayerData();
-                this.modules.screenManager.show('login');
+            } else {
+                this.handleError(error);
             }
-        } catch (error) {
-            this.clearPlayerData();
             this.modules.screenManager.show('login');
         }
     }
 
+    /**
+     * Start following the game as the stored player without joining again
+     */
+    async startSession() {
+        this.state.startPolling();
+        this.modules.screenManager.show('waiting');
+        await this.loadPlayerNotes();
+    }
+
+    /**
+     * Leader tab renders interactively; followers are read-only and silent
+     */
+    handleRoleChange(role) {
+        const isLeader = role === 'leader';
+
+        if (isLeader) {
+            this.tabPrompt.hide();
+            this.flushOutbox();
+        } else {
+            this.tabPrompt.show();
+        }
+
+        this.modules.audio?.setEnabled(isLeader);
+        this.modules.keyboard?.setEnabled(isLeader);
+    }
+
+    /**
+     * Player logged in or out in another tab
+     */
+    handleIdentityChange(identity) {
+        if (!identity) {
+            if (this.playerId) {
+                this.handleLogout(false);
+            }
+            return;
+        }
+
+        if (identity.playerId === this.playerId) return;
+
+        this.playerId = identity.playerId;
+        this.playerNickname = identity.nickname;
+        this.myAnswers = {};
+        this.startSession().catch(this.handleError);
+    }
+
+    /**
+     * Replay player actions queued while offline
+     */
+    flushOutbox() {
+        // Only the leader tab sends, so two tabs never replay the same entry
+        if (!this.tabs.isLeader() || this.api.outbox.size() === 0) return;
+
+        this.api.outbox.flush().catch(error => console.error('Outbox flush error:', error));
+    }
+
     /**
      * Clear player data from localStorage
      */
@@ -272,6 +434,10 @@ class PlayerApp {
      * Handle state changes from StateManager
      */
     handleStateChange(newState, oldState) {
+        // Self-paced players each follow their own question
+        newState = this.applyOwnPace(newState);
+        oldState = oldState && this.applyOwnPace(oldState);
+
         const gameState = newState.gameState;
         const questions = newState.questions || [];
         const players = newState.players || [];
@@ -293,14 +459,19 @@ class PlayerApp {
             this.currentQuestionIndex = gameState?.currentQuestion || 0;
             this.modules.options.reset();
             this.modules.buzzer.reset();  // Reset buzzer state for new question
+            this.modules.media.detach();
+            this.modules.countdown.reset();
         }
 
         // Handle different game phases
         // Check 'finished' phase FIRST because gameStarted is set to false when finished
         if (gameState?.phase === 'finished') {
+            // Self-paced players are done before the game ends; their results are loaded once
+            if (this.isSelfPaced() && this.modules.screenManager.isActive('end')) return;
+
             this.handleFinishedState(newState);
         } else if (!gameState?.gameStarted) {
-            this.handleWaitingState();
+            this.handleWaitingState(questions);
         } else {
             this.handleActiveGameState(newState, oldState);
         }
@@ -310,22 +481,82 @@ class PlayerApp {
 
         // Update status message
         this.updateStatusMessage(gameState);
+    }
+
+    /**
+     * Whether the game runs in self-paced delivery (the server phase, before applyOwnPace)
+     */
+    isSelfPaced() {
+        return this.state.getState()?.gameState?.phase === 'self_paced';
+    }
+
+    /**
+     * In self-paced delivery, turn the state into this player's own game: their question with its
+     * options until they answered (or its time is up), then its answer; finished after the last one
+     */
+    applyOwnPace(state) {
+        const progress = state?.progress;
+        if (state?.gameState?.phase !== 'self_paced' || !progress) return state;
+
+        const timeUp = progress.deadline !== null && this.state.getClock().now() >= progress.deadline;
+        let phase = progress.answered || timeUp ? 'reveal' : 'options_shown';
+        if (progress.finished) phase = 'finished';
+
+        return {
+            ...state,
+            gameState: {
+                ...state.gameState,
+                phase,
+                currentQuestion: progress.question,
+                deadline: progress.deadline,
+                timeLimit: progress.timeLimit,
+                optionsShownAt: progress.startedAt,
+                answers: (state.playerAnswerHistory || []).filter(a => a.question === progress.question)
+            }
+        };
+    }
+
+    /**
+     * Self-paced: move on from the revealed answer to the next question
+     */
+    async advanceQuestion() {
+        const button = document.getElementById('nextQuestionBtn');
+        if (button) button.disabled = true;
+
+        try {
+            await this.api.advanceQuestion(this.playerId, this.currentQuestionIndex);
+            await this.state.refresh();
+        } catch (error) {
+            showError(getErrorMessage(error, 'Could not move on'));
+            await this.state.refresh();
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
 
-        // Check for notes updates when stateVersion changes
-        const newVersion = newState.stateVersion;
-        if (this.lastStateVersion !== undefined && newVersion !== this.lastStateVersion) {
+    /**
+     * Handle any state version change (including ones outside the game slice, e.g. notes)
+     */
+    handleVersionChange(version, previousVersion) {
+        // A state update got through, so queued actions can too
+        this.flushOutbox();
+
+        if (previousVersion !== undefined) {
             this.checkNotesUpdate();
         }
-        this.lastStateVersion = newVersion;
     }
 
     /**
      * Handle waiting state (game not started)
      */
-    handleWaitingState() {
+    handleWaitingState(questions = []) {
         if (this.playerId) {
             this.modules.screenManager.show('waiting');
         }
+
+        // A new game counts media plays from zero; buffer the first clip meanwhile
+        this.modules.media.resetPlays();
+        this.modules.media.preload(questions[0]?.media);
     }
 
     /**
@@ -333,6 +564,7 @@ class PlayerApp {
      */
     handleFinishedState(state) {
         this.modules.screenManager.show('end');
+        this.modules.media.stop();
 
         // Set player ID and show end screen with results
         this.modules.endScreen.setPlayerId(this.playerId);
@@ -347,35 +579,89 @@ class PlayerApp {
         const questions = state.questions || [];
         const currentQ = questions[gameState.currentQuestion];
 
+        // Eliminated players watch from the spectator screen (after seeing the reveal that put them out)
+        const elimination = this.getElimination(state.elimination);
+        if (elimination?.eliminated && !(gameState.phase === 'reveal' && elimination.eliminatedAt === gameState.currentQuestion)) {
+            this.handleSpectatorState(state, elimination);
+            return;
+        }
+
         // Show quiz screen
         this.modules.screenManager.show('quiz');
 
         // Update question display
-        this.updateQuestionDisplay(currentQ, gameState.currentQuestion, questions.length);
+        this.updateQuestionDisplay(currentQ, gameState.currentQuestion, questions.length, gameState.phase);
+        this.updateQuestionMedia(currentQ, gameState, oldState?.gameState);
+
+        // Buffer the next clip so it is ready when its question is shown
+        this.modules.media.preload(questions[gameState.currentQuestion + 1]?.media);
 
         // Handle phase transitions
         const phase = gameState.phase;
         const oldPhase = oldState?.gameState?.phase;
 
         if (phase === 'question_shown') {
-            this.handleQuestionPhase(gameState);
+            this.handleQuestionPhase(gameState, currentQ);
         } else if (phase === 'options_shown') {
             // Ensure we pass the full question data so options can be rendered
-            this.handleOptionsPhase(currentQ, gameState);
+            this.handleOptionsPhase(currentQ, gameState, state.players);
         } else if (phase === 'reveal') {
-            this.handleRevealPhase(currentQ, gameState);
+            this.handleRevealPhase(currentQ, gameState, state.leaderboard, state.teamLeaderboard);
         }
 
+        this.updateAnswerTimer(gameState);
+
         // Play transition sounds
         if (phase !== oldPhase) {
             this.playPhaseTransitionSound(phase);
         }
     }
 
+    /**
+     * Elimination status of this player ({ lives, eliminated, eliminatedAt, sitOut }), null outside elimination mode
+     */
+    getElimination(elimination) {
+        return elimination?.players.find(entry => entry.playerId === this.playerId) || null;
+    }
+
+    /**
+     * Show the spectator screen with the current question and the players still in the game
+     */
+    handleSpectatorState(state, elimination) {
+        const gameState = state.gameState;
+        const questions = state.questions || [];
+        const question = questions[gameState.currentQuestion];
+
+        this.modules.screenManager.showSpectator();
+        this.modules.media.stop();
+
+        const statusEl = document.getElementById('spectatorStatus');
+        if (statusEl) {
+            const { sitOut } = elimination;
+            statusEl.textContent = sitOut
+                ? `You are back in the game after ${sitOut} more question${sitOut === 1 ? '' : 's'}`
+                : 'Keep watching - the game goes on without you';
+        }
+
+        const questionEl = document.getElementById('spectatorQuestion');
+        if (questionEl) {
+            questionEl.innerHTML = question ? `
+                <span class="spectator-question-number">Question ${gameState.currentQuestion + 1} of ${questions.length}</span>
+                <p>${escapeHtmlWithBreaks(question.question)}</p>
+            ` : '';
+        }
+
+        const survivorsEl = document.getElementById('spectatorSurvivors');
+        if (survivorsEl) {
+            const { survivors } = state.elimination;
+            survivorsEl.innerHTML = `<i class="fas fa-heart"></i> ${survivors} player${survivors === 1 ? '' : 's'} still in the game`;
+        }
+    }
+
     /**
      * Update question display
      */
-    updateQuestionDisplay(question, index, total) {
+    updateQuestionDisplay(question, index, total, phase) {
         const numberEl = document.getElementById('questionNumber');
         const textEl = document.getElementById('questionText');
         const imageEl = document.getElementById('questionImage');
@@ -390,7 +676,9 @@ class PlayerApp {
         }
 
         if (imageEl && question) {
-            if (question.image) {
+            // Hotspot questions are answered on their own copy of the image once options are shown
+            const isAnsweredOnImage = getQuestionType(question) === 'hotspot' && phase !== 'question_shown';
+            if (question.image && !isAnsweredOnImage) {
                 imageEl.src = question.image;
                 imageEl.classList.remove('hidden');
             } else {
@@ -399,10 +687,56 @@ class PlayerApp {
         }
     }
 
+    /**
+     * Audio / video prompt of the question: controls for clips played on the player's device,
+     * a note for clips played on the projector; follows the phase changes
+     */
+    updateQuestionMedia(question, gameState, oldGameState) {
+        const mediaEl = document.getElementById('questionMedia');
+        const media = question?.media;
+        if (!mediaEl) return;
+
+        if (!media) {
+            mediaEl.classList.add('hidden');
+            mediaEl.innerHTML = '';
+            return;
+        }
+        mediaEl.classList.remove('hidden');
+
+        if (media.playback === 'projector') {
+            mediaEl.innerHTML = `
+                <p class="media-note">
+                    <i class="fas ${media.type === 'video' ? 'fa-film' : 'fa-volume-up'}"></i>
+                    ${media.type === 'video' ? 'Watch' : 'Listen to'} the clip on the main screen
+                </p>`;
+            return;
+        }
+
+        const phase = gameState.phase;
+        const phaseChanged = phase !== oldGameState?.phase || gameState.currentQuestion !== oldGameState?.currentQuestion;
+
+        // Controls are only rebuilt when the phase changes, a playing clip is moved along with them
+        if (phaseChanged || !mediaEl.querySelector('.media-player')) {
+            if (phase === 'reveal') {
+                this.modules.media.stop();
+            }
+
+            mediaEl.innerHTML = this.modules.media.render(media, {
+                key: `${this.playerId}:${gameState.currentQuestion}`,
+                limited: phase !== 'reveal' // Replays are free once the answer is revealed
+            });
+            this.modules.media.mount(mediaEl);
+
+            if (phaseChanged && phase === 'question_shown' && media.autoplay) {
+                this.modules.media.play();
+            }
+        }
+    }
+
     /**
      * Handle question phase (buzzer active)
      */
-    handleQuestionPhase(gameState) {
+    handleQuestionPhase(gameState, question) {
         // Show buzzer phase
         document.getElementById('buzzerPhase')?.classList.remove('hidden');
         document.getElementById('optionsPhase')?.classList.add('hidden');
@@ -414,15 +748,49 @@ class PlayerApp {
 
         if (hasBuzzed || hasSpoken) {
             this.modules.buzzer.disable('Already buzzed');
+        } else if (this.api.outbox.hasPending('pressBuzzer', gameState.currentQuestion)) {
+            // Buzz still waiting in the outbox
+            this.modules.buzzer.hasBuzzed = true;
+            this.modules.buzzer.setQueued(true);
         } else {
             this.modules.buzzer.enable();
         }
+
+        this.updateOralVerdict(gameState, question);
+    }
+
+    /**
+     * This player's oral answer verdict from the buzzer list (null = not judged)
+     */
+    getOralOutcome(gameState) {
+        return gameState.oralOutcomes?.find(oral => oral.playerId === this.playerId)?.outcome || null;
+    }
+
+    /**
+     * Show the verdict on this player's oral answer under the buzzer
+     */
+    updateOralVerdict(gameState, question) {
+        const verdictEl = document.getElementById('oralVerdict');
+        if (!verdictEl) return;
+
+        const outcome = this.getOralOutcome(gameState);
+        verdictEl.className = `oral-verdict ${outcome || 'hidden'}`;
+        if (!outcome) return;
+
+        const weight = question ? getQuestionPoints(question) : 1;
+        const { oralPoints = 0, oralPenalty = 0 } = gameState.settings || {};
+        const messages = {
+            correct: `<i class="fas fa-check-circle"></i> Correct! +${Math.round(oralPoints * weight)} points`,
+            wrong: `<i class="fas fa-times-circle"></i> Wrong${oralPenalty ? ` (-${Math.round(oralPenalty * weight)} points)` : ''} - you are out of this question`,
+            pass: '<i class="fas fa-forward"></i> Passed to the next buzzer'
+        };
+        verdictEl.innerHTML = messages[outcome];
     }
 
     /**
      * Handle options phase (answering)
      */
-    handleOptionsPhase(question, gameState) {
+    handleOptionsPhase(question, gameState, players = []) {
         // Show options phase
         document.getElementById('buzzerPhase')?.classList.add('hidden');
         document.getElementById('optionsPhase')?.classList.remove('hidden');
@@ -430,22 +798,119 @@ class PlayerApp {
 
         // Ensure options module is shown with data
         // show() will call renderOptions() internally, so we don't need to call it again
-        this.modules.options.show(gameState, question);
+        const options = this.modules.options;
+        options.show(gameState, question);
+
+        // A wrong oral answer in the buzzer round locks the player out of the question
+        if (this.getOralOutcome(gameState) === 'wrong' && !options.isLocked()) {
+            this.feedback.show('info', 'Your oral answer was wrong - you are out of this question');
+            options.lock();
+        }
+
+        // "First answer counts" team mode: a teammate's answer closes the question for the team
+        if (gameState.settings?.teamMode === 'first' && !options.isLocked() && this.hasTeammateAnswered(gameState, players)) {
+            this.feedback.show('info', 'Your team has answered');
+            options.lock();
+        }
+    }
+
+    /**
+     * Whether another member of this player's team answered the current question
+     */
+    hasTeammateAnswered(gameState, players = []) {
+        const teamOf = new Map(players.map(p => [p.id, p.teamId]));
+        const teamId = teamOf.get(this.playerId);
+        if (!teamId) return false;
+
+        return (gameState.answers || []).some(a =>
+            a.playerId !== this.playerId && a.question === gameState.currentQuestion && teamOf.get(a.playerId) === teamId
+        );
+    }
+
+    /**
+     * Countdown above the options while the question has a deadline
+     */
+    updateAnswerTimer(gameState) {
+        const timerEl = document.getElementById('answerTimer');
+        const countdown = this.modules.countdown;
+
+        if (gameState.phase !== 'options_shown' || !gameState.deadline) {
+            countdown.stop();
+            timerEl?.classList.add('hidden');
+            return;
+        }
+
+        if (countdown.deadline !== gameState.deadline) {
+            countdown.start(gameState.deadline, gameState.timeLimit);
+        }
+
+        if (timerEl && !timerEl.querySelector('.countdown')) {
+            timerEl.innerHTML = countdown.render();
+        }
+        timerEl?.classList.remove('hidden');
+    }
+
+    /**
+     * The answer timer ran out: lock the options
+     */
+    handleTimeUp() {
+        const options = this.modules.options;
+        if (!options.hasPlayerAnswered()) {
+            this.feedback.show('info', 'Time is up!');
+        }
+        options.lock();
+
+        // Self-paced players see the answer once their time is up (after the countdown finished updating)
+        if (this.isSelfPaced()) {
+            setTimeout(() => this.handleStateChange(this.state.getState(), this.state.getState()), 0);
+        }
     }
 
     /**
      * Handle reveal phase (showing correct answer)
      */
-    handleRevealPhase(question, gameState) {
+    handleRevealPhase(question, gameState, leaderboard = [], teamLeaderboard = []) {
         // Show reveal phase
         document.getElementById('buzzerPhase')?.classList.add('hidden');
         document.getElementById('optionsPhase')?.classList.add('hidden');
         document.getElementById('revealPhase')?.classList.remove('hidden');
 
+        this.updateRevealStanding(leaderboard, teamLeaderboard);
+        this.updateNextQuestionButton(gameState);
+
+        // answers is an array of {playerId, question, answer, isCorrect}
+        const answers = gameState.answers || [];
+        const playerAnswer = answers.find(a => 
+            a.playerId === this.playerId && a.question === gameState.currentQuestion
+        );
+
+        // Polls and word clouds have no correct answer; their results are shown if the question allows it
+        const isScored = !question || isScoredQuestion(question);
+        document.getElementById('correctAnswerCard')?.classList.toggle('hidden', !isScored);
+
+        const pollSection = document.getElementById('pollResultsSection');
+        const pollResults = document.getElementById('pollResults');
+        if (pollSection && pollResults) {
+            const showPoll = !isScored && question.showResults;
+            pollSection.classList.toggle('hidden', !showPoll);
+            pollResults.innerHTML = showPoll ? renderPollResults(question, answers, playerAnswer?.answer ?? null) : '';
+        }
+
         // Show correct answer
         const correctEl = document.getElementById('correctAnswerText');
-        if (correctEl && question) {
-            correctEl.textContent = question.options[question.correct];
+        if (correctEl && question && isScored) {
+            correctEl.textContent = formatCorrectAnswer(question);
+        }
+
+        // Hotspot questions show the regions with the player's pin
+        const correctImage = document.getElementById('correctAnswerImage');
+        if (correctImage) {
+            const isHotspot = getQuestionType(question) === 'hotspot';
+            correctImage.innerHTML = isHotspot ? renderHotspotImage(question, {
+                regions: true,
+                points: playerAnswer ? [{ ...playerAnswer.answer, status: playerAnswer.isCorrect ? 'correct' : 'incorrect' }] : []
+            }) : '';
+            fitHotspotImages(correctImage);
         }
 
         // Show explanation if available
@@ -460,13 +925,8 @@ class PlayerApp {
         }
 
         // Play correct/incorrect sound based on player's answer
-        // answers is an array of {playerId, question, answer, isCorrect}
-        const answers = gameState.answers || [];
-        const playerAnswer = answers.find(a => 
-            a.playerId === this.playerId && a.question === gameState.currentQuestion
-        );
-        if (playerAnswer) {
-            if (playerAnswer.answer === question.correct) {
+        if (playerAnswer && isScored) {
+            if (playerAnswer.isCorrect) {
                 this.modules.audio.play('correct');
             } else {
                 this.modules.audio.play('incorrect');
@@ -474,6 +934,95 @@ class PlayerApp {
         }
     }
 
+    /**
+     * Self-paced: the button to the next question (or the results after the last one)
+     */
+    updateNextQuestionButton(gameState) {
+        const button = document.getElementById('nextQuestionBtn');
+        if (!button) return;
+
+        const progress = this.state.getState()?.progress;
+        button.classList.toggle('hidden', !this.isSelfPaced() || !progress);
+        if (!progress) return;
+
+        const isLast = gameState.currentQuestion + 1 >= progress.total;
+        button.innerHTML = isLast
+            ? '<i class="fas fa-flag-checkered"></i> See My Results'
+            : '<i class="fas fa-forward"></i> Next Question';
+    }
+
+    /**
+     * Points of the revealed question, rank and rank change of this player (ScoringEngine standings),
+     * and of their team in team mode
+     */
+    updateRevealStanding(leaderboard = [], teamLeaderboard = []) {
+        const standingEl = document.getElementById('revealStanding');
+        if (!standingEl) return;
+
+        const standing = leaderboard.find(entry => entry.playerId === this.playerId);
+        standingEl.classList.toggle('hidden', !standing);
+        if (!standing) return;
+
+        // Self-paced standings move with every player's answers, so only the rank and total are shown
+        const { rank, previousRank, score } = standing;
+        const delta = this.isSelfPaced() ? 0 : standing.delta;
+        const moved = this.isSelfPaced() ? 0 : previousRank - rank;
+        const deltaClass = delta > 0 ? 'gain' : (delta < 0 ? 'loss' : '');
+
+        standingEl.innerHTML = `
+            ${this.isSelfPaced() ? '' : `<span class="standing-delta ${deltaClass}">${delta > 0 ? '+' : ''}${delta} points</span>`}
+            <span class="standing-rank">
+                <i class="fas fa-trophy"></i> #${rank} of ${leaderboard.length}
+                ${moved !== 0 ? `
+                    <span class="standing-move ${moved > 0 ? 'up' : 'down'}">
+                        <i class="fas fa-arrow-${moved > 0 ? 'up' : 'down'}"></i> ${Math.abs(moved)}
+                    </span>
+                ` : ''}
+            </span>
+            <span class="standing-score">${score} total</span>
+            ${this.renderTeamStanding(teamLeaderboard)}
+            ${this.renderEliminationStanding()}
+        `;
+    }
+
+    /**
+     * Team line of the reveal standing (empty outside team mode)
+     */
+    renderTeamStanding(teamLeaderboard = []) {
+        const teamId = this.state.getState().players?.find(p => p.id === this.playerId)?.teamId;
+        const team = teamLeaderboard.find(entry => entry.teamId === teamId);
+        if (!team) return '';
+
+        return `
+            <span class="standing-team" style="--team-color: ${escapeHtml(team.color)}">
+                <strong>${escapeHtml(team.name)}</strong>
+                ${team.delta > 0 ? '+' : ''}${team.delta} points &middot; #${team.rank} of ${teamLeaderboard.length} &middot; ${team.score} total
+            </span>
+        `;
+    }
+
+    /**
+     * Lives line of the reveal standing (empty outside elimination mode)
+     */
+    renderEliminationStanding() {
+        const elimination = this.getElimination(this.state.getState().elimination);
+        if (!elimination) return '';
+
+        if (elimination.eliminated) {
+            return `
+                <span class="standing-lives out">
+                    <i class="fas fa-skull"></i> Eliminated${elimination.sitOut ? ` - back after ${elimination.sitOut} more question${elimination.sitOut === 1 ? '' : 's'}` : ''}
+                </span>
+            `;
+        }
+
+        return `
+            <span class="standing-lives">
+                <i class="fas fa-heart"></i> ${elimination.lives} ${elimination.lives === 1 ? 'life' : 'lives'} left
+            </span>
+        `;
+    }
+
     /**
      * Update progress bar
      */
@@ -668,8 +1217,12 @@ class PlayerApp {
 
     /**
      * Handle logout (manual or forced)
+     * @param {boolean} notifyTabs - Log out the other tabs too
      */
-    handleLogout() {
+    handleLogout(notifyTabs = true) {
+        if (notifyTabs) {
+            this.tabs.broadcastIdentity(null);
+        }
         this.clearPlayerData();
         this.state.stopPolling();
         this.modules.screenManager.show('login');
@@ -680,16 +1233,30 @@ class PlayerApp {
      * Handle errors
      */
     handleError(error) {
+        // Aborted requests (e.g. polling stopped) are not errors for the user
+        if (error instanceof CancelledError) return;
+
         console.error('PlayerApp error:', error);
-        this.messages.error(error.message || 'An unexpected error occurred');
+
+        // Player was removed on the server - start over
+        if (error instanceof UnauthorizedError && this.playerId) {
+            this.messages.error(error.message);
+            this.handleLogout();
+            return;
+        }
+
+        this.messages.error(getErrorMessage(error, error?.message || 'An unexpected error occurred'));
     }
 
     /**
      * Cleanup
      */
     destroy() {
+        this.tabs.destroy();
+        this.tabPrompt.destroy();
         this.state.stopPolling();
-        this.state.unsubscribe(this.handleStateChange);
+        this.stateSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.stateSubscriptions = [];
 
         Object.values(this.modules).forEach(module => {
             if (module.destroy) {
@@ -0,0 +1,195 @@
+/**
+ * Admin Debug Panel Module
+ * Hidden time-travel view of the state history (toggle with Ctrl+Shift+D or open with ?debug)
+ * Scrub through received states, see the diff to the previous one and export a session trace
+ */
+
+import { escapeHtml, formatTime } from '../core/utils.js';
+
+export class DebugPanel {
+    constructor(options = {}) {
+        this.options = {
+            stateManager: null,
+            maxDiffOps: 200, // Long diffs (e.g. first full state) are truncated
+            ...options
+        };
+
+        this.state = this.options.stateManager;
+        this.history = this.state?.getHistory();
+
+        this.element = null;
+        this.isOpen = false;
+        this.selectedIndex = null; // null = follow the newest entry
+        this.unsubscribe = null;
+    }
+
+    init() {
+        if (!this.history) {
+            console.warn('DebugPanel: No state history available');
+            return;
+        }
+
+        this.element = document.createElement('div');
+        this.element.className = 'debug-panel hidden';
+        this.element.innerHTML = `
+            <div class="debug-panel-header">
+                <h3><i class="fas fa-bug"></i> State History</h3>
+                <div class="debug-panel-actions">
+                    <button class="btn btn-secondary btn-sm" data-action="export">
+                        <i class="fas fa-file-export"></i> Export session trace
+                    </button>
+                    <button class="debug-panel-close" data-action="close">&times;</button>
+                </div>
+            </div>
+            <input type="range" class="debug-panel-slider" min="0" max="0" value="0">
+            <div class="debug-panel-info"></div>
+            <h4>Changes from previous state</h4>
+            <div class="debug-panel-diff"></div>
+            <details class="debug-panel-state">
+                <summary>Full state</summary>
+                <pre></pre>
+            </details>
+        `;
+        document.body.appendChild(this.element);
+
+        this.slider = this.element.querySelector('.debug-panel-slider');
+        this.slider.addEventListener('input', () => {
+            const index = parseInt(this.slider.value, 10);
+            this.selectedIndex = index >= this.history.size() - 1 ? null : index;
+            this.render();
+        });
+
+        this.element.querySelector('.debug-panel-state').addEventListener('toggle', () => this.render());
+        this.element.querySelector('[data-action="export"]').addEventListener('click', () => this.exportTrace());
+        this.element.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+
+        if (new URLSearchParams(window.location.search).has('debug')) {
+            this.open();
+        }
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.element) return;
+
+        this.isOpen = true;
+        this.element.classList.remove('hidden');
+
+        // Follow new states while open
+        this.unsubscribe = this.state.subscribe(() => this.render());
+        this.render();
+    }
+
+    close() {
+        if (!this.element) return;
+
+        this.isOpen = false;
+        this.element.classList.add('hidden');
+
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Render the selected entry and its diff to the previous entry
+     */
+    render() {
+        const size = this.history.size();
+        const info = this.element.querySelector('.debug-panel-info');
+        const diffEl = this.element.querySelector('.debug-panel-diff');
+        const stateEl = this.element.querySelector('.debug-panel-state pre');
+
+        this.slider.max = Math.max(0, size - 1);
+
+        if (size === 0) {
+            info.textContent = 'No states received yet';
+            diffEl.innerHTML = '';
+            stateEl.textContent = '';
+            return;
+        }
+
+        const index = this.selectedIndex ?? size - 1;
+        const entry = this.history.get(index);
+        this.slider.value = index;
+
+        info.innerHTML = `
+            <span>#${entry.seq} (${index + 1} of ${size})</span>
+            <span>Version ${entry.version ?? '-'}</span>
+            <span>${formatTime(entry.receivedAt)}</span>
+            <span>${escapeHtml(entry.source || '')}</span>
+            <span>Phase ${escapeHtml(entry.state?.gameState?.phase || '-')}</span>
+            ${this.selectedIndex === null ? '<span class="debug-panel-live">live</span>' : ''}
+        `;
+
+        const ops = index > 0 ? this.history.diff(index - 1, index) : [];
+        diffEl.innerHTML = ops.length === 0
+            ? `<p class="debug-panel-empty">${index === 0 ? 'Oldest recorded state' : 'No changes'}</p>`
+            : this.renderDiff(ops);
+
+        // Serializing the full state is only worth it when visible
+        if (this.element.querySelector('.debug-panel-state').open) {
+            stateEl.textContent = JSON.stringify(entry.state, null, 2);
+        } else {
+            stateEl.textContent = '';
+        }
+    }
+
+    /**
+     * Render patch operations as a list
+     */
+    renderDiff(ops) {
+        const shown = ops.slice(0, this.options.maxDiffOps);
+        const items = shown.map(op => {
+            const path = escapeHtml(op.path.join('.') || '(root)');
+            const value = op.op === 'remove' ? '' : escapeHtml(JSON.stringify(op.value)?.slice(0, 200) ?? 'undefined');
+            return `<li class="debug-op-${op.op}"><code>${op.op}</code> ${path} ${value}</li>`;
+        }).join('');
+
+        const more = ops.length > shown.length ? `<li>... ${ops.length - shown.length} more</li>` : '';
+        return `<ul class="debug-panel-ops">${items}${more}</ul>`;
+    }
+
+    /**
+     * Download the history as a JSON trace for bug reports
+     */
+    exportTrace() {
+        const clock = this.state.getClock();
+        const trace = this.history.toTrace({
+            client: {
+                view: this.state.fetchMethod === 'getGameData' ? 'admin' : 'player',
+                transport: this.state.getTransport(),
+                pollingMode: this.state.getPollingMode(),
+                stateVersion: this.state.getStateVersion(),
+                clockOffset: clock.getOffset(),
+                rtt: clock.getRtt()
+            }
+        });
+
+        const blob = new Blob([JSON.stringify(trace, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `quiz-trace-${stamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    destroy() {
+        this.close();
+        this.element?.remove();
+        this.element = null;
+    }
+}
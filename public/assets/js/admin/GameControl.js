@@ -1,11 +1,12 @@
 /**
  * Admin Game Control Module
- * Handles game flow: start, next question, show options, reveal, reset
+ * Handles game flow: start, next question, show options, reveal, end, reset
  */
 
 import { api as defaultApi } from '../core/api.js';
 import { showSuccessFeedback, showErrorFeedback } from '../components/ActionFeedback.js';
 import { showSuccess, showError } from '../components/MessageSystem.js';
+import { ConflictError, getErrorMessage } from '../core/errors.js';
 
 export class GameControl {
     constructor(options = {}) {
@@ -30,16 +31,13 @@ export class GameControl {
     async startGame() {
         try {
             const result = await this.api.startGame();
-            if (result.success) {
-                showSuccessFeedback('Game Started!');
-                this.notifyStateChange();
-            } else {
-                showErrorFeedback(result.error || 'Failed to start game');
-            }
+            showSuccessFeedback('Game Started!');
+            this.notifyStateChange();
             return result;
         } catch (error) {
-            showErrorFeedback('Network error');
+            showErrorFeedback(getErrorMessage(error, 'Failed to start game'));
             console.error('Start game error:', error);
+            this.handleConflict(error);
         }
     }
 
@@ -49,16 +47,13 @@ export class GameControl {
     async nextQuestion() {
         try {
             const result = await this.api.nextQuestion();
-            if (result.success) {
-                showSuccessFeedback('Next Question');
-                this.notifyStateChange();
-            } else {
-                showErrorFeedback(result.error || 'Failed to advance');
-            }
+            showSuccessFeedback('Next Question');
+            this.notifyStateChange();
             return result;
         } catch (error) {
-            showErrorFeedback('Network error');
+            showErrorFeedback(getErrorMessage(error, 'Failed to advance'));
             console.error('Next question error:', error);
+            this.handleConflict(error);
         }
     }
 
@@ -68,16 +63,13 @@ export class GameControl {
     async showOptions() {
         try {
             const result = await this.api.showOptions();
-            if (result.success) {
-                showSuccessFeedback('Options Shown');
-                this.notifyStateChange();
-            } else {
-                showErrorFeedback(result.error || 'Failed to show options');
-            }
+            showSuccessFeedback('Options Shown');
+            this.notifyStateChange();
             return result;
         } catch (error) {
-            showErrorFeedback('Network error');
+            showErrorFeedback(getErrorMessage(error, 'Failed to show options'));
             console.error('Show options error:', error);
+            this.handleConflict(error);
         }
     }
 
@@ -87,16 +79,32 @@ export class GameControl {
     async revealCorrect() {
         try {
             const result = await this.api.revealCorrect();
-            if (result.success) {
-                showSuccessFeedback('Answer Revealed');
-                this.notifyStateChange();
-            } else {
-                showErrorFeedback(result.error || 'Failed to reveal');
-            }
+            showSuccessFeedback('Answer Revealed');
+            this.notifyStateChange();
             return result;
         } catch (error) {
-            showErrorFeedback('Network error');
+            showErrorFeedback(getErrorMessage(error, 'Failed to reveal'));
             console.error('Reveal correct error:', error);
+            this.handleConflict(error);
+        }
+    }
+
+    /**
+     * End the game for everyone (self-paced delivery)
+     */
+    async finishGame() {
+        if (!confirm('End the quiz for everyone? Players who are not done yet see their results.')) {
+            return;
+        }
+
+        try {
+            const result = await this.api.finishGame();
+            showSuccessFeedback('Quiz Ended');
+            this.notifyStateChange();
+            return result;
+        } catch (error) {
+            showErrorFeedback(getErrorMessage(error, 'Failed to end the quiz'));
+            console.error('Finish game error:', error);
         }
     }
 
@@ -110,15 +118,11 @@ export class GameControl {
 
         try {
             const result = await this.api.softReset();
-            if (result.success) {
-                showSuccess('Question reset');
-                this.notifyStateChange();
-            } else {
-                showError(result.error || 'Failed to reset');
-            }
+            showSuccess('Question reset');
+            this.notifyStateChange();
             return result;
         } catch (error) {
-            showError('Network error');
+            showError(getErrorMessage(error, 'Failed to reset'));
             console.error('Soft reset error:', error);
         }
     }
@@ -133,15 +137,11 @@ export class GameControl {
 
         try {
             const result = await this.api.resetGame();
-            if (result.success) {
-                showSuccess('Game reset completely');
-                this.notifyStateChange();
-            } else {
-                showError(result.error || 'Failed to reset game');
-            }
+            showSuccess('Game reset completely');
+            this.notifyStateChange();
             return result;
         } catch (error) {
-            showError('Network error');
+            showError(getErrorMessage(error, 'Failed to reset game'));
             console.error('Reset game error:', error);
         }
     }
@@ -152,12 +152,11 @@ export class GameControl {
     async markSpoken(playerId) {
         try {
             const result = await this.api.markSpoken(playerId);
-            if (result.success) {
-                this.notifyStateChange();
-            }
+            this.notifyStateChange();
             return result;
         } catch (error) {
             console.error('Mark spoken error:', error);
+            this.handleConflict(error);
         }
     }
 
@@ -195,13 +194,24 @@ export class GameControl {
                         <i class="fas fa-forward"></i> Next Question
                     </button>
                 `;
+            } else if (gameState.phase === 'self_paced') {
+                // Players advance on their own; the teacher only ends the quiz
+                html = `
+                    <button class="btn btn-success" onclick="window.gameControl.finishGame()">
+                        <i class="fas fa-flag-checkered"></i> End Quiz
+                    </button>
+                `;
             }
 
-            // Always show reset buttons during game
+            // Always show reset buttons during game (there is no current question when self-paced)
+            if (gameState.phase !== 'self_paced') {
+                html += `
+                    <button class="btn btn-warning" onclick="window.gameControl.softReset()">
+                        <i class="fas fa-undo"></i> Reset Question
+                    </button>
+                `;
+            }
             html += `
-                <button class="btn btn-warning" onclick="window.gameControl.softReset()">
-                    <i class="fas fa-undo"></i> Reset Question
-                </button>
                 <button class="btn btn-danger" onclick="window.gameControl.resetGame()">
                     <i class="fas fa-trash"></i> Reset Game
                 </button>
@@ -211,6 +221,16 @@ export class GameControl {
         this.buttonsContainer.innerHTML = html;
     }
 
+    /**
+     * The server state moved on (another tab, stale version, wrong phase) - refetch it
+     * so the buttons match the actual phase again
+     */
+    handleConflict(error) {
+        if (error instanceof ConflictError) {
+            this.notifyStateChange();
+        }
+    }
+
     /**
      * Notify parent of state change
      */
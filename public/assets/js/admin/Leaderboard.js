@@ -0,0 +1,151 @@
+/**
+ * Admin Leaderboard Module
+ * Top players by game points (ScoringEngine standings in `state.leaderboard`), shown between
+ * questions - after the reveal and when the game is finished
+ *
+ * When new standings arrive the rows slide from their previous position to the new one and the
+ * scores count up by the points of the last question; later re-renders of the same standings
+ * are not animated again.
+ *
+ * In team mode the team standings (`state.teamLeaderboard`) are shown instead.
+ */
+
+import { escapeHtml } from '../core/utils.js';
+
+export class Leaderboard {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#leaderboardPanel',
+            size: 5,           // Rows shown (settings.leaderboardSize)
+            duration: 800,     // Count-up duration (ms), matches the CSS animation
+            ...options
+        };
+
+        this.container = null;
+        this.animatedKey = null; // Question of the last animated standings
+        this.frame = null;
+    }
+
+    init() {
+        this.container = document.querySelector(this.options.containerSelector);
+    }
+
+    /**
+     * Show the standings between questions, hide them otherwise
+     * @param {Array} leaderboard - Standings, best first
+     * @param {Object} gameState - phase, currentQuestion and settings
+     * @param {Array} teamLeaderboard - Team standings, empty outside team mode
+     */
+    update(leaderboard, gameState, teamLeaderboard = []) {
+        if (!this.container) return;
+
+        // Team rows carry teamId / name; the rows are rendered the same way
+        const isTeams = teamLeaderboard?.length > 0;
+        if (isTeams) {
+            leaderboard = teamLeaderboard.map(team => ({ ...team, playerId: team.teamId, nickname: team.name }));
+        }
+
+        const phase = gameState?.phase;
+        const isBetweenQuestions = phase === 'reveal' || phase === 'finished';
+        if (!isBetweenQuestions || !leaderboard?.length) {
+            this.container.classList.add('hidden');
+            this.container.innerHTML = '';
+            this.animatedKey = null;
+            return;
+        }
+
+        // Finishing right after the last reveal shows the same standings, so they are not animated again
+        const key = String(gameState.currentQuestion);
+        const animate = key !== this.animatedKey;
+        this.animatedKey = key;
+
+        this.container.classList.remove('hidden');
+        this.container.innerHTML = this.render(leaderboard, gameState, animate, isTeams);
+
+        if (animate) {
+            this.countUp();
+        }
+    }
+
+    /**
+     * Render the top rows
+     * @returns {string} - HTML string
+     */
+    render(leaderboard, gameState, animate = false, isTeams = false) {
+        const size = gameState?.settings?.leaderboardSize || this.options.size;
+        const previousOrder = this.getPreviousOrder(leaderboard);
+        const rows = leaderboard.slice(0, size);
+        const title = gameState?.phase === 'finished' ? 'Final Standings' : 'Leaderboard';
+
+        return `
+            <h3 class="leaderboard-title">
+                <i class="fas ${isTeams ? 'fa-users' : 'fa-trophy'}"></i> ${isTeams ? `Team ${title}` : title}
+            </h3>
+            <ol class="leaderboard-list">
+                ${rows.map((entry, index) => {
+                    // Rows coming from outside the top slide in from the bottom
+                    const shift = Math.min(previousOrder.get(entry.playerId), rows.length) - index;
+                    return `
+                        <li class="leaderboard-row ${animate ? 'animate' : ''} ${entry.rank <= 3 ? `top-${entry.rank}` : ''}" style="--shift: ${shift}${entry.color ? `; --team-color: ${escapeHtml(entry.color)}` : ''}">
+                            <span class="leaderboard-rank">${entry.rank}</span>
+                            <span class="leaderboard-name">
+                                ${escapeHtml(entry.nickname)}
+                                ${isTeams ? `<span class="leaderboard-members">${entry.members} players</span>` : ''}
+                                ${entry.streak >= 2 ? `<span class="leaderboard-streak" title="Correct answers in a row"><i class="fas fa-fire"></i> ${entry.streak}</span>` : ''}
+                            </span>
+                            ${entry.delta ? `<span class="leaderboard-delta ${entry.delta > 0 ? 'gain' : 'loss'}">${this.formatDelta(entry.delta)}</span>` : ''}
+                            <span class="leaderboard-score" data-from="${animate ? entry.score - entry.delta : entry.score}" data-to="${entry.score}">
+                                ${animate ? entry.score - entry.delta : entry.score}
+                            </span>
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Position of each player before the last question (playerId -> index)
+     */
+    getPreviousOrder(leaderboard) {
+        const previous = [...leaderboard].sort((a, b) =>
+            (b.score - b.delta) - (a.score - a.delta) || a.previousRank - b.previousRank
+        );
+        return new Map(previous.map((entry, index) => [entry.playerId, index]));
+    }
+
+    /**
+     * Count the rendered scores up (or down) to their new value
+     */
+    countUp() {
+        if (this.frame) cancelAnimationFrame(this.frame);
+
+        const scores = [...this.container.querySelectorAll('.leaderboard-score')];
+        const start = performance.now();
+
+        const step = (now) => {
+            const progress = Math.min(1, (now - start) / this.options.duration);
+            const eased = 1 - Math.pow(1 - progress, 3);
+
+            scores.forEach(el => {
+                const from = Number(el.dataset.from);
+                const to = Number(el.dataset.to);
+                el.textContent = Math.round(from + (to - from) * eased);
+            });
+
+            this.frame = progress < 1 ? requestAnimationFrame(step) : null;
+        };
+        this.frame = requestAnimationFrame(step);
+    }
+
+    formatDelta(delta) {
+        return delta > 0 ? `+${delta}` : String(delta);
+    }
+}
+
+// Factory function
+export function initLeaderboard(options = {}) {
+    const leaderboard = new Leaderboard(options);
+    leaderboard.init();
+    return leaderboard;
+}
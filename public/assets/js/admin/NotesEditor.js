@@ -4,6 +4,7 @@
  */
 
 import { api as defaultApi } from '../core/api.js';
+import { getErrorMessage } from '../core/errors.js';
 import { showSuccess, showError } from '../components/MessageSystem.js';
 import { renderMarkdown } from '../components/MarkdownRenderer.js';
 
@@ -184,16 +185,12 @@ export class NotesEditor {
         this.currentNotes = this.textarea.value;
 
         try {
-            const result = await this.api.saveNotes(this.currentNotes);
+            await this.api.saveNotes(this.currentNotes);
 
-            if (result.success) {
-                showSuccess('Notes saved');
-                this.toggleEditMode(); // Switch back to view mode
-            } else {
-                showError(result.error || 'Failed to save notes');
-            }
+            showSuccess('Notes saved');
+            this.toggleEditMode(); // Switch back to view mode
         } catch (error) {
-            showError('Network error');
+            showError(getErrorMessage(error, 'Failed to save notes'));
             console.error('Save notes error:', error);
         }
     }
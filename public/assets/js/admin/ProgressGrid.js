@@ -0,0 +1,109 @@
+/**
+ * Admin Progress Grid Module
+ * Self-paced delivery (`state.playerProgress`, see QuizManager::getProgressGrid): the question
+ * every player is on, their result on each question and their running score
+ *
+ * Replaces the current question card on the dashboard while settings.deliveryMode is
+ * 'self-paced'; hidden otherwise.
+ */
+
+import { escapeHtml } from '../core/utils.js';
+
+// Cell labels of the question results
+const RESULT_TITLES = {
+    correct: 'Correct',
+    partial: 'Partly correct',
+    wrong: 'Wrong',
+    answered: 'Answered (not scored)'
+};
+
+export class ProgressGrid {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#progressGrid',
+            ...options
+        };
+
+        this.container = null;
+    }
+
+    init() {
+        this.container = document.querySelector(this.options.containerSelector);
+    }
+
+    /**
+     * Show the grid in self-paced delivery, hide it otherwise
+     * @param {Object|null} progress - { total, players }
+     */
+    update(progress) {
+        if (!this.container) return;
+
+        this.container.classList.toggle('hidden', !progress);
+        this.container.innerHTML = progress ? this.render(progress) : '';
+    }
+
+    /**
+     * @returns {string} - HTML string
+     */
+    render({ total, players }) {
+        const finished = players.filter(p => p.finished).length;
+
+        if (!players.length) {
+            return `
+                <h3 class="progress-grid-title"><i class="fas fa-user-clock"></i> Player Progress</h3>
+                <p class="progress-grid-empty">No players yet - each player works through the questions at their own pace</p>
+            `;
+        }
+
+        return `
+            <h3 class="progress-grid-title">
+                <i class="fas fa-user-clock"></i> Player Progress
+                <span class="progress-grid-summary">${finished} of ${players.length} finished</span>
+            </h3>
+            <div class="progress-grid-scroll">
+                <table class="progress-grid-table">
+                    <thead>
+                        <tr>
+                            <th class="progress-grid-name">Player</th>
+                            ${Array.from({ length: total }, (_, index) => `<th>Q${index + 1}</th>`).join('')}
+                            <th class="progress-grid-score">Score</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${players.map(player => this.renderRow(player)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    renderRow(player) {
+        const cells = player.results.map((result, index) => {
+            const isCurrent = !player.finished && index === player.question;
+            const classes = ['progress-cell', result || 'pending', isCurrent && 'current'].filter(Boolean).join(' ');
+            const title = RESULT_TITLES[result] || (isCurrent ? 'Answering now' : 'Not answered');
+            return `<td class="${classes}" title="${title}"></td>`;
+        });
+
+        return `
+            <tr class="${player.finished ? 'finished' : ''}">
+                <td class="progress-grid-name">
+                    ${escapeHtml(player.nickname)}
+                    ${player.finished ? '<i class="fas fa-flag-checkered" title="Finished"></i>' : ''}
+                </td>
+                ${cells.join('')}
+                <td class="progress-grid-score">
+                    ${player.score}
+                    ${player.rank ? `<span class="progress-grid-rank">#${player.rank}</span>` : ''}
+                </td>
+            </tr>
+        `;
+    }
+}
+
+// Factory function
+export function initProgressGrid(options = {}) {
+    const grid = new ProgressGrid(options);
+    grid.init();
+    return grid;
+}
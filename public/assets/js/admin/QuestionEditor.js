@@ -4,7 +4,9 @@
  */
 
 import { api as defaultApi } from '../core/api.js';
+import { getErrorMessage } from '../core/errors.js';
 import { showSuccess, showError } from '../components/MessageSystem.js';
+import { validateQuestion } from '../core/questions.js';
 
 export class QuestionEditor {
     constructor(options = {}) {
@@ -65,12 +67,10 @@ export class QuestionEditor {
                 throw new Error('Must be an array');
             }
 
-            // Validate each question
+            // Validate each question (rules depend on the question type)
             const errors = [];
             questions.forEach((q, i) => {
-                if (!q.question) errors.push(`Question ${i + 1}: missing "question" field`);
-                if (!Array.isArray(q.options)) errors.push(`Question ${i + 1}: "options" must be an array`);
-                if (typeof q.correct !== 'number') errors.push(`Question ${i + 1}: "correct" must be a number`);
+                errors.push(...validateQuestion(q, i));
             });
 
             if (errors.length > 0) {
@@ -116,18 +116,14 @@ export class QuestionEditor {
         }
 
         try {
-            const result = await this.api.updateQuestions(validation.questions);
-            
-            if (result.success) {
-                showSuccess(`Saved ${validation.questions.length} questions`);
-                if (this.options.onSave) {
-                    this.options.onSave(validation.questions);
-                }
-            } else {
-                showError(result.error || 'Failed to save questions');
+            await this.api.updateQuestions(validation.questions);
+
+            showSuccess(`Saved ${validation.questions.length} questions`);
+            if (this.options.onSave) {
+                this.options.onSave(validation.questions);
             }
         } catch (error) {
-            showError('Network error');
+            showError(getErrorMessage(error, 'Failed to save questions'));
             console.error('Save questions error:', error);
         }
     }
@@ -146,6 +142,9 @@ export class QuestionEditor {
                     "A social media platform"
                 ],
                 "correct": 0,
+                "tags": ["phishing"],
+                "difficulty": "easy",
+                "objective": "Recognise social engineering attacks",
                 "image": "",
                 "explanation": "Phishing is a cybersecurity attack where criminals send fake emails or messages that appear to be from trusted sources, trying to trick people into revealing sensitive information like passwords or credit card numbers."
             },
@@ -172,6 +171,87 @@ export class QuestionEditor {
                 "correct": 2,
                 "image": "",
                 "explanation": "Strong passwords combine uppercase letters, lowercase letters, numbers, and special symbols. They should be at least 12 characters long and avoid personal information."
+            },
+            {
+                "type": "multi",
+                "question": "Which of these are warning signs of a phishing email? (select all that apply)",
+                "options": [
+                    "Urgent request to confirm your password",
+                    "Sender address that doesn't match the company",
+                    "Email from a colleague you met yesterday",
+                    "Link text that differs from the real URL"
+                ],
+                "correct": [0, 1, 3],
+                "scoring": "proportional",
+                "image": "",
+                "explanation": "Urgency, mismatched sender addresses and disguised links are classic phishing signs."
+            },
+            {
+                "type": "order",
+                "question": "Put the steps for handling a suspicious email in order",
+                "options": [
+                    "Don't click any links",
+                    "Check the sender's address",
+                    "Report it to IT",
+                    "Delete the email"
+                ],
+                "image": "",
+                "explanation": "Stay safe first, verify, report so others are protected, then clean up."
+            },
+            {
+                "type": "match",
+                "question": "Match each term with its meaning",
+                "pairs": [
+                    ["Phishing", "Deceptive messages that steal information"],
+                    ["Malware", "Software designed to cause harm"],
+                    ["Firewall", "Filters network traffic"],
+                    ["2FA", "A second proof of identity at login"]
+                ],
+                "image": "",
+                "explanation": "Knowing the vocabulary makes security warnings easier to understand."
+            },
+            {
+                "type": "text",
+                "question": "What do you call a program that spreads by copying itself to other computers?",
+                "accepted": ["worm", "computer worm"],
+                "tolerance": 1,
+                "timeLimit": 30,
+                "points": 2,
+                "image": "",
+                "explanation": "Unlike a virus, a worm spreads on its own without attaching to other files."
+            },
+            {
+                "type": "numeric",
+                "question": "How many characters should a strong password have at least?",
+                "correct": 12,
+                "tolerance": 2,
+                "unit": "characters",
+                "image": "",
+                "explanation": "Most guidelines recommend 12 or more characters; longer passphrases are even better."
+            },
+            {
+                "type": "hotspot",
+                "question": "Tap the sign that your connection to this website is encrypted",
+                "image": "data:image/svg+xml,<svg xmlns='http://www.w3.org/2000/svg' width='400' height='240' font-family='sans-serif'><rect width='400' height='240' fill='%23f3f4f6'/><rect width='400' height='40' fill='%23d1d5db'/><rect x='10' y='8' width='380' height='24' rx='12' fill='%23fff'/><path d='M22 18v-3a4 4 0 0 1 8 0v3' stroke='%23374151' stroke-width='2' fill='none'/><rect x='20' y='18' width='12' height='9' fill='%23374151'/><text x='40' y='25' font-size='13' fill='%23374151'>https://bank.example.com</text><text x='200' y='90' font-size='18' text-anchor='middle' fill='%23111827'>Online Banking</text><rect x='110' y='110' width='180' height='24' fill='%23fff' stroke='%239ca3af'/><rect x='110' y='144' width='180' height='24' fill='%23fff' stroke='%239ca3af'/><rect x='150' y='182' width='100' height='30' rx='4' fill='%232563eb'/><text x='200' y='202' font-size='14' text-anchor='middle' fill='%23fff'>Log in</text></svg>",
+                "regions": [
+                    { "shape": "circle", "x": 26, "y": 20, "r": 14, "label": "The padlock in the address bar" }
+                ],
+                "explanation": "The padlock means the connection is encrypted (HTTPS) - it does not prove the website is genuine."
+            },
+            {
+                "type": "poll",
+                "question": "How often do you change your passwords?",
+                "options": ["Every month", "Every year", "Only when I have to", "Never"],
+                "showResults": true,
+                "image": "",
+                "explanation": "There is no right answer - use the results to start a discussion."
+            },
+            {
+                "type": "wordcloud",
+                "question": "Which word comes to mind when you hear 'cybersecurity'?",
+                "showResults": true,
+                "image": "",
+                "explanation": "Compare the most common words with what the lesson covered."
             }
         ];
 
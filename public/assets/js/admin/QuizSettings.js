@@ -0,0 +1,106 @@
+/**
+ * Admin Quiz Settings Module
+ * Form for the quiz-wide settings (QuizManager::DEFAULT_SETTINGS), e.g. the default time limit
+ *
+ * Every input with a `data-setting` attribute is one setting: number inputs are sent as
+ * whole numbers, checkboxes as true / false and anything else as text.
+ */
+
+import { api as defaultApi } from '../core/api.js';
+import { getErrorMessage } from '../core/errors.js';
+import { showSuccess, showError } from '../components/MessageSystem.js';
+
+export class QuizSettings {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#quizSettings',
+            saveBtnSelector: '#saveSettingsBtn',
+            onSave: null,
+            ...options
+        };
+
+        // Use provided API or fallback to default singleton
+        this.api = this.options.api || defaultApi;
+
+        this.container = null;
+        this.isDirty = false; // Unsaved edits are not overwritten by state updates
+    }
+
+    init() {
+        this.container = document.querySelector(this.options.containerSelector);
+        if (!this.container) return;
+
+        this.container.querySelectorAll('[data-setting]').forEach(input => {
+            input.addEventListener('input', () => {
+                this.isDirty = true;
+            });
+        });
+
+        document.querySelector(this.options.saveBtnSelector)?.addEventListener('click', () => this.save());
+    }
+
+    /**
+     * Show the current settings (from the game state)
+     */
+    update(settings) {
+        if (!this.container || !settings || this.isDirty) return;
+
+        this.container.querySelectorAll('[data-setting]').forEach(input => {
+            const value = settings[input.dataset.setting];
+            if (value === undefined) return;
+
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(value);
+            } else {
+                input.value = value;
+            }
+        });
+    }
+
+    /**
+     * Settings as entered in the form
+     */
+    getValues() {
+        const values = {};
+
+        this.container.querySelectorAll('[data-setting]').forEach(input => {
+            if (input.type === 'checkbox') {
+                values[input.dataset.setting] = input.checked;
+            } else if (input.type === 'number') {
+                values[input.dataset.setting] = parseInt(input.value, 10) || 0;
+            } else {
+                values[input.dataset.setting] = input.value;
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Save the settings to the server
+     */
+    async save() {
+        if (!this.container) return;
+
+        try {
+            const result = await this.api.updateSettings(this.getValues());
+            this.isDirty = false;
+            this.update(result.settings);
+
+            showSuccess('Settings saved');
+            if (this.options.onSave) {
+                this.options.onSave(result.settings);
+            }
+        } catch (error) {
+            showError(getErrorMessage(error, 'Failed to save settings'));
+            console.error('Save settings error:', error);
+        }
+    }
+}
+
+// Factory function
+export function initQuizSettings(options = {}) {
+    const settings = new QuizSettings(options);
+    settings.init();
+    return settings;
+}
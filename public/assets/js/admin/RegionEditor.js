@@ -0,0 +1,271 @@
+/**
+ * Admin Region Editor Module
+ * Draws the regions of hotspot questions on their image and writes them into the questions JSON
+ *
+ * Circles and rectangles are dragged out, polygons are clicked point by point and closed with
+ * a double click (or "Finish polygon"). Coordinates are pixels of the original image.
+ */
+
+import { getQuestionType, HOTSPOT_SHAPES } from '../core/questions.js';
+import { hotspotImage } from '../components/HotspotImage.js';
+import { debounce, escapeHtml } from '../core/utils.js';
+
+const SHAPE_LABELS = {
+    circle: '<i class="far fa-circle"></i> Circle',
+    rect: '<i class="far fa-square"></i> Rectangle',
+    polygon: '<i class="fas fa-draw-polygon"></i> Polygon'
+};
+
+const SHAPE_HINTS = {
+    circle: 'Drag from the centre outwards',
+    rect: 'Drag from one corner to the opposite one',
+    polygon: 'Click each corner, double-click to finish'
+};
+
+export class RegionEditor {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#regionEditor',
+            textareaSelector: '#questionsJson',
+            minSize: 3, // Smallest radius / side in image pixels, smaller drags are ignored
+            ...options
+        };
+
+        this.container = null;
+        this.textarea = null;
+        this.questionIndex = null;
+        this.shape = HOTSPOT_SHAPES[0];
+        this.label = '';
+        this.draft = null; // Region being drawn
+        this.dragStart = null;
+    }
+
+    init() {
+        this.container = document.querySelector(this.options.containerSelector);
+        this.textarea = document.querySelector(this.options.textareaSelector);
+        if (!this.container || !this.textarea) return;
+
+        // Follow edits of the JSON (including loading the sample)
+        this.textarea.addEventListener('input', debounce(() => this.render(), 300));
+        this.render();
+    }
+
+    /**
+     * Questions in the textarea, null while the JSON is invalid
+     */
+    getQuestions() {
+        try {
+            const questions = JSON.parse(this.textarea.value);
+            return Array.isArray(questions) ? questions : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Render the editor for the selected hotspot question (hidden when there is none)
+     */
+    render() {
+        const questions = this.getQuestions() || [];
+        const hotspots = questions
+            .map((question, index) => ({ question, index }))
+            .filter(({ question }) => question && getQuestionType(question) === 'hotspot');
+
+        if (hotspots.length === 0) {
+            this.container.classList.add('hidden');
+            this.container.innerHTML = '';
+            return;
+        }
+
+        if (!hotspots.some(({ index }) => index === this.questionIndex)) {
+            this.questionIndex = hotspots[0].index;
+            this.draft = null;
+        }
+
+        const question = questions[this.questionIndex];
+        const regions = Array.isArray(question.regions) ? question.regions : [];
+
+        this.container.classList.remove('hidden');
+        this.container.innerHTML = `
+            <h4 class="region-editor-title"><i class="fas fa-crosshairs"></i> Hotspot Regions</h4>
+            <div class="region-editor-toolbar">
+                <select class="form-input region-editor-question">
+                    ${hotspots.map(({ question: q, index }) => `
+                        <option value="${index}" ${index === this.questionIndex ? 'selected' : ''}>
+                            Question ${index + 1}: ${escapeHtml(String(q.question || '').slice(0, 60))}
+                        </option>
+                    `).join('')}
+                </select>
+                ${HOTSPOT_SHAPES.map(shape => `
+                    <button class="btn btn-secondary btn-sm ${shape === this.shape ? 'active' : ''}" data-shape="${shape}">${SHAPE_LABELS[shape]}</button>
+                `).join('')}
+                <input type="text" class="form-input region-editor-label" placeholder="Label (optional)" value="${escapeHtml(this.label).replace(/"/g, '&quot;')}">
+                ${this.shape === 'polygon' ? '<button class="btn btn-primary btn-sm" data-action="finish"><i class="fas fa-check"></i> Finish polygon</button>' : ''}
+                <button class="btn btn-secondary btn-sm" data-action="undo" ${regions.length ? '' : 'disabled'}><i class="fas fa-undo"></i> Undo</button>
+                <button class="btn btn-danger btn-sm" data-action="clear" ${regions.length ? '' : 'disabled'}><i class="fas fa-trash"></i> Clear</button>
+            </div>
+            ${question.image
+                ? hotspotImage.render(question, { regions: true, tappable: true })
+                : '<p class="region-editor-hint">Add an "image" URL to this question to draw its regions</p>'}
+            <p class="region-editor-hint">
+                ${SHAPE_HINTS[this.shape]} - ${regions.length} ${regions.length === 1 ? 'region' : 'regions'}
+            </p>
+        `;
+
+        this.bind();
+    }
+
+    /**
+     * Attach the toolbar and drawing handlers
+     */
+    bind() {
+        this.container.querySelector('.region-editor-question').addEventListener('change', (e) => {
+            this.questionIndex = parseInt(e.target.value, 10);
+            this.draft = null;
+            this.render();
+        });
+        this.container.querySelectorAll('[data-shape]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.shape = btn.dataset.shape;
+                this.draft = null;
+                this.render();
+            });
+        });
+        this.container.querySelector('.region-editor-label').addEventListener('input', (e) => {
+            this.label = e.target.value;
+        });
+        this.container.querySelector('[data-action="finish"]')?.addEventListener('click', () => this.finishPolygon());
+        this.container.querySelector('[data-action="undo"]').addEventListener('click', () => this.updateRegions(regions => regions.slice(0, -1)));
+        this.container.querySelector('[data-action="clear"]').addEventListener('click', () => {
+            if (confirm('Remove all regions of this question?')) {
+                this.updateRegions(() => []);
+            }
+        });
+
+        const wrapper = this.container.querySelector('.hotspot-image');
+        if (!wrapper) return;
+
+        hotspotImage.fit(this.container);
+        wrapper.addEventListener('pointerdown', (e) => this.handlePointerDown(wrapper, e));
+        wrapper.addEventListener('pointermove', (e) => this.handlePointerMove(wrapper, e));
+        wrapper.addEventListener('pointerup', () => this.handlePointerUp());
+        wrapper.addEventListener('dblclick', () => this.finishPolygon());
+        this.drawDraft();
+    }
+
+    /**
+     * Start a drag (circle, rectangle) or add a polygon corner
+     */
+    handlePointerDown(wrapper, e) {
+        const point = this.pointFromEvent(wrapper, e);
+        if (!point) return;
+
+        if (this.shape === 'polygon') {
+            // The second click of a double click lands on the last corner again
+            const points = this.draft?.points || [];
+            const last = points[points.length - 1];
+            if (!last || Math.hypot(last[0] - point.x, last[1] - point.y) > this.options.minSize) {
+                this.draft = { shape: 'polygon', points: [...points, [point.x, point.y]] };
+                this.drawDraft();
+            }
+            return;
+        }
+
+        this.dragStart = point;
+        wrapper.setPointerCapture(e.pointerId);
+    }
+
+    handlePointerMove(wrapper, e) {
+        if (!this.dragStart) return;
+
+        const point = this.pointFromEvent(wrapper, e);
+        if (!point) return;
+
+        const { x, y } = this.dragStart;
+        this.draft = this.shape === 'circle'
+            ? { shape: 'circle', x, y, r: Math.round(Math.hypot(point.x - x, point.y - y)) }
+            : { shape: 'rect', x: Math.min(x, point.x), y: Math.min(y, point.y), width: Math.abs(point.x - x), height: Math.abs(point.y - y) };
+        this.drawDraft();
+    }
+
+    /**
+     * Finish a drag; drags smaller than minSize (plain clicks) are dropped
+     */
+    handlePointerUp() {
+        if (!this.dragStart) return;
+
+        const draft = this.draft;
+        this.dragStart = null;
+        this.draft = null;
+
+        const { minSize } = this.options;
+        if (draft && (draft.shape === 'circle' ? draft.r >= minSize : draft.width >= minSize && draft.height >= minSize)) {
+            this.addRegion(draft);
+        } else {
+            this.drawDraft();
+        }
+    }
+
+    /**
+     * Close the polygon being drawn (needs at least 3 corners)
+     */
+    finishPolygon() {
+        if (this.draft?.shape !== 'polygon' || this.draft.points.length < 3) return;
+
+        const draft = this.draft;
+        this.draft = null;
+        this.addRegion(draft);
+    }
+
+    /**
+     * Point under the pointer in whole image pixels
+     */
+    pointFromEvent(wrapper, e) {
+        const point = hotspotImage.pointFromEvent(wrapper, e);
+        return point ? { x: Math.round(point.x), y: Math.round(point.y) } : null;
+    }
+
+    /**
+     * Show the region being drawn on top of the saved ones
+     */
+    drawDraft() {
+        const overlay = this.container.querySelector('.hotspot-overlay');
+        if (!overlay) return;
+
+        overlay.querySelector('.region-draft')?.remove();
+        if (!this.draft) return;
+
+        const html = this.draft.shape === 'polygon' && this.draft.points.length < 3
+            ? `<polyline class="hotspot-region" points="${this.draft.points.map(point => point.join(',')).join(' ')}"></polyline>`
+            : hotspotImage.renderRegion(this.draft);
+        overlay.insertAdjacentHTML('beforeend', `<g class="region-draft">${html}</g>`);
+    }
+
+    addRegion(region) {
+        const label = this.label.trim();
+        this.updateRegions(regions => [...regions, label ? { ...region, label } : region]);
+    }
+
+    /**
+     * Change the regions of the selected question and write the questions back to the textarea
+     */
+    updateRegions(change) {
+        const questions = this.getQuestions();
+        const question = questions?.[this.questionIndex];
+        if (!question) return;
+
+        question.regions = change(Array.isArray(question.regions) ? question.regions : []);
+        this.textarea.value = JSON.stringify(questions, null, 2);
+
+        // Let the question editor validate the new JSON
+        this.textarea.dispatchEvent(new Event('input'));
+        this.render();
+    }
+}
+
+// Factory function
+export function initRegionEditor(options = {}) {
+    const editor = new RegionEditor(options);
+    editor.init();
+    return editor;
+}
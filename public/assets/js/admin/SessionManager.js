@@ -4,6 +4,7 @@
  */
 
 import { api as defaultApi } from '../core/api.js';
+import { getErrorMessage } from '../core/errors.js';
 import { showSuccess, showError } from '../components/MessageSystem.js';
 import { Modal } from '../components/Modal.js';
 
@@ -13,6 +14,7 @@ export class SessionManager {
             modalId: 'sessionsModal',
             listId: 'sessionsList',
             onLoad: null,
+            onReplay: null,
             ...options
         };
 
@@ -55,15 +57,11 @@ export class SessionManager {
 
         try {
             const result = await this.api.saveSession(name);
-            
-            if (result.success) {
-                showSuccess(`Session "${name}" saved`);
-                return result;
-            } else {
-                showError(result.error || 'Failed to save session');
-            }
+
+            showSuccess(`Session "${name}" saved`);
+            return result;
         } catch (error) {
-            showError('Network error');
+            showError(getErrorMessage(error, 'Failed to save session'));
             console.error('Save session error:', error);
         }
     }
@@ -74,18 +72,14 @@ export class SessionManager {
     async showModal() {
         try {
             const result = await this.api.getSessions();
-            
-            if (result.success) {
-                this.sessions = result.sessions || [];
-                this.renderSessionsList();
-                if (this.modal) {
-                    this.modal.open();
-                }
-            } else {
-                showError('Failed to load sessions');
+
+            this.sessions = result.sessions || [];
+            this.renderSessionsList();
+            if (this.modal) {
+                this.modal.open();
             }
         } catch (error) {
-            showError('Network error');
+            showError(getErrorMessage(error, 'Failed to load sessions'));
             console.error('Get sessions error:', error);
         }
     }
@@ -137,6 +131,11 @@ export class SessionManager {
                             <button class="btn btn-primary btn-sm" onclick="window.sessionManager.loadSession('${session.id}')">
                                 <i class="fas fa-download"></i> Load
                             </button>
+                            ${session.eventCount && this.options.onReplay ? `
+                                <button class="btn btn-secondary btn-sm" onclick="window.sessionManager.replaySession('${session.id}')" title="Replay recorded game">
+                                    <i class="fas fa-film"></i> Replay
+                                </button>
+                            ` : ''}
                             <button class="btn btn-danger btn-sm" onclick="window.sessionManager.deleteSession('${session.id}')">
                                 <i class="fas fa-trash"></i>
                             </button>
@@ -159,26 +158,35 @@ export class SessionManager {
 
         try {
             const result = await this.api.loadSession(sessionId);
-            
-            if (result.success) {
-                showSuccess('Session loaded');
-                
-                if (this.modal) {
-                    this.modal.close();
-                }
-                
-                if (this.options.onLoad) {
-                    this.options.onLoad(result);
-                }
-            } else {
-                showError(result.error || 'Failed to load session');
+
+            showSuccess('Session loaded');
+
+            if (this.modal) {
+                this.modal.close();
+            }
+
+            if (this.options.onLoad) {
+                this.options.onLoad(result);
             }
         } catch (error) {
-            showError('Network error');
+            showError(getErrorMessage(error, 'Failed to load session'));
             console.error('Load session error:', error);
         }
     }
 
+    /**
+     * Replay the game recorded in a session
+     */
+    replaySession(sessionId) {
+        if (this.modal) {
+            this.modal.close();
+        }
+
+        if (this.options.onReplay) {
+            this.options.onReplay(sessionId);
+        }
+    }
+
     /**
      * Delete a session
      */
@@ -188,18 +196,14 @@ export class SessionManager {
         }
 
         try {
-            const result = await this.api.deleteSession(sessionId);
-            
-            if (result.success) {
-                showSuccess('Session deleted');
-                // Refresh the list
-                this.sessions = this.sessions.filter(s => s.id !== sessionId);
-                this.renderSessionsList();
-            } else {
-                showError(result.error || 'Failed to delete session');
-            }
+            await this.api.deleteSession(sessionId);
+
+            showSuccess('Session deleted');
+            // Refresh the list
+            this.sessions = this.sessions.filter(s => s.id !== sessionId);
+            this.renderSessionsList();
         } catch (error) {
-            showError('Network error');
+            showError(getErrorMessage(error, 'Failed to delete session'));
             console.error('Delete session error:', error);
         }
     }
@@ -0,0 +1,246 @@
+/**
+ * Admin Session Replay Module
+ * Plays back a recorded game (see QuizManager::recordEvent) through the StateManager,
+ * so the dashboard renders exactly what it showed live
+ *
+ * Live updates are stopped during the replay and resumed with a full refetch afterwards.
+ */
+
+import { api as defaultApi } from '../core/api.js';
+import { applyPatch } from '../core/patch.js';
+import { getErrorMessage } from '../core/errors.js';
+import { escapeHtml, formatTime } from '../core/utils.js';
+
+export class SessionReplay {
+    constructor(options = {}) {
+        this.options = {
+            stateManager: null,
+            messages: null,
+            speeds: [1, 4, 16],
+            onStart: null,
+            onStop: null,
+            ...options
+        };
+
+        // Use provided API or fallback to default singleton
+        this.api = this.options.api || defaultApi;
+        this.state = this.options.stateManager;
+
+        this.element = null;
+        this.frames = [];
+        this.index = -1;
+        this.speed = this.options.speeds[0];
+        this.isActive = false;
+        this.isPlaying = false;
+        this.timer = null;
+    }
+
+    init() {
+        this.element = document.createElement('div');
+        this.element.className = 'session-replay hidden';
+        this.element.innerHTML = `
+            <div class="session-replay-title">
+                <i class="fas fa-film"></i> <span data-field="name">Replay</span>
+            </div>
+            <div class="session-replay-event" data-field="event"></div>
+            <input type="range" class="session-replay-slider" min="0" max="0" value="0">
+            <div class="session-replay-controls">
+                <button class="btn btn-secondary btn-sm" data-action="back" title="Previous event"><i class="fas fa-step-backward"></i></button>
+                <button class="btn btn-primary btn-sm" data-action="play" title="Play / pause"><i class="fas fa-play"></i></button>
+                <button class="btn btn-secondary btn-sm" data-action="forward" title="Next event"><i class="fas fa-step-forward"></i></button>
+                ${this.options.speeds.map(speed => `
+                    <button class="btn btn-secondary btn-sm session-replay-speed" data-speed="${speed}">${speed}x</button>
+                `).join('')}
+                <button class="btn btn-danger btn-sm" data-action="exit"><i class="fas fa-times"></i> Exit replay</button>
+            </div>
+        `;
+        document.body.appendChild(this.element);
+
+        this.slider = this.element.querySelector('.session-replay-slider');
+        this.slider.addEventListener('input', () => this.seek(parseInt(this.slider.value, 10)));
+
+        this.element.querySelector('[data-action="back"]').addEventListener('click', () => this.seek(this.index - 1));
+        this.element.querySelector('[data-action="forward"]').addEventListener('click', () => this.seek(this.index + 1));
+        this.element.querySelector('[data-action="play"]').addEventListener('click', () => {
+            if (this.isPlaying) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        });
+        this.element.querySelector('[data-action="exit"]').addEventListener('click', () => this.stop());
+        this.element.querySelectorAll('[data-speed]').forEach(btn => {
+            btn.addEventListener('click', () => this.setSpeed(parseFloat(btn.dataset.speed)));
+        });
+    }
+
+    /**
+     * Load a recording and start playing it
+     * @param {string|null} savedSessionId - Saved session, or null for the current session
+     */
+    async open(savedSessionId = null) {
+        try {
+            const result = await this.api.getRecording(savedSessionId);
+
+            if (!result.events?.length) {
+                this.options.messages?.warning('No recorded game in this session');
+                return;
+            }
+
+            this.frames = this.buildFrames(result.events);
+            this.start(result.name);
+        } catch (error) {
+            this.options.messages?.error(getErrorMessage(error, 'Failed to load recording'));
+            console.error('[SessionReplay] Load error:', error);
+        }
+    }
+
+    /**
+     * Rebuild the state after every event by applying the recorded patches in order
+     */
+    buildFrames(events) {
+        let state = null;
+        return events.map(event => {
+            state = applyPatch(state, event.patch);
+            return { event, state };
+        });
+    }
+
+    /**
+     * Take over the dashboard and show the first event
+     */
+    start(name) {
+        this.isActive = true;
+        this.state.stopPolling();
+
+        if (this.options.onStart) {
+            this.options.onStart();
+        }
+
+        this.element.querySelector('[data-field="name"]').textContent = name ? `Replay: ${name}` : 'Replay: current session';
+        this.slider.max = this.frames.length - 1;
+        this.element.classList.remove('hidden');
+
+        this.setSpeed(this.speed);
+        this.showFrame(0);
+        this.play();
+    }
+
+    /**
+     * Leave the replay and resume live updates
+     */
+    stop() {
+        if (!this.isActive) return;
+
+        this.pause();
+        this.isActive = false;
+        this.frames = [];
+        this.index = -1;
+        this.element.classList.add('hidden');
+
+        if (this.options.onStop) {
+            this.options.onStop();
+        }
+
+        // Replayed versions may belong to another session - start over with a full state
+        this.state.reset();
+        this.state.startPolling();
+    }
+
+    play() {
+        if (this.index >= this.frames.length - 1) {
+            this.showFrame(0);
+        }
+
+        this.isPlaying = true;
+        this.updatePlayButton();
+        this.scheduleNext();
+    }
+
+    pause() {
+        this.isPlaying = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.updatePlayButton();
+    }
+
+    /**
+     * Jump to an event (keeps playing from there if playing)
+     */
+    seek(index) {
+        if (index < 0 || index >= this.frames.length) return;
+
+        this.showFrame(index);
+        if (this.isPlaying) {
+            this.scheduleNext();
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.element.querySelectorAll('[data-speed]').forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.speed) === speed);
+        });
+
+        if (this.isPlaying) {
+            this.scheduleNext();
+        }
+    }
+
+    /**
+     * Wait the recorded time between events (divided by the speed), then advance
+     */
+    scheduleNext() {
+        clearTimeout(this.timer);
+
+        const current = this.frames[this.index];
+        const next = this.frames[this.index + 1];
+        if (!next) {
+            this.pause();
+            return;
+        }
+
+        const delay = Math.max(0, next.event.timestamp - current.event.timestamp) / this.speed;
+        this.timer = setTimeout(() => {
+            this.showFrame(this.index + 1);
+            this.scheduleNext();
+        }, delay);
+    }
+
+    /**
+     * Render the state after an event through the StateManager listeners
+     */
+    showFrame(index) {
+        const frame = this.frames[index];
+        if (!frame) return;
+
+        this.index = index;
+        this.slider.value = index;
+        this.state.setState(frame.state, frame.event.stateVersion);
+
+        const { event } = frame;
+        const player = event.playerId
+            ? frame.state.players?.find(p => p.id === event.playerId)
+            : null;
+
+        this.element.querySelector('[data-field="event"]').innerHTML = `
+            <span>${index + 1} / ${this.frames.length}</span>
+            <strong>${escapeHtml(event.action)}</strong>
+            ${player ? `<span>${escapeHtml(player.nickname)}</span>` : ''}
+            <span>${formatTime(event.timestamp)}</span>
+        `;
+    }
+
+    updatePlayButton() {
+        const icon = this.element?.querySelector('[data-action="play"] i');
+        if (icon) {
+            icon.className = this.isPlaying ? 'fas fa-pause' : 'fas fa-play';
+        }
+    }
+
+    destroy() {
+        this.pause();
+        this.element?.remove();
+        this.element = null;
+    }
+}
@@ -0,0 +1,90 @@
+/**
+ * Admin Survivor Board Module
+ * Elimination mode (`state.elimination`, see ScoringEngine::elimination): survivors after each
+ * round, who was eliminated or revived in it, and the lives of every player
+ *
+ * Hidden outside elimination mode.
+ */
+
+import { escapeHtml } from '../core/utils.js';
+
+export class SurvivorBoard {
+    constructor(options = {}) {
+        this.options = {
+            containerSelector: '#survivorPanel',
+            ...options
+        };
+
+        this.container = null;
+    }
+
+    init() {
+        this.container = document.querySelector(this.options.containerSelector);
+    }
+
+    /**
+     * Show the survivors, hide the board outside elimination mode
+     * @param {Object|null} elimination - { players, rounds, survivors, winner }
+     * @param {Object} gameState - currentQuestion and settings
+     */
+    update(elimination, gameState) {
+        if (!this.container) return;
+
+        this.container.classList.toggle('hidden', !elimination);
+        this.container.innerHTML = elimination ? this.render(elimination, gameState) : '';
+    }
+
+    /**
+     * @returns {string} - HTML string
+     */
+    render(elimination, gameState) {
+        const { players, rounds, survivors, winner } = elimination;
+        const names = new Map(players.map(p => [p.playerId, p.nickname]));
+        const lives = gameState?.settings?.lives || 1;
+
+        // Still in first (most lives first), then the eliminated players
+        const sorted = [...players].sort((a, b) =>
+            a.eliminated - b.eliminated || b.lives - a.lives || a.nickname.localeCompare(b.nickname)
+        );
+
+        return `
+            <h3 class="survivor-title">
+                <i class="fas fa-heart"></i> Survivors
+                <span class="survivor-count">${survivors} of ${players.length} still in</span>
+            </h3>
+            ${winner ? `<p class="survivor-winner"><i class="fas fa-crown"></i> ${escapeHtml(names.get(winner))} is the last player standing</p>` : ''}
+            ${rounds.length ? `
+                <ol class="survivor-rounds">
+                    ${rounds.map(round => `
+                        <li class="survivor-round">
+                            <span class="survivor-round-label">Q${round.question + 1}</span>
+                            <span class="survivor-round-bar" style="--share: ${players.length ? round.survivors / players.length * 100 : 0}%"></span>
+                            <span class="survivor-round-count">${round.survivors}</span>
+                            <span class="survivor-round-changes">
+                                ${round.eliminated.map(id => `<span class="survivor-out">${escapeHtml(names.get(id) || '?')}</span>`).join('')}
+                                ${round.revived.map(id => `<span class="survivor-revived">${escapeHtml(names.get(id) || '?')}</span>`).join('')}
+                            </span>
+                        </li>
+                    `).join('')}
+                </ol>
+            ` : '<p class="survivor-empty">No rounds yet - players lose a life for every wrong or missing answer once it is revealed</p>'}
+            <ul class="survivor-players">
+                ${sorted.map(player => `
+                    <li class="survivor-player ${player.eliminated ? 'eliminated' : ''}">
+                        <span class="survivor-name">${escapeHtml(player.nickname)}</span>
+                        ${player.eliminated
+                            ? `<span class="survivor-status">${player.sitOut ? `back in ${player.sitOut} round${player.sitOut === 1 ? '' : 's'}` : 'out'}</span>`
+                            : `<span class="survivor-lives" title="${player.lives} of ${lives} lives">${'<i class="fas fa-heart"></i>'.repeat(player.lives)}</span>`}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+}
+
+// Factory function
+export function initSurvivorBoard(options = {}) {
+    const board = new SurvivorBoard(options);
+    board.init();
+    return board;
+}
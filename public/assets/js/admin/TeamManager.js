@@ -0,0 +1,209 @@
+/**
+ * Admin Team Manager Module
+ * Team list for team mode (settings.teamMode) and the team of every player
+ *
+ * Team names and colors are edited locally and sent with "Save Teams"; moving a player to
+ * another team, or auto-balancing all players, is saved right away.
+ */
+
+import { api as defaultApi } from '../core/api.js';
+import { escapeHtml } from '../core/utils.js';
+import { getErrorMessage } from '../core/errors.js';
+import { showSuccess, showError } from '../components/MessageSystem.js';
+
+export class TeamManager {
+    constructor(options = {}) {
+        this.options = {
+            listSelector: '#teamList',
+            playersSelector: '#teamPlayers',
+            addBtnSelector: '#addTeamBtn',
+            saveBtnSelector: '#saveTeamsBtn',
+            balanceBtnSelector: '#balanceTeamsBtn',
+            colors: ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#34495e'],
+            onChange: null,
+            ...options
+        };
+
+        // Use provided API or fallback to default singleton
+        this.api = this.options.api || defaultApi;
+
+        this.list = null;
+        this.playersEl = null;
+        this.teams = [];        // Teams as edited ({ id?, name, color })
+        this.savedTeams = [];   // Teams on the server (players can only join these)
+        this.players = [];
+        this.isDirty = false;   // Unsaved edits are not overwritten by state updates
+    }
+
+    init() {
+        this.list = document.querySelector(this.options.listSelector);
+        this.playersEl = document.querySelector(this.options.playersSelector);
+        if (!this.list) return;
+
+        this.list.addEventListener('input', (e) => {
+            const row = e.target.closest('.team-row');
+            if (!row) return;
+
+            const team = this.teams[Number(row.dataset.index)];
+            if (e.target.classList.contains('team-name')) team.name = e.target.value;
+            if (e.target.classList.contains('team-color')) team.color = e.target.value;
+            this.isDirty = true;
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.team-remove');
+            if (!removeBtn) return;
+
+            this.teams.splice(Number(removeBtn.closest('.team-row').dataset.index), 1);
+            this.isDirty = true;
+            this.renderTeams();
+        });
+
+        this.playersEl?.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-player-id]');
+            if (select) this.assign(select.dataset.playerId, select.value || null);
+        });
+
+        document.querySelector(this.options.addBtnSelector)?.addEventListener('click', () => this.addTeam());
+        document.querySelector(this.options.saveBtnSelector)?.addEventListener('click', () => this.save());
+        document.querySelector(this.options.balanceBtnSelector)?.addEventListener('click', () => this.autoBalance());
+    }
+
+    /**
+     * Show the teams and players from the game state
+     */
+    update(teams = [], players = []) {
+        this.savedTeams = teams;
+        this.players = players;
+
+        if (!this.isDirty) {
+            this.teams = teams.map(team => ({ ...team }));
+            this.renderTeams();
+        }
+        this.renderPlayers();
+    }
+
+    /**
+     * Render the editable team rows
+     */
+    renderTeams() {
+        if (!this.list) return;
+
+        if (!this.teams.length) {
+            this.list.innerHTML = '<p class="team-empty">No teams yet - add teams to play in team mode</p>';
+            return;
+        }
+
+        this.list.innerHTML = this.teams.map((team, index) => {
+            const size = this.players.filter(p => team.id && p.teamId === team.id).length;
+            return `
+                <div class="team-row" data-index="${index}">
+                    <input type="color" class="team-color" value="${escapeHtml(team.color)}" title="Team color">
+                    <input type="text" class="form-input team-name" value="${escapeHtml(team.name)}" maxlength="40" placeholder="Team name">
+                    <span class="team-size">${team.id ? `${size} players` : 'not saved'}</span>
+                    <button class="btn-icon team-remove" title="Remove team (its players lose their team)">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Render every player with a team selector
+     */
+    renderPlayers() {
+        if (!this.playersEl) return;
+
+        if (!this.savedTeams.length || !this.players.length) {
+            this.playersEl.innerHTML = '';
+            return;
+        }
+
+        this.playersEl.innerHTML = this.players.map(player => `
+            <label class="team-player">
+                <span class="team-player-name">${escapeHtml(player.nickname)}</span>
+                <select class="form-input" data-player-id="${escapeHtml(player.id)}">
+                    <option value="">No team</option>
+                    ${this.savedTeams.map(team => `
+                        <option value="${escapeHtml(team.id)}" ${player.teamId === team.id ? 'selected' : ''}>${escapeHtml(team.name)}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `).join('');
+    }
+
+    /**
+     * Add an unsaved team with the next free color
+     */
+    addTeam() {
+        const { colors } = this.options;
+        const color = colors.find(c => !this.teams.some(team => team.color === c)) || colors[this.teams.length % colors.length];
+
+        this.teams.push({ name: `Team ${this.teams.length + 1}`, color });
+        this.isDirty = true;
+        this.renderTeams();
+        this.list.querySelector('.team-row:last-child .team-name')?.focus();
+    }
+
+    /**
+     * Save the team list to the server
+     */
+    async save() {
+        try {
+            const result = await this.api.saveTeams(this.teams.map(({ id, name, color }) => ({ id, name, color })));
+            this.isDirty = false;
+            this.update(result.teams, this.players);
+
+            showSuccess('Teams saved');
+            if (this.options.onChange) {
+                this.options.onChange();
+            }
+        } catch (error) {
+            showError(getErrorMessage(error, 'Failed to save teams'));
+            console.error('Save teams error:', error);
+        }
+    }
+
+    /**
+     * Move a player to a team (null = no team)
+     */
+    async assign(playerId, teamId) {
+        try {
+            await this.api.assignTeam(playerId, teamId);
+            if (this.options.onChange) {
+                this.options.onChange();
+            }
+        } catch (error) {
+            showError(getErrorMessage(error, 'Failed to move player'));
+            console.error('Assign team error:', error);
+        }
+    }
+
+    /**
+     * Shuffle all players evenly into the saved teams
+     */
+    async autoBalance() {
+        if (!confirm('Shuffle all players into the teams? Current team assignments are replaced.')) {
+            return;
+        }
+
+        try {
+            await this.api.autoBalanceTeams();
+            showSuccess('Players balanced across the teams');
+            if (this.options.onChange) {
+                this.options.onChange();
+            }
+        } catch (error) {
+            showError(getErrorMessage(error, 'Failed to balance teams'));
+            console.error('Auto-balance error:', error);
+        }
+    }
+}
+
+// Factory function
+export function initTeamManager(options = {}) {
+    const manager = new TeamManager(options);
+    manager.init();
+    return manager;
+}
@@ -0,0 +1,149 @@
+/**
+ * Countdown Component
+ * Ring counting down to the answer deadline of a question
+ *
+ * The deadline is a server timestamp (set by showOptions), so the remaining time is measured
+ * on the estimated server clock (core/clock.js) and every device reaches zero together.
+ * Rendered rings are found by selector on every tick, so views may re-render them freely.
+ */
+
+export class Countdown {
+    constructor(options = {}) {
+        this.options = {
+            selector: '.countdown', // Rendered rings to update
+            clock: null,            // ServerClock, the device clock without one
+            warnAt: 5,              // Seconds left when the ring turns red
+            interval: 200,          // Update interval (ms)
+            onTick: null,           // (secondsLeft) once per whole second
+            onExpire: null,         // Once when the deadline passes
+            ...options
+        };
+
+        this.deadline = null;
+        this.total = 0;
+        this.timer = null;
+        this.lastSecond = null;
+        this.expired = false;
+    }
+
+    /**
+     * Render a ring (updated by the running countdown)
+     * @returns {string} - HTML string
+     */
+    render() {
+        const seconds = this.getSecondsLeft();
+
+        return `
+            <div class="countdown${this.getStateClass(seconds)}" role="timer" aria-label="Time left">
+                <svg viewBox="0 0 40 40" aria-hidden="true">
+                    <circle class="countdown-track" cx="20" cy="20" r="17" pathLength="100"></circle>
+                    <circle class="countdown-progress" cx="20" cy="20" r="17" pathLength="100"
+                            stroke-dasharray="100" stroke-dashoffset="${100 - this.getProgress()}"></circle>
+                </svg>
+                <span class="countdown-value">${seconds}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Count down to a deadline; calling it again with the same deadline keeps the countdown
+     * running (and does not expire it twice)
+     * @param {number} deadline - Server time (ms)
+     * @param {number} total - Time limit (seconds), the full ring
+     */
+    start(deadline, total) {
+        if (deadline === this.deadline && (this.timer || this.expired)) return;
+
+        this.stop();
+        this.deadline = deadline;
+        this.total = total;
+        this.lastSecond = null;
+        this.expired = false;
+
+        this.update();
+        if (!this.expired) {
+            this.timer = setInterval(() => this.update(), this.options.interval);
+        }
+    }
+
+    /**
+     * Stop counting (the rings keep their last state)
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Forget the deadline (question changed)
+     */
+    reset() {
+        this.stop();
+        this.deadline = null;
+        this.total = 0;
+        this.expired = false;
+    }
+
+    /**
+     * Milliseconds until the deadline (0 when passed or without one)
+     */
+    getRemaining() {
+        if (!this.deadline) return 0;
+
+        const now = this.options.clock ? this.options.clock.now() : Date.now();
+        return Math.max(0, this.deadline - now);
+    }
+
+    getSecondsLeft() {
+        return Math.ceil(this.getRemaining() / 1000);
+    }
+
+    /**
+     * Share of the time left (0..100)
+     */
+    getProgress() {
+        return this.total ? Math.min(100, this.getRemaining() / (this.total * 10)) : 0;
+    }
+
+    isExpired() {
+        return this.expired;
+    }
+
+    getStateClass(seconds) {
+        if (seconds === 0) return ' expired';
+        return seconds <= this.options.warnAt ? ' warning' : '';
+    }
+
+    /**
+     * Update the rendered rings and fire the callbacks
+     */
+    update() {
+        const seconds = this.getSecondsLeft();
+        const progress = this.getProgress();
+
+        document.querySelectorAll(this.options.selector).forEach(ring => {
+            ring.classList.toggle('warning', seconds > 0 && seconds <= this.options.warnAt);
+            ring.classList.toggle('expired', seconds === 0);
+            ring.querySelector('.countdown-progress')?.setAttribute('stroke-dashoffset', String(100 - progress));
+            const value = ring.querySelector('.countdown-value');
+            if (value) value.textContent = seconds;
+        });
+
+        if (seconds !== this.lastSecond) {
+            this.lastSecond = seconds;
+            if (seconds > 0 && this.options.onTick) {
+                this.options.onTick(seconds);
+            }
+        }
+
+        if (seconds === 0 && !this.expired) {
+            this.expired = true;
+            this.stop();
+            if (this.options.onExpire) {
+                this.options.onExpire();
+            }
+        }
+    }
+}
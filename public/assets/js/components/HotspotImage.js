@@ -0,0 +1,118 @@
+/**
+ * Hotspot Image Component
+ * Question image of a hotspot question with SVG overlays: the regions, tapped points and
+ * (admin) a heatmap of all taps
+ *
+ * Coordinates are pixels of the original image, so the overlays only get their viewBox
+ * once the image has loaded - call fit() after inserting the HTML.
+ */
+
+import { escapeHtml } from '../core/utils.js';
+
+export class HotspotImage {
+    constructor(options = {}) {
+        this.options = {
+            markerSize: 0.02, // Radius of a tapped point, share of the longer image side
+            heatSize: 0.05, // Radius of a heatmap spot, share of the longer image side
+            ...options
+        };
+    }
+
+    /**
+     * Render the image with its overlays
+     * @param {Object} question - Hotspot question (image, regions)
+     * @param {Object} state - { regions: outline the regions, points: [{x, y, status}] markers,
+     *                          heat: [{x, y}] taps, tappable: show the crosshair cursor }
+     * @returns {string} - HTML string
+     */
+    render(question, { regions = false, points = [], heat = [], tappable = false } = {}) {
+        return `
+            <div class="hotspot-image${tappable ? ' tappable' : ''}">
+                <img src="${escapeHtml(question.image || '')}" alt="Question image" draggable="false">
+                ${heat.length ? `
+                    <svg class="hotspot-heat" preserveAspectRatio="none" aria-hidden="true">
+                        ${heat.map(point => `<circle cx="${point.x}" cy="${point.y}" data-size="${this.options.heatSize}"></circle>`).join('')}
+                    </svg>
+                ` : ''}
+                <svg class="hotspot-overlay" preserveAspectRatio="none" aria-hidden="true">
+                    ${regions ? (question.regions || []).map(region => this.renderRegion(region)).join('') : ''}
+                    ${points.map(point => `
+                        <circle class="hotspot-marker ${point.status || ''}" cx="${point.x}" cy="${point.y}" data-size="${this.options.markerSize}"></circle>
+                    `).join('')}
+                </svg>
+            </div>
+        `;
+    }
+
+    /**
+     * SVG outline of a region
+     */
+    renderRegion(region) {
+        const title = region.label ? `<title>${escapeHtml(region.label)}</title>` : '';
+
+        switch (region.shape) {
+            case 'circle':
+                return `<circle class="hotspot-region" cx="${region.x}" cy="${region.y}" r="${region.r}">${title}</circle>`;
+            case 'rect':
+                return `<rect class="hotspot-region" x="${region.x}" y="${region.y}" width="${region.width}" height="${region.height}">${title}</rect>`;
+            default:
+                return `<polygon class="hotspot-region" points="${(region.points || []).map(point => point.join(',')).join(' ')}">${title}</polygon>`;
+        }
+    }
+
+    /**
+     * Size the overlays in a container to the natural size of their images
+     */
+    fit(container) {
+        container?.querySelectorAll('.hotspot-image').forEach(wrapper => {
+            const img = wrapper.querySelector('img');
+            const apply = () => {
+                const { naturalWidth: width, naturalHeight: height } = img;
+                if (!width || !height) return;
+
+                const longSide = Math.max(width, height);
+                wrapper.querySelectorAll('svg').forEach(svg => svg.setAttribute('viewBox', `0 0 ${width} ${height}`));
+                wrapper.querySelectorAll('[data-size]').forEach(el => {
+                    el.setAttribute('r', (parseFloat(el.dataset.size) * longSide).toFixed(1));
+                });
+                wrapper.classList.add('ready');
+            };
+
+            if (img.complete) {
+                apply();
+            } else {
+                img.addEventListener('load', apply, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Point of the image under a pointer event, in image pixels (null before the image has loaded)
+     */
+    pointFromEvent(wrapper, event) {
+        const img = wrapper.querySelector('img');
+        const rect = img.getBoundingClientRect();
+        if (!img.naturalWidth || !rect.width || !rect.height) return null;
+
+        const round = value => Math.round(value * 10) / 10;
+        const clamp = (value, max) => Math.min(max, Math.max(0, value));
+
+        return {
+            x: round(clamp((event.clientX - rect.left) / rect.width * img.naturalWidth, img.naturalWidth)),
+            y: round(clamp((event.clientY - rect.top) / rect.height * img.naturalHeight, img.naturalHeight))
+        };
+    }
+}
+
+// Default instance
+export const hotspotImage = new HotspotImage();
+
+// Quick render function
+export function renderHotspotImage(question, state = {}) {
+    return hotspotImage.render(question, state);
+}
+
+// Fit the overlays of rendered hotspot images
+export function fitHotspotImages(container) {
+    hotspotImage.fit(container);
+}
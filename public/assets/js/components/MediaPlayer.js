@@ -0,0 +1,218 @@
+/**
+ * Media Player Component
+ * Plays the audio / video prompt of a question (`media` block, see core/questions.js)
+ *
+ * Every clip gets one media element that is created (and starts buffering) when the clip is
+ * preloaded and is moved into the controls each time they are rendered, so a clip keeps
+ * playing while the views re-render. Plays are counted per key in localStorage so a
+ * reload does not reset the `maxPlays` limit.
+ */
+
+export class MediaPlayer {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'quizMediaPlays',
+            ...options
+        };
+
+        this.elements = new Map(); // src -> media element
+        this.current = null; // { media, key, limited } of the rendered controls
+    }
+
+    /**
+     * Start buffering a clip so it is ready when its question is shown
+     */
+    preload(media) {
+        if (media?.src) {
+            this.getElement(media);
+        }
+    }
+
+    /**
+     * Media element of a clip, created on first use
+     */
+    getElement(media) {
+        if (!this.elements.has(media.src)) {
+            const element = document.createElement(media.type === 'video' ? 'video' : 'audio');
+            element.className = 'media-element';
+            element.preload = 'auto';
+            element.playsInline = true;
+            element.src = media.src;
+
+            ['play', 'pause', 'ended', 'timeupdate', 'loadedmetadata'].forEach(event => {
+                element.addEventListener(event, () => this.updateControls());
+            });
+            element.addEventListener('error', () => console.warn(`[MediaPlayer] Could not load ${media.src}`));
+
+            this.elements.set(media.src, element);
+        }
+        return this.elements.get(media.src);
+    }
+
+    /**
+     * Render the controls of a clip
+     * @param {Object} state - { key: counts the plays, limited: apply `maxPlays` }
+     * @returns {string} - HTML string
+     */
+    render(media, { key = media.src, limited = true } = {}) {
+        this.current = { media, key, limited };
+
+        return `
+            <div class="media-player media-${media.type === 'video' ? 'video' : 'audio'}">
+                <div class="media-slot"></div>
+                <div class="media-controls">
+                    <button class="btn btn-primary btn-sm media-play" title="Play / pause">
+                        <i class="fas fa-play"></i>
+                    </button>
+                    <div class="media-progress"><div class="media-progress-fill"></div></div>
+                    <span class="media-time">0:00</span>
+                    <span class="media-plays"></span>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Move the clip into rendered controls and attach the play button
+     */
+    mount(container) {
+        const wrapper = container?.querySelector('.media-player');
+        if (!wrapper || !this.current) return;
+
+        const element = this.getElement(this.current.media);
+        wrapper.querySelector('.media-slot').appendChild(element);
+        wrapper.querySelector('.media-play').addEventListener('click', () => this.toggle());
+        this.updateControls();
+    }
+
+    /**
+     * Pause a playing clip, or play it (a play from the start counts against `maxPlays`)
+     */
+    toggle() {
+        const element = this.current && this.getElement(this.current.media);
+        if (!element) return;
+
+        if (!element.paused) {
+            element.pause();
+            return;
+        }
+        this.play();
+    }
+
+    /**
+     * Play the current clip unless its plays are used up
+     * @returns {boolean} Whether playback started
+     */
+    play() {
+        if (!this.current) return false;
+
+        const { media, key } = this.current;
+        const element = this.getElement(media);
+        const isNewPlay = element.ended || element.currentTime === 0;
+
+        if (isNewPlay) {
+            if (this.getPlaysLeft() === 0) return false;
+            this.addPlay(key);
+            element.currentTime = 0;
+        }
+
+        element.play().catch(error => {
+            // Browsers block playback with sound before the user interacted with the page
+            console.warn('[MediaPlayer] Playback blocked:', error.message);
+            if (isNewPlay) this.removePlay(key);
+            this.updateControls();
+        });
+        return true;
+    }
+
+    /**
+     * Stop every clip and rewind it (question or phase changed)
+     */
+    stop() {
+        this.elements.forEach(element => {
+            if (!element.paused) element.pause();
+            if (element.currentTime > 0) element.currentTime = 0;
+        });
+    }
+
+    /**
+     * Forget the rendered controls (they were removed from the page)
+     */
+    detach() {
+        this.stop();
+        this.current = null;
+    }
+
+    /**
+     * Plays left of the current clip, null when unlimited
+     */
+    getPlaysLeft() {
+        const { media, key, limited } = this.current || {};
+        if (!media || !limited || !media.maxPlays) return null;
+
+        return Math.max(0, media.maxPlays - (this.loadPlays()[key] || 0));
+    }
+
+    addPlay(key) {
+        const plays = this.loadPlays();
+        plays[key] = (plays[key] || 0) + 1;
+        this.savePlays(plays);
+    }
+
+    removePlay(key) {
+        const plays = this.loadPlays();
+        plays[key] = Math.max(0, (plays[key] || 0) - 1);
+        this.savePlays(plays);
+    }
+
+    /**
+     * Forget all counted plays (a new game starts)
+     */
+    resetPlays() {
+        localStorage.removeItem(this.options.storageKey);
+    }
+
+    loadPlays() {
+        try {
+            return JSON.parse(localStorage.getItem(this.options.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    savePlays(plays) {
+        localStorage.setItem(this.options.storageKey, JSON.stringify(plays));
+    }
+
+    /**
+     * Show the state of the current clip in its controls
+     */
+    updateControls() {
+        const element = this.current && this.elements.get(this.current.media.src);
+        const wrapper = element?.closest('.media-player');
+        if (!wrapper) return;
+
+        const playsLeft = this.getPlaysLeft();
+        const isNewPlay = element.ended || element.currentTime === 0;
+        const progress = element.duration ? element.currentTime / element.duration * 100 : 0;
+
+        const button = wrapper.querySelector('.media-play');
+        button.querySelector('i').className = element.paused ? 'fas fa-play' : 'fas fa-pause';
+        button.disabled = element.paused && isNewPlay && playsLeft === 0;
+
+        wrapper.querySelector('.media-progress-fill').style.width = `${progress}%`;
+        wrapper.querySelector('.media-time').textContent = this.formatDuration(element.paused && isNewPlay ? element.duration : element.currentTime);
+        wrapper.querySelector('.media-plays').textContent = playsLeft === null
+            ? ''
+            : (playsLeft === 0 ? 'No plays left' : `${playsLeft} ${playsLeft === 1 ? 'play' : 'plays'} left`);
+    }
+
+    /**
+     * Seconds as m:ss
+     */
+    formatDuration(seconds) {
+        if (!Number.isFinite(seconds)) return '0:00';
+        const whole = Math.floor(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+}
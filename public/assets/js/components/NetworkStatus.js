@@ -3,6 +3,17 @@
  * Shows connection status indicator
  */
 
+// Tooltip for each StateManager polling mode
+const MODE_LABELS = {
+    stream: 'Live updates',
+    fast: 'Fast updates',
+    normal: 'Regular updates',
+    idle: 'Slow updates while waiting',
+    backoff: 'Retrying after connection errors',
+    paused: 'Updates paused while the tab is hidden',
+    tab: 'Updates from another tab'
+};
+
 export class NetworkStatus {
     constructor(options = {}) {
         this.options = {
@@ -11,12 +22,14 @@ export class NetworkStatus {
             offlineClass: 'offline',
             activeClass: 'active',
             hideDelay: 3000,
+            onStatusChange: null, // Called with (status) when it changes, e.g. to replay queued actions
             ...options
         };
 
         this.element = null;
         this.hideTimeout = null;
         this.currentStatus = 'online';
+        this.currentMode = null;
 
         this.init();
     }
@@ -26,7 +39,6 @@ export class NetworkStatus {
 
         if (!this.element) {
             console.warn('NetworkStatus: Element not found');
-            return;
         }
 
         // Listen for browser online/offline events
@@ -41,10 +53,15 @@ export class NetworkStatus {
      * @param {boolean} autoHide - Whether to auto-hide after delay
      */
     setStatus(status, message, autoHide = true) {
-        if (!this.element) return;
-
+        const changed = status !== this.currentStatus;
         this.currentStatus = status;
 
+        if (changed && this.options.onStatusChange) {
+            this.options.onStatusChange(status);
+        }
+
+        if (!this.element) return;
+
         // Clear previous classes
         this.element.classList.remove(
             this.options.onlineClass, 
@@ -73,6 +90,32 @@ export class NetworkStatus {
         }
     }
 
+    /**
+     * Show how state updates are received (StateManager `pollingMode` event)
+     * @param {string} mode - 'stream' | 'fast' | 'normal' | 'idle' | 'backoff' | 'paused' | 'tab'
+     * @param {number|null} delay - Delay until the next poll (ms)
+     */
+    setMode(mode, delay = null) {
+        const previousMode = this.currentMode;
+        this.currentMode = mode;
+
+        if (this.element) {
+            this.element.dataset.mode = mode || '';
+            this.element.title = MODE_LABELS[mode] || '';
+        }
+
+        if (mode === 'backoff') {
+            const seconds = Math.max(1, Math.round((delay || 0) / 1000));
+            this.setStatus('offline', `Connection problem - retrying in ${seconds}s`, false);
+        } else if (previousMode === 'backoff') {
+            this.setStatus('online', 'Reconnected');
+        }
+    }
+
+    getMode() {
+        return this.currentMode;
+    }
+
     show(message = 'Syncing...') {
         this.setStatus('syncing', message, false);
     }
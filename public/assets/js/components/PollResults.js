@@ -0,0 +1,111 @@
+/**
+ * Poll Results Component
+ * Result bars for polls and a word cloud for word cloud questions (admin live view,
+ * admin results tab and, with `showResults`, the players' reveal screen)
+ */
+
+import { getQuestionType, normalizeText } from '../core/questions.js';
+import { escapeHtml } from '../core/utils.js';
+
+export class PollResults {
+    constructor(options = {}) {
+        this.options = {
+            maxWords: 40,
+            minFontSize: 1, // rem
+            maxFontSize: 2.75, // rem
+            ...options
+        };
+    }
+
+    /**
+     * Render the results of a poll or word cloud question
+     * @param {Object} question
+     * @param {Array} answers - Answers to the question ({playerId, answer})
+     * @param {*} ownAnswer - This player's answer, highlighted when given
+     * @returns {string} - HTML string
+     */
+    render(question, answers, ownAnswer = null) {
+        if (getQuestionType(question) === 'wordcloud') {
+            return this.renderWordCloud(question, answers, ownAnswer);
+        }
+        return this.renderBars(question, answers, ownAnswer);
+    }
+
+    /**
+     * One bar per option with its share of the votes
+     */
+    renderBars(question, answers, ownAnswer = null) {
+        const total = answers.length;
+
+        return `
+            <div class="poll-bars">
+                ${(question.options || []).map((option, index) => {
+                    const count = answers.filter(answer => answer.answer === index).length;
+                    const percent = total ? Math.round(count / total * 100) : 0;
+                    return `
+                        <div class="poll-bar ${ownAnswer === index ? 'own' : ''}">
+                            <div class="poll-bar-label">
+                                <span>${escapeHtml(option)}</span>
+                                <span class="poll-bar-count">${count} (${percent}%)</span>
+                            </div>
+                            <div class="poll-bar-track">
+                                <div class="poll-bar-fill" style="width: ${percent}%"></div>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+                <p class="poll-total">${total} ${total === 1 ? 'response' : 'responses'}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Words sized by how many players typed them (case, accents and spacing are ignored)
+     */
+    renderWordCloud(question, answers, ownAnswer = null) {
+        const words = new Map();
+        answers.forEach(answer => {
+            if (typeof answer.answer !== 'string') return;
+
+            const key = normalizeText(answer.answer);
+            if (!words.has(key)) {
+                words.set(key, { text: answer.answer, count: 0 });
+            }
+            words.get(key).count++;
+        });
+
+        if (words.size === 0) {
+            return '<p class="poll-total">No responses yet</p>';
+        }
+
+        const ownKey = typeof ownAnswer === 'string' ? normalizeText(ownAnswer) : null;
+        const shown = [...words.entries()]
+            .sort((a, b) => b[1].count - a[1].count)
+            .slice(0, this.options.maxWords)
+            .sort((a, b) => a[0].localeCompare(b[0]));
+        const peak = Math.max(...shown.map(([, word]) => word.count));
+        const { minFontSize, maxFontSize } = this.options;
+
+        return `
+            <div class="word-cloud">
+                ${shown.map(([key, word]) => {
+                    const size = peak > 1 ? minFontSize + (maxFontSize - minFontSize) * (word.count - 1) / (peak - 1) : minFontSize;
+                    return `
+                        <span class="word-cloud-word ${key === ownKey ? 'own' : ''}"
+                              style="font-size: ${size.toFixed(2)}rem"
+                              title="${word.count} ${word.count === 1 ? 'response' : 'responses'}">${escapeHtml(word.text)}</span>
+                    `;
+                }).join('')}
+            </div>
+            <p class="poll-total">${answers.length} ${answers.length === 1 ? 'response' : 'responses'}</p>
+        `;
+    }
+}
+
+// Default instance
+export const pollResults = new PollResults();
+
+// Quick render function
+export function renderPollResults(question, answers, ownAnswer = null) {
+    return pollResults.render(question, answers, ownAnswer);
+}
@@ -0,0 +1,50 @@
+/**
+ * Tab Takeover Prompt Component
+ * Covers a follower tab while the quiz is active in another tab and offers to move it here
+ */
+
+export class TabTakeoverPrompt {
+    constructor(options = {}) {
+        this.options = {
+            message: 'This quiz is open in another tab.',
+            buttonText: 'Use this tab',
+            onTakeOver: null,
+            ...options
+        };
+
+        this.element = null;
+    }
+
+    init() {
+        this.element = document.createElement('div');
+        this.element.className = 'tab-takeover hidden';
+        this.element.innerHTML = `
+            <div class="tab-takeover-card">
+                <i class="fas fa-clone"></i>
+                <p>${this.options.message}</p>
+                <button class="btn btn-primary" data-action="takeover">${this.options.buttonText}</button>
+            </div>
+        `;
+
+        this.element.querySelector('[data-action="takeover"]').addEventListener('click', () => {
+            if (this.options.onTakeOver) {
+                this.options.onTakeOver();
+            }
+        });
+
+        document.body.appendChild(this.element);
+    }
+
+    show() {
+        this.element?.classList.remove('hidden');
+    }
+
+    hide() {
+        this.element?.classList.add('hidden');
+    }
+
+    destroy() {
+        this.element?.remove();
+        this.element = null;
+    }
+}
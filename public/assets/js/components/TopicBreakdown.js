@@ -0,0 +1,76 @@
+/**
+ * Topic Breakdown Component
+ * Weighted performance per tag and per learning objective, weakest topic first (player end
+ * screen and admin results tab)
+ *
+ * Topics come from the player summary (tagBreakdown / objectiveBreakdown) or from
+ * summarizeTopics() in core/questions.js: [{name, questions, points, earnedPoints, percentage}]
+ */
+
+import { escapeHtml } from '../core/utils.js';
+
+export class TopicBreakdown {
+    constructor(options = {}) {
+        this.options = {
+            weakBelow: 50, // Percentages below are shown red
+            strongFrom: 80, // Percentages from here on are shown green
+            ...options
+        };
+    }
+
+    /**
+     * Render the tag and objective groups ('' when no question has metadata)
+     * @param {Object} topics - { tags: [...], objectives: [...] }
+     * @returns {string} - HTML string
+     */
+    render({ tags = [], objectives = [] } = {}) {
+        if (tags.length === 0 && objectives.length === 0) return '';
+
+        return `
+            <div class="topic-breakdown">
+                ${this.renderGroup('By Topic', 'fa-tags', tags)}
+                ${this.renderGroup('By Learning Objective', 'fa-bullseye', objectives)}
+            </div>
+        `;
+    }
+
+    /**
+     * One bar per topic
+     */
+    renderGroup(title, icon, topics) {
+        if (topics.length === 0) return '';
+
+        return `
+            <div class="topic-group">
+                <h5 class="topic-group-title"><i class="fas ${icon}"></i> ${title}</h5>
+                ${topics.map(topic => `
+                    <div class="topic-row ${this.getLevel(topic.percentage)}">
+                        <div class="topic-label">
+                            <span class="topic-name">${escapeHtml(topic.name)}</span>
+                            <span class="topic-score">
+                                ${topic.percentage}%
+                                <small>(${topic.questions} ${topic.questions === 1 ? 'question' : 'questions'})</small>
+                            </span>
+                        </div>
+                        <div class="topic-track">
+                            <div class="topic-fill" style="width: ${topic.percentage}%"></div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    getLevel(percentage) {
+        if (percentage < this.options.weakBelow) return 'weak';
+        return percentage >= this.options.strongFrom ? 'strong' : 'fair';
+    }
+}
+
+// Default instance
+export const topicBreakdown = new TopicBreakdown();
+
+// Quick render function
+export function renderTopicBreakdown(topics) {
+    return topicBreakdown.render(topics);
+}
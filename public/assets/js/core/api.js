@@ -1,88 +1,358 @@
 /**
  * API Client Module
  * Handles all communication with the server API
+ * Failed requests throw typed errors (core/errors.js); only retryable ones are retried
+ * Player actions that cannot reach the server are kept in an outbox and replayed later
  */
 
+import { storage, generateId } from './utils.js';
+import { ApiError, NetworkError, TimeoutError, CancelledError, errorFromResponse, errorFromStatus } from './errors.js';
+
+/**
+ * Outbox of player actions waiting to be sent
+ * Entries survive page reloads (localStorage) and carry an idempotency key so the
+ * server can tell a replay from a new action.
+ *
+ * Emits window events:
+ *   outbox:queued   - { entry }                 action stored for later
+ *   outbox:replayed - { entry, result, error }  server answered a replayed action
+ *                                               (error is set when it rejected it)
+ *   outbox:expired  - { entry }                 action too old to replay, dropped
+ */
+export class ActionOutbox {
+    constructor(api, options = {}) {
+        this.options = {
+            storageKey: 'quizOutbox',
+            maxAgeMs: 10 * 60 * 1000, // Older actions belong to a finished question
+            ...options
+        };
+
+        this.api = api;
+        this.flushing = null;
+    }
+
+    /**
+     * Get pending entries (oldest first)
+     */
+    getEntries() {
+        return storage.get(this.options.storageKey, []);
+    }
+
+    /**
+     * Number of pending entries
+     */
+    size() {
+        return this.getEntries().length;
+    }
+
+    /**
+     * Check whether an action of this type is waiting (optionally for a given question)
+     */
+    hasPending(action, questionIndex = null) {
+        return this.getEntries().some(entry =>
+            entry.action === action &&
+            (questionIndex === null || entry.data.questionIndex === questionIndex)
+        );
+    }
+
+    /**
+     * Store an action for later
+     */
+    enqueue(entry) {
+        const entries = this.getEntries();
+        entries.push(entry);
+        storage.set(this.options.storageKey, entries);
+        this.emit('queued', { entry });
+    }
+
+    /**
+     * Remove an entry by idempotency key
+     * @returns {boolean} - False if storage could not be written
+     */
+    remove(idempotencyKey) {
+        const entries = this.getEntries().filter(entry => entry.idempotencyKey !== idempotencyKey);
+        return storage.set(this.options.storageKey, entries);
+    }
+
+    /**
+     * Send pending entries in order; stops at the first one that still cannot be delivered
+     * @returns {Promise<number>} - Number of entries delivered
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.replay().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async replay() {
+        let delivered = 0;
+        let entry;
+
+        // Re-read storage each time so actions queued during the replay are sent too
+        while ((entry = this.getEntries()[0])) {
+            if (Date.now() - entry.clientTimestamp > this.options.maxAgeMs) {
+                if (!this.remove(entry.idempotencyKey)) break;
+                this.emit('expired', { entry });
+                continue;
+            }
+
+            let result = null;
+            let error = null;
+            try {
+                result = await this.api.send(entry);
+            } catch (sendError) {
+                if (sendError.retryable) {
+                    console.warn('[Outbox] Still offline, keeping', this.size(), 'action(s)');
+                    break;
+                }
+                // The server answered but rejected the action (e.g. question changed)
+                error = sendError;
+            }
+
+            if (!this.remove(entry.idempotencyKey)) break;
+            delivered++;
+            console.log(`[Outbox] Replayed ${entry.action}:`, error || result);
+            this.emit('replayed', { entry, result, error });
+        }
+
+        return delivered;
+    }
+
+    /**
+     * Emit custom event
+     */
+    emit(eventName, data = null) {
+        window.dispatchEvent(new CustomEvent(`outbox:${eventName}`, { detail: data }));
+    }
+}
+
 export class ApiClient {
-    constructor(baseUrl = 'api.php') {
+    constructor(baseUrl = 'api.php', options = {}) {
         this.baseUrl = baseUrl;
         this.defaultHeaders = {
             'Content-Type': 'application/json'
         };
-        this.retryAttempts = 3;
-        this.retryDelay = 1000;
+        this.retryAttempts = options.retryAttempts || 3;
+        this.retryDelay = options.retryDelay || 1000;
+        this.timeout = options.timeout || 10000; // Per attempt, in ms
+        this.outbox = new ActionOutbox(this);
     }
 
     /**
      * Make a POST request to the API
+     * Network errors, timeouts and server errors are retried; validation, conflict and
+     * authorization errors are thrown right away.
      * @param {string} action - The API action to call
      * @param {Object} data - Additional data to send
-     * @returns {Promise<Object>} - The API response
+     * @param {Object} options - { timeout, signal, retryAttempts }
+     * @returns {Promise<Object>} - The API response (success responses only)
+     * @throws {ApiError} - NetworkError, TimeoutError, ValidationError, ConflictError,
+     *                      UnauthorizedError, ServerError or CancelledError
      */
-    async post(action, data = {}) {
+    async post(action, data = {}, options = {}) {
         const payload = { action, ...data };
+        const attempts = options.retryAttempts || this.retryAttempts;
 
-        for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
+        for (let attempt = 1; attempt <= attempts; attempt++) {
             try {
-                const response = await fetch(this.baseUrl, {
-                    method: 'POST',
-                    headers: this.defaultHeaders,
-                    body: JSON.stringify(payload)
-                });
-
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-
-                const result = await response.json();
-                return result;
-
+                return await this.request(payload, options);
             } catch (error) {
-                console.error(`API request failed (attempt ${attempt}/${this.retryAttempts}):`, error);
-
-                if (attempt === this.retryAttempts) {
+                if (!error.retryable || attempt === attempts) {
                     throw error;
                 }
 
+                console.warn(`API request ${action} failed (attempt ${attempt}/${attempts}):`, error.message);
+
                 // Wait before retrying
                 await this.sleep(this.retryDelay * attempt);
+
+                if (options.signal?.aborted) {
+                    throw new CancelledError('Request cancelled', { action });
+                }
+            }
+        }
+    }
+
+    /**
+     * Send a single request, aborting it after the timeout or when the caller's signal fires
+     */
+    async request(payload, options = {}) {
+        const { action } = payload;
+        const timeout = options.timeout || this.timeout;
+        const signal = options.signal || null;
+
+        if (signal?.aborted) {
+            throw new CancelledError('Request cancelled', { action });
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const response = await fetch(this.baseUrl, {
+                method: 'POST',
+                headers: this.defaultHeaders,
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw errorFromStatus(response.status, response.statusText, { action });
+            }
+
+            let result;
+            try {
+                result = await response.json();
+            } catch (parseError) {
+                if (parseError.name === 'AbortError') throw parseError;
+                throw new ApiError('Invalid server response', { code: 'invalid_response', action, status: response.status });
+            }
+
+            if (result && result.success === false) {
+                throw errorFromResponse(result, { action, status: response.status });
+            }
+
+            return result;
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+
+            if (error.name === 'AbortError') {
+                throw timedOut
+                    ? new TimeoutError(`Request timed out after ${timeout}ms`, { action })
+                    : new CancelledError('Request cancelled', { action });
+            }
+
+            throw new NetworkError(error.message || 'Network error', { action });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Post a player action that must not get lost
+     * Offline (or after all retries failed) the action is queued in the outbox and
+     * { success: true, queued: true } is returned; it is replayed once back online.
+     * Actions the server rejects throw like post().
+     * @param {string} action - The API action to call
+     * @param {Object} data - Additional data to send
+     * @returns {Promise<Object>} - The API response, or the queued marker
+     */
+    async postQueued(action, data = {}) {
+        const entry = {
+            action,
+            data,
+            idempotencyKey: `${Date.now().toString(36)}-${generateId()}`,
+            clientTimestamp: Date.now()
+        };
+
+        // Keep order: nothing may overtake actions that are already waiting
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        if (offline || this.outbox.size() > 0) {
+            this.outbox.enqueue(entry);
+            if (!offline) {
+                this.outbox.flush();
             }
+            return { success: true, queued: true, idempotencyKey: entry.idempotencyKey };
+        }
+
+        try {
+            return await this.send(entry);
+        } catch (error) {
+            // Rejections (validation, conflict, ...) are final; only undeliverable actions wait
+            if (!error.retryable) throw error;
+
+            this.outbox.enqueue(entry);
+            return { success: true, queued: true, idempotencyKey: entry.idempotencyKey };
         }
     }
 
+    /**
+     * Send an outbox entry with its idempotency key and original client timestamp
+     */
+    async send(entry) {
+        return this.post(entry.action, {
+            ...entry.data,
+            idempotencyKey: entry.idempotencyKey,
+            clientTimestamp: entry.clientTimestamp
+        });
+    }
+
     /**
      * Convenience method for game state (player view)
+     * @param {number} sinceVersion - Last known stateVersion; the server then returns
+     *                                only a patch (or "unchanged") instead of the full state
+     * @param {Object} options - Request options (see post)
+     * @param {Object} params - Extra request fields, e.g. { playerId } for the player's own progress
      */
-    async getGameState() {
-        return this.post('getGameState');
+    async getGameState(sinceVersion = 0, options = {}, params = {}) {
+        return this.post('getGameState', sinceVersion ? { ...params, sinceVersion } : params, options);
     }
 
     /**
      * Admin: Get full game data with answerStats
+     * @param {number} sinceVersion - Last known stateVersion (see getGameState)
+     * @param {Object} options - Request options (see post)
      */
-    async getGameData() {
-        return this.post('getGameData');
+    async getGameData(sinceVersion = 0, options = {}) {
+        return this.post('getGameData', sinceVersion ? { sinceVersion } : {}, options);
+    }
+
+    /**
+     * Clock sync ping: returns { serverTime } in ms
+     */
+    async getServerTime(options = {}) {
+        return this.post('getServerTime', {}, { retryAttempts: 1, ...options });
     }
 
     /**
      * Join a game
+     * @param {string|null} teamId - Team picked on the login screen (team mode)
+     */
+    async joinGame(nickname, teamId = null) {
+        return this.post('joinGame', teamId ? { nickname, teamId } : { nickname });
+    }
+
+    /**
+     * Player: Teams and team settings for the login screen
+     */
+    async getTeams() {
+        return this.post('getTeams');
+    }
+
+    /**
+     * Press the buzzer (queued while offline)
+     * @param {number|null} questionIndex - Question the buzz is for; stale replays are rejected
+     * @param {Object} timing - { pressedAt, rtt }: press time on the server clock and measured
+     *                          round trip (ms), used for latency-compensated ordering
      */
-    async joinGame(nickname) {
-        return this.post('joinGame', { nickname });
+    async pressBuzzer(playerId, questionIndex = null, timing = {}) {
+        return this.postQueued('pressBuzzer', { playerId, questionIndex, ...timing });
     }
 
     /**
-     * Press the buzzer
+     * Submit an answer (queued while offline)
+     * @param {number|null} questionIndex - Question the answer is for; stale replays are rejected
      */
-    async pressBuzzer(playerId) {
-        return this.post('pressBuzzer', { playerId });
+    async submitAnswer(playerId, answerIndex, questionIndex = null) {
+        return this.postQueued('submitAnswer', { playerId, answer: answerIndex, questionIndex });
     }
 
     /**
-     * Submit an answer
+     * Self-paced: move on to the next question after seeing the answer
+     * @param {number|null} questionIndex - Question the player is on; a repeated request is rejected
      */
-    async submitAnswer(playerId, answerIndex) {
-        return this.post('submitAnswer', { playerId, answer: answerIndex });
+    async advanceQuestion(playerId, questionIndex = null) {
+        return this.post('advanceQuestion', { playerId, questionIndex });
     }
 
     /**
@@ -120,6 +390,13 @@ export class ApiClient {
         return this.post('revealCorrect');
     }
 
+    /**
+     * Admin: End the game for everyone (self-paced games)
+     */
+    async finishGame() {
+        return this.post('finishGame');
+    }
+
     /**
      * Admin: Mark player as spoken
      */
@@ -127,6 +404,20 @@ export class ApiClient {
         return this.post('markSpoken', { playerId });
     }
 
+    /**
+     * Admin: Judge a buzzing player's oral answer ('correct', 'wrong' or 'pass')
+     */
+    async adjudicateBuzzer(playerId, outcome) {
+        return this.post('adjudicateBuzzer', { playerId, outcome });
+    }
+
+    /**
+     * Admin: Accept a typed answer after the fact (re-scores the question)
+     */
+    async acceptTextAnswer(questionIndex, answer) {
+        return this.post('acceptTextAnswer', { questionIndex, answer });
+    }
+
     /**
      * Admin: Soft reset (current question)
      */
@@ -152,6 +443,34 @@ export class ApiClient {
         return this.post('updateQuestions', { questionsJson });
     }
 
+    /**
+     * Admin: Change quiz-wide settings (e.g. { timeLimit: 30, autoReveal: true })
+     */
+    async updateSettings(settings) {
+        return this.post('updateSettings', { settings });
+    }
+
+    /**
+     * Admin: Replace the team list ([{ id?, name, color? }])
+     */
+    async saveTeams(teams) {
+        return this.post('saveTeams', { teams });
+    }
+
+    /**
+     * Admin: Move a player to a team (null = no team)
+     */
+    async assignTeam(playerId, teamId) {
+        return this.post('assignTeam', { playerId, teamId });
+    }
+
+    /**
+     * Admin: Spread all players evenly over the teams
+     */
+    async autoBalanceTeams() {
+        return this.post('autoBalanceTeams');
+    }
+
     /**
      * Admin: Get notes
      */
@@ -191,14 +510,22 @@ export class ApiClient {
      * Admin: Load session
      */
     async loadSession(sessionId) {
-        return this.post('loadSession', { sessionId });
+        // `sessionId` selects the live quiz session; the saved session goes in `id`
+        return this.post('loadSession', { id: sessionId });
+    }
+
+    /**
+     * Admin: Get a game recording (of a saved session, or of the current session without id)
+     */
+    async getRecording(savedSessionId = null) {
+        return this.post('getRecording', savedSessionId ? { id: savedSessionId } : {});
     }
 
     /**
      * Admin: Delete session
      */
     async deleteSession(sessionId) {
-        return this.post('deleteSession', { sessionId });
+        return this.post('deleteSession', { id: sessionId });
     }
 
     /**
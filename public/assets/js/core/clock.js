@@ -0,0 +1,93 @@
+/**
+ * Server Clock Module
+ * Estimates the offset between this device's clock and the server clock (NTP-style)
+ *
+ * Every state request is a sample: the request is sent at t0 (client clock), the server
+ * stamps serverTime, the response arrives at t1. Assuming symmetric latency:
+ *   rtt    = t1 - t0
+ *   offset = serverTime - (t0 + t1) / 2
+ * The samples with the smallest round trip give the most accurate offset.
+ */
+
+export class ServerClock {
+    constructor(options = {}) {
+        this.options = {
+            maxSamples: 8,        // Sliding window of recent samples
+            bestSamples: 3,       // Offset is averaged over the fastest samples
+            maxSampleAgeMs: 120000, // Old samples drift with the device clock
+            ...options
+        };
+
+        this.samples = [];
+        this.offset = 0;
+        this.rtt = null;
+    }
+
+    /**
+     * Add a sample from one request/response pair
+     * @param {number} sentAt - Client time the request was sent (ms)
+     * @param {number} receivedAt - Client time the response arrived (ms)
+     * @param {number} serverTime - Server time in the response (ms)
+     */
+    addSample(sentAt, receivedAt, serverTime) {
+        if (typeof serverTime !== 'number' || !(receivedAt >= sentAt)) return;
+
+        this.samples.push({
+            rtt: receivedAt - sentAt,
+            offset: serverTime - (sentAt + receivedAt) / 2,
+            at: receivedAt
+        });
+
+        const cutoff = receivedAt - this.options.maxSampleAgeMs;
+        this.samples = this.samples
+            .filter(sample => sample.at >= cutoff)
+            .slice(-this.options.maxSamples);
+
+        this.update();
+    }
+
+    /**
+     * Recompute offset and round-trip estimate from the current samples
+     */
+    update() {
+        if (this.samples.length === 0) return;
+
+        const fastest = [...this.samples]
+            .sort((a, b) => a.rtt - b.rtt)
+            .slice(0, this.options.bestSamples);
+
+        this.offset = fastest.reduce((sum, sample) => sum + sample.offset, 0) / fastest.length;
+
+        // Median round trip is a stable latency figure for display and compensation
+        const rtts = this.samples.map(sample => sample.rtt).sort((a, b) => a - b);
+        this.rtt = rtts[Math.floor(rtts.length / 2)];
+    }
+
+    /**
+     * Estimated current server time (ms)
+     */
+    now() {
+        return Date.now() + this.offset;
+    }
+
+    /**
+     * Estimated offset: server clock minus client clock (ms)
+     */
+    getOffset() {
+        return this.offset;
+    }
+
+    /**
+     * Median round-trip time (ms), or null before the first sample
+     */
+    getRtt() {
+        return this.rtt;
+    }
+
+    /**
+     * Check whether at least one sample was taken
+     */
+    isSynced() {
+        return this.samples.length > 0;
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * API Errors Module
+ * Typed errors thrown by ApiClient so UI modules can react by class or code
+ * instead of matching error strings
+ *
+ * Every error has:
+ *   code      - machine-readable code (from api.php `code`, or 'network' / 'timeout' / 'cancelled')
+ *   retryable - whether sending the same request again may succeed
+ *   action    - the API action that failed
+ *   response  - the server response body, if there was one
+ */
+
+export class ApiError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = options.code || 'api_error';
+        this.retryable = options.retryable ?? false;
+        this.action = options.action || null;
+        this.status = options.status ?? null;
+        this.response = options.response || null;
+    }
+}
+
+/**
+ * Request never reached the server (offline, DNS, connection reset)
+ */
+export class NetworkError extends ApiError {
+    constructor(message = 'Network error', options = {}) {
+        super(message, { code: 'network', retryable: true, ...options });
+        this.name = 'NetworkError';
+    }
+}
+
+/**
+ * No response within the request timeout
+ */
+export class TimeoutError extends ApiError {
+    constructor(message = 'Request timed out', options = {}) {
+        super(message, { code: 'timeout', retryable: true, ...options });
+        this.name = 'TimeoutError';
+    }
+}
+
+/**
+ * Server rejected the request data (missing field, invalid JSON, unknown action)
+ */
+export class ValidationError extends ApiError {
+    constructor(message = 'Invalid request', options = {}) {
+        super(message, { code: 'validation', retryable: false, ...options });
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * Request does not fit the current game state (wrong phase, stale version, already buzzed)
+ */
+export class ConflictError extends ApiError {
+    constructor(message = 'State conflict', options = {}) {
+        super(message, { code: 'conflict', retryable: false, ...options });
+        this.name = 'ConflictError';
+    }
+}
+
+/**
+ * Caller is not (or no longer) allowed to act, e.g. the player was removed
+ */
+export class UnauthorizedError extends ApiError {
+    constructor(message = 'Not authorized', options = {}) {
+        super(message, { code: 'unauthorized', retryable: false, ...options });
+        this.name = 'UnauthorizedError';
+    }
+}
+
+/**
+ * Unexpected server failure (exception, HTTP 5xx)
+ */
+export class ServerError extends ApiError {
+    constructor(message = 'Server error', options = {}) {
+        super(message, { code: 'server_error', retryable: true, ...options });
+        this.name = 'ServerError';
+    }
+}
+
+/**
+ * Request was aborted by the caller
+ */
+export class CancelledError extends ApiError {
+    constructor(message = 'Request cancelled', options = {}) {
+        super(message, { code: 'cancelled', retryable: false, ...options });
+        this.name = 'CancelledError';
+    }
+}
+
+// Error codes sent by api.php, mapped to error classes
+const CODE_CLASSES = {
+    invalid_request: ValidationError,
+    missing_field: ValidationError,
+    invalid_json: ValidationError,
+    unknown_action: ValidationError,
+    question_not_found: ValidationError,
+    invalid_answer: ValidationError,
+    invalid_outcome: ValidationError,
+    invalid_teams: ValidationError,
+    not_found: ValidationError,
+    invalid_phase: ConflictError,
+    already_buzzed: ConflictError,
+    question_changed: ConflictError,
+    team_answered: ConflictError,
+    locked_out: ConflictError,
+    eliminated: ConflictError,
+    already_answered: ConflictError,
+    not_answered: ConflictError,
+    not_buzzed: ConflictError,
+    version_conflict: ConflictError,
+    player_not_found: UnauthorizedError,
+    unauthorized: UnauthorizedError,
+    server_error: ServerError
+};
+
+/**
+ * Create the error for a `{ success: false }` response body
+ */
+export function errorFromResponse(result, options = {}) {
+    const code = result.code || result.reason || 'server_error';
+    const ErrorClass = CODE_CLASSES[code] || ApiError;
+    return new ErrorClass(result.error || code, { ...options, code, response: result });
+}
+
+/**
+ * Create the error for a non-2xx HTTP status
+ */
+export function errorFromStatus(status, statusText, options = {}) {
+    const message = `HTTP ${status}: ${statusText}`;
+    const details = { ...options, status };
+
+    if (status === 401 || status === 403) return new UnauthorizedError(message, details);
+    if (status === 408) return new TimeoutError(message, details);
+    if (status === 409) return new ConflictError(message, details);
+    if (status === 429 || status >= 500) return new ServerError(message, details);
+    return new ValidationError(message, details);
+}
+
+/**
+ * Message to show the user for any error
+ */
+export function getErrorMessage(error, fallback = 'Something went wrong') {
+    if (error instanceof NetworkError) return 'Network error - check your connection';
+    if (error instanceof TimeoutError) return 'The server did not respond in time';
+    if (error instanceof ApiError) return error.message || fallback;
+    return fallback;
+}
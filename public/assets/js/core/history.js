@@ -0,0 +1,100 @@
+/**
+ * State History Module
+ * Bounded ring buffer of the states a client received, for debugging and bug reports
+ *
+ * Entries share unchanged subtrees with their neighbours (patches are applied
+ * copy-on-write), so keeping a few hundred states is cheap.
+ */
+
+import { diffState } from './patch.js';
+
+export class StateHistory {
+    constructor(options = {}) {
+        this.options = {
+            maxEntries: 200,
+            ...options
+        };
+
+        this.entries = [];
+        this.sequence = 0;
+    }
+
+    /**
+     * Record a received state
+     * @param {Object} state - Complete state after applying the update
+     * @param {Object} meta - { source: 'sse' | 'polling' | 'tab' | 'refresh' }
+     */
+    record(state, meta = {}) {
+        const entry = {
+            seq: ++this.sequence,
+            version: state?.stateVersion ?? null,
+            receivedAt: Date.now(),
+            source: meta.source || null,
+            state
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.options.maxEntries) {
+            this.entries.shift();
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get recorded entries (oldest first)
+     */
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * Get entry by position (negative counts from the newest)
+     */
+    get(index) {
+        return this.entries.at(index) || null;
+    }
+
+    /**
+     * Number of recorded entries
+     */
+    size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Patch operations turning entry `fromIndex` into entry `toIndex`
+     */
+    diff(fromIndex, toIndex) {
+        const from = this.get(fromIndex);
+        const to = this.get(toIndex);
+        if (!to) return [];
+
+        return diffState(from ? from.state : null, to.state);
+    }
+
+    /**
+     * Drop all entries
+     */
+    clear() {
+        this.entries = [];
+    }
+
+    /**
+     * Build a JSON-serializable trace of the history
+     * @param {Object} extra - Additional fields (e.g. client details)
+     */
+    toTrace(extra = {}) {
+        return {
+            exportedAt: new Date().toISOString(),
+            url: typeof location !== 'undefined' ? location.href : null,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+            maxEntries: this.options.maxEntries,
+            ...extra,
+            entries: this.entries.map(entry => ({
+                ...entry,
+                receivedAt: new Date(entry.receivedAt).toISOString()
+            }))
+        };
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Patch Module
+ * Applies state patches produced by the server (src/StateDiff.php)
+ * and computes the same kind of patch between two states on the client
+ *
+ * Operations:
+ *   { op: 'set', path: ['gameState', 'phase'], value: 'reveal' }
+ *   { op: 'remove', path: ['currentQuestionData', 'image'] }
+ *
+ * The input document is never mutated; changed containers are copied along each path
+ * so listeners can still compare old and new state by reference.
+ */
+
+/**
+ * Apply a list of patch operations to a document
+ * @param {*} doc - Current state
+ * @param {Array} ops - Patch operations
+ * @returns {*} - New state
+ */
+export function applyPatch(doc, ops = []) {
+    return ops.reduce((result, operation) => applyOperation(result, operation.op, operation.path || [], operation.value), doc);
+}
+
+/**
+ * Apply a single operation, copying containers along the path
+ */
+function applyOperation(target, op, path, value) {
+    if (path.length === 0) {
+        return op === 'remove' ? undefined : value;
+    }
+
+    const [key, ...rest] = path;
+    let container;
+    if (Array.isArray(target)) {
+        container = [...target];
+    } else if (target && typeof target === 'object') {
+        container = { ...target };
+    } else {
+        // Missing parent - create the container the key implies
+        container = typeof key === 'number' ? [] : {};
+    }
+
+    if (rest.length === 0 && op === 'remove') {
+        if (Array.isArray(container)) {
+            container.splice(key, 1);
+        } else {
+            delete container[key];
+        }
+        return container;
+    }
+
+    container[key] = applyOperation(container[key], op, rest, value);
+    return container;
+}
+
+/**
+ * Compute the patch operations that turn one document into another
+ * Objects are compared key by key and equal-length lists item by item;
+ * anything else that differs is replaced as a whole
+ * @param {*} oldDoc - Previous state
+ * @param {*} newDoc - New state
+ * @returns {Array} - Patch operations
+ */
+export function diffState(oldDoc, newDoc, path = []) {
+    if (oldDoc === newDoc) return [];
+
+    const bothArrays = Array.isArray(oldDoc) && Array.isArray(newDoc);
+    const bothObjects = isPlainObject(oldDoc) && isPlainObject(newDoc);
+
+    if (bothArrays && oldDoc.length === newDoc.length) {
+        return newDoc.flatMap((item, index) => diffState(oldDoc[index], item, [...path, index]));
+    }
+
+    if (bothObjects) {
+        const removed = Object.keys(oldDoc)
+            .filter(key => !(key in newDoc))
+            .map(key => ({ op: 'remove', path: [...path, key] }));
+
+        const changed = Object.keys(newDoc)
+            .flatMap(key => key in oldDoc
+                ? diffState(oldDoc[key], newDoc[key], [...path, key])
+                : [{ op: 'set', path: [...path, key], value: newDoc[key] }]);
+
+        return [...removed, ...changed];
+    }
+
+    return [{ op: 'set', path, value: newDoc }];
+}
+
+/**
+ * Check for a non-array object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
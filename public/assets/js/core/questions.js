@@ -0,0 +1,649 @@
+/**
+ * Question Types Module
+ * Client-side counterpart of src/QuestionTypes.php: editor validation and
+ * display helpers shared by the player and admin views
+ *
+ * Types (`type` field, defaults to 'single'):
+ *   single - one correct option, `correct` is an option index
+ *   multi  - "choose all that apply", `correct` is a list of option indices and
+ *            `scoring` is 'all-or-nothing' (default), 'proportional' or 'penalty'
+ *   order  - put the options in sequence; authored in the correct order (no `correct`),
+ *            served shuffled with `correct` listing the option indices in the right order,
+ *            `scoring` is 'sequence' (default, partial credit) or 'all-or-nothing'
+ *   match  - connect left and right terms; authored as `pairs` ([left, right] lists),
+ *            served as shuffled `options` (left) and `right` columns with `correct`
+ *            giving the right index for each left index,
+ *            `scoring` is 'per-pair' (default, partial credit) or 'all-or-nothing'
+ *   text   - typed answer, correct when it matches one of the `accepted` answers (ignoring
+ *            case, diacritics and extra spaces unless `caseSensitive` / `accentSensitive`,
+ *            allowing `tolerance` typos) or one of the `patterns` (regexes matching the whole
+ *            answer); there are no options. The server decides, helpers here only group answers
+ *   numeric - typed number, `correct` is the number, correct within `tolerance` (default 0)
+ *            which is 'absolute' (default) or 'percent' of `correct` per `toleranceMode`;
+ *            optional `unit` is shown next to the input and answers; there are no options
+ *   hotspot - tap a point on the `image`, correct inside one of the `regions`: circles
+ *            ({shape: 'circle', x, y, r}), rectangles ({shape: 'rect', x, y, width, height})
+ *            or polygons ({shape: 'polygon', points: [[x, y], ...]}), each with an optional
+ *            `label`; coordinates are pixels of the original image, there are no options
+ *   poll   - opinion question with `options` kept in authored order and no `correct`
+ *   wordcloud - short typed answer shown as a word cloud, no options and no `correct`
+ *            Polls and word clouds are not scored; with `showResults` players see the
+ *            results at reveal
+ *
+ * Any question can have a `media` prompt: {type: 'audio'|'video', src, playback, maxPlays, autoplay}
+ * (see components/MediaPlayer.js)
+ *
+ * `timeLimit` (seconds, optional) overrides the quiz-wide default time to answer; 0 turns the
+ * timer off for the question (see components/Countdown.js)
+ *
+ * Metadata (all optional): `tags` (list of topics), `difficulty` ('easy', 'medium' or 'hard'),
+ * `objective` (learning objective) and `points` (weight in the summary, default 1)
+ */
+
+export const QUESTION_TYPES = ['single', 'multi', 'order', 'match', 'text', 'numeric', 'hotspot', 'poll', 'wordcloud'];
+
+const UNSCORED_TYPES = ['poll', 'wordcloud'];
+
+export const MULTI_SCORING = ['all-or-nothing', 'proportional', 'penalty'];
+
+export const ORDER_SCORING = ['sequence', 'all-or-nothing'];
+
+export const MATCH_SCORING = ['per-pair', 'all-or-nothing'];
+
+export const NUMERIC_TOLERANCE = ['absolute', 'percent'];
+
+export const HOTSPOT_SHAPES = ['circle', 'rect', 'polygon'];
+
+export const MEDIA_TYPES = ['audio', 'video'];
+
+export const MEDIA_PLAYBACK = ['player', 'projector'];
+
+export const MAX_TEXT_LENGTH = 200;
+
+export const MAX_WORD_LENGTH = 40;
+
+const MAX_TOLERANCE = 5;
+
+export const MAX_TIME_LIMIT = 3600;
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+export const MAX_TAGS = 10;
+
+export const MAX_POINTS = 100;
+
+const SCORING_LABELS = {
+    'all-or-nothing': 'all or nothing',
+    'proportional': 'partial credit',
+    'penalty': 'wrong picks cost points',
+    'sequence': 'partial credit for items in the right order',
+    'per-pair': 'partial credit per pair'
+};
+
+/**
+ * Type of a question (questions without `type` are single choice)
+ */
+export function getQuestionType(question) {
+    return question?.type || 'single';
+}
+
+/**
+ * Whether answers to a question are scored (polls and word clouds are not)
+ */
+export function isScoredQuestion(question) {
+    return !UNSCORED_TYPES.includes(getQuestionType(question));
+}
+
+/**
+ * Validate a question from the editor
+ * @returns {string[]} Error messages (empty when valid)
+ */
+export function validateQuestion(q, index) {
+    const label = `Question ${index + 1}`;
+    const errors = [];
+
+    if (!q.question) errors.push(`${label}: missing "question" field`);
+    if (q.media !== undefined) errors.push(...validateMedia(q.media, label));
+    if (q.timeLimit !== undefined && !(Number.isInteger(q.timeLimit) && q.timeLimit >= 0 && q.timeLimit <= MAX_TIME_LIMIT)) {
+        errors.push(`${label}: "timeLimit" must be a number of seconds from 0 to ${MAX_TIME_LIMIT}`);
+    }
+    errors.push(...validateMeta(q, label));
+
+    if (getQuestionType(q) === 'match') {
+        return errors.concat(validatePairs(q, label));
+    }
+    if (getQuestionType(q) === 'text') {
+        return errors.concat(validateText(q, label));
+    }
+    if (getQuestionType(q) === 'numeric') {
+        return errors.concat(validateNumeric(q, label));
+    }
+    if (getQuestionType(q) === 'hotspot') {
+        return errors.concat(validateRegions(q, label));
+    }
+    if (q.showResults !== undefined && typeof q.showResults !== 'boolean') {
+        errors.push(`${label}: "showResults" must be true or false`);
+    }
+    if (getQuestionType(q) === 'wordcloud') {
+        return errors;
+    }
+
+    if (!Array.isArray(q.options)) {
+        errors.push(`${label}: "options" must be an array`);
+        return errors;
+    }
+
+    const isOptionIndex = value => Number.isInteger(value) && value >= 0 && value < q.options.length;
+    const type = getQuestionType(q);
+
+    switch (type) {
+        case 'single':
+            if (typeof q.correct !== 'number') errors.push(`${label}: "correct" must be a number`);
+            else if (!isOptionIndex(q.correct)) errors.push(`${label}: "correct" is not an option index`);
+            break;
+
+        case 'multi':
+            if (!Array.isArray(q.correct) || q.correct.length === 0) {
+                errors.push(`${label}: "correct" must be a list of option indices`);
+            } else if (!q.correct.every(isOptionIndex)) {
+                errors.push(`${label}: "correct" contains an invalid option index`);
+            } else if (new Set(q.correct).size !== q.correct.length) {
+                errors.push(`${label}: "correct" contains duplicates`);
+            }
+            if (q.scoring !== undefined && !MULTI_SCORING.includes(q.scoring)) {
+                errors.push(`${label}: "scoring" must be one of ${MULTI_SCORING.join(', ')}`);
+            }
+            break;
+
+        case 'poll':
+            // Any option is a valid vote
+            break;
+
+        case 'order':
+            // Options are listed in the correct order, so there is no "correct" to check
+            if (q.scoring !== undefined && !ORDER_SCORING.includes(q.scoring)) {
+                errors.push(`${label}: "scoring" must be one of ${ORDER_SCORING.join(', ')}`);
+            }
+            break;
+
+        default:
+            errors.push(`${label}: unknown type "${type}"`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the audio / video prompt of a question
+ */
+function validateMedia(media, label) {
+    const errors = [];
+
+    if (!media || typeof media !== 'object' || typeof media.src !== 'string' || media.src.trim() === '') {
+        errors.push(`${label}: "media" needs a "src"`);
+        return errors;
+    }
+    if (media.type !== undefined && !MEDIA_TYPES.includes(media.type)) {
+        errors.push(`${label}: media "type" must be one of ${MEDIA_TYPES.join(', ')}`);
+    }
+    if (media.playback !== undefined && !MEDIA_PLAYBACK.includes(media.playback)) {
+        errors.push(`${label}: media "playback" must be one of ${MEDIA_PLAYBACK.join(', ')}`);
+    }
+    if (media.maxPlays !== undefined && !(Number.isInteger(media.maxPlays) && media.maxPlays >= 0)) {
+        errors.push(`${label}: media "maxPlays" must be a number of 0 or more`);
+    }
+    if (media.autoplay !== undefined && typeof media.autoplay !== 'boolean') {
+        errors.push(`${label}: media "autoplay" must be true or false`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the tags, difficulty, learning objective and points of a question
+ */
+function validateMeta(q, label) {
+    const errors = [];
+
+    if (q.tags !== undefined) {
+        if (!Array.isArray(q.tags) || q.tags.length > MAX_TAGS) {
+            errors.push(`${label}: "tags" must be a list of up to ${MAX_TAGS} tags`);
+        } else if (q.tags.some(tag => typeof tag !== 'string' || tag.trim() === '' || tag.length > MAX_WORD_LENGTH)) {
+            errors.push(`${label}: tags must be non-empty text of up to ${MAX_WORD_LENGTH} characters`);
+        }
+    }
+    if (q.difficulty !== undefined && !DIFFICULTIES.includes(q.difficulty)) {
+        errors.push(`${label}: "difficulty" must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+    if (q.objective !== undefined && !(typeof q.objective === 'string' && q.objective.length <= MAX_TEXT_LENGTH)) {
+        errors.push(`${label}: "objective" must be text of up to ${MAX_TEXT_LENGTH} characters`);
+    }
+    if (q.points !== undefined && !(typeof q.points === 'number' && q.points > 0 && q.points <= MAX_POINTS)) {
+        errors.push(`${label}: "points" must be a number above 0 and up to ${MAX_POINTS}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the `pairs` of a matching question
+ */
+function validatePairs(q, label) {
+    const errors = [];
+
+    if (!Array.isArray(q.pairs) || q.pairs.length < 2) {
+        errors.push(`${label}: "pairs" must list at least 2 [left, right] pairs`);
+        return errors;
+    }
+
+    const isTerm = value => typeof value === 'string' && value.trim() !== '';
+    if (!q.pairs.every(pair => Array.isArray(pair) && pair.length === 2 && isTerm(pair[0]) && isTerm(pair[1]))) {
+        errors.push(`${label}: every pair must be two non-empty strings`);
+    } else if (new Set(q.pairs.map(pair => pair[0])).size !== q.pairs.length
+        || new Set(q.pairs.map(pair => pair[1])).size !== q.pairs.length) {
+        errors.push(`${label}: "pairs" contains a duplicate term`);
+    }
+
+    if (q.scoring !== undefined && !MATCH_SCORING.includes(q.scoring)) {
+        errors.push(`${label}: "scoring" must be one of ${MATCH_SCORING.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the accepted answers and matching rules of a text question
+ */
+function validateText(q, label) {
+    const errors = [];
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+
+    ['accepted', 'patterns'].forEach(field => {
+        if (q[field] !== undefined && (!Array.isArray(q[field]) || !q[field].every(isText))) {
+            errors.push(`${label}: "${field}" must be a list of non-empty strings`);
+        }
+    });
+    if (!q.accepted?.length && !q.patterns?.length) {
+        errors.push(`${label}: list the "accepted" answers or "patterns"`);
+    }
+
+    (Array.isArray(q.patterns) ? q.patterns : []).filter(isText).forEach(pattern => {
+        try {
+            new RegExp(pattern);
+        } catch (e) {
+            errors.push(`${label}: invalid pattern "${pattern}"`);
+        }
+    });
+
+    if (q.tolerance !== undefined && !(Number.isInteger(q.tolerance) && q.tolerance >= 0 && q.tolerance <= MAX_TOLERANCE)) {
+        errors.push(`${label}: "tolerance" must be a number from 0 to ${MAX_TOLERANCE}`);
+    }
+    ['caseSensitive', 'accentSensitive'].forEach(flag => {
+        if (q[flag] !== undefined && typeof q[flag] !== 'boolean') {
+            errors.push(`${label}: "${flag}" must be true or false`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate the number, tolerance and unit of a numeric question
+ */
+function validateNumeric(q, label) {
+    const errors = [];
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+    if (!isNumber(q.correct)) errors.push(`${label}: "correct" must be a number`);
+    if (q.tolerance !== undefined && !(isNumber(q.tolerance) && q.tolerance >= 0)) {
+        errors.push(`${label}: "tolerance" must be a number of 0 or more`);
+    }
+    if (q.toleranceMode !== undefined && !NUMERIC_TOLERANCE.includes(q.toleranceMode)) {
+        errors.push(`${label}: "toleranceMode" must be one of ${NUMERIC_TOLERANCE.join(', ')}`);
+    }
+    if (q.unit !== undefined && typeof q.unit !== 'string') {
+        errors.push(`${label}: "unit" must be a string`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the image and regions of a hotspot question
+ */
+function validateRegions(q, label) {
+    const errors = [];
+    const isCoordinate = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    const isSize = value => isCoordinate(value) && value > 0;
+
+    if (typeof q.image !== 'string' || q.image.trim() === '') {
+        errors.push(`${label}: "image" is needed to tap on`);
+    }
+    if (!Array.isArray(q.regions) || q.regions.length === 0) {
+        errors.push(`${label}: "regions" must list at least 1 region`);
+        return errors;
+    }
+
+    q.regions.forEach((region, i) => {
+        const shape = region?.shape;
+        let valid;
+        switch (shape) {
+            case 'circle':
+                valid = isCoordinate(region.x) && isCoordinate(region.y) && isSize(region.r);
+                break;
+            case 'rect':
+                valid = isCoordinate(region.x) && isCoordinate(region.y) && isSize(region.width) && isSize(region.height);
+                break;
+            case 'polygon':
+                valid = Array.isArray(region.points) && region.points.length >= 3
+                    && region.points.every(point => Array.isArray(point) && point.length === 2 && point.every(isCoordinate));
+                break;
+            default:
+                errors.push(`${label}: region ${i + 1} "shape" must be one of ${HOTSPOT_SHAPES.join(', ')}`);
+                return;
+        }
+        if (!valid) errors.push(`${label}: region ${i + 1} is not a valid ${shape}`);
+        if (region.label !== undefined && typeof region.label !== 'string') {
+            errors.push(`${label}: region ${i + 1} "label" must be a string`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Whether a point ({x, y} in image pixels) lies inside (or on the edge of) a region
+ */
+export function isInRegion(region, { x, y }) {
+    switch (region.shape) {
+        case 'circle':
+            return (x - region.x) ** 2 + (y - region.y) ** 2 <= region.r ** 2;
+
+        case 'rect':
+            return x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height;
+
+        default: {
+            // Ray casting, like QuestionTypes::isInRegion
+            let inside = false;
+            const points = region.points || [];
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const [xi, yi] = points[i];
+                const [xj, yj] = points[j];
+                if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        }
+    }
+}
+
+/**
+ * First region of a hotspot question containing a point, null when it misses all of them
+ */
+export function hitRegion(question, point) {
+    return (question.regions || []).find(region => isInRegion(region, point)) || null;
+}
+
+/**
+ * Parse a typed number ("3,5" and "1 000" are accepted like on the server), NaN when invalid
+ */
+export function parseNumber(text) {
+    const cleaned = String(text).trim().replace(/,/g, '.').replace(/\s+/g, '');
+    return cleaned === '' ? NaN : Number(cleaned);
+}
+
+/**
+ * Range of accepted values of a numeric question
+ * @returns {[number, number]} Lowest and highest accepted value
+ */
+export function numericRange(question) {
+    const tolerance = question.toleranceMode === 'percent'
+        ? Math.abs(question.correct) * (question.tolerance || 0) / 100
+        : (question.tolerance || 0);
+
+    return [question.correct - tolerance, question.correct + tolerance];
+}
+
+/**
+ * Text in the form typed answers are compared in (mirrors QuestionTypes::normalizeText)
+ */
+export function normalizeText(text, question = {}) {
+    let normalized = String(text).trim().replace(/\s+/g, ' ');
+
+    if (!question.caseSensitive) {
+        normalized = normalized.toLowerCase();
+    }
+    if (!question.accentSensitive) {
+        // Letters like ł or ø have no combining form, fold them by hand
+        normalized = normalized.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/ł/g, 'l').replace(/Ł/g, 'L')
+            .replace(/[øđ]/g, c => (c === 'ø' ? 'o' : 'd'))
+            .replace(/[ØĐ]/g, c => (c === 'Ø' ? 'O' : 'D'));
+    }
+
+    return normalized;
+}
+
+/**
+ * Levenshtein distance between two strings (in characters)
+ */
+export function textDistance(a, b) {
+    const left = [...a];
+    const right = [...b];
+
+    let previous = Array.from({ length: right.length + 1 }, (_, j) => j);
+    left.forEach((charA, i) => {
+        const current = [i + 1];
+        right.forEach((charB, j) => {
+            current.push(Math.min(previous[j + 1] + 1, current[j] + 1, previous[j] + (charA === charB ? 0 : 1)));
+        });
+        previous = current;
+    });
+
+    return previous[right.length];
+}
+
+/**
+ * Group typed answers by similarity for review: identical answers (after normalizing) form a
+ * variant, variants within a few typos of a variant in a group join that group
+ * @returns {Array<{variants: Array<{text, normalized, answers}>, count}>} Largest groups first
+ */
+export function groupTextAnswers(question, answers) {
+    const variants = new Map();
+    answers.forEach(answer => {
+        if (typeof answer.answer !== 'string') return;
+
+        const normalized = normalizeText(answer.answer, question);
+        if (!variants.has(normalized)) {
+            variants.set(normalized, { text: answer.answer, normalized, answers: [] });
+        }
+        variants.get(normalized).answers.push(answer);
+    });
+
+    const groups = [];
+    [...variants.values()]
+        .sort((a, b) => b.answers.length - a.answers.length)
+        .forEach(variant => {
+            // Allow about one typo per four characters to any variant already in the group
+            const maxDistance = Math.max(1, Math.floor(variant.normalized.length / 4));
+            const group = groups.find(g => g.variants.some(v => textDistance(v.normalized, variant.normalized) <= maxDistance));
+
+            if (group) {
+                group.variants.push(variant);
+                group.count += variant.answers.length;
+            } else {
+                groups.push({ variants: [variant], count: variant.answers.length });
+            }
+        });
+
+    return groups.sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Whether an answer (option index or list of indices) includes an option
+ */
+export function answerIncludes(answer, index) {
+    return Array.isArray(answer) ? answer.includes(index) : answer === index;
+}
+
+/**
+ * Whether an option is (one of) the correct ones
+ */
+export function isOptionCorrect(question, index) {
+    return answerIncludes(question.correct, index);
+}
+
+/**
+ * Readable form of an answer
+ */
+export function formatAnswer(question, answer) {
+    const options = question?.options || [];
+
+    if (typeof answer === 'string') {
+        return answer;
+    }
+
+    if (getQuestionType(question) === 'numeric') {
+        return `${answer} ${question.unit || ''}`.trim();
+    }
+
+    if (getQuestionType(question) === 'hotspot' && answer && typeof answer === 'object') {
+        return hitRegion(question, answer)?.label || `Point (${Math.round(answer.x)}, ${Math.round(answer.y)})`;
+    }
+
+    if (getQuestionType(question) === 'match' && Array.isArray(answer)) {
+        return answer.map((rightIndex, leftIndex) =>
+            `${options[leftIndex] ?? 'Unknown'} = ${question.right?.[rightIndex] ?? 'Unknown'}`
+        ).join(', ');
+    }
+
+    if (getQuestionType(question) === 'order' && Array.isArray(answer)) {
+        return answer.map(index => options[index] ?? 'Unknown').join(' → ');
+    }
+
+    if (Array.isArray(answer)) {
+        return answer.map(index => options[index] ?? 'Unknown').join(', ');
+    }
+
+    return options[answer] ?? 'Unknown';
+}
+
+/**
+ * Readable form of the correct answer
+ */
+export function formatCorrectAnswer(question) {
+    if (!isScoredQuestion(question)) {
+        return '';
+    }
+
+    if (getQuestionType(question) === 'text') {
+        return (question.accepted?.length ? question.accepted : question.patterns || []).join(' / ');
+    }
+
+    if (getQuestionType(question) === 'hotspot') {
+        // Named when every region has a label
+        const regions = question.regions || [];
+        return regions.length && regions.every(region => region.label)
+            ? regions.map(region => region.label).join(' / ')
+            : 'The marked area of the image';
+    }
+
+    if (getQuestionType(question) === 'numeric' && question.tolerance) {
+        return `${formatAnswer(question, question.correct)} (± ${formatTolerance(question)})`;
+    }
+
+    return formatAnswer(question, question?.correct);
+}
+
+/**
+ * Tolerance of a numeric question with its unit
+ */
+function formatTolerance(question) {
+    return question.toleranceMode === 'percent'
+        ? `${question.tolerance}%`
+        : `${question.tolerance} ${question.unit || ''}`.trim();
+}
+
+/**
+ * Short description of how a question is answered and scored (admin views)
+ */
+export function describeQuestionType(question) {
+    switch (getQuestionType(question)) {
+        case 'multi':
+            return `Select all that apply (${SCORING_LABELS[question.scoring || 'all-or-nothing']})`;
+        case 'order':
+            return `Put in order (${SCORING_LABELS[question.scoring || 'sequence']})`;
+        case 'match':
+            return `Match the pairs (${SCORING_LABELS[question.scoring || 'per-pair']})`;
+        case 'text': {
+            const rules = [
+                question.caseSensitive ? 'case-sensitive' : null,
+                question.accentSensitive ? 'accent-sensitive' : null,
+                question.tolerance ? `${question.tolerance} ${question.tolerance === 1 ? 'typo' : 'typos'} allowed` : null
+            ].filter(Boolean);
+            return `Typed answer${rules.length ? ` (${rules.join(', ')})` : ''}`;
+        }
+        case 'numeric':
+            return `Number (${question.tolerance ? `± ${formatTolerance(question)}` : 'exact'})`;
+        case 'hotspot':
+            return `Tap the image (${(question.regions || []).length} ${(question.regions || []).length === 1 ? 'area' : 'areas'})`;
+        case 'poll':
+            return 'Poll (not scored)';
+        case 'wordcloud':
+            return 'Word cloud (not scored)';
+    }
+
+    return 'Single choice';
+}
+
+/**
+ * Weight of a question in the summary
+ */
+export function getQuestionPoints(question) {
+    return question?.points ?? 1;
+}
+
+/**
+ * Class-wide weighted performance per tag and per learning objective (results tab), weakest
+ * topic first - the same figures as the player summary, with unanswered questions scoring 0
+ * @param {Array} questions
+ * @param {Array} answers - All answers ({playerId, question, score})
+ * @param {number} playerCount
+ * @returns {{tags: Array, objectives: Array}} - [{name, questions, points, earnedPoints, percentage}]
+ */
+export function summarizeTopics(questions, answers, playerCount) {
+    const tags = new Map();
+    const objectives = new Map();
+
+    const add = (groups, name, points, earned) => {
+        const group = groups.get(name) || { name, questions: 0, points: 0, earnedPoints: 0 };
+        group.questions++;
+        group.points += points;
+        group.earnedPoints += earned;
+        groups.set(name, group);
+    };
+
+    (questions || []).forEach((question, index) => {
+        if (!isScoredQuestion(question)) return;
+
+        const points = getQuestionPoints(question);
+        const score = (answers || [])
+            .filter(answer => answer.question === index)
+            .reduce((sum, answer) => sum + (answer.score ?? (answer.isCorrect ? 1 : 0)), 0);
+
+        (question.tags || []).forEach(tag => add(tags, tag.trim(), points * playerCount, score * points));
+        if (question.objective?.trim()) {
+            add(objectives, question.objective.trim(), points * playerCount, score * points);
+        }
+    });
+
+    const finish = groups => [...groups.values()]
+        .map(group => ({
+            ...group,
+            percentage: group.points > 0 ? Math.round(group.earnedPoints / group.points * 100) : 0
+        }))
+        .sort((a, b) => a.percentage - b.percentage || a.name.localeCompare(b.name));
+
+    return { tags: finish(tags), objectives: finish(objectives) };
+}
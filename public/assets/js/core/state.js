@@ -1,14 +1,29 @@
 /**
  * State Manager Module
- * Centralized state management with polling support
+ * Centralized state management with push (SSE) and polling support
+ * Updates arrive as full snapshots or as patches against the cached state (keyed on stateVersion)
+ * With a TabCoordinator only the leader tab fetches; follower tabs receive its states
  */
 
+import { applyPatch } from './patch.js';
+import { CancelledError } from './errors.js';
+import { ServerClock } from './clock.js';
+import { StateHistory } from './history.js';
+import { deepEqual } from './utils.js';
+
+// Selected value of a listener that has not seen a state yet
+const UNSELECTED = Symbol('unselected');
+
 export class StateManager {
     constructor(api, options = {}) {
         this.api = api;
         this.state = null;
         this.stateVersion = 0;
         this.listeners = [];
+        this.pendingNotification = null;
+
+        // Every received state, for the debug panel and exported traces
+        this.history = options.history || new StateHistory({ maxEntries: options.historySize || 200 });
         this.pollInterval = null;
         this.pollDelay = options.pollingInterval || 1500;
         this.autoStart = options.autoStart !== false;
@@ -17,6 +32,42 @@ export class StateManager {
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.isPolling = false;
+
+        // Push transport: 'auto' tries the SSE stream first and falls back to polling
+        this.transport = options.transport || 'auto';
+        this.streamUrl = options.streamUrl || 'stream.php';
+        this.streamParams = options.streamParams || null; // Object or function returning extra params (stream and state requests)
+        this.eventSource = null;
+        this.activeTransport = null; // 'sse' | 'polling' while running
+        this.streamFailures = 0;
+        this.maxStreamFailures = 3;
+
+        // Delta updates: a patch whose base is not our version triggers one full refetch
+        this.fullRefreshPending = false;
+
+        // Aborts in-flight state requests when updates are stopped
+        this.requestController = null;
+
+        // Server clock estimate; every state request is a sample, the SSE stream needs pings
+        this.clock = options.clock || new ServerClock();
+        this.clockSyncDelay = options.clockSyncInterval || 30000;
+        this.clockSyncInterval = null;
+
+        // Adaptive polling: the delay follows the game phase, errors and page visibility
+        this.activePhases = options.activePhases || ['question_shown', 'options_shown', 'self_paced'];
+        this.idlePhases = options.idlePhases || ['waiting', 'finished'];
+        this.maxIdleDelay = options.maxIdleDelay || 10000;
+        this.maxErrorDelay = options.maxErrorDelay || 30000;
+        this.idlePolls = 0; // Consecutive polls without a change
+        this.pollInFlight = false;
+        this.pollingMode = null; // 'fast' | 'normal' | 'idle' | 'backoff' | 'paused' | 'stream' | 'tab'
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+        // Multi-tab coordination (core/tabs.js)
+        this.coordinator = options.coordinator || null;
+        if (this.coordinator) {
+            this.attachCoordinator();
+        }
         
         // Auto start polling if configured
         if (this.autoStart && this.api) {
@@ -40,25 +91,71 @@ export class StateManager {
 
     /**
      * Fetch data from server using configured method
+     * @param {boolean} full - Request the full state instead of changes since our version
+     * @param {Object} options - Request options passed to the API client
+     */
+    async fetchData(full = false, options = {}) {
+        if (!this.requestController) {
+            this.requestController = new AbortController();
+        }
+
+        const sinceVersion = full || this.state === null ? 0 : this.stateVersion;
+        const requestOptions = { signal: this.requestController.signal, ...options };
+
+        const sentAt = Date.now();
+        const data = this.fetchMethod === 'getGameData' && this.api.getGameData
+            ? await this.api.getGameData(sinceVersion, requestOptions)
+            : await this.api.getGameState(sinceVersion, requestOptions, this.getExtraParams());
+
+        this.clock.addSample(sentAt, Date.now(), data?.serverTime);
+        return data;
+    }
+
+    /**
+     * Take clock samples with lightweight pings (used while updates arrive via SSE)
+     * @param {number} samples - Number of sequential pings
      */
-    async fetchData() {
-        if (this.fetchMethod === 'getGameData' && this.api.getGameData) {
-            return this.api.getGameData();
+    async syncClock(samples = 3) {
+        if (!this.api?.getServerTime) return;
+
+        for (let i = 0; i < samples; i++) {
+            try {
+                const sentAt = Date.now();
+                const result = await this.api.getServerTime();
+                this.clock.addSample(sentAt, Date.now(), result.serverTime);
+            } catch (error) {
+                console.warn('[StateManager] Clock sync failed:', error.message);
+                return;
+            }
         }
-        return this.api.getGameState();
+    }
+
+    /**
+     * Get the recorded state history
+     */
+    getHistory() {
+        return this.history;
+    }
+
+    /**
+     * Get the server clock estimate
+     */
+    getClock() {
+        return this.clock;
     }
 
     /**
      * Fetch fresh state from server
+     * @param {Object} options - { full: true } to skip delta updates
      */
-    async refresh() {
+    async refresh(options = {}) {
         if (!this.api) {
             console.warn('StateManager: No API client configured');
             return null;
         }
         
         try {
-            const data = await this.fetchData();
+            let data = await this.fetchData(!!options.full);
             
             console.log('[StateManager] Polling result:', {
                 method: this.fetchMethod,
@@ -69,6 +166,12 @@ export class StateManager {
             });
             
             if (data && data.success !== false) {
+                data = this.resolvePayload(data);
+                if (!data) {
+                    // Patch did not fit our cached state
+                    return this.refresh({ full: true });
+                }
+
                 const oldState = this.state;
                 this.state = data;
                 
@@ -87,12 +190,23 @@ export class StateManager {
             
             return null;
         } catch (error) {
+            if (error instanceof CancelledError) return null;
+
             console.error('StateManager refresh error:', error);
             this.reconnectAttempts++;
             throw error;
         }
     }
 
+    /**
+     * Forget the cached state without notifying listeners
+     * The next update is fetched in full (e.g. after showing a replayed state)
+     */
+    reset() {
+        this.state = null;
+        this.stateVersion = 0;
+    }
+
     /**
      * Update state and notify listeners
      */
@@ -108,29 +222,108 @@ export class StateManager {
     }
 
     /**
-     * Notify all listeners of state change
+     * Follow the tab coordinator: the leader fetches, followers take broadcast states
+     */
+    attachCoordinator() {
+        this.coordinator.on('state', (state) => {
+            if (this.isPolling && !this.coordinator.isLeader()) {
+                this.handleIncomingState(state);
+            }
+        });
+
+        this.coordinator.on('role', ({ role }) => {
+            if (!this.isPolling) return;
+
+            if (role === 'leader') {
+                this.startTransport();
+            } else {
+                this.stopTransport();
+                this.activeTransport = 'tab';
+                this.setPollingMode('tab');
+            }
+        });
+    }
+
+    /**
+     * Notify listeners of a state change
+     * Updates within one tick are batched into a single pass over the listeners
      */
     notifyListeners(newState, oldState) {
-        this.listeners.forEach(callback => {
+        this.history.record(newState, { source: this.activeTransport || 'refresh' });
+
+        if (this.pendingNotification) return;
+
+        this.pendingNotification = { oldState };
+        queueMicrotask(() => this.flushNotifications());
+    }
+
+    /**
+     * Run the batched notification pass against the latest state
+     */
+    flushNotifications() {
+        const { oldState } = this.pendingNotification;
+        this.pendingNotification = null;
+        const newState = this.state;
+
+        // Leader tab shares every state with its followers
+        if (this.coordinator?.isLeader()) {
+            this.coordinator.broadcastState(newState);
+        }
+
+        [...this.listeners].forEach(listener => {
             try {
-                callback(newState, oldState);
+                if (!listener.selector) {
+                    listener.callback(newState, oldState);
+                    return;
+                }
+
+                const value = this.select(listener.selector, newState);
+                const previous = listener.value;
+                if (previous !== UNSELECTED && listener.equalityFn(previous, value)) return;
+
+                listener.value = value;
+                listener.callback(value, previous === UNSELECTED ? undefined : previous, newState, oldState);
             } catch (error) {
                 console.error('State listener error:', error);
             }
         });
     }
 
+    /**
+     * Apply a selector, treating missing branches as undefined
+     */
+    select(selector, state) {
+        if (state === null) return UNSELECTED;
+
+        try {
+            return selector(state);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
     /**
      * Subscribe to state changes
-     * @param {Function} callback - Called with (newState, oldState)
+     *
+     * subscribe(callback) - called with (newState, oldState) on every change
+     * subscribe(selector, callback, equalityFn) - called with (slice, previousSlice, newState, oldState)
+     * only when the selected slice changed, e.g. subscribe(s => s.gameState.buzzers, renderBuzzers)
+     *
+     * @param {Function} selector - Selector, or the callback when used without one
+     * @param {Function} callback - Called when the selected slice changes
+     * @param {Function} equalityFn - Compares previous and new slice (default: deep equality)
      * @returns {Function} - Unsubscribe function
      */
-    subscribe(callback) {
-        this.listeners.push(callback);
+    subscribe(selector, callback = null, equalityFn = deepEqual) {
+        const listener = callback
+            ? { selector, callback, equalityFn, value: this.select(selector, this.state) }
+            : { selector: null, callback: selector };
+
+        this.listeners.push(listener);
         
         // Return unsubscribe function
         return () => {
-            const index = this.listeners.indexOf(callback);
+            const index = this.listeners.indexOf(listener);
             if (index > -1) {
                 this.listeners.splice(index, 1);
             }
@@ -141,70 +334,372 @@ export class StateManager {
      * Unsubscribe from state changes
      */
     unsubscribe(callback) {
-        const index = this.listeners.indexOf(callback);
+        const index = this.listeners.findIndex(listener => listener.callback === callback);
         if (index > -1) {
             this.listeners.splice(index, 1);
         }
     }
 
     /**
-     * Start polling for state updates
+     * Start receiving state updates
+     * Uses the SSE stream when available, otherwise the polling loop
      */
     startPolling() {
         if (this.isPolling) {
-            console.log('[StateManager] Polling already running');
+            console.log('[StateManager] Updates already running');
             return;
         }
-        
+
         this.isPolling = true;
-        console.log('[StateManager] Starting polling with interval:', this.pollDelay, 'ms');
-        
-        const poll = async () => {
-            if (!this.isPolling) return;
-            
+
+        // Follower tab (or election still running): states come from the leader tab
+        if (this.coordinator && !this.coordinator.isLeader()) {
+            this.activeTransport = 'tab';
+            this.setPollingMode('tab');
+            return;
+        }
+
+        this.startTransport();
+    }
+
+    /**
+     * Start the server transport for this tab
+     */
+    startTransport() {
+        if (this.canStream()) {
+            this.startStream();
+        } else {
+            this.startPollLoop();
+        }
+    }
+
+    /**
+     * Check whether the push transport can be used
+     */
+    canStream() {
+        return this.transport !== 'polling' &&
+            typeof window !== 'undefined' &&
+            typeof window.EventSource !== 'undefined' &&
+            !!this.streamUrl;
+    }
+
+    /**
+     * Extra params of the stream and state requests (e.g. the playerId), unset ones left out
+     */
+    getExtraParams() {
+        const extra = typeof this.streamParams === 'function' ? this.streamParams() : this.streamParams;
+        return Object.fromEntries(
+            Object.entries(extra || {}).filter(([, value]) => value !== null && value !== undefined)
+        );
+    }
+
+    /**
+     * Build stream URL for the configured view
+     */
+    buildStreamUrl() {
+        const params = new URLSearchParams({
+            view: this.fetchMethod === 'getGameData' ? 'admin' : 'player'
+        });
+
+        Object.entries(this.getExtraParams()).forEach(([key, value]) => params.set(key, value));
+
+        if (this.stateVersion) {
+            params.set('lastVersion', this.stateVersion);
+        }
+
+        const separator = this.streamUrl.includes('?') ? '&' : '?';
+        return `${this.streamUrl}${separator}${params.toString()}`;
+    }
+
+    /**
+     * Start the SSE stream (push updates keyed on stateVersion)
+     */
+    startStream() {
+        console.log('[StateManager] Starting SSE stream:', this.streamUrl);
+        this.activeTransport = 'sse';
+        this.setPollingMode('stream');
+
+        const source = new EventSource(this.buildStreamUrl());
+        this.eventSource = source;
+
+        // Pushed events carry no request timing, so keep the clock in sync separately
+        this.syncClock();
+        this.clockSyncInterval = setInterval(() => this.syncClock(1), this.clockSyncDelay);
+
+        source.addEventListener('open', () => {
+            this.streamFailures = 0;
+        });
+
+        source.addEventListener('state', (event) => {
             try {
-                const data = await this.fetchData();
-                
-                // Log every poll cycle
-                console.log('[StateManager] Poll cycle:', {
-                    method: this.fetchMethod,
-                    players: data?.players?.length || 0,
-                    phase: data?.gameState?.phase,
-                    serverVersion: data?.stateVersion,
-                    localVersion: this.stateVersion,
-                    versionChanged: data?.stateVersion !== this.stateVersion
-                });
-                
-                if (data && data.stateVersion !== undefined) {
-                    // Update if version changed OR if this is first fetch (state is null)
-                    if (this.state === null || data.stateVersion !== this.stateVersion) {
-                        console.log('[StateManager] State version changed, notifying listeners');
-                        const oldState = this.state;
-                        this.state = data;
-                        this.stateVersion = data.stateVersion;
-                        this.notifyListeners(data, oldState);
-                    }
-                    this.lastSuccessfulFetch = Date.now();
-                    this.reconnectAttempts = 0;
-                }
+                this.handleIncomingState(JSON.parse(event.data));
             } catch (error) {
-                console.error('Polling error:', error);
-                this.reconnectAttempts++;
-                
-                if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-                    console.warn('Max reconnect attempts reached');
-                    this.emit('connectionLost');
-                }
+                console.error('[StateManager] Invalid stream payload:', error);
             }
-            
-            // Schedule next poll
-            if (this.isPolling) {
-                this.pollInterval = setTimeout(poll, this.pollDelay);
+        });
+
+        // Server cannot hold long-lived connections (e.g. single-worker dev server)
+        source.addEventListener('unsupported', () => {
+            this.fallBackToPolling('stream not supported by server');
+        });
+
+        source.addEventListener('failure', (event) => {
+            console.error('[StateManager] Stream failure:', event.data);
+        });
+
+        // EventSource reconnects by itself after the server closes the stream;
+        // only give up after several consecutive failed connection attempts
+        source.onerror = () => {
+            if (this.eventSource !== source) return;
+
+            this.streamFailures++;
+            if (source.readyState === EventSource.CLOSED || this.streamFailures >= this.maxStreamFailures) {
+                this.fallBackToPolling('stream connection failed');
             }
         };
+    }
 
-        // Start polling
-        poll();
+    /**
+     * Close the SSE stream
+     */
+    stopStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+        if (this.clockSyncInterval) {
+            clearInterval(this.clockSyncInterval);
+            this.clockSyncInterval = null;
+        }
+    }
+
+    /**
+     * Switch from the stream to the polling loop
+     */
+    fallBackToPolling(reason) {
+        if (this.activeTransport !== 'sse') return;
+
+        console.warn('[StateManager] Falling back to polling:', reason);
+        this.stopStream();
+
+        if (this.isPolling) {
+            this.startPollLoop();
+        }
+    }
+
+    /**
+     * Turn a server response into a complete state
+     * Returns null when a patch cannot be applied (no cached state or version gap)
+     */
+    resolvePayload(data) {
+        if (data.unchanged) {
+            return this.state;
+        }
+
+        if (data.patch) {
+            if (this.state === null || data.baseVersion !== this.stateVersion) {
+                return null;
+            }
+            const { patch, baseVersion, ...fields } = data;
+            return { ...applyPatch(this.state, patch), ...fields };
+        }
+
+        return data;
+    }
+
+    /**
+     * Replace the cached state with a full snapshot (after a version gap)
+     */
+    requestFullState() {
+        if (this.fullRefreshPending) return;
+
+        console.log('[StateManager] Version gap, requesting full state');
+        this.fullRefreshPending = true;
+        this.refresh({ full: true })
+            .catch(error => console.error('[StateManager] Full state request failed:', error))
+            .finally(() => {
+                this.fullRefreshPending = false;
+            });
+    }
+
+    /**
+     * Apply a state payload received from any transport
+     * Listeners are only notified when the version changed (or on first state)
+     */
+    handleIncomingState(data) {
+        if (!data || data.stateVersion === undefined) return false;
+
+        this.lastSuccessfulFetch = Date.now();
+        this.reconnectAttempts = 0;
+
+        if (data.unchanged) return false;
+
+        // Already at this version (e.g. a refresh() got there before the stream)
+        if (data.patch && this.state !== null && data.stateVersion === this.stateVersion) {
+            return false;
+        }
+
+        data = this.resolvePayload(data);
+        if (!data) {
+            this.requestFullState();
+            return false;
+        }
+
+        // Update if version changed OR if this is first fetch (state is null)
+        if (this.state === null || data.stateVersion !== this.stateVersion) {
+            console.log('[StateManager] State version changed, notifying listeners');
+            const oldState = this.state;
+            this.state = data;
+            this.stateVersion = data.stateVersion;
+            this.notifyListeners(data, oldState);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Start the polling loop
+     */
+    startPollLoop() {
+        this.activeTransport = 'polling';
+        console.log('[StateManager] Starting adaptive polling, base interval:', this.pollDelay, 'ms');
+
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        }
+
+        this.poll();
+    }
+
+    /**
+     * Run one poll cycle and schedule the next
+     */
+    async poll() {
+        if (!this.isPolling || this.activeTransport !== 'polling') return;
+
+        clearTimeout(this.pollInterval);
+        this.pollInterval = null;
+        this.pollInFlight = true;
+
+        try {
+            // The loop itself retries, so a failed poll is not retried inside the API client
+            const data = await this.fetchData(false, { retryAttempts: 1 });
+            
+            // Log every poll cycle
+            console.log('[StateManager] Poll cycle:', {
+                method: this.fetchMethod,
+                players: data?.players?.length || 0,
+                phase: data?.gameState?.phase,
+                serverVersion: data?.stateVersion,
+                localVersion: this.stateVersion,
+                versionChanged: data?.stateVersion !== this.stateVersion,
+                update: data?.unchanged ? 'unchanged' : (data?.patch ? `patch (${data.patch.length} ops)` : 'full')
+            });
+            
+            const changed = this.handleIncomingState(data);
+            this.idlePolls = changed ? 0 : this.idlePolls + 1;
+        } catch (error) {
+            if (error instanceof CancelledError) return;
+
+            console.error('Polling error:', error);
+            this.reconnectAttempts++;
+            
+            if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+                console.warn('Max reconnect attempts reached');
+                this.emit('connectionLost');
+            }
+        } finally {
+            this.pollInFlight = false;
+        }
+
+        this.scheduleNextPoll();
+    }
+
+    /**
+     * Schedule the next poll cycle (nothing while the page is hidden)
+     */
+    scheduleNextPoll() {
+        if (!this.isPolling || this.activeTransport !== 'polling') return;
+
+        clearTimeout(this.pollInterval);
+        this.pollInterval = null;
+
+        if (this.isPageHidden()) {
+            this.setPollingMode('paused');
+            return;
+        }
+
+        const { mode, delay } = this.getNextPoll();
+        this.setPollingMode(mode, delay);
+        this.pollInterval = setTimeout(() => this.poll(), delay);
+    }
+
+    /**
+     * Pick the polling mode and delay for the next cycle
+     * @returns {{mode: string, delay: number}}
+     */
+    getNextPoll() {
+        // Failed polls: exponential backoff
+        if (this.reconnectAttempts > 0) {
+            const delay = Math.min(this.pollDelay * 2 ** this.reconnectAttempts, this.maxErrorDelay);
+            return { mode: 'backoff', delay: this.withJitter(delay) };
+        }
+
+        const phase = this.state?.gameState?.phase;
+
+        if (this.activePhases.includes(phase)) {
+            return { mode: 'fast', delay: this.pollDelay };
+        }
+
+        // Nothing happens until the teacher acts: slow down while nothing changes
+        if (this.idlePhases.includes(phase)) {
+            const delay = Math.min(this.pollDelay * 2 * 2 ** Math.min(this.idlePolls, 10), this.maxIdleDelay);
+            return { mode: 'idle', delay: this.withJitter(delay) };
+        }
+
+        return { mode: 'normal', delay: this.pollDelay * 2 };
+    }
+
+    /**
+     * Spread a delay by ±20% so clients do not poll in lockstep
+     */
+    withJitter(delay) {
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Check whether the page is in a background tab
+     */
+    isPageHidden() {
+        return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+    }
+
+    /**
+     * Pause polling while hidden, refresh immediately when visible again
+     */
+    handleVisibilityChange() {
+        if (this.activeTransport !== 'polling') return;
+
+        if (this.isPageHidden()) {
+            clearTimeout(this.pollInterval);
+            this.pollInterval = null;
+            this.setPollingMode('paused');
+        } else if (!this.pollInFlight) {
+            this.idlePolls = 0;
+            this.poll();
+        }
+    }
+
+    /**
+     * Update the polling mode and emit `pollingMode` ({ mode, delay }) on change
+     * Backoff is emitted on every cycle so the retry delay can be shown
+     */
+    setPollingMode(mode, delay = null) {
+        if (mode === this.pollingMode && mode !== 'backoff') return;
+
+        this.pollingMode = mode;
+        this.emit('pollingMode', { mode, delay });
     }
 
     /**
@@ -212,10 +707,27 @@ export class StateManager {
      */
     stopPolling() {
         this.isPolling = false;
+        this.stopTransport();
+    }
+
+    /**
+     * Stop the server transport (stream, poll loop and in-flight requests)
+     */
+    stopTransport() {
+        this.activeTransport = null;
+        this.pollingMode = null;
+        this.stopStream();
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        }
         if (this.pollInterval) {
             clearTimeout(this.pollInterval);
             this.pollInterval = null;
         }
+        if (this.requestController) {
+            this.requestController.abort();
+            this.requestController = null;
+        }
     }
 
     /**
@@ -232,6 +744,20 @@ export class StateManager {
         return this.isPolling;
     }
 
+    /**
+     * Get the current polling mode (see setPollingMode)
+     */
+    getPollingMode() {
+        return this.pollingMode;
+    }
+
+    /**
+     * Get the transport currently delivering updates ('sse' | 'polling' | 'tab' | null)
+     */
+    getTransport() {
+        return this.activeTransport;
+    }
+
     /**
      * Get time since last successful fetch
      */
@@ -0,0 +1,270 @@
+/**
+ * Tab Coordinator Module
+ * Elects a single leader among the open tabs of this browser via BroadcastChannel
+ *
+ * Only the leader talks to the server; it broadcasts every state it receives so
+ * follower tabs can render without a poll loop of their own.
+ *
+ * Election uses terms: a claim with a higher term wins, equal terms are settled by
+ * the lower tabId. A follower claims leadership when the leader's heartbeats stop,
+ * when the leader tab closes (resign) or explicitly through takeOver().
+ *
+ * Events (window): tabs:role { role }, tabs:state (state), tabs:identity (identity)
+ */
+
+import { generateId } from './utils.js';
+
+export class TabCoordinator {
+    constructor(options = {}) {
+        this.options = {
+            channelName: 'quizzera-tabs',
+            heartbeatInterval: 1000,
+            leaderTimeout: 3500,  // Follower claims leadership after this long without a heartbeat
+            electionDelay: 300,   // Time an existing leader has to answer a new tab
+            ...options
+        };
+
+        this.tabId = generateId();
+        this.channel = null;
+        this.role = null; // 'leader' | 'follower', null until the first election settled
+        this.term = 0;
+        this.leaderId = null;
+        this.lastHeartbeat = 0;
+        this.lastState = null;
+        this.heartbeatTimer = null;
+        this.electionTimer = null;
+
+        this.readyPromise = new Promise(resolve => {
+            this.resolveReady = resolve;
+        });
+
+        this.handleUnload = this.handleUnload.bind(this);
+    }
+
+    /**
+     * Join the other tabs and start the election
+     */
+    init() {
+        if (typeof BroadcastChannel === 'undefined') {
+            // No way to reach other tabs - this tab does everything itself
+            this.setRole('leader');
+            return;
+        }
+
+        this.channel = new BroadcastChannel(this.options.channelName);
+        this.channel.onmessage = (event) => this.handleMessage(event.data || {});
+        window.addEventListener('pagehide', this.handleUnload);
+
+        // An existing leader answers with a heartbeat; otherwise claim leadership
+        this.post('hello');
+        this.electionTimer = setTimeout(() => {
+            this.electionTimer = null;
+            if (this.role === null) {
+                this.claim();
+            }
+        }, this.options.electionDelay);
+
+        this.heartbeatTimer = setInterval(() => this.tick(), this.options.heartbeatInterval);
+    }
+
+    /**
+     * Resolves once this tab knows whether it is leader or follower
+     */
+    ready() {
+        return this.readyPromise;
+    }
+
+    /**
+     * Check whether this tab is the leader
+     */
+    isLeader() {
+        return this.role === 'leader';
+    }
+
+    /**
+     * Get current role ('leader' | 'follower' | null)
+     */
+    getRole() {
+        return this.role;
+    }
+
+    /**
+     * Become leader on the user's request (the old leader steps down)
+     */
+    takeOver() {
+        console.log('[TabCoordinator] Taking over from', this.leaderId);
+        this.claim();
+    }
+
+    /**
+     * Share a state with follower tabs (leader only)
+     */
+    broadcastState(state) {
+        if (!this.isLeader()) return;
+
+        this.lastState = state;
+        this.post('state', { state });
+    }
+
+    /**
+     * Tell other tabs that the player logged in ({ playerId, nickname }) or out (null)
+     */
+    broadcastIdentity(identity) {
+        this.post('identity', { identity });
+    }
+
+    /**
+     * Periodic heartbeat (leader) or leader liveness check (follower)
+     */
+    tick() {
+        if (this.isLeader()) {
+            this.post('heartbeat');
+        } else if (this.role === 'follower' && Date.now() - this.lastHeartbeat > this.options.leaderTimeout) {
+            console.log('[TabCoordinator] Leader tab stopped responding');
+            this.claim();
+        }
+    }
+
+    /**
+     * Claim leadership with a new term
+     */
+    claim() {
+        this.term++;
+        this.leaderId = this.tabId;
+        this.setRole('leader');
+        this.post('heartbeat');
+    }
+
+    /**
+     * Handle a message from another tab
+     */
+    handleMessage(message) {
+        if (message.tabId === this.tabId) return;
+
+        switch (message.type) {
+            case 'hello':
+                // New tab: announce ourselves and hand over the current state
+                if (this.isLeader()) {
+                    this.post('heartbeat');
+                    if (this.lastState) {
+                        this.post('state', { state: this.lastState });
+                    }
+                }
+                break;
+
+            case 'heartbeat':
+                this.handleHeartbeat(message);
+                break;
+
+            case 'resign':
+                if (message.tabId === this.leaderId) {
+                    this.claim();
+                }
+                break;
+
+            case 'state':
+                if (!this.isLeader() && message.tabId === this.leaderId) {
+                    this.emit('state', message.state);
+                }
+                break;
+
+            case 'identity':
+                this.emit('identity', message.identity);
+                break;
+        }
+    }
+
+    /**
+     * Follow the sender when its claim outranks ours
+     */
+    handleHeartbeat(message) {
+        const outranks = message.term > this.term ||
+            (message.term === this.term && message.tabId < this.tabId);
+
+        if (this.isLeader() && !outranks) {
+            // Competing leader with a weaker claim - it steps down when it hears us
+            this.post('heartbeat');
+            return;
+        }
+
+        if (message.term < this.term) return;
+
+        this.term = message.term;
+        this.leaderId = message.tabId;
+        this.lastHeartbeat = Date.now();
+        this.setRole('follower');
+    }
+
+    /**
+     * Update role and notify listeners on change
+     */
+    setRole(role) {
+        if (this.electionTimer) {
+            clearTimeout(this.electionTimer);
+            this.electionTimer = null;
+        }
+
+        if (role === this.role) return;
+
+        console.log('[TabCoordinator] Role:', role);
+        this.role = role;
+        if (role === 'follower') {
+            this.lastState = null;
+        }
+        this.resolveReady(role);
+        this.emit('role', { role });
+    }
+
+    /**
+     * Hand leadership to another tab when this one closes
+     */
+    handleUnload() {
+        if (this.isLeader()) {
+            this.post('resign');
+        }
+    }
+
+    /**
+     * Send a message to the other tabs
+     */
+    post(type, data = {}) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage({ type, tabId: this.tabId, term: this.term, ...data });
+        } catch (error) {
+            console.error('[TabCoordinator] Broadcast failed:', error);
+        }
+    }
+
+    /**
+     * Emit custom event
+     */
+    emit(eventName, data = null) {
+        window.dispatchEvent(new CustomEvent(`tabs:${eventName}`, { detail: data }));
+    }
+
+    /**
+     * Listen for custom events
+     */
+    on(eventName, callback) {
+        const handler = (e) => callback(e.detail);
+        window.addEventListener(`tabs:${eventName}`, handler);
+        return () => window.removeEventListener(`tabs:${eventName}`, handler);
+    }
+
+    /**
+     * Leave the group (hands leadership to another tab)
+     */
+    destroy() {
+        this.handleUnload();
+        clearInterval(this.heartbeatTimer);
+        clearTimeout(this.electionTimer);
+        window.removeEventListener('pagehide', this.handleUnload);
+
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
@@ -152,6 +152,20 @@ export function deepClone(obj) {
     return JSON.parse(JSON.stringify(obj));
 }
 
+/**
+ * Check if values are equal (deep, for plain JSON data)
+ */
+export function deepEqual(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+
+    return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
 /**
  * Check if objects are equal (shallow)
  */
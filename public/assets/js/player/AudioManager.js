@@ -112,6 +112,13 @@ export class AudioManager {
         this.play('incorrect');
     }
 
+    /**
+     * Play countdown tick (last seconds of the answer timer)
+     */
+    playTick() {
+        this.play('tick');
+    }
+
     /**
      * Enable/disable sounds
      */
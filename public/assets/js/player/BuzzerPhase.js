@@ -5,6 +5,7 @@
 
 import { api as defaultApi } from '../core/api.js';
 import { showError } from '../components/MessageSystem.js';
+import { ConflictError, getErrorMessage } from '../core/errors.js';
 
 export class BuzzerPhase {
     constructor(options = {}) {
@@ -12,6 +13,9 @@ export class BuzzerPhase {
             buttonId: 'buzzerBtn',
             containerId: 'buzzerPhase',
             onBuzzed: null,
+            onEliminated: null,     // The server refused the buzz because the player is out
+            getQuestionIndex: null, // Sent with the buzz so stale offline replays are rejected
+            clock: null,            // ServerClock for latency-compensated press timestamps
             debounceMs: 500,
             ...options
         };
@@ -24,6 +28,7 @@ export class BuzzerPhase {
         this.playerId = null;
         this.lastBuzzTime = 0;
         this.hasBuzzed = false;
+        this.isQueued = false;
     }
 
     init() {
@@ -39,6 +44,10 @@ export class BuzzerPhase {
                 this.pressBuzzer();
             });
         }
+
+        // Buzzes queued while offline are answered later by the outbox
+        window.addEventListener('outbox:replayed', (e) => this.handleReplayed(e.detail.entry, e.detail.result, e.detail.error));
+        window.addEventListener('outbox:expired', (e) => this.handleExpired(e.detail.entry));
     }
 
     /**
@@ -52,6 +61,9 @@ export class BuzzerPhase {
      * Press the buzzer
      */
     async pressBuzzer() {
+        // Stamp the press first, on the server clock, before anything else takes time
+        const timing = this.getPressTiming();
+
         // Resolve player ID from option if not set directly
         if (!this.playerId && this.options.getPlayerId) {
             this.playerId = this.options.getPlayerId();
@@ -75,36 +87,109 @@ export class BuzzerPhase {
             this.button.disabled = true;
         }
 
-        try {
-            const result = await this.api.pressBuzzer(this.playerId);
+        const questionIndex = this.options.getQuestionIndex ? this.options.getQuestionIndex() : null;
 
-            if (result.success) {
-                this.hasBuzzed = true;
+        try {
+            const result = await this.api.pressBuzzer(this.playerId, questionIndex, timing);
 
-                if (this.options.onBuzzed) {
-                    this.options.onBuzzed(result);
-                }
-            } else {
-                // Re-enable button on failure
-                if (this.button) {
-                    this.button.disabled = false;
-                    this.button.classList.remove('pressed');
-                }
+            this.hasBuzzed = true;
 
-                if (result.error && result.error !== 'Already buzzed') {
-                    showError(result.error);
-                }
+            if (result.queued) {
+                this.setQueued(true);
+            } else if (this.options.onBuzzed) {
+                this.options.onBuzzed(result);
             }
         } catch (error) {
             console.error('Buzzer error:', error);
 
+            if (error instanceof ConflictError && error.code === 'already_buzzed') {
+                this.hasBuzzed = true;
+                return;
+            }
+
+            // Out of the game (elimination mode): the button stays locked until the spectator screen
+            if (error instanceof ConflictError && error.code === 'eliminated') {
+                this.hasBuzzed = true;
+                showError(getErrorMessage(error, 'You have been eliminated'));
+                if (this.options.onEliminated) {
+                    this.options.onEliminated(error);
+                }
+                return;
+            }
+
+            // Re-enable button on failure
             if (this.button) {
                 this.button.disabled = false;
                 this.button.classList.remove('pressed');
             }
+
+            showError(getErrorMessage(error, 'Failed to buzz'));
         }
     }
 
+    /**
+     * Press time on the server clock plus the measured round trip, if the clock is synced
+     */
+    getPressTiming() {
+        const clock = this.options.clock;
+        if (!clock || !clock.isSynced()) return {};
+
+        return {
+            pressedAt: Math.round(clock.now()),
+            rtt: Math.round(clock.getRtt())
+        };
+    }
+
+    /**
+     * Show or clear the "queued" state while the buzz waits in the outbox
+     */
+    setQueued(queued) {
+        this.isQueued = queued;
+
+        if (!this.button) return;
+
+        this.button.classList.toggle('queued', queued);
+        if (queued) {
+            this.button.disabled = true;
+            this.button.textContent = 'Queued…';
+            this.button.title = 'Offline - your buzz will be sent when the connection is back';
+        } else {
+            this.button.removeAttribute('title');
+        }
+    }
+
+    /**
+     * A queued buzz reached the server
+     */
+    handleReplayed(entry, result, error) {
+        if (entry.action !== 'pressBuzzer' || entry.data.playerId !== this.playerId) return;
+
+        this.setQueued(false);
+
+        if (!error) {
+            if (this.button) {
+                this.button.textContent = 'Buzzed!';
+            }
+            if (this.options.onBuzzed) {
+                this.options.onBuzzed(result);
+            }
+        } else if (error.code === 'question_changed') {
+            showError('Your buzz arrived after the question changed');
+        } else if (error.code !== 'already_buzzed') {
+            showError(getErrorMessage(error, 'Failed to buzz'));
+        }
+    }
+
+    /**
+     * A queued buzz was too old to send
+     */
+    handleExpired(entry) {
+        if (entry.action !== 'pressBuzzer' || entry.data.playerId !== this.playerId) return;
+
+        this.setQueued(false);
+        showError('Your buzz could not be sent');
+    }
+
     /**
      * Show buzzer phase UI
      */
@@ -145,6 +230,7 @@ export class BuzzerPhase {
     reset() {
         this.hasBuzzed = false;
         this.lastBuzzTime = 0;
+        this.setQueued(false);
 
         if (this.button) {
             this.button.disabled = false;
@@ -3,12 +3,17 @@
  * Handles quiz completion screen with results and PDF downloads
  */
 
+import { formatCorrectAnswer, getQuestionType, isScoredQuestion } from '../core/questions.js';
+import { renderTopicBreakdown } from '../components/TopicBreakdown.js';
+
 export class EndScreen {
     constructor(options = {}) {
         this.options = {
             containerSelector: '#endScreen',
             performanceSelector: '#performanceStats',
             breakdownSelector: '#questionBreakdown',
+            topicSummarySelector: '#topicSummary',
+            topicBreakdownSelector: '#topicBreakdown',
             downloadVocabBtn: '#downloadVocabularyBtn',
             downloadNotesBtn: '#downloadNotesBtn',
             newQuizBtn: '#newQuizBtn',
@@ -115,6 +120,7 @@ export class EndScreen {
         if (!this.summary) return;
 
         this.renderPerformanceStats();
+        this.renderTopicBreakdown();
         this.renderQuestionBreakdown();
     }
 
@@ -125,8 +131,19 @@ export class EndScreen {
         const statsEl = document.querySelector(this.options.performanceSelector);
         if (!statsEl || !this.summary) return;
 
-        const { correctAnswers = 0, incorrectAnswers = 0, totalQuestions = 0, answeredQuestions = 0 } = this.summary;
-        const percentage = totalQuestions > 0 ? Math.round((correctAnswers / totalQuestions) * 100) : 0;
+        const { correctAnswers = 0, totalQuestions = 0, answeredQuestions = 0 } = this.summary;
+        // Game points and final rank (speed, streaks - see ScoringEngine)
+        const { gameScore = 0, rank = null, playerCount = 0 } = this.summary;
+        // Team result in team mode
+        const { team = null } = this.summary;
+        // Oral answers judged in the buzzer round
+        const { oralAnswers = {} } = this.summary;
+        const oralCount = (oralAnswers.correct || 0) + (oralAnswers.wrong || 0) + (oralAnswers.pass || 0);
+        // Partial credit (multi-select questions) counts towards the percentage, weighted by the
+        // points of each question
+        const { totalPoints = totalQuestions } = this.summary;
+        const earnedPoints = this.summary.earnedPoints ?? this.summary.totalScore ?? correctAnswers;
+        const percentage = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 0;
 
         // Determine grade/emoji
         let grade = '';
@@ -150,6 +167,24 @@ export class EndScreen {
                     <div class="stat-value">${answeredQuestions}</div>
                     <div class="stat-label">Questions Answered</div>
                 </div>
+                ${rank ? `
+                <div class="stat-card primary">
+                    <div class="stat-value">#${rank}</div>
+                    <div class="stat-label">${gameScore} points (of ${playerCount} players)</div>
+                </div>
+                ` : ''}
+                ${oralCount ? `
+                <div class="stat-card info">
+                    <div class="stat-value">${oralAnswers.correct || 0}/${oralCount}</div>
+                    <div class="stat-label">Oral answers correct</div>
+                </div>
+                ` : ''}
+                ${team ? `
+                <div class="stat-card team" style="--team-color: ${this.escapeHtml(team.color)}">
+                    <div class="stat-value">#${team.rank}</div>
+                    <div class="stat-label">${this.escapeHtml(team.name)}: ${team.score} points (of ${team.teamCount} teams)</div>
+                </div>
+                ` : ''}
                 <div class="stat-card ${gradeClass}">
                     <div class="stat-value grade">${grade}</div>
                 </div>
@@ -157,6 +192,54 @@ export class EndScreen {
         `;
     }
 
+    /**
+     * Render the performance per tag and learning objective (hidden when the questions have none)
+     */
+    renderTopicBreakdown() {
+        const sectionEl = document.querySelector(this.options.topicSummarySelector);
+        const topicsEl = document.querySelector(this.options.topicBreakdownSelector);
+        if (!sectionEl || !topicsEl || !this.summary) return;
+
+        const html = renderTopicBreakdown({
+            tags: this.summary.tagBreakdown || [],
+            objectives: this.summary.objectiveBreakdown || []
+        });
+
+        topicsEl.innerHTML = html;
+        sectionEl.classList.toggle('hidden', !html);
+    }
+
+    /**
+     * Tags, difficulty and points of a breakdown item
+     */
+    renderItemMeta(item) {
+        const tags = item.tags || [];
+        const showPoints = item.scored !== false && item.points !== undefined && item.points !== 1;
+        if (tags.length === 0 && !item.difficulty && !showPoints) return '';
+
+        return `
+            <div class="breakdown-meta">
+                ${tags.map(tag => `<span class="breakdown-tag">${this.escapeHtml(tag)}</span>`).join('')}
+                ${item.difficulty ? `<span class="breakdown-tag">${this.escapeHtml(item.difficulty)}</span>` : ''}
+                ${showPoints ? `<span class="breakdown-points">${item.earnedPoints}/${item.points} points</span>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Verdict and points of the player's oral answer in the buzzer round
+     */
+    renderOralAnswer(item) {
+        const labels = { correct: 'Correct', wrong: 'Wrong', pass: 'Passed' };
+        const points = item.oralPoints ? ` (${item.oralPoints > 0 ? '+' : ''}${item.oralPoints} points)` : '';
+
+        return `
+            <div class="oral-answer ${item.oral}">
+                <strong>Oral answer:</strong> ${labels[item.oral] || this.escapeHtml(item.oral)}${points}
+            </div>
+        `;
+    }
+
     /**
      * Render question-by-question breakdown
      */
@@ -167,9 +250,16 @@ export class EndScreen {
         let html = '<div class="breakdown-list">';
 
         this.summary.questionBreakdown.forEach((item, index) => {
+            // Polls and word clouds have no correct answer
+            const isScored = item.scored !== false;
             const isCorrect = item.isCorrect;
-            const statusClass = isCorrect ? 'correct' : 'incorrect';
-            const statusIcon = isCorrect ? 'fa-check-circle' : 'fa-times-circle';
+            const isPartial = isScored && !isCorrect && item.score > 0;
+            let statusClass = isCorrect ? 'correct' : (isPartial ? 'partial' : 'incorrect');
+            let statusIcon = isCorrect ? 'fa-check-circle' : (isPartial ? 'fa-adjust' : 'fa-times-circle');
+            if (!isScored) {
+                statusClass = 'unscored';
+                statusIcon = 'fa-comment';
+            }
             
             html += `
                 <div class="breakdown-item ${statusClass}">
@@ -177,14 +267,17 @@ export class EndScreen {
                         <span class="breakdown-number">Q${index + 1}</span>
                         <span class="breakdown-status">
                             <i class="fas ${statusIcon}"></i>
+                            ${isPartial ? `${Math.round(item.score * 100)}%` : ''}
                         </span>
                     </div>
+                    ${this.renderItemMeta(item)}
                     <div class="breakdown-question">${this.escapeHtml(item.question)}</div>
                     <div class="breakdown-answers">
                         <div class="your-answer ${statusClass}">
                             <strong>Your answer:</strong> ${this.escapeHtml(item.playerAnswer)}
                         </div>
-                        ${!isCorrect ? `
+                        ${item.oral ? this.renderOralAnswer(item) : ''}
+                        ${isScored && !isCorrect ? `
                         <div class="correct-answer">
                             <strong>Correct:</strong> ${this.escapeHtml(item.correctAnswer)}
                         </div>
@@ -232,11 +325,13 @@ export class EndScreen {
             `;
 
             questions.forEach((q, index) => {
+                if (!isScoredQuestion(q)) return;
+
                 vocabContent += `
                     <div class="vocab-item">
                         <h3>Question ${index + 1}</h3>
                         <p class="vocab-question">${this.escapeHtml(q.question)}</p>
-                        <p class="vocab-answer"><strong>Answer:</strong> ${this.escapeHtml(q.options[q.correct])}</p>
+                        ${this.renderVocabAnswer(q)}
                         ${q.explanation ? `<p class="vocab-explanation"><em>${this.escapeHtml(q.explanation)}</em></p>` : ''}
                     </div>
                 `;
@@ -249,6 +344,26 @@ export class EndScreen {
         }
     }
 
+    /**
+     * Correct answer of a vocabulary item (matching questions list their pairs as a word table)
+     */
+    renderVocabAnswer(q) {
+        if (getQuestionType(q) === 'match') {
+            return `
+                <table class="vocab-pairs">
+                    ${q.options.map((left, index) => `
+                        <tr>
+                            <td>${this.escapeHtml(left)}</td>
+                            <td>${this.escapeHtml(q.right?.[q.correct[index]] ?? '')}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            `;
+        }
+
+        return `<p class="vocab-answer"><strong>Answer:</strong> ${this.escapeHtml(formatCorrectAnswer(q))}</p>`;
+    }
+
     /**
      * Download notes as PDF
      */
@@ -384,6 +499,20 @@ export class EndScreen {
             color: #059669;
         }
         
+        .vocab-pairs {
+            border-collapse: collapse;
+            margin-bottom: 8px;
+        }
+        
+        .vocab-pairs td {
+            padding: 4px 12px 4px 0;
+            border-bottom: 1px solid #e2e8f0;
+        }
+        
+        .vocab-pairs td:last-child {
+            color: #059669;
+        }
+        
         .vocab-explanation {
             color: #666;
             font-size: 10pt;
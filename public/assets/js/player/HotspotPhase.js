@@ -0,0 +1,50 @@
+/**
+ * Player Hotspot Phase Module
+ * Renders hotspot questions: tap the image to place a pin, tap again to move it
+ * OptionsPhase owns the answer (the pin, {x, y} in image pixels) and submits it on confirm
+ */
+
+import { hitRegion } from '../core/questions.js';
+import { hotspotImage } from '../components/HotspotImage.js';
+
+export class HotspotPhase {
+    constructor(options = {}) {
+        this.options = {
+            onChange: null, // Called with the new pin after every tap
+            ...options
+        };
+    }
+
+    /**
+     * Render the image with the pin
+     * @param {Object} state - { locked, isQueued, reveal } - on reveal the regions are shown and the pin is marked
+     */
+    render(question, point, { locked = false, isQueued = false, reveal = false } = {}) {
+        let status = isQueued ? 'queued' : '';
+        if (reveal && point) {
+            status = hitRegion(question, point) ? 'correct' : 'incorrect';
+        }
+
+        return hotspotImage.render(question, {
+            regions: reveal,
+            points: point ? [{ ...point, status }] : [],
+            tappable: !locked
+        });
+    }
+
+    /**
+     * Size the overlay and (unless locked) attach the tap handler
+     */
+    bind(container, locked = false) {
+        hotspotImage.fit(container);
+        if (locked) return;
+
+        const wrapper = container.querySelector('.hotspot-image');
+        wrapper?.addEventListener('click', (e) => {
+            const point = hotspotImage.pointFromEvent(wrapper, e);
+            if (point && this.options.onChange) {
+                this.options.onChange(point);
+            }
+        });
+    }
+}
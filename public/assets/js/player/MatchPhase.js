@@ -0,0 +1,134 @@
+/**
+ * Player Match Phase Module
+ * Renders matching questions: tap a term in one column, then its partner in the other
+ * Pairs are kept as a list with the right index connected to each left index (null = open),
+ * OptionsPhase owns the answer and submits it once every term is connected
+ */
+
+import { escapeHtml } from '../core/utils.js';
+
+export class MatchPhase {
+    constructor(options = {}) {
+        this.options = {
+            onChange: null, // Called with the new pairs list after every connection
+            colors: 6, // Number of .match-pair-N colour classes
+            ...options
+        };
+
+        this.pairs = [];
+        this.selected = null; // { side: 'left'|'right', index } waiting for its partner
+    }
+
+    /**
+     * Empty pairs list for a question
+     */
+    createPairs(question) {
+        return question.options.map(() => null);
+    }
+
+    /**
+     * Whether every left term is connected
+     */
+    isComplete(pairs) {
+        return Array.isArray(pairs) && pairs.length > 0 && pairs.every(rightIndex => Number.isInteger(rightIndex));
+    }
+
+    /**
+     * Render both columns
+     * @param {Object} state - { locked, isQueued, correct } - correct pairs are marked when given
+     */
+    render(question, pairs, { locked = false, isQueued = false, correct = null } = {}) {
+        this.pairs = Array.isArray(pairs) ? pairs : this.createPairs(question);
+        if (locked) {
+            this.selected = null;
+        }
+
+        const leftItems = question.options.map((term, leftIndex) =>
+            this.renderItem('left', leftIndex, term, this.pairs[leftIndex] ?? null, leftIndex, { locked, isQueued, correct })
+        ).join('');
+
+        const rightItems = (question.right || []).map((term, rightIndex) => {
+            const leftIndex = this.pairs.indexOf(rightIndex);
+            return this.renderItem('right', rightIndex, term, leftIndex === -1 ? null : leftIndex, leftIndex, { locked, isQueued, correct });
+        }).join('');
+
+        return `
+            <div class="match-columns">
+                <div class="match-column">${leftItems}</div>
+                <div class="match-column">${rightItems}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one term; connected terms share the number and colour of their pair
+     */
+    renderItem(side, index, term, partner, leftIndex, { locked, isQueued, correct }) {
+        const isPaired = partner !== null;
+        const isSelected = this.selected?.side === side && this.selected.index === index;
+
+        let classes = `match-item match-${side}`;
+        if (isPaired) classes += ` paired match-pair-${leftIndex % this.options.colors}`;
+        if (isSelected) classes += ' active';
+        if (isPaired && isQueued) classes += ' queued';
+        if (isPaired && correct) {
+            const rightIndex = side === 'left' ? partner : index;
+            classes += correct[leftIndex] === rightIndex ? ' correct-answer' : ' incorrect';
+        }
+
+        return `
+            <button class="${classes}" data-side="${side}" data-index="${index}"
+                    aria-pressed="${isSelected}" ${locked ? 'disabled' : ''}>
+                <span class="match-badge">${isPaired ? leftIndex + 1 : ''}</span>
+                <span class="match-text">${escapeHtml(term)}</span>
+            </button>
+        `;
+    }
+
+    /**
+     * Attach tap handlers to rendered columns
+     */
+    bind(container) {
+        container.querySelectorAll('.match-item').forEach(item => {
+            item.addEventListener('click', () => this.tap(item.dataset.side, parseInt(item.dataset.index, 10)));
+        });
+    }
+
+    /**
+     * Tap a term: connect it to the term waiting in the other column, or select it
+     * Tapping a connected term breaks its pair so it can be matched again
+     */
+    tap(side, index) {
+        const pairs = [...this.pairs];
+
+        if (this.selected && this.selected.side !== side) {
+            const leftIndex = side === 'left' ? index : this.selected.index;
+            const rightIndex = side === 'right' ? index : this.selected.index;
+
+            // Each term belongs to one pair only
+            const previous = pairs.indexOf(rightIndex);
+            if (previous !== -1) pairs[previous] = null;
+            pairs[leftIndex] = rightIndex;
+            this.selected = null;
+        } else if (this.selected?.index === index) {
+            this.selected = null;
+        } else {
+            const leftIndex = side === 'left' ? index : pairs.indexOf(index);
+            if (leftIndex !== -1) pairs[leftIndex] = null;
+            this.selected = { side, index };
+        }
+
+        this.pairs = pairs;
+        if (this.options.onChange) {
+            this.options.onChange(pairs);
+        }
+    }
+
+    /**
+     * Forget the pending selection (new question)
+     */
+    reset() {
+        this.pairs = [];
+        this.selected = null;
+    }
+}
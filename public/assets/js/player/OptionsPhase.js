@@ -1,10 +1,18 @@
 /**
  * Player Options Phase Module
  * Handles answer selection and submission
+ * Single choice answers are sent on click, multi-select answers are toggled, ordering
+ * answers are arranged (drag and drop or arrow keys), matching answers are connected
+ * (see MatchPhase), hotspot answers are pinned on the image (see HotspotPhase) and text
+ * and numeric answers are typed before they are confirmed
  */
 
 import { api as defaultApi } from '../core/api.js';
 import { showError } from '../components/MessageSystem.js';
+import { getErrorMessage } from '../core/errors.js';
+import { getQuestionType, isScoredQuestion, answerIncludes, parseNumber, MAX_TEXT_LENGTH, MAX_WORD_LENGTH } from '../core/questions.js';
+import { MatchPhase } from './MatchPhase.js';
+import { HotspotPhase } from './HotspotPhase.js';
 
 export class OptionsPhase {
     constructor(options = {}) {
@@ -14,6 +22,7 @@ export class OptionsPhase {
             onAnswered: null,
             onAnswerSubmit: null,
             getPlayerId: null,
+            getQuestionIndex: null, // Sent with the answer so stale offline replays are rejected
             ...options
         };
 
@@ -25,12 +34,35 @@ export class OptionsPhase {
         this.playerId = null;
         this.selectedAnswer = null;
         this.hasAnswered = false;
+        this.isQueued = false;
+        this.isTimeUp = false;
         this.correctAnswer = null;
+        this.currentOptions = null;
+        this.question = null;
+        this.dragFrom = null;
+
+        this.matchPhase = new MatchPhase({
+            onChange: (pairs) => {
+                this.selectedAnswer = pairs;
+                this.renderOptions(this.currentOptions);
+            }
+        });
+
+        this.hotspotPhase = new HotspotPhase({
+            onChange: (point) => {
+                this.selectedAnswer = point;
+                this.renderOptions(this.currentOptions);
+            }
+        });
     }
 
     init() {
         this.container = document.querySelector(this.options.containerSelector);
         this.grid = document.querySelector(this.options.gridSelector);
+
+        // Answers queued while offline are answered later by the outbox
+        window.addEventListener('outbox:replayed', (e) => this.handleReplayed(e.detail.entry, e.detail.result, e.detail.error));
+        window.addEventListener('outbox:expired', (e) => this.handleExpired(e.detail.entry));
     }
 
     /**
@@ -47,6 +79,7 @@ export class OptionsPhase {
         if (!this.container || !this.grid) return;
 
         this.container.classList.remove('hidden');
+        this.question = questionData;
 
         // Resolve player ID if not set
         if (!this.playerId && this.options.getPlayerId) {
@@ -62,7 +95,26 @@ export class OptionsPhase {
 
         if (playerAnswer) {
             this.hasAnswered = true;
+            this.isQueued = false;
             this.selectedAnswer = playerAnswer.answer;
+        } else {
+            // Answer still waiting in the outbox (e.g. after a reload while offline)
+            const pending = this.getPendingAnswer(gameState.currentQuestion);
+            if (pending) {
+                this.hasAnswered = true;
+                this.isQueued = true;
+                this.selectedAnswer = pending.data.answer;
+            }
+        }
+
+        // Ordering questions start from the served (shuffled) order
+        if (this.isOrdering() && !Array.isArray(this.selectedAnswer)) {
+            this.selectedAnswer = questionData.options.map((_, index) => index);
+        }
+
+        // Matching questions start with no pairs connected
+        if (this.isMatching() && !Array.isArray(this.selectedAnswer)) {
+            this.selectedAnswer = this.matchPhase.createPairs(questionData);
         }
 
         this.renderOptions(questionData.options, gameState.phase === 'reveal');
@@ -74,54 +126,431 @@ export class OptionsPhase {
     renderOptions(options, isReveal = false) {
         if (!this.grid || !options) return;
 
+        this.currentOptions = options;
+
+        if (this.isOrdering()) {
+            this.renderOrder(options, isReveal);
+            return;
+        }
+
+        if (this.isMatching()) {
+            this.renderMatch(isReveal);
+            return;
+        }
+
+        if (this.isTextEntry() || this.isNumeric()) {
+            this.renderTyped(isReveal);
+            return;
+        }
+
+        if (this.isHotspot()) {
+            this.renderHotspot(isReveal);
+            return;
+        }
+
         const letters = ['A', 'B', 'C', 'D', 'E', 'F'];
+        const isMulti = this.isMultiSelect();
 
         let html = '';
         options.forEach((option, index) => {
             let classes = 'option-btn';
-            let disabled = this.hasAnswered || isReveal;
+            let disabled = this.isLocked(isReveal);
+            const isSelected = answerIncludes(this.selectedAnswer, index);
 
             // Apply states
-            if (this.selectedAnswer === index) {
+            if (isSelected) {
                 classes += ' selected';
+                if (this.isQueued) {
+                    classes += ' queued';
+                }
             }
 
-            if (isReveal) {
-                if (index === this.correctAnswer) {
+            if (isReveal && isScoredQuestion(this.question)) {
+                if (answerIncludes(this.correctAnswer, index)) {
                     classes += ' correct-answer';
-                } else if (this.selectedAnswer === index && this.selectedAnswer !== this.correctAnswer) {
+                } else if (isSelected) {
                     classes += ' incorrect';
                 }
             }
 
+            const onclick = isMulti
+                ? `window.optionsPhase.toggleOption(${index})`
+                : `window.optionsPhase.selectAnswer(${index}, this).catch(console.error)`;
+
             html += `
-                <button class="${classes}" 
+                <button class="${classes}${isMulti ? ' option-multi' : ''}" 
                         data-index="${index}"
+                        ${isMulti ? `aria-pressed="${isSelected}"` : ''}
                         ${disabled ? 'disabled' : ''}
-                        onclick="window.optionsPhase.selectAnswer(${index}, this).catch(console.error)">
-                    <span class="option-letter">${letters[index]}</span>
+                        onclick="${onclick}">
+                    <span class="option-letter">${isMulti ? `<i class="fas ${isSelected ? 'fa-check-square' : 'fa-square'}"></i>` : letters[index]}</span>
                     ${this.escapeHtml(option)}
+                    ${this.isQueued && !isMulti && isSelected ? this.renderQueuedNote() : ''}
                 </button>
             `;
         });
 
+        if (isMulti) {
+            const count = this.selectedAnswer?.length || 0;
+            html += this.renderFooter(
+                '<i class="fas fa-tasks"></i> Select all that apply',
+                `<i class="fas fa-paper-plane"></i> Submit answer (${count} selected)`,
+                count === 0,
+                this.isLocked(isReveal)
+            );
+        }
+
         this.grid.innerHTML = html;
     }
 
     /**
-     * Select an answer
+     * Render the items of an ordering question as a sortable list
      */
-    async selectAnswer(answerIndex, buttonElement) {
+    renderOrder(options, isReveal) {
+        const locked = this.isLocked(isReveal);
+        const sequence = Array.isArray(this.selectedAnswer) ? this.selectedAnswer : options.map((_, index) => index);
+
+        const items = sequence.map((optionIndex, position) => `
+            <li class="order-item${this.isQueued ? ' queued' : ''}"
+                data-position="${position}"
+                ${locked ? '' : 'draggable="true" tabindex="0"'}>
+                <span class="order-position">${position + 1}</span>
+                <span class="order-text">${this.escapeHtml(options[optionIndex])}</span>
+                ${locked ? '' : `
+                    <span class="order-moves">
+                        <button class="order-move" aria-label="Move up" ${position === 0 ? 'disabled' : ''}
+                                onclick="window.optionsPhase.moveItem(${position}, -1)"><i class="fas fa-arrow-up"></i></button>
+                        <button class="order-move" aria-label="Move down" ${position === sequence.length - 1 ? 'disabled' : ''}
+                                onclick="window.optionsPhase.moveItem(${position}, 1)"><i class="fas fa-arrow-down"></i></button>
+                    </span>
+                `}
+            </li>
+        `).join('');
+
+        this.grid.innerHTML = `
+            <ol class="order-list">${items}</ol>
+            ${this.renderFooter(
+                '<i class="fas fa-sort"></i> Drag the items (or use the arrows) into the right order',
+                '<i class="fas fa-paper-plane"></i> Submit order',
+                false,
+                locked
+            )}
+        `;
+
+        if (!locked) {
+            this.setupOrderDragging();
+        }
+    }
+
+    /**
+     * Render the two columns of a matching question
+     */
+    renderMatch(isReveal) {
+        const locked = this.isLocked(isReveal);
+        const connected = (this.selectedAnswer || []).filter(Number.isInteger).length;
+
+        this.grid.innerHTML = `
+            ${this.matchPhase.render(this.question, this.selectedAnswer, {
+                locked,
+                isQueued: this.isQueued,
+                correct: isReveal ? this.correctAnswer : null
+            })}
+            ${this.renderFooter(
+                '<i class="fas fa-link"></i> Tap a term, then its match',
+                `<i class="fas fa-paper-plane"></i> Submit pairs (${connected}/${this.question.options.length})`,
+                !this.matchPhase.isComplete(this.selectedAnswer),
+                locked
+            )}
+        `;
+
+        if (!locked) {
+            this.matchPhase.bind(this.grid);
+        }
+    }
+
+    /**
+     * Render the image of a hotspot question with the player's pin
+     */
+    renderHotspot(isReveal) {
+        const locked = this.isLocked(isReveal);
+        const point = this.selectedAnswer && typeof this.selectedAnswer === 'object' ? this.selectedAnswer : null;
+
+        this.grid.innerHTML = `
+            ${this.hotspotPhase.render(this.question, point, { locked, isQueued: this.isQueued, reveal: isReveal })}
+            ${this.renderFooter(
+                '<i class="fas fa-crosshairs"></i> Tap the image to place your pin',
+                '<i class="fas fa-paper-plane"></i> Submit answer',
+                !point,
+                locked
+            )}
+        `;
+
+        this.hotspotPhase.bind(this.grid, locked);
+    }
+
+    /**
+     * Render the input of a text or numeric question (numbers get the numeric keypad on phones)
+     */
+    renderTyped(isReveal) {
+        const locked = this.isLocked(isReveal);
+
+        // State updates while typing must not replace the input (focus and caret would be lost)
+        if (!locked && this.grid.querySelector('.text-answer-input:not([disabled])')) {
+            return;
+        }
+
+        const isNumeric = this.isNumeric();
+        const value = this.selectedAnswer === null || this.selectedAnswer === undefined ? '' : String(this.selectedAnswer);
+        const isValid = text => (isNumeric ? !Number.isNaN(parseNumber(text)) : text.trim() !== '');
+        const unit = isNumeric && this.question.unit ? `<span class="text-answer-unit">${this.escapeHtml(this.question.unit)}</span>` : '';
+
+        this.grid.innerHTML = `
+            <div class="text-answer">
+                <input type="text" class="text-answer-input${this.isQueued ? ' queued' : ''}"
+                       value="${this.escapeHtml(value).replace(/"/g, '&quot;')}"
+                       ${isNumeric
+                           ? 'inputmode="decimal" placeholder="Type a number"'
+                           : `maxlength="${getQuestionType(this.question) === 'wordcloud' ? MAX_WORD_LENGTH : MAX_TEXT_LENGTH}" placeholder="Type your answer" autocapitalize="off" spellcheck="false"`}
+                       autocomplete="off"
+                       ${locked ? 'disabled' : ''}>
+                ${unit}
+            </div>
+            ${this.renderFooter(
+                `<i class="fas ${isNumeric ? 'fa-calculator' : 'fa-keyboard'}"></i> Type your answer and press Enter`,
+                '<i class="fas fa-paper-plane"></i> Submit answer',
+                !isValid(value),
+                locked
+            )}
+        `;
+
+        if (!locked) {
+            const input = this.grid.querySelector('.text-answer-input');
+            const confirm = this.grid.querySelector('.options-confirm');
+
+            input.addEventListener('input', () => {
+                this.selectedAnswer = input.value;
+                confirm.disabled = !isValid(input.value);
+            });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.confirmSelection().catch(console.error);
+                }
+            });
+            input.focus();
+        }
+    }
+
+    /**
+     * Hint plus confirm button below answers that are submitted in one go (multi-select, ordering, matching, text, numeric, hotspot)
+     */
+    renderFooter(hint, confirmLabel, confirmDisabled, locked) {
+        return `
+            <div class="options-footer">
+                <span class="options-hint">${hint}</span>
+                ${locked ? '' : `
+                    <button class="btn btn-primary options-confirm"
+                            ${confirmDisabled ? 'disabled' : ''}
+                            onclick="window.optionsPhase.confirmSelection().catch(console.error)">
+                        ${confirmLabel}
+                    </button>
+                `}
+                ${this.isQueued ? this.renderQueuedNote() : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Note shown while the answer waits in the offline outbox
+     */
+    renderQueuedNote() {
+        return '<span class="option-queued"><i class="fas fa-clock"></i> Queued - will be sent when you are back online</span>';
+    }
+
+    /**
+     * Drag and drop plus arrow keys on the ordering list
+     */
+    setupOrderDragging() {
+        this.grid.querySelectorAll('.order-item').forEach(item => {
+            const position = parseInt(item.dataset.position, 10);
+
+            item.addEventListener('dragstart', (e) => {
+                this.dragFrom = position;
+                item.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+            });
+            item.addEventListener('dragend', () => {
+                this.dragFrom = null;
+                item.classList.remove('dragging');
+            });
+            item.addEventListener('dragover', (e) => {
+                if (this.dragFrom === null) return;
+                e.preventDefault();
+                item.classList.add('drop-target');
+            });
+            item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                item.classList.remove('drop-target');
+                if (this.dragFrom !== null && this.dragFrom !== position) {
+                    this.moveItem(this.dragFrom, position - this.dragFrom);
+                }
+                this.dragFrom = null;
+            });
+
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    this.moveItem(position, e.key === 'ArrowUp' ? -1 : 1);
+                }
+            });
+        });
+    }
+
+    /**
+     * Move an ordering item by `delta` positions (keeps keyboard focus on it)
+     */
+    moveItem(position, delta) {
+        if (this.isLocked() || !Array.isArray(this.selectedAnswer)) return;
+
+        const target = position + delta;
+        if (target < 0 || target >= this.selectedAnswer.length) return;
+
+        const sequence = [...this.selectedAnswer];
+        const [item] = sequence.splice(position, 1);
+        sequence.splice(target, 0, item);
+        this.selectedAnswer = sequence;
+
+        this.renderOptions(this.currentOptions);
+        this.grid.querySelector(`.order-item[data-position="${target}"]`)?.focus();
+    }
+
+    /**
+     * Whether the current question is answered by picking several options
+     */
+    isMultiSelect() {
+        return getQuestionType(this.question) === 'multi';
+    }
+
+    /**
+     * Whether the current question is answered by putting the options in order
+     */
+    isOrdering() {
+        return getQuestionType(this.question) === 'order';
+    }
+
+    /**
+     * Whether the current question is answered by connecting pairs
+     */
+    isMatching() {
+        return getQuestionType(this.question) === 'match';
+    }
+
+    /**
+     * Whether the current question is answered by typing text (text and word cloud questions)
+     */
+    isTextEntry() {
+        return ['text', 'wordcloud'].includes(getQuestionType(this.question));
+    }
+
+    /**
+     * Whether the current question is answered with a number
+     */
+    isNumeric() {
+        return getQuestionType(this.question) === 'numeric';
+    }
+
+    /**
+     * Whether the current question is answered by tapping the image
+     */
+    isHotspot() {
+        return getQuestionType(this.question) === 'hotspot';
+    }
+
+    /**
+     * Whether the answer can no longer be changed (answered, time is up or revealed)
+     */
+    isLocked(isReveal = false) {
+        return this.hasAnswered || this.isTimeUp || isReveal;
+    }
+
+    /**
+     * The answer timer ran out, a teammate answered or the player is locked out: lock the options
+     * (the server rejects those answers anyway)
+     */
+    lock() {
+        if (this.isTimeUp) return;
+
+        this.isTimeUp = true;
+        this.renderOptions(this.currentOptions);
+    }
+
+    /**
+     * Toggle an option of a multi-select question (sent with confirmSelection)
+     */
+    toggleOption(index) {
+        if (this.isLocked()) return;
+
+        const selected = Array.isArray(this.selectedAnswer) ? this.selectedAnswer : [];
+        this.selectedAnswer = selected.includes(index)
+            ? selected.filter(i => i !== index)
+            : [...selected, index].sort((a, b) => a - b);
+
+        this.renderOptions(this.currentOptions);
+    }
+
+    /**
+     * Submit the toggled options of a multi-select question (or the arranged ordering, the pairs, the typed answer or the pin)
+     */
+    async confirmSelection() {
+        if (!this.canAnswer()) return;
+
+        let answer;
+        if (this.isNumeric()) {
+            answer = parseNumber(this.selectedAnswer ?? '');
+            if (Number.isNaN(answer)) return;
+        } else if (this.isTextEntry()) {
+            answer = String(this.selectedAnswer ?? '').trim();
+            if (answer === '') return;
+        } else if (this.isHotspot()) {
+            if (!this.selectedAnswer) return;
+            answer = { x: this.selectedAnswer.x, y: this.selectedAnswer.y };
+        } else {
+            if (!this.selectedAnswer?.length) return;
+            if (this.isMatching() && !this.matchPhase.isComplete(this.selectedAnswer)) return;
+            answer = [...this.selectedAnswer];
+        }
+
+        this.grid.querySelectorAll('button, input').forEach(el => {
+            el.disabled = true;
+        });
+
+        await this.submit(answer, this.grid.querySelector('.options-footer'));
+    }
+
+    /**
+     * Whether the player can still answer (resolves the player ID if needed)
+     */
+    canAnswer() {
         // Resolve player ID from option if not set directly
         if (!this.playerId && this.options.getPlayerId) {
             this.playerId = this.options.getPlayerId();
         }
 
-        if (this.hasAnswered || !this.playerId) {
+        if (this.isLocked() || !this.playerId) {
             if (!this.playerId) console.error('OptionsPhase: No player ID found');
-            return;
+            return false;
         }
 
+        return true;
+    }
+
+    /**
+     * Select an answer
+     */
+    async selectAnswer(answerIndex, buttonElement) {
+        if (!this.canAnswer()) return;
+
         // Visual feedback immediately
         const buttons = this.grid.querySelectorAll('.option-btn');
         buttons.forEach(btn => {
@@ -135,48 +564,135 @@ export class OptionsPhase {
 
         this.selectedAnswer = answerIndex;
 
+        await this.submit(answerIndex, buttonElement);
+    }
+
+    /**
+     * Send an answer and show the result next to the given element
+     */
+    async submit(answer, feedbackElement) {
+        const buttons = this.grid.querySelectorAll('button, input');
+
         try {
-            console.log(`[OptionsPhase] Player ${this.playerId} submitting answer: ${answerIndex}`);
-            const result = await this.api.submitAnswer(this.playerId, answerIndex);
+            console.log(`[OptionsPhase] Player ${this.playerId} submitting answer: ${JSON.stringify(answer)}`);
+            const questionIndex = this.options.getQuestionIndex ? this.options.getQuestionIndex() : null;
+            const result = await this.api.submitAnswer(this.playerId, answer, questionIndex);
             console.log('[OptionsPhase] Submit result:', result);
 
-            if (result.success) {
-                this.hasAnswered = true;
-                console.log(`[OptionsPhase] ✅ Answer registered! isCorrect: ${result.isCorrect}`);
+            this.hasAnswered = true;
 
-                // Show immediate feedback if available
-                if (result.isCorrect !== undefined) {
-                    this.showFeedback(result.isCorrect, buttonElement);
-                }
+            if (result.queued) {
+                this.isQueued = true;
+                this.renderOptions(this.currentOptions);
+                return;
+            }
 
-                if (this.options.onAnswered) {
-                    this.options.onAnswered(result);
-                }
-            } else {
-                // Re-enable buttons on failure
-                buttons.forEach(btn => btn.disabled = false);
-                showError(result.error || result.reason || 'Failed to submit answer');
+            console.log(`[OptionsPhase] ✅ Answer registered! isCorrect: ${result.isCorrect}`);
+
+            // Show immediate feedback if available
+            if (result.isCorrect !== undefined || result.scored === false) {
+                this.showFeedback(result.isCorrect, feedbackElement, result.score);
+            }
+
+            if (this.options.onAnswered) {
+                this.options.onAnswered(result);
             }
         } catch (error) {
             console.error('Submit answer error:', error);
+            // Re-enable buttons on failure
             buttons.forEach(btn => btn.disabled = false);
+            showError(getErrorMessage(error, 'Failed to submit answer'));
+        }
+    }
+
+    /**
+     * Find this player's answer for a question still waiting in the outbox
+     */
+    getPendingAnswer(questionIndex) {
+        const entries = this.api.outbox ? this.api.outbox.getEntries() : [];
+        return entries.find(entry =>
+            entry.action === 'submitAnswer' &&
+            entry.data.playerId === this.playerId &&
+            entry.data.questionIndex === questionIndex
+        ) || null;
+    }
+
+    /**
+     * A queued answer reached the server
+     */
+    handleReplayed(entry, result, error) {
+        if (entry.action !== 'submitAnswer' || entry.data.playerId !== this.playerId) return;
+
+        this.isQueued = false;
+        const stillCurrent = !this.options.getQuestionIndex || entry.data.questionIndex === this.options.getQuestionIndex();
+
+        if (!error) {
+            if (!stillCurrent) return;
+            this.renderOptions(this.currentOptions);
+            const button = getQuestionType(this.question) === 'single'
+                ? this.grid?.querySelector(`.option-btn[data-index="${entry.data.answer}"]`)
+                : this.grid?.querySelector('.options-footer');
+            if (result.isCorrect !== undefined || result.scored === false) {
+                this.showFeedback(result.isCorrect, button, result.score);
+            }
+            if (this.options.onAnswered) {
+                this.options.onAnswered(result);
+            }
+        } else {
+            showError(error.code === 'question_changed'
+                ? 'Your answer arrived after the question changed'
+                : getErrorMessage(error, 'Failed to submit answer'));
+
+            // Let the player try again if the question is still open (orderings, pairs, typed answers and pins are kept)
+            if (stillCurrent) {
+                this.hasAnswered = false;
+                if (!this.isOrdering() && !this.isMatching() && !this.isTextEntry() && !this.isNumeric() && !this.isHotspot()) {
+                    this.selectedAnswer = null;
+                }
+                this.renderOptions(this.currentOptions);
+            }
         }
     }
 
+    /**
+     * A queued answer was too old to send
+     */
+    handleExpired(entry) {
+        if (entry.action !== 'submitAnswer' || entry.data.playerId !== this.playerId) return;
+
+        this.isQueued = false;
+        showError('Your answer could not be sent');
+    }
+
     /**
      * Show immediate feedback on answer
+     * @param {number|null} score - 0..1; between the two the answer earned partial credit
      */
-    showFeedback(isCorrect, buttonElement) {
+    showFeedback(isCorrect, buttonElement, score = null) {
         if (!buttonElement) return;
 
-        buttonElement.classList.add(isCorrect ? 'correct' : 'incorrect');
+        // Polls and word clouds have no right answer: confirm the vote, no correct/incorrect toasts
+        if (!isScoredQuestion(this.question)) {
+            const feedbackEl = document.createElement('div');
+            feedbackEl.className = 'answer-feedback recorded';
+            feedbackEl.innerHTML = '<i class="fas fa-check"></i> Answer recorded - thanks!';
+            buttonElement.parentNode?.insertBefore(feedbackEl, buttonElement.nextSibling);
+            return;
+        }
+
+        const isPartial = !isCorrect && score > 0;
+        const status = isCorrect ? 'correct' : (isPartial ? 'partial' : 'incorrect');
+
+        buttonElement.classList.add(status);
         
         // Show feedback message
         const feedbackEl = document.createElement('div');
-        feedbackEl.className = `answer-feedback ${isCorrect ? 'correct' : 'incorrect'}`;
-        feedbackEl.innerHTML = isCorrect 
-            ? '<i class="fas fa-check-circle"></i> Correct!' 
-            : '<i class="fas fa-times-circle"></i> Incorrect';
+        feedbackEl.className = `answer-feedback ${status}`;
+        feedbackEl.innerHTML = {
+            correct: '<i class="fas fa-check-circle"></i> Correct!',
+            partial: `<i class="fas fa-adjust"></i> Partially correct (${Math.round(score * 100)}%)`,
+            incorrect: '<i class="fas fa-times-circle"></i> Incorrect'
+        }[status];
         
         // Insert after the button
         buttonElement.parentNode?.insertBefore(feedbackEl, buttonElement.nextSibling);
@@ -184,13 +700,15 @@ export class OptionsPhase {
         // Also show a toast notification (2 seconds duration)
         if (window.showSuccess && isCorrect) {
             window.showSuccess('Correct answer!', 2000);
+        } else if (window.showSuccess && isPartial) {
+            window.showSuccess('Partially correct', 2000);
         } else if (window.showError && !isCorrect) {
             window.showError('Incorrect answer', 2000);
         }
     }
 
     /**
-     * Reveal correct answer
+     * Reveal correct answer (an option index, or a list of them for multi-select)
      */
     revealAnswer(correctIndex) {
         this.correctAnswer = correctIndex;
@@ -200,10 +718,11 @@ export class OptionsPhase {
 
         buttons.forEach((btn, index) => {
             btn.disabled = true;
+            if (!isScoredQuestion(this.question)) return;
 
-            if (index === correctIndex) {
+            if (answerIncludes(correctIndex, index)) {
                 btn.classList.add('correct-answer');
-            } else if (this.selectedAnswer === index) {
+            } else if (answerIncludes(this.selectedAnswer, index)) {
                 btn.classList.add('incorrect');
             }
         });
@@ -224,7 +743,12 @@ export class OptionsPhase {
     reset() {
         this.selectedAnswer = null;
         this.hasAnswered = false;
+        this.isQueued = false;
+        this.isTimeUp = false;
+        this.currentOptions = null;
         this.correctAnswer = null;
+        this.question = null;
+        this.matchPhase.reset();
 
         if (this.grid) {
             this.grid.innerHTML = '';
@@ -239,7 +763,7 @@ export class OptionsPhase {
     }
 
     /**
-     * Get selected answer index
+     * Get selected answer (index, or list of indices for multi-select)
      */
     getSelectedAnswer() {
         return this.selectedAnswer;
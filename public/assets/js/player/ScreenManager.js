@@ -10,6 +10,7 @@ export class ScreenManager {
                 login: 'loginScreen',
                 waiting: 'waitingScreen',
                 quiz: 'quizScreen',
+                spectator: 'spectatorScreen',  // Eliminated players (elimination mode)
                 end: 'endScreen'
             },
             onScreenChange: null,
@@ -97,6 +98,13 @@ export class ScreenManager {
         this.show('quiz');
     }
 
+    /**
+     * Show spectator screen
+     */
+    showSpectator() {
+        this.show('spectator');
+    }
+
     /**
      * Show end screen
      */
@@ -17,6 +17,11 @@
     <link rel="stylesheet" href="assets/css/components/notifications.css">
     <link rel="stylesheet" href="assets/css/components/progress.css">
     <link rel="stylesheet" href="assets/css/components/cards.css">
+    <link rel="stylesheet" href="assets/css/components/poll-results.css">
+    <link rel="stylesheet" href="assets/css/components/hotspot.css">
+    <link rel="stylesheet" href="assets/css/components/media-player.css">
+    <link rel="stylesheet" href="assets/css/components/countdown.css">
+    <link rel="stylesheet" href="assets/css/components/topic-breakdown.css">
     
     <!-- Player-specific CSS -->
     <link rel="stylesheet" href="assets/css/player/login.css">
@@ -37,6 +42,11 @@
             
             <form id="loginForm">
                 <input type="text" id="nicknameInput" class="form-input" placeholder="Enter your name..." required autocomplete="off">
+                <!-- Team picker (team mode, filled by PlayerApp) -->
+                <div id="teamPicker" class="team-picker hidden">
+                    <p class="team-picker-label">Pick your team</p>
+                    <div id="teamPickerOptions" class="team-picker-options"></div>
+                </div>
                 <button type="submit" class="btn btn-primary btn-block">
                     <i class="fas fa-sign-in-alt"></i> Join Quiz
                 </button>
@@ -62,6 +72,7 @@
                 </div>
                 <div class="question-text" id="questionText">Question will appear here</div>
                 <img id="questionImage" class="question-image hidden" src="" alt="Question image">
+                <div id="questionMedia" class="question-media hidden"></div>
             </div>
 
             <div id="statusMessage" class="status-message status-waiting">
@@ -75,10 +86,12 @@
                     <span class="buzzer-icon"><i class="fas fa-bell"></i></span>
                 </button>
                 <p class="buzzer-hint">Be the first to buzz in when you know the answer!</p>
+                <p id="oralVerdict" class="oral-verdict hidden"></p>
             </div>
 
             <!-- Options Phase -->
             <div id="optionsPhase" class="hidden">
+                <div id="answerTimer" class="answer-timer hidden"></div>
                 <div class="options-grid" id="optionsGrid">
                     <!-- Options populated by JavaScript -->
                 </div>
@@ -86,18 +99,39 @@
             
             <!-- Reveal Phase -->
             <div id="revealPhase" class="hidden">
-                <div class="reveal-card correct">
+                <div id="revealStanding" class="reveal-standing hidden"></div>
+
+                <div id="correctAnswerCard" class="reveal-card correct">
                     <h4><i class="fas fa-check-circle"></i> Correct Answer</h4>
                     <p id="correctAnswerText"></p>
+                    <div id="correctAnswerImage"></div>
+                </div>
+
+                <div id="pollResultsSection" class="reveal-card hidden">
+                    <h4><i class="fas fa-chart-bar"></i> Results</h4>
+                    <div id="pollResults"></div>
                 </div>
                 
                 <div id="explanationSection" class="reveal-card explanation hidden">
                     <h4><i class="fas fa-book"></i> Explanation</h4>
                     <p id="questionExplanation"></p>
                 </div>
+
+                <!-- Self-paced delivery: players move on themselves -->
+                <button id="nextQuestionBtn" class="btn btn-primary btn-block next-question-btn hidden">
+                    <i class="fas fa-forward"></i> Next Question
+                </button>
             </div>
         </div>
 
+        <!-- Spectator Screen (eliminated in elimination mode) -->
+        <div id="spectatorScreen" class="screen spectator-screen hidden">
+            <h1><i class="fas fa-eye"></i> You're Out</h1>
+            <p class="subtitle" id="spectatorStatus">Keep watching - the game goes on without you</p>
+            <div id="spectatorQuestion" class="spectator-question"></div>
+            <div id="spectatorSurvivors" class="spectator-survivors"></div>
+        </div>
+
         <!-- Quiz End Screen -->
         <div id="endScreen" class="screen hidden">
             <div class="end-screen-content">
@@ -115,6 +149,13 @@
                     </div>
                 </div>
                 
+                <div id="topicSummary" class="topic-summary hidden">
+                    <h3><i class="fas fa-tags"></i> Performance by Topic</h3>
+                    <div id="topicBreakdown">
+                        <!-- Topics populated by JavaScript -->
+                    </div>
+                </div>
+                
                 <div id="detailedBreakdown" class="detailed-breakdown">
                     <h3><i class="fas fa-list-alt"></i> Question-by-Question Breakdown</h3>
                     <div id="questionBreakdown">
@@ -0,0 +1,95 @@
+<?php
+/**
+ * stream.php - Server-Sent Events endpoint
+ * Pushes the game state to a client whenever the session's stateVersion changes
+ *
+ * Query parameters:
+ *   sessionId - quiz session (default 'default')
+ *   view      - 'player' (getGameState payload) or 'admin' (getGameData payload)
+ *   playerId  - optional, for the player's answer history
+ *
+ * Each stream lives for a limited time and then closes; EventSource reconnects
+ * automatically and sends the last event id (= stateVersion) back, so nothing is resent
+ * unless the version moved on in between. State events carry the same shapes as
+ * getGameState with sinceVersion: a full payload or a patch against the previous event.
+ */
+
+require_once __DIR__ . '/../src/Database.php';
+require_once __DIR__ . '/../src/QuizManager.php';
+
+const STREAM_CHECK_INTERVAL_US = 250000;  // How often the state version is checked
+const STREAM_HEARTBEAT_SECONDS = 15;      // Comment line to keep proxies from closing the connection
+const STREAM_MAX_DURATION_SECONDS = 30;   // Close and let the client reconnect
+const STREAM_RETRY_MS = 1000;             // Reconnect delay suggested to EventSource
+
+header('Content-Type: text/event-stream');
+header('Cache-Control: no-cache');
+header('X-Accel-Buffering: no'); // Disable nginx response buffering
+header('Access-Control-Allow-Origin: *');
+
+/**
+ * Write a single SSE event and flush it to the client
+ */
+function sendEvent(string $event, $data, ?int $id = null): void {
+    if ($id !== null) {
+        echo "id: $id\n";
+    }
+    echo "event: $event\n";
+    echo 'data: ' . json_encode($data) . "\n\n";
+    flush();
+}
+
+// The PHP built-in server handles one request at a time unless PHP_CLI_SERVER_WORKERS is set.
+// A long-lived stream would block every other request, so tell the client to poll instead.
+if (php_sapi_name() === 'cli-server' && (int)getenv('PHP_CLI_SERVER_WORKERS') < 2) {
+    sendEvent('unsupported', ['reason' => 'single_worker_server']);
+    exit;
+}
+
+$sessionId = $_GET['sessionId'] ?? 'default';
+$view = ($_GET['view'] ?? 'player') === 'admin' ? 'admin' : 'player';
+$playerId = !empty($_GET['playerId']) ? $_GET['playerId'] : null;
+$lastVersion = (int)($_SERVER['HTTP_LAST_EVENT_ID'] ?? ($_GET['lastVersion'] ?? 0));
+
+set_time_limit(STREAM_MAX_DURATION_SECONDS + 10);
+
+// Send output as soon as it is written
+while (ob_get_level() > 0) {
+    ob_end_flush();
+}
+
+echo 'retry: ' . STREAM_RETRY_MS . "\n\n";
+flush();
+
+try {
+    $db = Database::getInstance();
+    $game = new QuizManager($db, $sessionId);
+
+    $startedAt = time();
+    $lastSentAt = time();
+
+    while (time() - $startedAt < STREAM_MAX_DURATION_SECONDS) {
+        if (connection_aborted()) {
+            break;
+        }
+
+        $version = $game->getStateVersion();
+
+        if ($version !== $lastVersion) {
+            // Full state on first connect, a patch against lastVersion afterwards
+            $payload = $game->getStatePayloadSince($view, $lastVersion, $playerId);
+
+            sendEvent('state', $payload, $payload['stateVersion']);
+            $lastVersion = $payload['stateVersion'];
+            $lastSentAt = time();
+        } elseif (time() - $lastSentAt >= STREAM_HEARTBEAT_SECONDS) {
+            echo ": heartbeat\n\n";
+            flush();
+            $lastSentAt = time();
+        }
+
+        usleep(STREAM_CHECK_INTERVAL_US);
+    }
+} catch (Exception $e) {
+    sendEvent('failure', ['error' => $e->getMessage()]);
+}
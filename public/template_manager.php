@@ -1,13 +1,27 @@
 <?php
 // template_manager.php - Quiz Template Manager
-// Handles template and image management
+// Handles template, image and media (audio / video prompt) management
 
 $templateDir = __DIR__ . '/templates';
 $imageDir = __DIR__ . '/images';
+$mediaDir = __DIR__ . '/media';
+
+// Allowed media uploads: MIME type => [extension, media type of the question]
+$mediaTypes = [
+    'audio/mpeg' => ['mp3', 'audio'],
+    'audio/mp4' => ['m4a', 'audio'],
+    'audio/ogg' => ['ogg', 'audio'],
+    'audio/wav' => ['wav', 'audio'],
+    'audio/x-wav' => ['wav', 'audio'],
+    'audio/webm' => ['weba', 'audio'],
+    'video/mp4' => ['mp4', 'video'],
+    'video/webm' => ['webm', 'video']
+];
 
 // Ensure directories exist
 if (!file_exists($templateDir)) mkdir($templateDir, 0755, true);
 if (!file_exists($imageDir)) mkdir($imageDir, 0755, true);
+if (!file_exists($mediaDir)) mkdir($mediaDir, 0755, true);
 
 // Handle AJAX requests
 if ($_SERVER['REQUEST_METHOD'] === 'POST') {
@@ -47,6 +61,39 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         exit;
     }
     
+    if (isset($_FILES['media'])) {
+        $file = $_FILES['media'];
+        
+        // Validate audio / video
+        if (!isset($mediaTypes[$file['type']])) {
+            echo json_encode(['success' => false, 'error' => 'Invalid audio or video type']);
+            exit;
+        }
+        
+        // Check file size (max 20MB)
+        if ($file['size'] > 20 * 1024 * 1024) {
+            echo json_encode(['success' => false, 'error' => 'File too large (max 20MB)']);
+            exit;
+        }
+        
+        // Generate safe filename (extension from the type, not the uploaded name)
+        [$extension, $mediaType] = $mediaTypes[$file['type']];
+        $safeName = 'media_' . uniqid() . '.' . $extension;
+        
+        // Move to media directory
+        if (move_uploaded_file($file['tmp_name'], $mediaDir . '/' . $safeName)) {
+            echo json_encode([
+                'success' => true,
+                'url' => 'media/' . $safeName,
+                'name' => $safeName,
+                'type' => $mediaType
+            ]);
+        } else {
+            echo json_encode(['success' => false, 'error' => 'Failed to upload file']);
+        }
+        exit;
+    }
+    
     // Handle JSON requests
     $input = json_decode(file_get_contents('php://input'), true);
     
@@ -176,6 +223,29 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             echo json_encode(['success' => true, 'images' => $images]);
             break;
             
+        case 'getMedia':
+            $media = [];
+            $videoExtensions = ['mp4', 'webm'];
+            $files = glob($mediaDir . '/*.{mp3,m4a,ogg,wav,weba,mp4,webm}', GLOB_BRACE);
+            
+            foreach ($files as $file) {
+                $media[] = [
+                    'name' => basename($file),
+                    'url' => 'media/' . basename($file),
+                    'type' => in_array(pathinfo($file, PATHINFO_EXTENSION), $videoExtensions) ? 'video' : 'audio',
+                    'size' => filesize($file),
+                    'createdAt' => filectime($file)
+                ];
+            }
+            
+            // Sort by creation date (newest first)
+            usort($media, function($a, $b) {
+                return $b['createdAt'] - $a['createdAt'];
+            });
+            
+            echo json_encode(['success' => true, 'media' => $media]);
+            break;
+            
         case 'deleteImage':
             $imageName = $input['name'] ?? '';
             
@@ -444,6 +514,41 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             font-size: 0.8rem;
         }
         
+        /* Media List */
+        .media-list {
+            display: flex;
+            flex-direction: column;
+            gap: 0.5rem;
+            margin-top: 1rem;
+        }
+        
+        .media-item {
+            display: flex;
+            align-items: center;
+            gap: 0.75rem;
+            background-color: var(--bg-gray-900);
+            border: 1px solid var(--bg-gray-700);
+            border-radius: 0.5rem;
+            padding: 0.5rem 0.75rem;
+        }
+        
+        .media-item:hover {
+            border-color: var(--cyan-500);
+        }
+        
+        .media-item > i {
+            color: var(--cyan-400);
+        }
+        
+        .media-item .image-info {
+            flex: 1;
+            padding: 0;
+        }
+        
+        .media-item .image-action-btn {
+            opacity: 1;
+        }
+        
         .image-gallery-controls {
             display: flex;
             justify-content: space-between;
@@ -561,6 +666,26 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                         <!-- Images will be loaded here -->
                     </div>
                 </div>
+                
+                <div class="form-group">
+                    <label class="form-label">Add Audio / Video to Questions</label>
+                    <div class="image-upload-area" id="mediaUploadArea">
+                        <i class="fas fa-file-audio"></i>
+                        <p>Drag & drop audio or video here or click to upload</p>
+                        <p class="hint">Supports MP3, M4A, OGG, WAV, MP4, WebM (max 20MB)</p>
+                        <input type="file" id="mediaUploadInput" accept="audio/*,video/mp4,video/webm" style="display: none;">
+                    </div>
+                    
+                    <div class="image-gallery-controls">
+                        <h3>Your Audio &amp; Video</h3>
+                        <button id="refreshMediaBtn" class="btn btn-sm btn-secondary">
+                            <i class="fas fa-sync-alt"></i> Refresh
+                        </button>
+                    </div>
+                    <div class="media-list" id="mediaList">
+                        <!-- Media will be loaded here -->
+                    </div>
+                </div>
             </div>
             <div class="modal-footer">
                 <button id="cancelTemplate" class="btn btn-danger">Cancel</button>
@@ -583,6 +708,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         document.addEventListener('DOMContentLoaded', () => {
             loadTemplates();
             loadImages();
+            loadMedia();
             setupEventListeners();
         });
         
@@ -623,6 +749,33 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             // Refresh images
             document.getElementById('refreshImagesBtn').addEventListener('click', loadImages);
             
+            // Media upload
+            const mediaUploadArea = document.getElementById('mediaUploadArea');
+            const mediaUploadInput = document.getElementById('mediaUploadInput');
+            
+            mediaUploadArea.addEventListener('click', () => mediaUploadInput.click());
+            mediaUploadInput.addEventListener('change', (e) => handleMediaUpload(e.target.files[0]));
+            
+            mediaUploadArea.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                mediaUploadArea.classList.add('dragover');
+            });
+            
+            mediaUploadArea.addEventListener('dragleave', () => {
+                mediaUploadArea.classList.remove('dragover');
+            });
+            
+            mediaUploadArea.addEventListener('drop', (e) => {
+                e.preventDefault();
+                mediaUploadArea.classList.remove('dragover');
+                if (e.dataTransfer.files.length) {
+                    handleMediaUpload(e.dataTransfer.files[0]);
+                }
+            });
+            
+            // Refresh media
+            document.getElementById('refreshMediaBtn').addEventListener('click', loadMedia);
+            
             // Track cursor position in questions textarea
             const questionsTextarea = document.getElementById('templateQuestions');
             questionsTextarea.addEventListener('click', () => {
@@ -1031,6 +1184,148 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
             showMessage('info', 'Image URL inserted at cursor position');
         }
         
+        // Load audio / video files
+        async function loadMedia() {
+            try {
+                const response = await fetch('', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ action: 'getMedia' })
+                });
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    renderMediaList(data.media);
+                }
+            } catch (error) {
+                console.error('Error loading media:', error);
+            }
+        }
+        
+        // Render audio / video list
+        function renderMediaList(media) {
+            const container = document.getElementById('mediaList');
+            
+            if (media.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <i class="fas fa-file-audio"></i>
+                        <p>No audio or video uploaded yet</p>
+                    </div>
+                `;
+                return;
+            }
+            
+            container.innerHTML = media.map(item => `
+                <div class="media-item">
+                    <i class="fas ${item.type === 'video' ? 'fa-film' : 'fa-volume-up'}"></i>
+                    <div class="image-info">${escapeHtml(item.name)} (${(item.size / 1024 / 1024).toFixed(1)} MB)</div>
+                    <button class="image-action-btn insert-media" title="Insert into question" data-url="${item.url}" data-type="${item.type}">
+                        <i class="fas fa-plus"></i>
+                    </button>
+                    <button class="image-action-btn copy-url" title="Copy URL" data-url="${item.url}">
+                        <i class="fas fa-copy"></i>
+                    </button>
+                </div>
+            `).join('');
+            
+            // Add event listeners
+            container.querySelectorAll('.insert-media').forEach(btn => {
+                btn.addEventListener('click', () => insertMediaBlock(btn.dataset.url, btn.dataset.type));
+            });
+            
+            container.querySelectorAll('.copy-url').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    navigator.clipboard.writeText(btn.dataset.url)
+                        .then(() => showMessage('success', 'URL copied to clipboard!'))
+                        .catch(() => showMessage('error', 'Failed to copy URL'));
+                });
+            });
+        }
+        
+        // Handle audio / video upload
+        async function handleMediaUpload(file) {
+            if (!file) return;
+            
+            // Validate file type
+            const allowedTypes = ['audio/mpeg', 'audio/mp4', 'audio/ogg', 'audio/wav', 'audio/x-wav', 'audio/webm', 'video/mp4', 'video/webm'];
+            if (!allowedTypes.includes(file.type)) {
+                showMessage('error', 'Invalid file type. Use MP3, M4A, OGG, WAV, MP4 or WebM.');
+                return;
+            }
+            
+            // Validate file size (20MB max)
+            if (file.size > 20 * 1024 * 1024) {
+                showMessage('error', 'File too large. Maximum size is 20MB.');
+                return;
+            }
+            
+            const formData = new FormData();
+            formData.append('media', file);
+            
+            try {
+                const response = await fetch('', {
+                    method: 'POST',
+                    body: formData
+                });
+                
+                const data = await response.json();
+                
+                if (data.success) {
+                    insertMediaBlock(data.url, data.type);
+                    loadMedia();
+                    showMessage('success', 'File uploaded successfully!');
+                } else {
+                    showMessage('error', 'Error uploading file: ' + (data.error || 'Unknown error'));
+                }
+            } catch (error) {
+                showMessage('error', 'Network error: ' + error.message);
+            }
+            
+            // Reset input
+            document.getElementById('mediaUploadInput').value = '';
+        }
+        
+        // Insert a "media" block into questions JSON
+        function insertMediaBlock(url, type) {
+            const textarea = document.getElementById('templateQuestions');
+            const value = textarea.value;
+            const pos = currentCursorPosition ?? textarea.selectionStart;
+            const block = `"media": { "type": "${type}", "src": "${url}" }`;
+            
+            const lines = value.split('\n');
+            let charCount = 0;
+            let insertLine = -1;
+            
+            for (let i = 0; i < lines.length; i++) {
+                if (charCount + lines[i].length >= pos) {
+                    insertLine = i;
+                    break;
+                }
+                charCount += lines[i].length + 1;
+            }
+            
+            if (insertLine !== -1) {
+                // Look for a one-line media block near cursor
+                for (let i = insertLine; i >= Math.max(0, insertLine - 10); i--) {
+                    if (/"media":\s*\{[^}]*\}/.test(lines[i])) {
+                        lines[i] = lines[i].replace(/"media":\s*\{[^}]*\}/, block);
+                        textarea.value = lines.join('\n');
+                        showMessage('success', 'Media block inserted!');
+                        return;
+                    }
+                    if (lines[i].trim() === '{' || lines[i].includes('"question":')) {
+                        break;
+                    }
+                }
+            }
+            
+            // Fallback: insert at cursor
+            textarea.value = value.substring(0, pos) + block + value.substring(pos);
+            showMessage('info', 'Media block inserted at cursor position');
+        }
+        
         // Show message notification
         function showMessage(type, message) {
             const container = document.getElementById('messageSystem');
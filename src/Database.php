@@ -74,6 +74,22 @@ class Database {
                 nickname TEXT NOT NULL,
                 joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 active INTEGER DEFAULT 1,
+                team_id TEXT,
+                progress INTEGER DEFAULT 0,
+                question_started_at INTEGER,
+                joined_question INTEGER DEFAULT 0,
+                FOREIGN KEY (session_id) REFERENCES quiz_sessions(id) ON DELETE CASCADE
+            )
+        ");
+
+        // Teams (team mode)
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS teams (
+                id TEXT PRIMARY KEY,
+                session_id TEXT NOT NULL,
+                name TEXT NOT NULL,
+                color TEXT DEFAULT '',
+                team_order INTEGER NOT NULL DEFAULT 0,
                 FOREIGN KEY (session_id) REFERENCES quiz_sessions(id) ON DELETE CASCADE
             )
         ");
@@ -91,6 +107,14 @@ class Database {
                 explanation TEXT DEFAULT '',
                 original_correct_text TEXT DEFAULT '',
                 shuffle_verified INTEGER DEFAULT 0,
+                question_type TEXT DEFAULT 'single',
+                type_data TEXT DEFAULT '',
+                media TEXT DEFAULT '',
+                time_limit INTEGER,
+                tags TEXT DEFAULT '',
+                difficulty TEXT DEFAULT '',
+                objective TEXT DEFAULT '',
+                points REAL DEFAULT 1,
                 FOREIGN KEY (session_id) REFERENCES quiz_sessions(id) ON DELETE CASCADE
             )
         ");
@@ -103,6 +127,8 @@ class Database {
                 player_id TEXT NOT NULL,
                 question_index INTEGER NOT NULL,
                 timestamp REAL NOT NULL,
+                pressed_at REAL,
+                rtt REAL,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (session_id) REFERENCES quiz_sessions(id) ON DELETE CASCADE,
                 FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
@@ -119,6 +145,9 @@ class Database {
                 question_index INTEGER NOT NULL,
                 answer_index INTEGER NOT NULL,
                 is_correct INTEGER NOT NULL,
+                answer_data TEXT,
+                score REAL,
+                response_ms INTEGER,
                 timestamp REAL NOT NULL,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (session_id) REFERENCES quiz_sessions(id) ON DELETE CASCADE,
@@ -134,6 +163,7 @@ class Database {
                 session_id TEXT NOT NULL,
                 player_id TEXT NOT NULL,
                 question_index INTEGER NOT NULL,
+                outcome TEXT,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (session_id) REFERENCES quiz_sessions(id) ON DELETE CASCADE,
                 FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE,
@@ -173,6 +203,59 @@ class Database {
             )
         ");
 
+        // State snapshots (base versions for delta updates)
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS state_snapshots (
+                session_id TEXT NOT NULL,
+                view TEXT NOT NULL,
+                version INTEGER NOT NULL,
+                payload TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, view, version),
+                FOREIGN KEY (session_id) REFERENCES quiz_sessions(id) ON DELETE CASCADE
+            )
+        ");
+
+        // Processed player actions (dedupe of replayed offline actions by idempotency key)
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS processed_actions (
+                session_id TEXT NOT NULL,
+                idempotency_key TEXT NOT NULL,
+                action TEXT NOT NULL,
+                response TEXT NOT NULL,
+                client_timestamp INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (session_id, idempotency_key),
+                FOREIGN KEY (session_id) REFERENCES quiz_sessions(id) ON DELETE CASCADE
+            )
+        ");
+
+        // Session recording: game actions with the admin state they produced (as patches)
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS session_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                action TEXT NOT NULL,
+                player_id TEXT,
+                data TEXT,
+                patch TEXT NOT NULL,
+                state_version INTEGER NOT NULL,
+                timestamp REAL NOT NULL,
+                FOREIGN KEY (session_id) REFERENCES quiz_sessions(id) ON DELETE CASCADE
+            )
+        ");
+
+        // Recording status per session (last recorded state is the base for the next patch)
+        $this->pdo->exec("
+            CREATE TABLE IF NOT EXISTS session_recordings (
+                session_id TEXT PRIMARY KEY,
+                active INTEGER DEFAULT 0,
+                last_state TEXT,
+                last_version INTEGER DEFAULT 0,
+                FOREIGN KEY (session_id) REFERENCES quiz_sessions(id) ON DELETE CASCADE
+            )
+        ");
+
         // Saved sessions (backup/restore functionality)
         $this->pdo->exec("
             CREATE TABLE IF NOT EXISTS saved_sessions (
@@ -189,6 +272,62 @@ class Database {
         $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_buzzers_session ON buzzers(session_id, question_index)");
         $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_answers_session ON answers(session_id, question_index)");
         $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_messages_session ON messages(session_id)");
+        $this->pdo->exec("CREATE INDEX IF NOT EXISTS idx_session_events_session ON session_events(session_id, id)");
+
+        $this->migrateSchema();
+    }
+
+    /**
+     * Add columns introduced after a table was first created (existing databases)
+     */
+    private function migrateSchema() {
+        // Latency-compensated buzzer ordering
+        $this->addColumnIfMissing('buzzers', 'pressed_at', 'REAL');
+        $this->addColumnIfMissing('buzzers', 'rtt', 'REAL');
+
+        // Question types (multi-select etc.) and partial credit
+        $this->addColumnIfMissing('questions', 'question_type', "TEXT DEFAULT 'single'");
+        $this->addColumnIfMissing('questions', 'type_data', "TEXT DEFAULT ''");
+        $this->addColumnIfMissing('answers', 'answer_data', 'TEXT');
+        $this->addColumnIfMissing('answers', 'score', 'REAL');
+
+        // Audio / video prompts
+        $this->addColumnIfMissing('questions', 'media', "TEXT DEFAULT ''");
+
+        // Per-question time limits (NULL = quiz default)
+        $this->addColumnIfMissing('questions', 'time_limit', 'INTEGER');
+
+        // Question metadata (topics, difficulty, learning objective, weight)
+        $this->addColumnIfMissing('questions', 'tags', "TEXT DEFAULT ''");
+        $this->addColumnIfMissing('questions', 'difficulty', "TEXT DEFAULT ''");
+        $this->addColumnIfMissing('questions', 'objective', "TEXT DEFAULT ''");
+        $this->addColumnIfMissing('questions', 'points', 'REAL DEFAULT 1');
+
+        // Answer time since showOptions (speed bonus)
+        $this->addColumnIfMissing('answers', 'response_ms', 'INTEGER');
+
+        // Team of a player (team mode)
+        $this->addColumnIfMissing('players', 'team_id', 'TEXT');
+
+        // Oral answer verdict of a buzzing player ('correct', 'wrong', 'pass')
+        $this->addColumnIfMissing('spoken_players', 'outcome', 'TEXT');
+
+        // Own question and when it was shown (self-paced delivery)
+        $this->addColumnIfMissing('players', 'progress', 'INTEGER DEFAULT 0');
+        $this->addColumnIfMissing('players', 'question_started_at', 'INTEGER');
+
+        // First question a player could answer, for players joining mid-game (elimination mode)
+        $this->addColumnIfMissing('players', 'joined_question', 'INTEGER DEFAULT 0');
+    }
+
+    /**
+     * Add a column to a table unless it already exists
+     */
+    private function addColumnIfMissing(string $table, string $column, string $definition): void {
+        $columns = $this->pdo->query("PRAGMA table_info($table)")->fetchAll(PDO::FETCH_COLUMN, 1);
+        if (!in_array($column, $columns, true)) {
+            $this->pdo->exec("ALTER TABLE $table ADD COLUMN $column $definition");
+        }
     }
 
     /**
@@ -0,0 +1,952 @@
+<?php
+/**
+ * QuestionTypes.php - Validation, storage and scoring per question type
+ *
+ * Types (`type` field, defaults to 'single'):
+ *   single - one correct option, `correct` is an option index
+ *   multi  - "choose all that apply", `correct` is a list of option indices and
+ *            `scoring` is 'all-or-nothing' (default), 'proportional' or 'penalty'
+ *   order  - put the options in sequence; authored in the correct order (no `correct`),
+ *            stored shuffled with `correct` listing the option indices in the right order,
+ *            `scoring` is 'sequence' (default, partial credit) or 'all-or-nothing'
+ *   match  - connect left and right terms; authored as `pairs` ([left, right] lists),
+ *            stored as shuffled `options` (left) and `right` columns with `correct`
+ *            giving the right index for each left index,
+ *            `scoring` is 'per-pair' (default, partial credit) or 'all-or-nothing'
+ *   text   - typed answer, correct when it matches one of the `accepted` answers (ignoring
+ *            case, diacritics and extra spaces unless `caseSensitive` / `accentSensitive`,
+ *            allowing `tolerance` typos) or one of the `patterns` (regexes matching the whole
+ *            answer); there are no options
+ *   numeric - typed number, `correct` is the number, correct within `tolerance` (default 0)
+ *            which is 'absolute' (default) or 'percent' of `correct` per `toleranceMode`;
+ *            optional `unit` is shown next to the input and answers; there are no options
+ *   hotspot - tap a point on the `image`, correct inside one of the `regions`: circles
+ *            ({shape: 'circle', x, y, r}), rectangles ({shape: 'rect', x, y, width, height})
+ *            or polygons ({shape: 'polygon', points: [[x, y], ...]}), each with an optional
+ *            `label`; coordinates are pixels of the original image, there are no options
+ *   poll   - opinion question with `options` kept in authored order and no `correct`
+ *   wordcloud - short typed answer shown as a word cloud, no options and no `correct`
+ *            Polls and word clouds are not scored; with `showResults` players see the
+ *            results at reveal
+ *
+ * Any question can have a `media` prompt: {type: 'audio'|'video', src, playback, maxPlays, autoplay}
+ * where `playback` is 'player' (default, every player plays it on their device, at most
+ * `maxPlays` times - 0 is unlimited) or 'projector' (the admin screen plays it), and
+ * `autoplay` starts it when the question is shown.
+ *
+ * `timeLimit` (seconds, optional) overrides the quiz-wide default time to answer once the
+ * options are shown; 0 turns the timer off for the question.
+ *
+ * Metadata (all optional): `tags` (list of topics), `difficulty` ('easy', 'medium' or 'hard'),
+ * `objective` (the learning objective the question checks) and `points` (weight of the
+ * question in the summary, default 1).
+ *
+ * Answers are scored from 0 to 1; an answer is correct when it scores 1.
+ */
+
+class QuestionTypes {
+    const TYPES = ['single', 'multi', 'order', 'match', 'text', 'numeric', 'hotspot', 'poll', 'wordcloud'];
+
+    const UNSCORED_TYPES = ['poll', 'wordcloud'];
+
+    const MULTI_SCORING = ['all-or-nothing', 'proportional', 'penalty'];
+
+    const ORDER_SCORING = ['sequence', 'all-or-nothing'];
+
+    const MATCH_SCORING = ['per-pair', 'all-or-nothing'];
+
+    const NUMERIC_TOLERANCE = ['absolute', 'percent'];
+
+    const HOTSPOT_SHAPES = ['circle', 'rect', 'polygon'];
+
+    const MEDIA_TYPES = ['audio', 'video'];
+
+    const MEDIA_PLAYBACK = ['player', 'projector'];
+
+    const MAX_TEXT_LENGTH = 200;
+
+    const MAX_WORD_LENGTH = 40;
+
+    const MAX_TOLERANCE = 5;
+
+    const MAX_TIME_LIMIT = 3600;
+
+    const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+    const MAX_TAGS = 10;
+
+    const MAX_POINTS = 100;
+
+    // Letters folded to their base letter when diacritics are ignored
+    const ACCENTED = 'àáâãäåāăąçćčďđèéêëēėęěìíîïīįłñńňòóôõöøōőŕřśšşťùúûüūůűųýÿźżž';
+    const UNACCENTED = 'aaaaaaaaacccddeeeeeeeeiiiiiilnnnoooooooorrssstuuuuuuuuyyzzz';
+
+    /**
+     * Type of a question (questions without `type` are single choice)
+     */
+    public static function typeOf(array $question): string {
+        return $question['type'] ?? 'single';
+    }
+
+    /**
+     * Whether answers to a question are scored (polls and word clouds are not)
+     */
+    public static function isScored(array $question): bool {
+        return !in_array(self::typeOf($question), self::UNSCORED_TYPES, true);
+    }
+
+    // ==================== VALIDATION ====================
+
+    /**
+     * Validate a question from the editor, throws on invalid input
+     */
+    public static function validate(array $q, int $index): void {
+        $type = self::typeOf($q);
+
+        if (isset($q['media'])) {
+            self::validateMedia($q['media'], $index);
+        }
+        if (isset($q['timeLimit']) && (!is_int($q['timeLimit']) || $q['timeLimit'] < 0 || $q['timeLimit'] > self::MAX_TIME_LIMIT)) {
+            throw new Exception("\"timeLimit\" must be a number of seconds from 0 to " . self::MAX_TIME_LIMIT . " at question $index");
+        }
+        self::validateMeta($q, $index);
+
+        if ($type === 'match') {
+            self::validatePairs($q, $index);
+            return;
+        }
+        if ($type === 'text') {
+            self::validateText($q, $index);
+            return;
+        }
+        if ($type === 'numeric') {
+            self::validateNumeric($q, $index);
+            return;
+        }
+        if ($type === 'hotspot') {
+            self::validateRegions($q, $index);
+            return;
+        }
+        if (isset($q['showResults']) && !is_bool($q['showResults'])) {
+            throw new Exception("\"showResults\" must be true or false at question $index");
+        }
+        if ($type === 'wordcloud') {
+            if (!isset($q['question'])) {
+                throw new Exception("Invalid question format at index $index");
+            }
+            return;
+        }
+
+        $needsCorrect = !in_array($type, ['order', 'poll'], true);
+
+        if (!isset($q['question']) || !isset($q['options']) || ($needsCorrect && !isset($q['correct']))) {
+            throw new Exception("Invalid question format at index $index");
+        }
+        if (!is_array($q['options']) || count($q['options']) < 2) {
+            throw new Exception("Question at index $index must have at least 2 options");
+        }
+
+        switch ($type) {
+            case 'single':
+                if (!self::isOptionIndex($q['correct'], $q['options'])) {
+                    throw new Exception("Invalid correct answer index at question $index");
+                }
+                break;
+
+            case 'multi':
+                if (!is_array($q['correct']) || empty($q['correct'])) {
+                    throw new Exception("Question at index $index must list its correct options");
+                }
+                foreach ($q['correct'] as $correct) {
+                    if (!self::isOptionIndex($correct, $q['options'])) {
+                        throw new Exception("Invalid correct answer index at question $index");
+                    }
+                }
+                if (count(array_unique($q['correct'])) !== count($q['correct'])) {
+                    throw new Exception("Duplicate correct answer index at question $index");
+                }
+                if (isset($q['scoring']) && !in_array($q['scoring'], self::MULTI_SCORING, true)) {
+                    throw new Exception("Invalid scoring \"{$q['scoring']}\" at question $index");
+                }
+                break;
+
+            case 'order':
+                if (isset($q['scoring']) && !in_array($q['scoring'], self::ORDER_SCORING, true)) {
+                    throw new Exception("Invalid scoring \"{$q['scoring']}\" at question $index");
+                }
+                break;
+
+            case 'poll':
+                // Any option is a valid vote
+                break;
+
+            default:
+                throw new Exception("Unknown question type \"$type\" at question $index");
+        }
+    }
+
+    /**
+     * Validate the `pairs` of a matching question
+     */
+    private static function validatePairs(array $q, int $index): void {
+        if (!isset($q['question']) || !isset($q['pairs'])) {
+            throw new Exception("Invalid question format at index $index");
+        }
+        if (!is_array($q['pairs']) || count($q['pairs']) < 2) {
+            throw new Exception("Question at index $index must have at least 2 pairs");
+        }
+        foreach ($q['pairs'] as $pair) {
+            if (!is_array($pair) || count($pair) !== 2 || !is_string($pair[0] ?? null) || !is_string($pair[1] ?? null)
+                || trim($pair[0]) === '' || trim($pair[1]) === '') {
+                throw new Exception("Each pair at question $index must be two non-empty strings");
+            }
+        }
+        // Duplicate terms would make more than one matching correct
+        if (count(array_unique(array_column($q['pairs'], 0))) !== count($q['pairs'])
+            || count(array_unique(array_column($q['pairs'], 1))) !== count($q['pairs'])) {
+            throw new Exception("Duplicate term in the pairs at question $index");
+        }
+        if (isset($q['scoring']) && !in_array($q['scoring'], self::MATCH_SCORING, true)) {
+            throw new Exception("Invalid scoring \"{$q['scoring']}\" at question $index");
+        }
+    }
+
+    /**
+     * Validate the accepted answers and matching rules of a text question
+     */
+    private static function validateText(array $q, int $index): void {
+        if (!isset($q['question'])) {
+            throw new Exception("Invalid question format at index $index");
+        }
+
+        foreach (['accepted', 'patterns'] as $field) {
+            if (!isset($q[$field])) {
+                continue;
+            }
+            if (!is_array($q[$field])) {
+                throw new Exception("\"$field\" must be a list at question $index");
+            }
+            foreach ($q[$field] as $value) {
+                if (!is_string($value) || trim($value) === '') {
+                    throw new Exception("\"$field\" must only contain non-empty strings at question $index");
+                }
+            }
+        }
+        if (empty($q['accepted']) && empty($q['patterns'])) {
+            throw new Exception("Question at index $index must list its accepted answers or patterns");
+        }
+
+        foreach ($q['patterns'] ?? [] as $pattern) {
+            if (@preg_match(self::patternRegex($pattern, $q), '') === false) {
+                throw new Exception("Invalid pattern \"$pattern\" at question $index");
+            }
+        }
+        if (isset($q['tolerance']) && (!is_int($q['tolerance']) || $q['tolerance'] < 0 || $q['tolerance'] > self::MAX_TOLERANCE)) {
+            throw new Exception("\"tolerance\" must be a number from 0 to " . self::MAX_TOLERANCE . " at question $index");
+        }
+        foreach (['caseSensitive', 'accentSensitive'] as $flag) {
+            if (isset($q[$flag]) && !is_bool($q[$flag])) {
+                throw new Exception("\"$flag\" must be true or false at question $index");
+            }
+        }
+    }
+
+    /**
+     * Validate the number, tolerance and unit of a numeric question
+     */
+    private static function validateNumeric(array $q, int $index): void {
+        if (!isset($q['question']) || !isset($q['correct'])) {
+            throw new Exception("Invalid question format at index $index");
+        }
+        if (!self::isNumber($q['correct'])) {
+            throw new Exception("\"correct\" must be a number at question $index");
+        }
+        if (isset($q['tolerance']) && (!self::isNumber($q['tolerance']) || $q['tolerance'] < 0)) {
+            throw new Exception("\"tolerance\" must be a number of 0 or more at question $index");
+        }
+        if (isset($q['toleranceMode']) && !in_array($q['toleranceMode'], self::NUMERIC_TOLERANCE, true)) {
+            throw new Exception("Invalid tolerance mode \"{$q['toleranceMode']}\" at question $index");
+        }
+        if (isset($q['unit']) && !is_string($q['unit'])) {
+            throw new Exception("\"unit\" must be a string at question $index");
+        }
+    }
+
+    /**
+     * Validate the audio / video prompt of a question
+     */
+    private static function validateMedia($media, int $index): void {
+        if (!is_array($media) || !is_string($media['src'] ?? null) || trim($media['src']) === '') {
+            throw new Exception("\"media\" needs a \"src\" at question $index");
+        }
+        if (isset($media['type']) && !in_array($media['type'], self::MEDIA_TYPES, true)) {
+            throw new Exception("Invalid media type \"{$media['type']}\" at question $index");
+        }
+        if (isset($media['playback']) && !in_array($media['playback'], self::MEDIA_PLAYBACK, true)) {
+            throw new Exception("Invalid media playback \"{$media['playback']}\" at question $index");
+        }
+        if (isset($media['maxPlays']) && (!is_int($media['maxPlays']) || $media['maxPlays'] < 0)) {
+            throw new Exception("Media \"maxPlays\" must be a number of 0 or more at question $index");
+        }
+        if (isset($media['autoplay']) && !is_bool($media['autoplay'])) {
+            throw new Exception("Media \"autoplay\" must be true or false at question $index");
+        }
+    }
+
+    /**
+     * Validate the tags, difficulty, learning objective and points of a question
+     */
+    private static function validateMeta(array $q, int $index): void {
+        if (isset($q['tags'])) {
+            if (!is_array($q['tags']) || count($q['tags']) > self::MAX_TAGS) {
+                throw new Exception("\"tags\" must be a list of up to " . self::MAX_TAGS . " tags at question $index");
+            }
+            foreach ($q['tags'] as $tag) {
+                if (!is_string($tag) || trim($tag) === '' || mb_strlen($tag) > self::MAX_WORD_LENGTH) {
+                    throw new Exception("Tags must be non-empty text of up to " . self::MAX_WORD_LENGTH . " characters at question $index");
+                }
+            }
+        }
+        if (isset($q['difficulty']) && !in_array($q['difficulty'], self::DIFFICULTIES, true)) {
+            throw new Exception("Invalid difficulty \"{$q['difficulty']}\" at question $index");
+        }
+        if (isset($q['objective']) && (!is_string($q['objective']) || mb_strlen($q['objective']) > self::MAX_TEXT_LENGTH)) {
+            throw new Exception("\"objective\" must be text of up to " . self::MAX_TEXT_LENGTH . " characters at question $index");
+        }
+        if (isset($q['points']) && (!self::isNumber($q['points']) || $q['points'] <= 0 || $q['points'] > self::MAX_POINTS)) {
+            throw new Exception("\"points\" must be a number above 0 and up to " . self::MAX_POINTS . " at question $index");
+        }
+    }
+
+    /**
+     * Validate the image and regions of a hotspot question
+     */
+    private static function validateRegions(array $q, int $index): void {
+        if (!isset($q['question']) || !isset($q['regions'])) {
+            throw new Exception("Invalid question format at index $index");
+        }
+        if (!is_string($q['image'] ?? null) || trim($q['image']) === '') {
+            throw new Exception("Question at index $index needs an \"image\" to tap on");
+        }
+        if (!is_array($q['regions']) || empty($q['regions'])) {
+            throw new Exception("Question at index $index must have at least 1 region");
+        }
+
+        $isCoordinate = fn($value) => self::isNumber($value) && $value >= 0;
+        foreach ($q['regions'] as $region) {
+            $shape = is_array($region) ? ($region['shape'] ?? null) : null;
+            if (!in_array($shape, self::HOTSPOT_SHAPES, true)) {
+                throw new Exception("Each region at question $index must have a shape: " . implode(', ', self::HOTSPOT_SHAPES));
+            }
+
+            switch ($shape) {
+                case 'circle':
+                    $valid = $isCoordinate($region['x'] ?? null) && $isCoordinate($region['y'] ?? null)
+                        && $isCoordinate($region['r'] ?? null) && $region['r'] > 0;
+                    break;
+                case 'rect':
+                    $valid = $isCoordinate($region['x'] ?? null) && $isCoordinate($region['y'] ?? null)
+                        && $isCoordinate($region['width'] ?? null) && $region['width'] > 0
+                        && $isCoordinate($region['height'] ?? null) && $region['height'] > 0;
+                    break;
+                default:
+                    $points = $region['points'] ?? null;
+                    $valid = is_array($points) && count($points) >= 3;
+                    foreach ($valid ? $points : [] as $point) {
+                        $valid = $valid && is_array($point) && count($point) === 2
+                            && $isCoordinate($point[0] ?? null) && $isCoordinate($point[1] ?? null);
+                    }
+            }
+            if (!$valid) {
+                throw new Exception("Invalid $shape region at question $index");
+            }
+            if (isset($region['label']) && !is_string($region['label'])) {
+                throw new Exception("Region \"label\" must be a string at question $index");
+            }
+        }
+    }
+
+    /**
+     * Whether a value is a finite JSON number
+     */
+    private static function isNumber($value): bool {
+        return (is_int($value) || is_float($value)) && is_finite($value);
+    }
+
+    /**
+     * Whether a value is a valid index into the options
+     */
+    private static function isOptionIndex($value, array $options): bool {
+        return is_int($value) && $value >= 0 && $value < count($options);
+    }
+
+    // ==================== STORAGE ====================
+
+    /**
+     * Shuffle the options of a (non-single) question and remap its correct indices
+     * Single choice questions keep their own integrity-checked shuffle in QuizManager
+     */
+    public static function shuffleOptions(array $q): array {
+        if (self::typeOf($q) === 'match') {
+            return self::shufflePairs($q);
+        }
+        if (in_array(self::typeOf($q), ['text', 'numeric', 'hotspot', 'wordcloud'], true)) {
+            // Nothing to shuffle
+            return array_merge($q, ['options' => []]);
+        }
+        if (self::typeOf($q) === 'poll') {
+            // Poll options often form a scale, keep them in authored order
+            return $q;
+        }
+
+        $originalIndices = array_keys($q['options']);
+        shuffle($originalIndices);
+
+        // An ordering question must not start out already solved
+        if (self::typeOf($q) === 'order') {
+            for ($attempt = 0; $originalIndices === array_keys($q['options']) && $attempt < 10; $attempt++) {
+                shuffle($originalIndices);
+            }
+        }
+
+        $positions = array_flip($originalIndices);
+        $q['options'] = array_map(fn($originalIndex) => $q['options'][$originalIndex], $originalIndices);
+
+        switch (self::typeOf($q)) {
+            case 'multi':
+                $q['correct'] = array_map(fn($originalIndex) => $positions[$originalIndex], $q['correct']);
+                sort($q['correct']);
+                break;
+
+            case 'order':
+                // Options were authored in the correct order
+                $q['correct'] = array_map(fn($originalIndex) => $positions[$originalIndex], range(0, count($positions) - 1));
+                break;
+        }
+
+        return $q;
+    }
+
+    /**
+     * Split the pairs of a matching question into two independently shuffled columns
+     */
+    private static function shufflePairs(array $q): array {
+        $leftOrder = array_keys($q['pairs']);
+        $rightOrder = $leftOrder;
+        shuffle($leftOrder);
+        shuffle($rightOrder);
+        $rightPositions = array_flip($rightOrder);
+
+        $q['options'] = array_map(fn($pairIndex) => $q['pairs'][$pairIndex][0], $leftOrder);
+        $q['right'] = array_map(fn($pairIndex) => $q['pairs'][$pairIndex][1], $rightOrder);
+        $q['correct'] = array_map(fn($pairIndex) => $rightPositions[$pairIndex], $leftOrder);
+        unset($q['pairs']);
+
+        return $q;
+    }
+
+    /**
+     * Columns for the questions table: correct_index plus the type and its extra fields, the media prompt,
+     * the time limit (null = quiz default) and the metadata
+     */
+    public static function toStorage(array $q): array {
+        $tags = array_values(array_unique(array_map('trim', $q['tags'] ?? [])));
+
+        return array_merge(self::typeToStorage($q), [
+            'media' => self::mediaToStorage($q['media'] ?? null),
+            'timeLimit' => $q['timeLimit'] ?? null,
+            'tags' => $tags ? json_encode($tags) : '',
+            'difficulty' => $q['difficulty'] ?? '',
+            'objective' => trim($q['objective'] ?? ''),
+            'points' => $q['points'] ?? 1
+        ]);
+    }
+
+    /**
+     * correct_index, type and type_data columns
+     */
+    private static function typeToStorage(array $q): array {
+        $type = self::typeOf($q);
+
+        if ($type === 'single') {
+            return ['correctIndex' => $q['correct'], 'type' => 'single', 'data' => ''];
+        }
+
+        if (!self::isScored($q)) {
+            return ['correctIndex' => -1, 'type' => $type, 'data' => json_encode(['showResults' => $q['showResults'] ?? false])];
+        }
+
+        if ($type === 'text') {
+            $data = [
+                'accepted' => array_values($q['accepted'] ?? []),
+                'patterns' => array_values($q['patterns'] ?? []),
+                'tolerance' => $q['tolerance'] ?? 0,
+                'caseSensitive' => $q['caseSensitive'] ?? false,
+                'accentSensitive' => $q['accentSensitive'] ?? false
+            ];
+            return ['correctIndex' => -1, 'type' => $type, 'data' => json_encode($data)];
+        }
+
+        if ($type === 'hotspot') {
+            return ['correctIndex' => -1, 'type' => $type, 'data' => json_encode(['regions' => array_values($q['regions'])])];
+        }
+
+        $data = ['correct' => $q['correct']];
+        if ($type === 'multi') {
+            $data['scoring'] = $q['scoring'] ?? 'all-or-nothing';
+        } elseif ($type === 'order') {
+            $data['scoring'] = $q['scoring'] ?? 'sequence';
+        } elseif ($type === 'match') {
+            $data['right'] = $q['right'];
+            $data['scoring'] = $q['scoring'] ?? 'per-pair';
+        } elseif ($type === 'numeric') {
+            $data['tolerance'] = $q['tolerance'] ?? 0;
+            $data['toleranceMode'] = $q['toleranceMode'] ?? 'absolute';
+            $data['unit'] = $q['unit'] ?? '';
+        }
+
+        return ['correctIndex' => -1, 'type' => $type, 'data' => json_encode($data)];
+    }
+
+    /**
+     * media column: the prompt with its defaults filled in, '' without one
+     */
+    private static function mediaToStorage(?array $media): string {
+        if (!$media) {
+            return '';
+        }
+
+        return json_encode([
+            'type' => $media['type'] ?? 'audio',
+            'src' => $media['src'],
+            'playback' => $media['playback'] ?? 'player',
+            'maxPlays' => $media['maxPlays'] ?? 0,
+            'autoplay' => $media['autoplay'] ?? false
+        ]);
+    }
+
+    /**
+     * Merge the stored type and its extra fields (and the media prompt, time limit and metadata)
+     * of a questions row back into a question
+     */
+    public static function fromStorage(array $question, array $row): array {
+        $question['type'] = $row['question_type'] ?: 'single';
+
+        if ($question['type'] !== 'single' && $row['type_data']) {
+            $question = array_merge($question, json_decode($row['type_data'], true) ?: []);
+        }
+        if ($row['media']) {
+            $question['media'] = json_decode($row['media'], true);
+        }
+        if ($row['time_limit'] !== null) {
+            $question['timeLimit'] = (int)$row['time_limit'];
+        }
+        if ($row['tags']) {
+            $question['tags'] = json_decode($row['tags'], true);
+        }
+        if ($row['difficulty']) {
+            $question['difficulty'] = $row['difficulty'];
+        }
+        if ($row['objective']) {
+            $question['objective'] = $row['objective'];
+        }
+        if ($row['points'] !== null && (float)$row['points'] !== 1.0) {
+            // Whole numbers stay integers in the JSON
+            $points = (float)$row['points'];
+            $question['points'] = floor($points) === $points ? (int)$points : $points;
+        }
+
+        return $question;
+    }
+
+    /**
+     * Weight of a question in the summary
+     */
+    public static function pointsOf(array $question): float {
+        return (float)($question['points'] ?? 1);
+    }
+
+    // ==================== ANSWERS ====================
+
+    /**
+     * Validate and normalize a submitted answer, null when it does not fit the question
+     */
+    public static function normalizeAnswer(array $question, $answer) {
+        switch (self::typeOf($question)) {
+            case 'multi':
+                if (!is_array($answer) || empty($answer)) {
+                    return null;
+                }
+                $picked = [];
+                foreach ($answer as $index) {
+                    if (!is_numeric($index) || !self::isOptionIndex((int)$index, $question['options'])) {
+                        return null;
+                    }
+                    $picked[] = (int)$index;
+                }
+                $picked = array_values(array_unique($picked));
+                sort($picked);
+                return $picked;
+
+            case 'order':
+                // A permutation of all option indices
+                return self::normalizePermutation($answer, count($question['options']));
+
+            case 'match':
+                // The right index connected to each left index, every right term used once
+                return self::normalizePermutation($answer, count($question['right']));
+
+            case 'text':
+            case 'wordcloud':
+                // Trimmed, with runs of whitespace collapsed (case and accents are kept for review)
+                if (!is_string($answer)) {
+                    return null;
+                }
+                $text = preg_replace('/\s+/u', ' ', trim($answer));
+                if ($text === null || $text === '') {
+                    return null;
+                }
+                return rtrim(mb_substr($text, 0, self::typeOf($question) === 'wordcloud' ? self::MAX_WORD_LENGTH : self::MAX_TEXT_LENGTH));
+
+            case 'numeric':
+                // A number, or a string like "3,5" or "1 000" typed on a phone
+                if (is_string($answer)) {
+                    $answer = str_replace([',', ' '], ['.', ''], trim($answer));
+                }
+                if (!is_numeric($answer) || !is_finite((float)$answer)) {
+                    return null;
+                }
+                return (float)$answer;
+
+            case 'hotspot':
+                // The tapped point in image pixels
+                if (!is_array($answer) || !isset($answer['x'], $answer['y'])
+                    || !is_numeric($answer['x']) || !is_numeric($answer['y'])) {
+                    return null;
+                }
+                $point = ['x' => round((float)$answer['x'], 1), 'y' => round((float)$answer['y'], 1)];
+                return is_finite($point['x']) && is_finite($point['y']) && $point['x'] >= 0 && $point['y'] >= 0 ? $point : null;
+
+            default:
+                if (!is_numeric($answer) || !self::isOptionIndex((int)$answer, $question['options'])) {
+                    return null;
+                }
+                return (int)$answer;
+        }
+    }
+
+    /**
+     * A list holding every index from 0 to $count - 1 exactly once, null otherwise
+     */
+    private static function normalizePermutation($answer, int $count): ?array {
+        if (!is_array($answer) || count($answer) !== $count) {
+            return null;
+        }
+        $sequence = array_map(fn($index) => is_numeric($index) ? (int)$index : -1, array_values($answer));
+        $sorted = $sequence;
+        sort($sorted);
+        return $sorted === range(0, $count - 1) ? $sequence : null;
+    }
+
+    /**
+     * Score a normalized answer from 0 to 1
+     */
+    public static function score(array $question, $answer): float {
+        switch (self::typeOf($question)) {
+            case 'multi':
+                return self::scoreMulti($question, $answer);
+
+            case 'order':
+                return self::scoreOrder($question, $answer);
+
+            case 'match':
+                return self::scoreMatch($question, $answer);
+
+            case 'text':
+                return self::matchesText($question, $answer) ? 1.0 : 0.0;
+
+            case 'numeric':
+                // Small epsilon so that e.g. 0.1 + 0.2 still counts as 0.3
+                return abs($answer - $question['correct']) <= self::numericTolerance($question) + 1e-9 ? 1.0 : 0.0;
+
+            case 'hotspot':
+                return self::hitRegion($question, $answer) !== null ? 1.0 : 0.0;
+
+            default:
+                return $answer === $question['correct'] ? 1.0 : 0.0;
+        }
+    }
+
+    /**
+     * Score a multi-select answer according to the question's scoring rule
+     */
+    private static function scoreMulti(array $question, array $answer): float {
+        $correct = $question['correct'];
+        $hits = count(array_intersect($answer, $correct));
+        $wrong = count($answer) - $hits;
+
+        switch ($question['scoring'] ?? 'all-or-nothing') {
+            case 'proportional':
+                // Right picks out of all options that were picked or should have been
+                return round($hits / count(array_unique(array_merge($answer, $correct))), 4);
+
+            case 'penalty':
+                // Every wrong pick cancels a right one
+                return round(max(0, ($hits - $wrong) / count($correct)), 4);
+
+            default:
+                return ($hits === count($correct) && $wrong === 0) ? 1.0 : 0.0;
+        }
+    }
+
+    /**
+     * Score an ordering answer: all-or-nothing, or by the longest run of items
+     * kept in correct relative order (a fully reversed answer scores 0)
+     */
+    private static function scoreOrder(array $question, array $answer): float {
+        if ($answer === $question['correct']) {
+            return 1.0;
+        }
+        if (($question['scoring'] ?? 'sequence') === 'all-or-nothing' || count($answer) < 2) {
+            return 0.0;
+        }
+
+        $rankOf = array_flip($question['correct']);
+        $ranks = array_map(fn($index) => $rankOf[$index], $answer);
+
+        return round((self::longestIncreasingRun($ranks) - 1) / (count($answer) - 1), 4);
+    }
+
+    /**
+     * Score a matching answer: all-or-nothing, or the share of correctly connected pairs
+     */
+    private static function scoreMatch(array $question, array $answer): float {
+        $hits = count(array_filter($answer, fn($rightIndex, $leftIndex) => $rightIndex === $question['correct'][$leftIndex], ARRAY_FILTER_USE_BOTH));
+
+        if ($hits === count($question['correct'])) {
+            return 1.0;
+        }
+        if (($question['scoring'] ?? 'per-pair') === 'all-or-nothing') {
+            return 0.0;
+        }
+
+        return round($hits / count($question['correct']), 4);
+    }
+
+    /**
+     * Largest accepted distance from the correct number
+     */
+    private static function numericTolerance(array $question): float {
+        $tolerance = (float)($question['tolerance'] ?? 0);
+
+        return ($question['toleranceMode'] ?? 'absolute') === 'percent'
+            ? abs($question['correct']) * $tolerance / 100
+            : $tolerance;
+    }
+
+    /**
+     * First region of a hotspot question containing a point, null when it misses all of them
+     */
+    public static function hitRegion(array $question, array $point): ?array {
+        foreach ($question['regions'] ?? [] as $region) {
+            if (self::isInRegion($region, $point['x'], $point['y'])) {
+                return $region;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a point lies inside (or on the edge of) a region
+     */
+    private static function isInRegion(array $region, float $x, float $y): bool {
+        switch ($region['shape']) {
+            case 'circle':
+                return ($x - $region['x']) ** 2 + ($y - $region['y']) ** 2 <= $region['r'] ** 2;
+
+            case 'rect':
+                return $x >= $region['x'] && $x <= $region['x'] + $region['width']
+                    && $y >= $region['y'] && $y <= $region['y'] + $region['height'];
+
+            default:
+                // Ray casting: a point is inside when a ray from it crosses the outline an odd number of times
+                $inside = false;
+                $points = $region['points'];
+                for ($i = 0, $j = count($points) - 1; $i < count($points); $j = $i++) {
+                    [$xi, $yi] = $points[$i];
+                    [$xj, $yj] = $points[$j];
+                    if (($yi > $y) !== ($yj > $y) && $x < ($xj - $xi) * ($y - $yi) / ($yj - $yi) + $xi) {
+                        $inside = !$inside;
+                    }
+                }
+                return $inside;
+        }
+    }
+
+    /**
+     * Whether a typed answer matches an accepted answer (within the typo tolerance) or a pattern
+     */
+    public static function matchesText(array $question, string $text): bool {
+        $normalized = self::normalizeText($text, $question);
+        $tolerance = $question['tolerance'] ?? 0;
+
+        foreach ($question['accepted'] ?? [] as $accepted) {
+            $expected = self::normalizeText($accepted, $question);
+            if ($normalized === $expected || ($tolerance > 0 && self::textDistance($normalized, $expected) <= $tolerance)) {
+                return true;
+            }
+        }
+
+        foreach ($question['patterns'] ?? [] as $pattern) {
+            if (@preg_match(self::patternRegex($pattern, $question), $text) === 1) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Text in the form answers are compared in
+     */
+    private static function normalizeText(string $text, array $question): string {
+        $text = preg_replace('/\s+/u', ' ', trim($text)) ?? $text;
+
+        if (empty($question['caseSensitive'])) {
+            $text = mb_strtolower($text);
+        }
+        if (empty($question['accentSensitive'])) {
+            $text = self::stripAccents($text);
+        }
+
+        return $text;
+    }
+
+    /**
+     * Replace accented letters with their base letter
+     */
+    private static function stripAccents(string $text): string {
+        static $map = null;
+
+        if ($map === null) {
+            $map = array_combine(mb_str_split(self::ACCENTED), str_split(self::UNACCENTED));
+            foreach ($map as $accented => $plain) {
+                $map[mb_strtoupper($accented)] = strtoupper($plain);
+            }
+        }
+
+        return strtr($text, $map);
+    }
+
+    /**
+     * Levenshtein distance counted in characters (PHP's levenshtein() counts bytes)
+     */
+    private static function textDistance(string $a, string $b): int {
+        $a = mb_str_split($a);
+        $b = mb_str_split($b);
+
+        $previous = range(0, count($b));
+        foreach ($a as $i => $charA) {
+            $current = [$i + 1];
+            foreach ($b as $j => $charB) {
+                $current[] = min($previous[$j + 1] + 1, $current[$j] + 1, $previous[$j] + ($charA === $charB ? 0 : 1));
+            }
+            $previous = $current;
+        }
+
+        return $previous[count($b)];
+    }
+
+    /**
+     * PCRE form of a pattern: it must match the whole answer
+     */
+    private static function patternRegex(string $pattern, array $question): string {
+        return '~^(?:' . str_replace('~', '\~', $pattern) . ')$~u' . (empty($question['caseSensitive']) ? 'i' : '');
+    }
+
+    /**
+     * Length of the longest increasing subsequence (patience sorting)
+     */
+    private static function longestIncreasingRun(array $values): int {
+        $tails = [];
+        foreach ($values as $value) {
+            $low = 0;
+            $high = count($tails);
+            while ($low < $high) {
+                $mid = intdiv($low + $high, 2);
+                if ($tails[$mid] < $value) {
+                    $low = $mid + 1;
+                } else {
+                    $high = $mid;
+                }
+            }
+            $tails[$low] = $value;
+        }
+
+        return count($tails);
+    }
+
+    /**
+     * Readable form of an answer (end screen, results)
+     */
+    public static function formatAnswer(array $question, $answer): string {
+        if (is_string($answer)) {
+            return $answer;
+        }
+
+        if (self::typeOf($question) === 'numeric') {
+            return trim($answer . ' ' . ($question['unit'] ?? ''));
+        }
+
+        if (self::typeOf($question) === 'hotspot' && is_array($answer)) {
+            // The label of the tapped region when it has one
+            $region = self::hitRegion($question, $answer);
+            return ($region['label'] ?? '') ?: sprintf('Point (%d, %d)', $answer['x'], $answer['y']);
+        }
+
+        if (self::typeOf($question) === 'match' && is_array($answer)) {
+            $pairs = [];
+            foreach ($answer as $leftIndex => $rightIndex) {
+                $pairs[] = ($question['options'][$leftIndex] ?? 'Unknown') . ' = ' . ($question['right'][$rightIndex] ?? 'Unknown');
+            }
+            return implode(', ', $pairs);
+        }
+
+        if (self::typeOf($question) === 'order' && is_array($answer)) {
+            return implode(' → ', array_map(fn($index) => $question['options'][$index] ?? 'Unknown', $answer));
+        }
+
+        if (is_array($answer)) {
+            return implode(', ', array_map(fn($index) => $question['options'][$index] ?? 'Unknown', $answer));
+        }
+
+        return $question['options'][$answer] ?? 'Unknown';
+    }
+
+    /**
+     * Readable form of the correct answer
+     */
+    public static function formatCorrect(array $question): string {
+        if (!self::isScored($question)) {
+            return '';
+        }
+
+        if (self::typeOf($question) === 'text') {
+            return implode(' / ', ($question['accepted'] ?? []) ?: ($question['patterns'] ?? []));
+        }
+
+        if (self::typeOf($question) === 'hotspot') {
+            // Named when every region has a label
+            $labels = array_filter(array_column($question['regions'] ?? [], 'label'));
+            return $labels && count($labels) === count($question['regions']) ? implode(' / ', $labels) : 'The marked area of the image';
+        }
+
+        if (self::typeOf($question) === 'numeric' && !empty($question['tolerance'])) {
+            $unit = ($question['toleranceMode'] ?? 'absolute') === 'percent' ? '%' : ' ' . ($question['unit'] ?? '');
+            return self::formatAnswer($question, $question['correct']) . ' (± ' . trim($question['tolerance'] . $unit) . ')';
+        }
+
+        return self::formatAnswer($question, $question['correct']);
+    }
+}
@@ -5,8 +5,66 @@
  */
 
 require_once __DIR__ . '/Database.php';
+require_once __DIR__ . '/StateDiff.php';
+require_once __DIR__ . '/QuestionTypes.php';
+require_once __DIR__ . '/ScoringEngine.php';
 
 class QuizManager {
+    // Payload fields that are per-request and never part of a delta snapshot
+    private const VOLATILE_PAYLOAD_KEYS = ['serverTime', 'playerAnswerHistory', 'progress'];
+    // Number of state snapshots kept per session and view for delta updates
+    private const STATE_SNAPSHOT_LIMIT = 50;
+    // Upper bound for moving a buzz earlier than its arrival (latency compensation)
+    private const BUZZER_MAX_COMPENSATION_MS = 1000;
+    // Request fields kept with a recorded event (everything else is derivable from the state)
+    private const RECORDED_INPUT_FIELDS = ['playerId', 'nickname', 'teamId', 'outcome', 'answer', 'questionIndex', 'pressedAt', 'rtt'];
+    // Answers arriving this long after the deadline still count (network latency)
+    private const DEADLINE_GRACE_MS = 500;
+    // Quiz-wide settings (game_state key 'settings'), changed with updateSettings
+    public const DEFAULT_SETTINGS = [
+        'timeLimit' => 0,        // Seconds to answer once the options are shown, 0 = no timer
+        'autoReveal' => false,   // Reveal the answer when the time is up
+        'basePoints' => 1000,    // Scoring rules, see ScoringEngine
+        'speedBonus' => 500,
+        'bonusWindow' => 20,
+        'streakBonus' => 10,
+        'negativeMarking' => 0,
+        'oralPoints' => 1000,    // Buzzer round: points for a correct oral answer
+        'oralPenalty' => 500,    // and points lost for a wrong one
+        'leaderboardSize' => 5,  // Players shown on the admin leaderboard
+        'teamMode' => 'off',     // 'off', 'first' (a team's first answer counts) or 'majority' (most common team answer)
+        'teamSelection' => 'pick', // 'pick' (players choose on the login screen) or 'auto' (smallest team)
+        'eliminationMode' => false, // Survival game: wrong or missing answers cost a life
+        'lives' => 1,            // Lives of each player in elimination mode
+        'revivalAfter' => 0,     // Eliminated players return after sitting out this many rounds, 0 = never
+        'deliveryMode' => 'live' // 'live' (the admin runs the phases) or 'self-paced' (each player advances on their own)
+    ];
+    // Allowed range of each whole-number setting
+    private const SETTING_RANGES = [
+        'timeLimit' => [0, QuestionTypes::MAX_TIME_LIMIT],
+        'basePoints' => [0, 10000],
+        'speedBonus' => [0, 10000],
+        'bonusWindow' => [1, QuestionTypes::MAX_TIME_LIMIT],
+        'streakBonus' => [0, 100],
+        'negativeMarking' => [0, 10000],
+        'oralPoints' => [0, 10000],
+        'oralPenalty' => [0, 10000],
+        'leaderboardSize' => [1, 50],
+        'lives' => [1, 10],
+        'revivalAfter' => [0, 100]
+    ];
+    // Allowed values of each choice setting
+    private const SETTING_CHOICES = [
+        'teamMode' => ['off', 'first', 'majority'],
+        'teamSelection' => ['pick', 'auto'],
+        'deliveryMode' => ['live', 'self-paced']
+    ];
+    // Verdicts of an oral answer in the buzzer round
+    public const ORAL_OUTCOMES = ['correct', 'wrong', 'pass'];
+    // Most teams per session and the colors given to teams saved without one
+    private const MAX_TEAMS = 12;
+    private const TEAM_COLORS = ['#e74c3c', '#3498db', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c', '#e67e22', '#34495e'];
+
     private Database $db;
     private string $sessionId;
 
@@ -68,6 +126,9 @@ class QuizManager {
             'phase' => 'waiting',
             'firstBuzzer' => '',
             'buzzLocked' => '0',
+            'deadline' => '',
+            'timeLimit' => '0',
+            'optionsShownAt' => '',
             'timestamp' => (string)time()
         ];
 
@@ -161,8 +222,13 @@ class QuizManager {
             'buzzers' => [],
             'answers' => [],
             'spokenPlayers' => [],
+            'oralOutcomes' => [],
             'firstBuzzer' => null,
             'buzzLocked' => false,
+            'deadline' => null,
+            'timeLimit' => 0,
+            'optionsShownAt' => null,
+            'settings' => self::DEFAULT_SETTINGS,
             'timestamp' => time()
         ];
 
@@ -172,10 +238,14 @@ class QuizManager {
             
             if ($key === 'gameStarted' || $key === 'buzzLocked') {
                 $state[$key] = $value === '1';
-            } elseif ($key === 'currentQuestion' || $key === 'timestamp') {
+            } elseif ($key === 'currentQuestion' || $key === 'timestamp' || $key === 'timeLimit') {
                 $state[$key] = (int)$value;
             } elseif ($key === 'firstBuzzer') {
                 $state[$key] = $value ?: null;
+            } elseif ($key === 'deadline' || $key === 'optionsShownAt') {
+                $state[$key] = $value !== '' ? (int)$value : null;
+            } elseif ($key === 'settings') {
+                $state[$key] = array_merge(self::DEFAULT_SETTINGS, json_decode($value, true) ?: []);
             } else {
                 $state[$key] = $value;
             }
@@ -186,6 +256,7 @@ class QuizManager {
         $state['buzzers'] = $this->getBuzzers($currentQuestion);
         $state['answers'] = $this->getAnswers($currentQuestion);
         $state['spokenPlayers'] = $this->getSpokenPlayers($currentQuestion);
+        $state['oralOutcomes'] = $this->getOralOutcomes($currentQuestion);
 
         return $state;
     }
@@ -216,8 +287,11 @@ class QuizManager {
 
     /**
      * Join game with nickname
+     * In team mode new players join the team they picked, or the smallest team when they
+     * picked none (or teams are assigned automatically); a picked team that does not exist
+     * is rejected
      */
-    public function joinGame(string $nickname): array {
+    public function joinGame(string $nickname, ?string $teamId = null): array {
         // Check if nickname already exists in this session
         $existing = $this->db->fetchOne(
             "SELECT id FROM players WHERE session_id = ? AND nickname = ?",
@@ -232,16 +306,28 @@ class QuizManager {
             ];
         }
 
+        $settings = $this->getSettings();
+        if ($settings['teamMode'] === 'off') {
+            $teamId = null;
+        } elseif ($teamId && !$this->getTeam($teamId)) {
+            return ['success' => false, 'code' => 'invalid_teams', 'error' => 'Team not found - pick your team again'];
+        } elseif ($settings['teamSelection'] === 'auto' || !$teamId) {
+            $teamId = $this->getSmallestTeamId();
+        }
+
+        // Self-paced players joining a running game start at the first question now;
+        // elimination judges players from the first question that was still open to them
         $playerId = uniqid();
         $this->db->query(
-            "INSERT INTO players (id, session_id, nickname) VALUES (?, ?, ?)",
-            [$playerId, $this->sessionId, $nickname]
+            "INSERT INTO players (id, session_id, nickname, team_id, question_started_at, joined_question) VALUES (?, ?, ?, ?, ?, ?)",
+            [$playerId, $this->sessionId, $nickname, $teamId, $this->getServerTime(), $this->getRevealedCount()]
         );
 
         return [
             'success' => true,
             'playerId' => $playerId,
-            'existing' => false
+            'existing' => false,
+            'teamId' => $teamId
         ];
     }
 
@@ -250,7 +336,7 @@ class QuizManager {
      */
     public function getPlayers(): array {
         return $this->db->fetchAll(
-            "SELECT id, nickname, joined_at as joinedAt, active FROM players WHERE session_id = ? ORDER BY joined_at",
+            "SELECT id, nickname, joined_at as joinedAt, joined_question as joinedQuestion, active, team_id as teamId FROM players WHERE session_id = ? ORDER BY joined_at",
             [$this->sessionId]
         );
     }
@@ -271,7 +357,7 @@ class QuizManager {
      */
     public function getPlayer(string $playerId): ?array {
         return $this->db->fetchOne(
-            "SELECT id, nickname, joined_at as joinedAt, active FROM players WHERE id = ? AND session_id = ?",
+            "SELECT id, nickname, joined_at as joinedAt, active, team_id as teamId FROM players WHERE id = ? AND session_id = ?",
             [$playerId, $this->sessionId]
         );
     }
@@ -283,6 +369,150 @@ class QuizManager {
         $this->db->query("DELETE FROM players WHERE session_id = ?", [$this->sessionId]);
     }
 
+    // ==================== TEAMS ====================
+
+    /**
+     * Teams in their display order
+     */
+    public function getTeams(): array {
+        return $this->db->fetchAll(
+            "SELECT id, name, color FROM teams WHERE session_id = ? ORDER BY team_order",
+            [$this->sessionId]
+        );
+    }
+
+    /**
+     * Get team by ID
+     */
+    public function getTeam(string $teamId): ?array {
+        return $this->db->fetchOne(
+            "SELECT id, name, color FROM teams WHERE id = ? AND session_id = ?",
+            [$teamId, $this->sessionId]
+        );
+    }
+
+    /**
+     * Replace the team list ([{ id?, name, color? }])
+     * Teams keep their ID (and players) when it is sent back; players of removed teams
+     * become unassigned
+     */
+    public function saveTeams(array $teams): array {
+        if (count($teams) > self::MAX_TEAMS) {
+            return ['success' => false, 'code' => 'invalid_teams', 'error' => 'At most ' . self::MAX_TEAMS . ' teams are allowed'];
+        }
+
+        $names = [];
+        foreach ($teams as $index => $team) {
+            $name = is_array($team) && is_string($team['name'] ?? null) ? trim($team['name']) : '';
+            $number = $index + 1;
+            if ($name === '' || mb_strlen($name) > QuestionTypes::MAX_WORD_LENGTH) {
+                return ['success' => false, 'code' => 'invalid_teams', 'error' => "Team $number needs a name of 1 to " . QuestionTypes::MAX_WORD_LENGTH . ' characters'];
+            }
+            if (in_array(mb_strtolower($name), $names, true)) {
+                return ['success' => false, 'code' => 'invalid_teams', 'error' => "Team name \"$name\" is used twice"];
+            }
+            $names[] = mb_strtolower($name);
+        }
+
+        $this->db->beginTransaction();
+        try {
+            $keptIds = [];
+            foreach (array_values($teams) as $index => $team) {
+                $existing = is_string($team['id'] ?? null) ? $this->getTeam($team['id']) : null;
+                $id = $existing ? $existing['id'] : uniqid('team_');
+                $color = is_string($team['color'] ?? null) && preg_match('/^#[0-9a-fA-F]{6}$/', $team['color'])
+                    ? $team['color']
+                    : ($existing['color'] ?? self::TEAM_COLORS[$index % count(self::TEAM_COLORS)]);
+
+                $this->db->query(
+                    "INSERT OR REPLACE INTO teams (id, session_id, name, color, team_order) VALUES (?, ?, ?, ?, ?)",
+                    [$id, $this->sessionId, trim($team['name']), $color, $index]
+                );
+                $keptIds[] = $id;
+            }
+
+            $placeholders = implode(', ', array_fill(0, count($keptIds), '?'));
+            $kept = $keptIds ? " AND id NOT IN ($placeholders)" : '';
+            $this->db->query("DELETE FROM teams WHERE session_id = ?$kept", array_merge([$this->sessionId], $keptIds));
+
+            $assigned = $keptIds ? " AND team_id NOT IN ($placeholders)" : '';
+            $this->db->query(
+                "UPDATE players SET team_id = NULL WHERE session_id = ? AND team_id IS NOT NULL$assigned",
+                array_merge([$this->sessionId], $keptIds)
+            );
+
+            $this->db->commit();
+        } catch (Exception $e) {
+            $this->db->rollback();
+            throw $e;
+        }
+
+        return ['success' => true, 'teams' => $this->getTeams()];
+    }
+
+    /**
+     * Move a player to a team (null = no team)
+     */
+    public function assignTeam(string $playerId, ?string $teamId): array {
+        if (!$this->getPlayer($playerId)) {
+            return ['success' => false, 'reason' => 'player_not_found'];
+        }
+        if ($teamId !== null && !$this->getTeam($teamId)) {
+            return ['success' => false, 'code' => 'invalid_teams', 'error' => 'Team not found'];
+        }
+
+        $this->db->query(
+            "UPDATE players SET team_id = ? WHERE id = ? AND session_id = ?",
+            [$teamId, $playerId, $this->sessionId]
+        );
+        return ['success' => true];
+    }
+
+    /**
+     * Shuffle all players into the teams so that team sizes differ by at most one
+     */
+    public function autoBalanceTeams(): array {
+        $teams = $this->getTeams();
+        if (!$teams) {
+            return ['success' => false, 'code' => 'invalid_teams', 'error' => 'Add teams first'];
+        }
+
+        $players = $this->getPlayers();
+        shuffle($players);
+
+        $this->db->beginTransaction();
+        try {
+            foreach ($players as $index => $player) {
+                $this->db->query(
+                    "UPDATE players SET team_id = ? WHERE id = ? AND session_id = ?",
+                    [$teams[$index % count($teams)]['id'], $player['id'], $this->sessionId]
+                );
+            }
+            $this->db->commit();
+        } catch (Exception $e) {
+            $this->db->rollback();
+            throw $e;
+        }
+
+        return ['success' => true, 'players' => $this->getPlayers()];
+    }
+
+    /**
+     * Team with the fewest players (first in order on a tie), null without teams
+     */
+    private function getSmallestTeamId(): ?string {
+        $row = $this->db->fetchOne(
+            "SELECT t.id FROM teams t
+             LEFT JOIN players p ON p.team_id = t.id AND p.session_id = t.session_id
+             WHERE t.session_id = ?
+             GROUP BY t.id
+             ORDER BY COUNT(p.id), t.team_order
+             LIMIT 1",
+            [$this->sessionId]
+        );
+        return $row ? $row['id'] : null;
+    }
+
     // ==================== QUESTION MANAGEMENT ====================
 
     /**
@@ -290,13 +520,13 @@ class QuizManager {
      */
     public function getQuestions(): array {
         $rows = $this->db->fetchAll(
-            "SELECT question_order, question_text, options, correct_index, image_url, explanation, original_correct_text, shuffle_verified 
+            "SELECT question_order, question_text, options, correct_index, image_url, explanation, original_correct_text, shuffle_verified, question_type, type_data, media, time_limit, tags, difficulty, objective, points 
              FROM questions WHERE session_id = ? ORDER BY question_order",
             [$this->sessionId]
         );
 
         return array_map(function($row) {
-            return [
+            return QuestionTypes::fromStorage([
                 'question' => $row['question_text'],
                 'options' => json_decode($row['options'], true),
                 'correct' => (int)$row['correct_index'],
@@ -304,7 +534,7 @@ class QuizManager {
                 'explanation' => $row['explanation'],
                 '_originalCorrectText' => $row['original_correct_text'],
                 '_shuffleVerified' => (bool)$row['shuffle_verified']
-            ];
+            ], $row);
         }, $rows);
     }
 
@@ -313,20 +543,20 @@ class QuizManager {
      */
     public function getQuestion(int $index): ?array {
         $row = $this->db->fetchOne(
-            "SELECT question_text, options, correct_index, image_url, explanation 
+            "SELECT question_text, options, correct_index, image_url, explanation, question_type, type_data, media, time_limit, tags, difficulty, objective, points 
              FROM questions WHERE session_id = ? AND question_order = ?",
             [$this->sessionId, $index]
         );
 
         if (!$row) return null;
 
-        return [
+        return QuestionTypes::fromStorage([
             'question' => $row['question_text'],
             'options' => json_decode($row['options'], true),
             'correct' => (int)$row['correct_index'],
             'image' => $row['image_url'],
             'explanation' => $row['explanation']
-        ];
+        ], $row);
     }
 
     /**
@@ -350,15 +580,7 @@ class QuizManager {
 
         // Validate all questions first
         foreach ($newQuestions as $index => $q) {
-            if (!isset($q['question']) || !isset($q['options']) || !isset($q['correct'])) {
-                throw new Exception("Invalid question format at index $index");
-            }
-            if (!is_array($q['options']) || count($q['options']) < 2) {
-                throw new Exception("Question at index $index must have at least 2 options");
-            }
-            if (!is_int($q['correct']) || $q['correct'] < 0 || $q['correct'] >= count($q['options'])) {
-                throw new Exception("Invalid correct answer index at question $index");
-            }
+            QuestionTypes::validate($q, $index);
         }
 
         $this->db->beginTransaction();
@@ -367,6 +589,11 @@ class QuizManager {
             $this->db->query("DELETE FROM questions WHERE session_id = ?", [$this->sessionId]);
 
             foreach ($newQuestions as $index => $q) {
+                if (QuestionTypes::typeOf($q) !== 'single') {
+                    $this->insertQuestion($index, QuestionTypes::shuffleOptions($q));
+                    continue;
+                }
+
                 // Store original correct answer text
                 $correctAnswerText = $q['options'][$q['correct']];
                 
@@ -392,20 +619,11 @@ class QuizManager {
                     }
                 }
                 
-                $this->db->query(
-                    "INSERT INTO questions (session_id, question_order, question_text, options, correct_index, image_url, explanation, original_correct_text, shuffle_verified) 
-                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
-                    [
-                        $this->sessionId, 
-                        $index, 
-                        $q['question'], 
-                        json_encode($shuffledOptions), 
-                        $newCorrectIndex,
-                        $q['image'] ?? '',
-                        $q['explanation'] ?? '',
-                        $correctAnswerText,
-                        $shuffledOptions[$newCorrectIndex] === $correctAnswerText ? 1 : 0
-                    ]
+                $this->insertQuestion(
+                    $index,
+                    array_merge($q, ['options' => $shuffledOptions, 'correct' => $newCorrectIndex]),
+                    $correctAnswerText,
+                    $shuffledOptions[$newCorrectIndex] === $correctAnswerText
                 );
             }
 
@@ -417,12 +635,46 @@ class QuizManager {
         }
     }
 
+    /**
+     * Insert one question (type-specific fields are stored in type_data, the audio / video prompt in media,
+     * the metadata in its own columns)
+     */
+    private function insertQuestion(int $order, array $q, string $originalCorrectText = '', bool $shuffleVerified = false): void {
+        $storage = QuestionTypes::toStorage($q);
+
+        $this->db->query(
+            "INSERT INTO questions (session_id, question_order, question_text, options, correct_index, image_url, explanation, original_correct_text, shuffle_verified, question_type, type_data, media, time_limit, tags, difficulty, objective, points) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+            [
+                $this->sessionId,
+                $order,
+                $q['question'],
+                json_encode($q['options']),
+                $storage['correctIndex'],
+                $q['image'] ?? '',
+                $q['explanation'] ?? '',
+                $originalCorrectText,
+                $shuffleVerified ? 1 : 0,
+                $storage['type'],
+                $storage['data'],
+                $storage['media'],
+                $storage['timeLimit'],
+                $storage['tags'],
+                $storage['difficulty'],
+                $storage['objective'],
+                $storage['points']
+            ]
+        );
+    }
+
     // ==================== BUZZER MANAGEMENT ====================
 
     /**
      * Record a buzzer press (atomic operation - no race conditions)
      */
-    public function recordBuzzer(string $playerId, int $questionIndex): array {
+    public function recordBuzzer(string $playerId, int $questionIndex, ?float $pressedAtMs = null, ?float $rttMs = null): array {
+        $arrivedAt = microtime(true);
+
         // Verify phase is correct
         $phase = $this->getState('phase');
         if ($phase !== 'question_shown') {
@@ -434,12 +686,19 @@ class QuizManager {
         if (!$player) {
             return ['success' => false, 'reason' => 'player_not_found'];
         }
+        if ($this->isEliminated($playerId)) {
+            return ['success' => false, 'reason' => 'eliminated'];
+        }
 
         try {
             // Atomic insertion with UNIQUE constraint handles race conditions
             $this->db->query(
-                "INSERT INTO buzzers (session_id, player_id, question_index, timestamp) VALUES (?, ?, ?, ?)",
-                [$this->sessionId, $playerId, $questionIndex, microtime(true)]
+                "INSERT INTO buzzers (session_id, player_id, question_index, timestamp, pressed_at, rtt) VALUES (?, ?, ?, ?, ?, ?)",
+                [
+                    $this->sessionId, $playerId, $questionIndex, $arrivedAt,
+                    $this->compensatePressTime($arrivedAt, $pressedAtMs, $rttMs),
+                    $rttMs !== null ? max(0.0, $rttMs) : null
+                ]
             );
             
             $this->setState('timestamp', (string)time());
@@ -458,11 +717,26 @@ class QuizManager {
     }
 
     /**
-     * Get buzzers for a question
+     * Latency-compensated press time (seconds) from the client's server-synchronised timestamp
+     * Bounded to [arrival - min(rtt, max compensation), arrival] so a skewed or forged
+     * client clock cannot jump the queue
+     */
+    private function compensatePressTime(float $arrivedAt, ?float $pressedAtMs, ?float $rttMs): float {
+        if ($pressedAtMs === null) {
+            return $arrivedAt;
+        }
+
+        $maxCompensationMs = min(max(0.0, $rttMs ?? self::BUZZER_MAX_COMPENSATION_MS), self::BUZZER_MAX_COMPENSATION_MS);
+        return max($arrivedAt - $maxCompensationMs / 1000, min($arrivedAt, $pressedAtMs / 1000));
+    }
+
+    /**
+     * Get buzzers for a question (in arrival order)
+     * pressedAt is the latency-compensated press time, rtt the player's measured round trip in ms
      */
     public function getBuzzers(int $questionIndex): array {
         $rows = $this->db->fetchAll(
-            "SELECT b.player_id as playerId, p.nickname, b.question_index as question, b.timestamp 
+            "SELECT b.player_id as playerId, p.nickname, b.question_index as question, b.timestamp, b.pressed_at, b.rtt 
              FROM buzzers b 
              JOIN players p ON b.player_id = p.id 
              WHERE b.session_id = ? AND b.question_index = ? 
@@ -475,7 +749,9 @@ class QuizManager {
                 'playerId' => $row['playerId'],
                 'nickname' => $row['nickname'],
                 'question' => (int)$row['question'],
-                'timestamp' => (float)$row['timestamp']
+                'timestamp' => (float)$row['timestamp'],
+                'pressedAt' => (float)($row['pressed_at'] ?? $row['timestamp']),
+                'rtt' => $row['rtt'] !== null ? (float)$row['rtt'] : null
             ];
         }, $rows);
     }
@@ -497,71 +773,220 @@ class QuizManager {
     // ==================== ANSWER MANAGEMENT ====================
 
     /**
-     * Submit an answer
+     * Submit an answer (an option index, or the type-specific answer, see QuestionTypes)
      */
-    public function submitAnswer(string $playerId, int $questionIndex, int $answerIndex): array {
+    public function submitAnswer(string $playerId, int $questionIndex, $answer): array {
         $phase = $this->getState('phase');
-        if ($phase !== 'options_shown') {
+        if ($phase === 'self_paced') {
+            // Self-paced players answer their own question once, then see the answer
+            $progress = $this->getPlayerProgress($playerId);
+            if (!$progress) {
+                return ['success' => false, 'reason' => 'player_not_found'];
+            }
+            if ($progress['question'] !== $questionIndex) {
+                return ['success' => false, 'reason' => 'question_changed'];
+            }
+            if ($progress['answered']) {
+                return ['success' => false, 'reason' => 'already_answered'];
+            }
+            $deadline = $progress['deadline'];
+            $shownAt = $progress['startedAt'];
+        } elseif ($phase === 'options_shown') {
+            // The deadline is set by showOptions
+            $deadline = $this->getState('deadline', '') !== '' ? (int)$this->getState('deadline') : null;
+            $shownAt = $this->getState('optionsShownAt', '') !== '' ? (int)$this->getState('optionsShownAt') : null;
+        } else {
             return ['success' => false, 'reason' => 'invalid_phase'];
         }
 
+        // Late answers are locked out
+        if ($deadline !== null && $this->getServerTime() > $deadline + self::DEADLINE_GRACE_MS) {
+            return ['success' => false, 'reason' => 'time_up'];
+        }
+
         $question = $this->getQuestion($questionIndex);
         if (!$question) {
             return ['success' => false, 'reason' => 'question_not_found'];
         }
 
-        $isCorrect = ($answerIndex === $question['correct']);
+        $answer = QuestionTypes::normalizeAnswer($question, $answer);
+        if ($answer === null) {
+            return ['success' => false, 'reason' => 'invalid_answer'];
+        }
+
+        // A wrong oral answer in the buzzer round locks the player out of the question
+        if ($this->getOralOutcome($playerId, $questionIndex) === 'wrong') {
+            return ['success' => false, 'reason' => 'locked_out'];
+        }
+
+        // Eliminated players watch until they are revived
+        if ($this->isEliminated($playerId)) {
+            return ['success' => false, 'reason' => 'eliminated'];
+        }
+
+        // "First answer counts": once a teammate answered, the team is done
+        if ($this->getSettings()['teamMode'] === 'first' && $this->hasTeammateAnswered($playerId, $questionIndex)) {
+            return ['success' => false, 'reason' => 'team_answered'];
+        }
+
+        // Polls and word clouds are not scored (score stays NULL)
+        $isScored = QuestionTypes::isScored($question);
+        $score = $isScored ? QuestionTypes::score($question, $answer) : null;
+        $isCorrect = $isScored && $score >= 1;
+
+        // Answer time for the speed bonus (ScoringEngine)
+        $timestamp = microtime(true);
+        $responseMs = $shownAt !== null ? max(0, (int)round($timestamp * 1000) - $shownAt) : null;
 
         try {
             // Use INSERT OR REPLACE to handle answer changes
+            // Option indices go to answer_index, any other answer shape to answer_data
             $this->db->query(
-                "INSERT OR REPLACE INTO answers (session_id, player_id, question_index, answer_index, is_correct, timestamp) 
-                 VALUES (?, ?, ?, ?, ?, ?)",
-                [$this->sessionId, $playerId, $questionIndex, $answerIndex, $isCorrect ? 1 : 0, microtime(true)]
+                "INSERT OR REPLACE INTO answers (session_id, player_id, question_index, answer_index, answer_data, is_correct, score, response_ms, timestamp) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+                [
+                    $this->sessionId,
+                    $playerId,
+                    $questionIndex,
+                    is_int($answer) ? $answer : -1,
+                    is_int($answer) ? null : json_encode($answer),
+                    $isCorrect ? 1 : 0,
+                    $score,
+                    $responseMs,
+                    $timestamp
+                ]
             );
 
             $this->setState('timestamp', (string)time());
 
+            if (!$isScored) {
+                return ['success' => true, 'scored' => false];
+            }
+
             return [
                 'success' => true,
                 'isCorrect' => $isCorrect,
-                'correctAnswer' => $question['options'][$question['correct']]
+                'score' => $score,
+                'correctAnswer' => QuestionTypes::formatCorrect($question)
             ];
         } catch (Exception $e) {
             throw $e;
         }
     }
 
+    /**
+     * Whether someone else on the player's team answered the question
+     */
+    private function hasTeammateAnswered(string $playerId, int $questionIndex): bool {
+        $row = $this->db->fetchOne(
+            "SELECT a.player_id FROM answers a
+             JOIN players teammate ON teammate.id = a.player_id
+             JOIN players me ON me.id = ? AND me.team_id = teammate.team_id
+             WHERE a.session_id = ? AND a.question_index = ? AND a.player_id != ?",
+            [$playerId, $this->sessionId, $questionIndex, $playerId]
+        );
+        return $row !== null;
+    }
+
+    /**
+     * Accept a typed answer after the fact: add it to the question's accepted answers
+     * and re-score everyone who answered the question
+     */
+    public function acceptTextAnswer(int $questionIndex, $text): array {
+        $question = $this->getQuestion($questionIndex);
+        if (!$question) {
+            return ['success' => false, 'reason' => 'question_not_found'];
+        }
+
+        $text = QuestionTypes::typeOf($question) === 'text' ? QuestionTypes::normalizeAnswer($question, $text) : null;
+        if ($text === null) {
+            return ['success' => false, 'reason' => 'invalid_answer'];
+        }
+
+        if (!in_array($text, $question['accepted'], true)) {
+            $question['accepted'][] = $text;
+        }
+
+        $this->db->beginTransaction();
+        try {
+            $this->db->query(
+                "UPDATE questions SET type_data = ? WHERE session_id = ? AND question_order = ?",
+                [QuestionTypes::toStorage($question)['data'], $this->sessionId, $questionIndex]
+            );
+            $rescored = $this->rescoreAnswers($questionIndex, $question);
+
+            $this->db->commit();
+        } catch (Exception $e) {
+            $this->db->rollback();
+            throw $e;
+        }
+
+        return ['success' => true, 'accepted' => $question['accepted'], 'rescored' => $rescored];
+    }
+
+    /**
+     * Score the stored answers to a question again, returns how many changed
+     */
+    private function rescoreAnswers(int $questionIndex, array $question): int {
+        $answers = $this->getAnswers($questionIndex);
+        $changed = 0;
+
+        foreach ($answers as $answer) {
+            $score = QuestionTypes::score($question, $answer['answer']);
+            if ($score === $answer['score']) {
+                continue;
+            }
+
+            $this->db->query(
+                "UPDATE answers SET score = ?, is_correct = ? WHERE session_id = ? AND player_id = ? AND question_index = ?",
+                [$score, $score >= 1 ? 1 : 0, $this->sessionId, $answer['playerId'], $questionIndex]
+            );
+            $changed++;
+        }
+
+        return $changed;
+    }
+
     /**
      * Get answers for a question
      */
     public function getAnswers(int $questionIndex): array {
         $rows = $this->db->fetchAll(
-            "SELECT player_id as playerId, question_index as question, answer_index as answer, is_correct as isCorrect, timestamp 
+            "SELECT player_id as playerId, question_index as question, answer_index as answer, answer_data, is_correct as isCorrect, score, response_ms, timestamp 
              FROM answers WHERE session_id = ? AND question_index = ?",
             [$this->sessionId, $questionIndex]
         );
         
-        return array_map(function($row) {
-            return [
-                'playerId' => $row['playerId'],
-                'question' => (int)$row['question'],
-                'answer' => (int)$row['answer'],
-                'isCorrect' => (bool)$row['isCorrect'],
-                'timestamp' => (float)$row['timestamp']
-            ];
-        }, $rows);
+        return array_map([$this, 'answerFromRow'], $rows);
+    }
+
+    /**
+     * Convert an answers row (answer_data holds non-index answers, score is null for old rows)
+     */
+    private function answerFromRow(array $row): array {
+        $answer = [
+            'question' => (int)$row['question'],
+            'answer' => $row['answer_data'] !== null ? json_decode($row['answer_data'], true) : (int)$row['answer'],
+            'isCorrect' => (bool)$row['isCorrect'],
+            'score' => $row['score'] !== null ? (float)$row['score'] : ($row['isCorrect'] ? 1.0 : 0.0),
+            'responseMs' => isset($row['response_ms']) ? (int)$row['response_ms'] : null,
+            'timestamp' => (float)$row['timestamp']
+        ];
+
+        return isset($row['playerId']) ? ['playerId' => $row['playerId']] + $answer : $answer;
     }
 
     /**
      * Get all answers for a player
      */
     public function getPlayerAnswers(string $playerId): array {
-        return $this->db->fetchAll(
-            "SELECT question_index as question, answer_index as answer, is_correct as isCorrect, timestamp 
+        $rows = $this->db->fetchAll(
+            "SELECT player_id as playerId, question_index as question, answer_index as answer, answer_data, is_correct as isCorrect, score, response_ms, timestamp 
              FROM answers WHERE session_id = ? AND player_id = ? ORDER BY question_index",
             [$this->sessionId, $playerId]
         );
+
+        return array_map([$this, 'answerFromRow'], $rows);
     }
 
     /**
@@ -569,20 +994,12 @@ class QuizManager {
      */
     public function getAllAnswers(): array {
         $rows = $this->db->fetchAll(
-            "SELECT player_id as playerId, question_index as question, answer_index as answer, is_correct as isCorrect, timestamp 
+            "SELECT player_id as playerId, question_index as question, answer_index as answer, answer_data, is_correct as isCorrect, score, response_ms, timestamp 
              FROM answers WHERE session_id = ? ORDER BY question_index, timestamp",
             [$this->sessionId]
         );
         
-        return array_map(function($row) {
-            return [
-                'playerId' => $row['playerId'],
-                'question' => (int)$row['question'],
-                'answer' => (int)$row['answer'],
-                'isCorrect' => (bool)$row['isCorrect'],
-                'timestamp' => (float)$row['timestamp']
-            ];
-        }, $rows);
+        return array_map([$this, 'answerFromRow'], $rows);
     }
 
     /**
@@ -638,6 +1055,65 @@ class QuizManager {
         }, $rows);
     }
 
+    /**
+     * Judge the oral answer of a buzzing player (marks them as spoken)
+     * 'correct' and 'wrong' score settings.oralPoints / settings.oralPenalty, 'pass' hands the
+     * turn to the next buzzer without points; a wrong answer locks the player out of the question
+     * Judging the same player again replaces the verdict
+     */
+    public function adjudicateBuzzer(string $playerId, int $questionIndex, string $outcome): array {
+        if (!in_array($outcome, self::ORAL_OUTCOMES, true)) {
+            return ['success' => false, 'code' => 'invalid_outcome', 'error' => 'Outcome must be one of: ' . implode(', ', self::ORAL_OUTCOMES)];
+        }
+
+        $buzzers = $this->getBuzzers($questionIndex);
+        if (!in_array($playerId, array_column($buzzers, 'playerId'), true)) {
+            return ['success' => false, 'code' => 'not_buzzed', 'error' => 'This player has not buzzed on the question'];
+        }
+
+        $this->db->query(
+            "INSERT OR REPLACE INTO spoken_players (session_id, player_id, question_index, outcome) VALUES (?, ?, ?, ?)",
+            [$this->sessionId, $playerId, $questionIndex, $outcome]
+        );
+        $this->setState('timestamp', (string)time());
+
+        $engine = new ScoringEngine($this->getSettings());
+        return [
+            'success' => true,
+            'outcome' => $outcome,
+            'points' => $engine->oralPoints($this->getQuestion($questionIndex) ?? [], $outcome)
+        ];
+    }
+
+    /**
+     * Oral answer verdicts ([{ playerId, question, outcome }]), of one question or all
+     */
+    public function getOralOutcomes(int $questionIndex = null): array {
+        $sql = "SELECT player_id as playerId, question_index as question, outcome FROM spoken_players
+                WHERE session_id = ? AND outcome IS NOT NULL";
+        $params = [$this->sessionId];
+        if ($questionIndex !== null) {
+            $sql .= " AND question_index = ?";
+            $params[] = $questionIndex;
+        }
+
+        return array_map(function ($row) {
+            $row['question'] = (int)$row['question'];
+            return $row;
+        }, $this->db->fetchAll($sql . " ORDER BY created_at", $params));
+    }
+
+    /**
+     * Oral answer verdict of one player on a question (null = not judged)
+     */
+    private function getOralOutcome(string $playerId, int $questionIndex): ?string {
+        $row = $this->db->fetchOne(
+            "SELECT outcome FROM spoken_players WHERE session_id = ? AND player_id = ? AND question_index = ?",
+            [$this->sessionId, $playerId, $questionIndex]
+        );
+        return $row['outcome'] ?? null;
+    }
+
     /**
      * Clear spoken players
      */
@@ -658,17 +1134,26 @@ class QuizManager {
      * Start the game
      */
     public function startGame(): array {
+        $selfPaced = $this->getSettings()['deliveryMode'] === 'self-paced';
+
         $this->setState('gameStarted', '1');
         $this->setState('currentQuestion', '0');
-        $this->setState('phase', 'question_shown');
+        $this->setState('phase', $selfPaced ? 'self_paced' : 'question_shown');
         $this->setState('firstBuzzer', '');
         $this->setState('buzzLocked', '0');
+        $this->clearDeadline();
         $this->setState('timestamp', (string)time());
         
         // Clear per-question data
         $this->clearBuzzers();
         $this->clearAnswers();
         $this->clearSpokenPlayers();
+
+        // Everyone starts at the first question
+        $this->db->query(
+            "UPDATE players SET progress = 0, question_started_at = ?, joined_question = 0 WHERE session_id = ?",
+            [$this->getServerTime(), $this->sessionId]
+        );
         
         return ['success' => true];
     }
@@ -682,10 +1167,14 @@ class QuizManager {
         if ($expectedVersion > 0 && $expectedVersion !== $currentVersion) {
             return [
                 'success' => false,
+                'code' => 'version_conflict',
                 'error' => 'State conflict detected',
                 'stateVersion' => $currentVersion
             ];
         }
+        if ($this->getState('phase') === 'self_paced') {
+            return ['success' => false, 'reason' => 'invalid_phase'];
+        }
 
         $currentQuestion = (int)$this->getState('currentQuestion', '0');
         $totalQuestions = $this->getQuestionCount();
@@ -696,6 +1185,7 @@ class QuizManager {
             $this->setState('phase', 'question_shown');
             $this->setState('firstBuzzer', '');
             $this->setState('buzzLocked', '0');
+            $this->clearDeadline();
             $this->setState('timestamp', (string)time());
             
             // Clear per-question data for the new question
@@ -705,6 +1195,7 @@ class QuizManager {
         } else {
             $this->setState('gameStarted', '0');
             $this->setState('phase', 'finished');
+            $this->clearDeadline();
         }
 
         return ['success' => true];
@@ -714,43 +1205,349 @@ class QuizManager {
      * Show options for current question
      */
     public function showOptions(): array {
+        if ($this->getState('phase') === 'self_paced') {
+            return ['success' => false, 'reason' => 'invalid_phase'];
+        }
+
         $this->setState('phase', 'options_shown');
+        $this->setState('optionsShownAt', (string)$this->getServerTime());
+
+        // Start the answer timer (server clock, so every device counts down to the same moment)
+        $question = $this->getQuestion((int)$this->getState('currentQuestion', '0'));
+        $timeLimit = $question ? $this->getTimeLimit($question) : 0;
+        if ($timeLimit > 0) {
+            $this->setState('deadline', (string)($this->getServerTime() + $timeLimit * 1000));
+            $this->setState('timeLimit', (string)$timeLimit);
+        } else {
+            $this->clearDeadline();
+        }
+
         $this->setState('timestamp', (string)time());
-        return ['success' => true];
+        return ['success' => true, 'timeLimit' => $timeLimit];
+    }
+
+    /**
+     * Seconds to answer a question: its own timeLimit, otherwise the quiz default (0 = no timer)
+     */
+    public function getTimeLimit(array $question): int {
+        return $question['timeLimit'] ?? $this->getSettings()['timeLimit'];
+    }
+
+    /**
+     * Stop the answer timer
+     */
+    private function clearDeadline(): void {
+        $this->setState('deadline', '');
+        $this->setState('timeLimit', '0');
     }
 
     /**
      * Reveal correct answer
      */
     public function revealCorrect(): array {
+        if ($this->getState('phase') === 'self_paced') {
+            return ['success' => false, 'reason' => 'invalid_phase'];
+        }
+
         $this->setState('phase', 'reveal');
         $this->setState('timestamp', (string)time());
         return ['success' => true];
     }
 
     /**
-     * Soft reset (keep players, reset game state)
+     * End the game for everyone (self-paced games end here; live games also end after the last question)
      */
-    public function softReset(): array {
-        $this->initializeGameState();
-        $this->clearBuzzers();
-        $this->clearAnswers();
-        $this->clearSpokenPlayers();
+    public function finishGame(): array {
+        $this->setState('gameStarted', '0');
+        $this->setState('phase', 'finished');
+        $this->clearDeadline();
+        $this->setState('timestamp', (string)time());
         return ['success' => true];
     }
 
+    // ==================== SELF-PACED DELIVERY ====================
+
     /**
-     * Full reset (clear everything)
+     * Own question of a player in self-paced delivery (settings.deliveryMode)
+     * Returns question (index), total, finished, startedAt and deadline (server ms, null without
+     * a time limit), timeLimit and answered; null for an unknown player
      */
-    public function resetGame(): array {
-        $this->initializeGameState();
-        $this->clearPlayers();
-        $this->clearBuzzers();
+    public function getPlayerProgress(string $playerId): ?array {
+        $row = $this->db->fetchOne(
+            "SELECT progress, question_started_at FROM players WHERE session_id = ? AND id = ?",
+            [$this->sessionId, $playerId]
+        );
+        if (!$row) {
+            return null;
+        }
+
+        $index = (int)$row['progress'];
+        $question = $this->getQuestion($index);
+        $timeLimit = $question ? $this->getTimeLimit($question) : 0;
+        $startedAt = $row['question_started_at'] !== null ? (int)$row['question_started_at'] : null;
+        $answered = $this->db->fetchOne(
+            "SELECT 1 FROM answers WHERE session_id = ? AND player_id = ? AND question_index = ?",
+            [$this->sessionId, $playerId, $index]
+        );
+
+        return [
+            'question' => $index,
+            'total' => $this->getQuestionCount(),
+            'finished' => !$question,
+            'startedAt' => $startedAt,
+            'timeLimit' => $timeLimit,
+            'deadline' => $timeLimit > 0 && $startedAt !== null ? $startedAt + $timeLimit * 1000 : null,
+            'answered' => (bool)$answered
+        ];
+    }
+
+    /**
+     * Move a self-paced player on to their next question, once they answered the current one
+     * (or its time is up)
+     * @param int|null $fromQuestion - Question the player was on; a repeated request is rejected
+     */
+    public function advanceQuestion(string $playerId, ?int $fromQuestion = null): array {
+        if ($this->getState('phase') !== 'self_paced') {
+            return ['success' => false, 'reason' => 'invalid_phase'];
+        }
+
+        $progress = $this->getPlayerProgress($playerId);
+        if (!$progress) {
+            return ['success' => false, 'reason' => 'player_not_found'];
+        }
+        if ($progress['finished']) {
+            return ['success' => false, 'reason' => 'invalid_phase'];
+        }
+        if ($fromQuestion !== null && $fromQuestion !== $progress['question']) {
+            return ['success' => false, 'reason' => 'question_changed'];
+        }
+
+        $timeUp = $progress['deadline'] !== null && $this->getServerTime() >= $progress['deadline'];
+        if (!$progress['answered'] && !$timeUp) {
+            return ['success' => false, 'reason' => 'not_answered'];
+        }
+
+        $next = $progress['question'] + 1;
+        $this->db->query(
+            "UPDATE players SET progress = ?, question_started_at = ? WHERE session_id = ? AND id = ?",
+            [$next, $this->getServerTime(), $this->sessionId, $playerId]
+        );
+        $this->setState('timestamp', (string)time());
+
+        return ['success' => true, 'question' => $next, 'finished' => $next >= $progress['total']];
+    }
+
+    /**
+     * Progress of every player for the admin grid in self-paced delivery (null otherwise)
+     * Returns total (questions) and players [{ playerId, nickname, question, finished, score, rank,
+     * results }]; results has one entry per question: 'correct', 'partial', 'wrong', 'answered'
+     * (not scored) or null (no answer)
+     */
+    public function getProgressGrid(): ?array {
+        if ($this->getSettings()['deliveryMode'] !== 'self-paced') {
+            return null;
+        }
+
+        $total = $this->getQuestionCount();
+        $standings = array_column($this->getLeaderboard(), null, 'playerId');
+
+        $results = [];
+        foreach ($this->getAllAnswers() as $answer) {
+            if ($answer['score'] === null) {
+                $result = 'answered';
+            } elseif ($answer['isCorrect']) {
+                $result = 'correct';
+            } else {
+                $result = $answer['score'] > 0 ? 'partial' : 'wrong';
+            }
+            $results[$answer['playerId']][$answer['question']] = $result;
+        }
+
+        $rows = $this->db->fetchAll(
+            "SELECT id, nickname, progress FROM players WHERE session_id = ? ORDER BY joined_at",
+            [$this->sessionId]
+        );
+
+        $players = array_map(function ($row) use ($total, $standings, $results) {
+            $question = min((int)$row['progress'], $total);
+            $cells = [];
+            for ($index = 0; $index < $total; $index++) {
+                $cells[] = $results[$row['id']][$index] ?? null;
+            }
+
+            return [
+                'playerId' => $row['id'],
+                'nickname' => $row['nickname'],
+                'question' => $question,
+                'finished' => $question >= $total,
+                'score' => $standings[$row['id']]['score'] ?? 0,
+                'rank' => $standings[$row['id']]['rank'] ?? null,
+                'results' => $cells
+            ];
+        }, $rows);
+
+        return ['total' => $total, 'players' => $players];
+    }
+
+    /**
+     * Soft reset (keep players, reset game state)
+     */
+    public function softReset(): array {
+        $this->initializeGameState();
+        $this->clearBuzzers();
+        $this->clearAnswers();
+        $this->clearSpokenPlayers();
+        return ['success' => true];
+    }
+
+    /**
+     * Full reset (clear everything)
+     */
+    public function resetGame(): array {
+        $this->initializeGameState();
+        $this->clearPlayers();
+        $this->clearBuzzers();
         $this->clearAnswers();
         $this->clearSpokenPlayers();
         return ['success' => true];
     }
 
+    // ==================== SETTINGS ====================
+
+    /**
+     * Quiz-wide settings with their defaults filled in
+     */
+    public function getSettings(): array {
+        $settings = json_decode($this->getState('settings', ''), true);
+        return array_merge(self::DEFAULT_SETTINGS, is_array($settings) ? $settings : []);
+    }
+
+    /**
+     * Change some of the quiz-wide settings (unknown keys are rejected)
+     */
+    public function updateSettings(array $changes): array {
+        $settings = $this->getSettings();
+
+        foreach ($changes as $key => $value) {
+            if (!array_key_exists($key, self::DEFAULT_SETTINGS)) {
+                return ['success' => false, 'code' => 'invalid_settings', 'error' => "Unknown setting \"$key\""];
+            }
+            if (isset(self::SETTING_RANGES[$key])) {
+                [$min, $max] = self::SETTING_RANGES[$key];
+                if (!is_int($value) || $value < $min || $value > $max) {
+                    return ['success' => false, 'code' => 'invalid_settings', 'error' => "$key must be a whole number from $min to $max"];
+                }
+            }
+            if (isset(self::SETTING_CHOICES[$key]) && !in_array($value, self::SETTING_CHOICES[$key], true)) {
+                $choices = implode(', ', self::SETTING_CHOICES[$key]);
+                return ['success' => false, 'code' => 'invalid_settings', 'error' => "$key must be one of: $choices"];
+            }
+            if (in_array($key, ['autoReveal', 'eliminationMode'], true) && !is_bool($value)) {
+                return ['success' => false, 'code' => 'invalid_settings', 'error' => "$key must be true or false"];
+            }
+            if ($key === 'deliveryMode' && $value !== $settings[$key] && $this->getState('gameStarted', '0') === '1') {
+                return ['success' => false, 'code' => 'invalid_settings', 'error' => 'deliveryMode cannot change during a game'];
+            }
+            $settings[$key] = $value;
+        }
+
+        $this->setState('settings', json_encode($settings));
+        return ['success' => true, 'settings' => $settings];
+    }
+
+    // ==================== SCORING ====================
+
+    /**
+     * Running standings of all players (see ScoringEngine); only questions whose answer has been
+     * revealed count, so the standings never give away who answered correctly
+     */
+    public function getLeaderboard(): array {
+        $engine = new ScoringEngine($this->getSettings());
+
+        return $engine->standings(
+            $this->getQuestions(),
+            $this->getPlayers(),
+            $this->getAllAnswers(),
+            $this->getRevealedCount(),
+            $this->getOralOutcomes()
+        );
+    }
+
+    /**
+     * Running standings of the teams in team mode (empty otherwise), see ScoringEngine::teamStandings
+     */
+    public function getTeamLeaderboard(): array {
+        $settings = $this->getSettings();
+        if ($settings['teamMode'] === 'off') {
+            return [];
+        }
+
+        $engine = new ScoringEngine($settings);
+
+        return $engine->teamStandings(
+            $this->getQuestions(),
+            $this->getTeams(),
+            $this->getPlayers(),
+            $this->getAllAnswers(),
+            $this->getRevealedCount(),
+            $settings['teamMode'],
+            $this->getOralOutcomes()
+        );
+    }
+
+    /**
+     * Lives and survivors in elimination mode (null otherwise), see ScoringEngine::elimination
+     */
+    public function getElimination(): ?array {
+        $settings = $this->getSettings();
+        if (!$settings['eliminationMode'] || $settings['deliveryMode'] === 'self-paced') {
+            return null;
+        }
+
+        $engine = new ScoringEngine($settings);
+
+        return $engine->elimination(
+            $this->getQuestions(),
+            $this->getPlayers(),
+            $this->getAllAnswers(),
+            $this->getRevealedCount()
+        );
+    }
+
+    /**
+     * Whether the player is out of the game in elimination mode
+     */
+    private function isEliminated(string $playerId): bool {
+        $elimination = $this->getElimination();
+        if (!$elimination) {
+            return false;
+        }
+
+        foreach ($elimination['players'] as $entry) {
+            if ($entry['playerId'] === $playerId) {
+                return $entry['eliminated'];
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Number of questions (from the start) whose answer has been revealed
+     */
+    private function getRevealedCount(): int {
+        $phase = $this->getState('phase', 'waiting');
+        // Self-paced players see each answer right after answering
+        if ($phase === 'finished' || $phase === 'self_paced') {
+            return $this->getQuestionCount();
+        }
+        if ($this->getState('gameStarted', '0') !== '1') {
+            return 0;
+        }
+
+        $currentQuestion = (int)$this->getState('currentQuestion', '0');
+        return $phase === 'reveal' ? $currentQuestion + 1 : $currentQuestion;
+    }
+
     // ==================== MESSAGES ====================
 
     /**
@@ -823,8 +1620,10 @@ class QuizManager {
             'gameState' => $this->getFullGameState(),
             'questions' => $this->getQuestions(),
             'players' => $this->getPlayers(),
+            'teams' => $this->getTeams(),
             'notes' => $this->getNotes(),
-            'messages' => $this->getMessages()
+            'messages' => $this->getMessages(),
+            'recording' => $this->getSessionEvents()
         ];
 
         $this->db->query(
@@ -860,7 +1659,8 @@ class QuizManager {
                 'name' => $row['name'],
                 'timestamp' => strtotime($row['created_at']),
                 'playerCount' => count($data['players'] ?? []),
-                'questionCount' => count($data['questions'] ?? [])
+                'questionCount' => count($data['questions'] ?? []),
+                'eventCount' => count($data['recording'] ?? [])
             ];
         }, $rows);
     }
@@ -875,7 +1675,7 @@ class QuizManager {
         );
 
         if (!$row) {
-            return ['success' => false, 'error' => 'Session not found'];
+            return ['success' => false, 'code' => 'not_found', 'error' => 'Session not found'];
         }
 
         $data = json_decode($row['session_data'], true);
@@ -884,7 +1684,9 @@ class QuizManager {
         try {
             // Restore game state
             foreach ($data['gameState'] as $key => $value) {
-                if (!in_array($key, ['buzzers', 'answers', 'spokenPlayers'])) {
+                if ($key === 'settings') {
+                    $this->setState($key, json_encode($value));
+                } elseif (!in_array($key, ['buzzers', 'answers', 'spokenPlayers', 'oralOutcomes'])) {
                     $this->setState($key, is_bool($value) ? ($value ? '1' : '0') : (string)$value);
                 }
             }
@@ -892,9 +1694,15 @@ class QuizManager {
             // Restore questions
             $this->db->query("DELETE FROM questions WHERE session_id = ?", [$this->sessionId]);
             foreach ($data['questions'] as $index => $q) {
+                $this->insertQuestion($index, $q);
+            }
+
+            // Restore teams (sessions saved before team mode have none)
+            $this->db->query("DELETE FROM teams WHERE session_id = ?", [$this->sessionId]);
+            foreach ($data['teams'] ?? [] as $index => $team) {
                 $this->db->query(
-                    "INSERT INTO questions (session_id, question_order, question_text, options, correct_index, image_url, explanation) VALUES (?, ?, ?, ?, ?, ?, ?)",
-                    [$this->sessionId, $index, $q['question'], json_encode($q['options']), $q['correct'], $q['image'] ?? '', $q['explanation'] ?? '']
+                    "INSERT INTO teams (id, session_id, name, color, team_order) VALUES (?, ?, ?, ?, ?)",
+                    [$team['id'], $this->sessionId, $team['name'], $team['color'] ?? '', $index]
                 );
             }
 
@@ -902,8 +1710,8 @@ class QuizManager {
             $this->db->query("DELETE FROM players WHERE session_id = ?", [$this->sessionId]);
             foreach ($data['players'] as $p) {
                 $this->db->query(
-                    "INSERT INTO players (id, session_id, nickname, joined_at, active) VALUES (?, ?, ?, ?, ?)",
-                    [$p['id'], $this->sessionId, $p['nickname'], $p['joinedAt'] ?? date('Y-m-d H:i:s'), $p['active'] ?? 1]
+                    "INSERT INTO players (id, session_id, nickname, joined_at, active, team_id) VALUES (?, ?, ?, ?, ?, ?)",
+                    [$p['id'], $this->sessionId, $p['nickname'], $p['joinedAt'] ?? date('Y-m-d H:i:s'), $p['active'] ?? 1, $p['teamId'] ?? null]
                 );
             }
 
@@ -978,14 +1786,25 @@ class QuizManager {
     public function getPlayerSummary(string $playerId): array {
         $questions = $this->getQuestions();
         $playerAnswers = $this->getPlayerAnswers($playerId);
+
+        // Polls and word clouds are listed in the breakdown but never counted
+        $scoredQuestions = array_filter($questions, [QuestionTypes::class, 'isScored']);
+        $scoredAnswers = array_filter($playerAnswers, fn($answer) => isset($scoredQuestions[$answer['question']]));
         
         $summary = [
-            'totalQuestions' => count($questions),
-            'answeredQuestions' => count($playerAnswers),
+            'totalQuestions' => count($scoredQuestions),
+            'answeredQuestions' => count($scoredAnswers),
             'correctAnswers' => 0,
+            'partialAnswers' => 0,
             'incorrectAnswers' => 0,
+            'totalScore' => 0,
+            'totalPoints' => 0,
+            'earnedPoints' => 0,
             'unansweredQuestions' => [],
-            'questionBreakdown' => []
+            'questionBreakdown' => [],
+            'oralAnswers' => ['correct' => 0, 'wrong' => 0, 'pass' => 0],
+            'tagBreakdown' => [],
+            'objectiveBreakdown' => []
         ];
 
         $answeredQuestions = [];
@@ -994,40 +1813,432 @@ class QuizManager {
         }
 
         foreach ($questions as $index => $question) {
+            $meta = [
+                'tags' => $question['tags'] ?? [],
+                'difficulty' => $question['difficulty'] ?? '',
+                'objective' => $question['objective'] ?? ''
+            ];
+
+            if (!isset($scoredQuestions[$index])) {
+                $summary['questionBreakdown'][] = [
+                    'questionIndex' => $index,
+                    'type' => $question['type'],
+                    'question' => $question['question'],
+                    'playerAnswer' => isset($answeredQuestions[$index])
+                        ? QuestionTypes::formatAnswer($question, $answeredQuestions[$index]['answer'])
+                        : 'Not answered',
+                    'correctAnswer' => '',
+                    'isCorrect' => false,
+                    'score' => null,
+                    'scored' => false,
+                    'points' => 0,
+                    'earnedPoints' => 0,
+                    'explanation' => $question['explanation'] ?? ''
+                ] + $meta;
+                continue;
+            }
+
+            $points = QuestionTypes::pointsOf($question);
+            $summary['totalPoints'] += $points;
+
             if (isset($answeredQuestions[$index])) {
                 $answer = $answeredQuestions[$index];
-                $isCorrect = (bool)$answer['isCorrect'];
+                $isCorrect = $answer['isCorrect'];
                 
                 if ($isCorrect) {
                     $summary['correctAnswers']++;
+                } elseif ($answer['score'] > 0) {
+                    $summary['partialAnswers']++;
                 } else {
                     $summary['incorrectAnswers']++;
                 }
+                $summary['totalScore'] += $answer['score'];
+                $summary['earnedPoints'] += $answer['score'] * $points;
 
                 $summary['questionBreakdown'][] = [
                     'questionIndex' => $index,
+                    'type' => $question['type'],
                     'question' => $question['question'],
-                    'playerAnswer' => $question['options'][$answer['answer']] ?? 'Unknown',
-                    'correctAnswer' => $question['options'][$question['correct']],
+                    'playerAnswer' => QuestionTypes::formatAnswer($question, $answer['answer']),
+                    'correctAnswer' => QuestionTypes::formatCorrect($question),
                     'isCorrect' => $isCorrect,
+                    'score' => $answer['score'],
+                    'scored' => true,
+                    'points' => $points,
+                    'earnedPoints' => round($answer['score'] * $points, 2),
                     'explanation' => $question['explanation'] ?? ''
-                ];
+                ] + $meta;
             } else {
                 $summary['unansweredQuestions'][] = $index;
                 $summary['questionBreakdown'][] = [
                     'questionIndex' => $index,
+                    'type' => $question['type'],
                     'question' => $question['question'],
                     'playerAnswer' => 'Not answered',
-                    'correctAnswer' => $question['options'][$question['correct']],
+                    'correctAnswer' => QuestionTypes::formatCorrect($question),
                     'isCorrect' => false,
+                    'score' => 0,
+                    'scored' => true,
+                    'points' => $points,
+                    'earnedPoints' => 0,
                     'explanation' => $question['explanation'] ?? ''
-                ];
+                ] + $meta;
+            }
+        }
+
+        // Oral answers from the buzzer round
+        $engine = new ScoringEngine($this->getSettings());
+        $oralOutcomes = array_filter($this->getOralOutcomes(), fn($oral) => $oral['playerId'] === $playerId);
+        $oralByQuestion = array_column($oralOutcomes, 'outcome', 'question');
+        foreach ($summary['questionBreakdown'] as &$item) {
+            $outcome = $oralByQuestion[$item['questionIndex']] ?? null;
+            $item['oral'] = $outcome;
+            $item['oralPoints'] = $outcome ? $engine->oralPoints($questions[$item['questionIndex']], $outcome) : 0;
+            if ($outcome) {
+                $summary['oralAnswers'][$outcome]++;
             }
         }
+        unset($item);
+
+        // Game points and final position (ScoringEngine)
+        $standing = current(array_filter($this->getLeaderboard(), fn($entry) => $entry['playerId'] === $playerId));
+        $summary['gameScore'] = $standing ? $standing['score'] : 0;
+        $summary['rank'] = $standing ? $standing['rank'] : null;
+        $summary['playerCount'] = count($this->getPlayers());
+
+        // Team result in team mode (null otherwise)
+        $teamId = $this->getPlayer($playerId)['teamId'] ?? null;
+        $teamLeaderboard = $this->getTeamLeaderboard();
+        $teamStanding = current(array_filter($teamLeaderboard, fn($entry) => $entry['teamId'] === $teamId));
+        $summary['team'] = $teamStanding ? [
+            'name' => $teamStanding['name'],
+            'color' => $teamStanding['color'],
+            'score' => $teamStanding['score'],
+            'rank' => $teamStanding['rank'],
+            'teamCount' => count($teamLeaderboard)
+        ] : null;
+
+        $summary['earnedPoints'] = round($summary['earnedPoints'], 2);
+        $summary['tagBreakdown'] = $this->groupBreakdown($summary['questionBreakdown'], fn($item) => $item['tags']);
+        $summary['objectiveBreakdown'] = $this->groupBreakdown(
+            $summary['questionBreakdown'],
+            fn($item) => $item['objective'] !== '' ? [$item['objective']] : []
+        );
 
         return $summary;
     }
 
+    /**
+     * Weighted performance per topic (tag or objective) over the scored questions of a breakdown,
+     * weakest topic first
+     * @param callable $topicsOf - Topics of a breakdown item
+     */
+    private function groupBreakdown(array $breakdown, callable $topicsOf): array {
+        $groups = [];
+
+        foreach ($breakdown as $item) {
+            if (!$item['scored']) continue;
+
+            foreach ($topicsOf($item) as $topic) {
+                $groups[$topic] ??= ['name' => $topic, 'questions' => 0, 'correct' => 0, 'points' => 0, 'earnedPoints' => 0];
+                $groups[$topic]['questions']++;
+                $groups[$topic]['correct'] += $item['isCorrect'] ? 1 : 0;
+                $groups[$topic]['points'] += $item['points'];
+                $groups[$topic]['earnedPoints'] += $item['earnedPoints'];
+            }
+        }
+
+        $groups = array_map(function($group) {
+            $group['earnedPoints'] = round($group['earnedPoints'], 2);
+            $group['percentage'] = $group['points'] > 0 ? (int)round($group['earnedPoints'] / $group['points'] * 100) : 0;
+            return $group;
+        }, array_values($groups));
+
+        usort($groups, fn($a, $b) => $a['percentage'] <=> $b['percentage'] ?: strcmp($a['name'], $b['name']));
+
+        return $groups;
+    }
+
+    // ==================== STATE PAYLOADS ====================
+
+    /**
+     * Current server time in milliseconds (clients sample it to estimate their clock offset)
+     */
+    public function getServerTime(): int {
+        return (int)round(microtime(true) * 1000);
+    }
+
+    /**
+     * Build the state payload for players (getGameState / player stream)
+     */
+    public function getPlayerStatePayload(?string $playerId = null): array {
+        $gameState = $this->getFullGameState();
+        $currentQuestion = (int)$gameState['currentQuestion'];
+        $questions = $this->getQuestions();
+
+        $currentQuestionData = null;
+        if ($gameState['gameStarted'] && isset($questions[$currentQuestion])) {
+            $currentQuestionData = $questions[$currentQuestion];
+        }
+
+        return array_merge([
+            'success' => true,
+            'gameState' => $gameState,
+            'currentQuestionData' => $currentQuestionData,
+            'questions' => $questions,
+            'players' => $this->getPlayers(),
+            'totalQuestions' => count($questions),
+            'stateVersion' => $this->getStateVersion(),
+            'messages' => $this->getMessages(),
+            'leaderboard' => $this->getLeaderboard(),
+            'teams' => $this->getTeams(),
+            'teamLeaderboard' => $this->getTeamLeaderboard(),
+            'elimination' => $this->getElimination()
+        ], $this->getVolatilePayload('player', $playerId));
+    }
+
+    /**
+     * Build the state payload for the admin dashboard (getGameData / admin stream)
+     */
+    public function getAdminStatePayload(): array {
+        $gameState = $this->getFullGameState();
+        $currentQuestion = (int)$gameState['currentQuestion'];
+
+        return [
+            'success' => true,
+            'gameState' => $gameState,
+            'questions' => $this->getQuestions(),
+            'players' => $this->getPlayers(),
+            'allAnswers' => $this->getAllAnswers(),  // All answers for Results tab
+            'leaderboard' => $this->getLeaderboard(),
+            'teams' => $this->getTeams(),
+            'teamLeaderboard' => $this->getTeamLeaderboard(),
+            'elimination' => $this->getElimination(),
+            'playerProgress' => $this->getProgressGrid(),
+            'stateVersion' => $this->getStateVersion(),
+            'serverTime' => $this->getServerTime(),
+            'answerStats' => $this->getAnswerStats($currentQuestion)
+        ];
+    }
+
+    /**
+     * Build the state payload relative to the version the client already has
+     * Returns {unchanged}, a {patch} against sinceVersion, or the full payload
+     * when no snapshot of sinceVersion is available
+     */
+    public function getStatePayloadSince(string $view, int $sinceVersion, ?string $playerId = null): array {
+        // Nothing changed: skip building the payload, only the per-request fields are fresh
+        if ($sinceVersion > 0 && $sinceVersion === $this->getStateVersion()) {
+            return array_merge(
+                ['success' => true, 'unchanged' => true, 'stateVersion' => $sinceVersion],
+                $this->getVolatilePayload($view, $playerId)
+            );
+        }
+
+        $payload = $view === 'admin'
+            ? $this->getAdminStatePayload()
+            : $this->getPlayerStatePayload($playerId);
+        $version = $payload['stateVersion'];
+
+        // Per-request fields are always sent fresh and never diffed
+        $volatile = array_intersect_key($payload, array_flip(self::VOLATILE_PAYLOAD_KEYS));
+        $snapshot = array_diff_key($payload, $volatile);
+        $this->storeStateSnapshot($view, $version, $snapshot);
+
+        if ($sinceVersion <= 0) {
+            return $payload;
+        }
+
+        $base = $this->getStateSnapshot($view, $sinceVersion);
+        if ($base === null) {
+            return $payload;
+        }
+
+        $patch = StateDiff::diff($base, $snapshot);
+
+        // A patch touching most of the state is no smaller than the state itself
+        if (strlen(json_encode($patch)) >= strlen(json_encode($snapshot))) {
+            return $payload;
+        }
+
+        return array_merge([
+            'success' => true,
+            'patch' => $patch,
+            'baseVersion' => $sinceVersion,
+            'stateVersion' => $version
+        ], $volatile);
+    }
+
+    /**
+     * Per-request payload fields (VOLATILE_PAYLOAD_KEYS) of a view
+     */
+    private function getVolatilePayload(string $view, ?string $playerId = null): array {
+        if ($view === 'admin') {
+            return ['serverTime' => $this->getServerTime()];
+        }
+
+        return [
+            'playerAnswerHistory' => $playerId ? $this->getPlayerAnswers($playerId) : [],
+            'progress' => $playerId && $this->getSettings()['deliveryMode'] === 'self-paced' ? $this->getPlayerProgress($playerId) : null,
+            'serverTime' => $this->getServerTime()
+        ];
+    }
+
+    /**
+     * Remember the payload sent for a version so later requests can be diffed against it
+     */
+    private function storeStateSnapshot(string $view, int $version, array $snapshot): void {
+        $existing = $this->db->fetchOne(
+            "SELECT version FROM state_snapshots WHERE session_id = ? AND view = ? AND version = ?",
+            [$this->sessionId, $view, $version]
+        );
+        if ($existing) {
+            return;
+        }
+
+        $this->db->query(
+            "INSERT OR IGNORE INTO state_snapshots (session_id, view, version, payload) VALUES (?, ?, ?, ?)",
+            [$this->sessionId, $view, $version, json_encode($snapshot)]
+        );
+
+        // Keep only the most recent snapshots; older clients get a full payload
+        $this->db->query(
+            "DELETE FROM state_snapshots WHERE session_id = ? AND view = ? AND version <= ?",
+            [$this->sessionId, $view, $version - self::STATE_SNAPSHOT_LIMIT]
+        );
+    }
+
+    /**
+     * Get a stored snapshot, or null if it was never stored or already pruned
+     */
+    private function getStateSnapshot(string $view, int $version): ?array {
+        $result = $this->db->fetchOne(
+            "SELECT payload FROM state_snapshots WHERE session_id = ? AND view = ? AND version = ?",
+            [$this->sessionId, $view, $version]
+        );
+        return $result ? json_decode($result['payload'], true) : null;
+    }
+
+    // ==================== IDEMPOTENT ACTIONS ====================
+
+    /**
+     * Get the stored response of an action already processed under this idempotency key
+     */
+    public function getProcessedAction(string $idempotencyKey): ?array {
+        $result = $this->db->fetchOne(
+            "SELECT response FROM processed_actions WHERE session_id = ? AND idempotency_key = ?",
+            [$this->sessionId, $idempotencyKey]
+        );
+        return $result ? json_decode($result['response'], true) : null;
+    }
+
+    /**
+     * Remember the response of an action so a replay returns it instead of running again
+     */
+    public function recordProcessedAction(string $idempotencyKey, string $action, array $response, ?int $clientTimestamp = null): void {
+        $this->db->query(
+            "INSERT OR IGNORE INTO processed_actions (session_id, idempotency_key, action, response, client_timestamp) VALUES (?, ?, ?, ?, ?)",
+            [$this->sessionId, $idempotencyKey, $action, json_encode($response), $clientTimestamp]
+        );
+
+        // Replays only happen within minutes; keep the table small
+        $this->db->query(
+            "DELETE FROM processed_actions WHERE session_id = ? AND created_at < datetime('now', '-1 day')",
+            [$this->sessionId]
+        );
+    }
+
+    // ==================== SESSION RECORDING ====================
+
+    /**
+     * Record a successful game action together with the admin state it produced
+     * Recording starts with startGame (replacing the previous recording) and stops
+     * once the game is finished or reset. Each event stores a patch against the
+     * previous event's state, so replaying applies the patches in order.
+     */
+    public function recordEvent(string $action, array $input): void {
+        $recording = $this->db->fetchOne(
+            "SELECT active, last_state, last_version FROM session_recordings WHERE session_id = ?",
+            [$this->sessionId]
+        );
+
+        if ($action === 'startGame') {
+            $this->db->query("DELETE FROM session_events WHERE session_id = ?", [$this->sessionId]);
+            $recording = ['active' => 1, 'last_state' => null, 'last_version' => 0];
+        } elseif (!$recording || !$recording['active']) {
+            return;
+        }
+
+        // Nothing changed (e.g. a repeated buzz)
+        $version = $this->getStateVersion();
+        if ($version === (int)$recording['last_version']) {
+            return;
+        }
+
+        $state = array_diff_key($this->getAdminStatePayload(), array_flip(self::VOLATILE_PAYLOAD_KEYS));
+        unset($state['success']);
+
+        $previous = $recording['last_state'] ? json_decode($recording['last_state'], true) : [];
+        $data = array_intersect_key($input, array_flip(self::RECORDED_INPUT_FIELDS));
+
+        $this->db->query(
+            "INSERT INTO session_events (session_id, action, player_id, data, patch, state_version, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)",
+            [
+                $this->sessionId,
+                $action,
+                $input['playerId'] ?? null,
+                json_encode($data),
+                json_encode(StateDiff::diff($previous, $state)),
+                $version,
+                microtime(true) * 1000
+            ]
+        );
+
+        $active = !in_array($action, ['softReset', 'resetGame'], true) && $state['gameState']['phase'] !== 'finished';
+        $this->db->query(
+            "INSERT OR REPLACE INTO session_recordings (session_id, active, last_state, last_version) VALUES (?, ?, ?, ?)",
+            [$this->sessionId, $active ? 1 : 0, json_encode($state), $version]
+        );
+    }
+
+    /**
+     * Get the recorded events of the current (or last) game, oldest first
+     */
+    public function getSessionEvents(): array {
+        $rows = $this->db->fetchAll(
+            "SELECT id, action, player_id, data, patch, state_version, timestamp FROM session_events WHERE session_id = ? ORDER BY id",
+            [$this->sessionId]
+        );
+
+        return array_map(function($row) {
+            return [
+                'seq' => (int)$row['id'],
+                'action' => $row['action'],
+                'playerId' => $row['player_id'],
+                'data' => json_decode($row['data'] ?? '[]', true) ?: new stdClass(),
+                'patch' => json_decode($row['patch'], true),
+                'stateVersion' => (int)$row['state_version'],
+                'timestamp' => (float)$row['timestamp']
+            ];
+        }, $rows);
+    }
+
+    /**
+     * Get the recording stored with a saved session, or null if the session does not exist
+     */
+    public function getSavedRecording(string $savedSessionId): ?array {
+        $row = $this->db->fetchOne(
+            "SELECT name, session_data FROM saved_sessions WHERE id = ?",
+            [$savedSessionId]
+        );
+        if (!$row) {
+            return null;
+        }
+
+        $data = json_decode($row['session_data'], true);
+        return ['name' => $row['name'], 'events' => $data['recording'] ?? []];
+    }
+
     // ==================== MULTI-SESSION SUPPORT ====================
 
     /**
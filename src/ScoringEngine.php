@@ -0,0 +1,348 @@
+<?php
+/**
+ * ScoringEngine.php - Game points and standings
+ *
+ * Answers are scored 0..1 by QuestionTypes; this turns them into game points with the
+ * scoring rules from the quiz settings (QuizManager::DEFAULT_SETTINGS):
+ *   basePoints      - points for a correct answer (partial answers get their share)
+ *   speedBonus      - extra points for an instant answer, decaying to 0 at the end of the
+ *                     question's time limit (or `bonusWindow` seconds without one)
+ *   streakBonus     - percent added per correct answer in a row before this one (up to MAX_STREAK)
+ *   negativeMarking - points lost for a wrong answer (0 = off)
+ *   oralPoints      - points for an oral answer judged correct in the buzzer round
+ *   oralPenalty     - points lost for an oral answer judged wrong ('pass' scores nothing)
+ * Everything is multiplied by the `points` weight of the question. Polls and word clouds
+ * give no points and do not break a streak; unanswered questions end a streak. Oral
+ * answers add to the points of the question but leave the streak alone.
+ *
+ * Points are derived from the stored answers on every call, so re-scored answers
+ * (acceptTextAnswer) update the standings.
+ *
+ * In team mode each team gets one answer per question, scored like a player's: the first
+ * answer of a team member ('first'), or the answer most members gave ('majority', ties go to
+ * the answer given first, with the average answer time of its members).
+ *
+ * Elimination mode (settings.eliminationMode) is derived the same way: `lives` and `revivalAfter`
+ * decide who is still in the game after the revealed questions.
+ */
+
+require_once __DIR__ . '/QuestionTypes.php';
+
+class ScoringEngine {
+    // Streak bonus stops growing after this many correct answers in a row
+    const MAX_STREAK = 5;
+
+    private array $rules;
+
+    public function __construct(array $rules) {
+        $this->rules = $rules;
+    }
+
+    /**
+     * Points for one answer
+     * @param float|null $score - 0..1, null when the question was not answered
+     * @param int|null $responseMs - Time from showOptions to the answer, null when unknown (no speed bonus)
+     * @param int $streak - Correct answers in a row before this one
+     */
+    public function points(array $question, ?float $score, ?int $responseMs, int $streak): int {
+        $weight = QuestionTypes::pointsOf($question);
+
+        if ($score === null) {
+            return 0;
+        }
+        if ($score <= 0) {
+            return -(int)round($this->rules['negativeMarking'] * $weight);
+        }
+
+        $points = $this->rules['basePoints'] + $this->speedBonus($question, $responseMs);
+        $multiplier = 1 + $this->rules['streakBonus'] / 100 * min($streak, self::MAX_STREAK);
+
+        return (int)round($score * $points * $multiplier * $weight);
+    }
+
+    /**
+     * Points for an oral answer verdict ('correct', 'wrong' or 'pass')
+     */
+    public function oralPoints(array $question, string $outcome): int {
+        $weight = QuestionTypes::pointsOf($question);
+
+        if ($outcome === 'correct') {
+            return (int)round($this->rules['oralPoints'] * $weight);
+        }
+        if ($outcome === 'wrong') {
+            return -(int)round($this->rules['oralPenalty'] * $weight);
+        }
+        return 0;
+    }
+
+    /**
+     * Speed bonus of an answer, decaying linearly over the answer window
+     */
+    private function speedBonus(array $question, ?int $responseMs): float {
+        if ($responseMs === null || $this->rules['speedBonus'] <= 0) {
+            return 0;
+        }
+
+        $timeLimit = $question['timeLimit'] ?? $this->rules['timeLimit'];
+        $windowMs = ($timeLimit > 0 ? $timeLimit : $this->rules['bonusWindow']) * 1000;
+
+        return $this->rules['speedBonus'] * max(0, 1 - max(0, $responseMs) / $windowMs);
+    }
+
+    /**
+     * Standings after the first $revealedCount questions, best first
+     * Each entry: playerId, nickname, score, delta (points of the last counted question),
+     * rank, previousRank (before that question), streak and correct (answers)
+     * @param array $oralOutcomes - Oral answer verdicts [{ playerId, question, outcome }]
+     */
+    public function standings(array $questions, array $players, array $answers, int $revealedCount, array $oralOutcomes = []): array {
+        $answersByPlayer = [];
+        foreach ($answers as $answer) {
+            $answersByPlayer[$answer['playerId']][$answer['question']] = $answer;
+        }
+
+        // A team can have several verdicts on one question, so they are summed
+        $oralByPlayer = [];
+        foreach ($oralOutcomes as $oral) {
+            $oralByPlayer[$oral['playerId']][$oral['question']][] = $oral['outcome'];
+        }
+
+        $standings = [];
+        foreach ($players as $player) {
+            $entry = [
+                'playerId' => $player['id'],
+                'nickname' => $player['nickname'],
+                'score' => 0,
+                'delta' => 0,
+                'rank' => 0,
+                'previousRank' => 0,
+                'streak' => 0,
+                'correct' => 0
+            ];
+
+            for ($index = 0; $index < $revealedCount && $index < count($questions); $index++) {
+                $question = $questions[$index];
+                $entry['delta'] = 0;
+                foreach ($oralByPlayer[$player['id']][$index] ?? [] as $outcome) {
+                    $entry['delta'] += $this->oralPoints($question, $outcome);
+                }
+                $entry['score'] += $entry['delta'];
+                if (!QuestionTypes::isScored($question)) {
+                    continue;
+                }
+
+                $answer = $answersByPlayer[$player['id']][$index] ?? null;
+                $points = $this->points($question, $answer['score'] ?? null, $answer['responseMs'] ?? null, $entry['streak']);
+
+                $entry['score'] += $points;
+                $entry['delta'] += $points;
+                if ($answer && $answer['isCorrect']) {
+                    $entry['streak']++;
+                    $entry['correct']++;
+                } else {
+                    $entry['streak'] = 0;
+                }
+            }
+
+            $standings[] = $entry;
+        }
+
+        // Ranks before the last counted question (for the leaderboard animation)
+        $previousRanks = $this->ranks(array_map(fn($entry) => $entry['score'] - $entry['delta'], $standings));
+        $ranks = $this->ranks(array_column($standings, 'score'));
+        foreach ($standings as $i => &$entry) {
+            $entry['rank'] = $ranks[$i];
+            $entry['previousRank'] = $previousRanks[$i];
+        }
+        unset($entry);
+
+        usort($standings, fn($a, $b) => $a['rank'] <=> $b['rank'] ?: strcasecmp($a['nickname'], $b['nickname']));
+
+        return $standings;
+    }
+
+    /**
+     * Standings of teams, as standings() with teamId, name, color and members (count)
+     * instead of playerId and nickname
+     * @param string $mode - 'first' or 'majority' (settings.teamMode)
+     * @param array $oralOutcomes - Oral answer verdicts of the members, all counted for the team
+     */
+    public function teamStandings(array $questions, array $teams, array $players, array $answers, int $revealedCount, string $mode, array $oralOutcomes = []): array {
+        $teamOf = array_column($players, 'teamId', 'id');
+
+        // Answers of each team per question, in answer order
+        $teamAnswers = [];
+        foreach ($answers as $answer) {
+            $teamId = $teamOf[$answer['playerId']] ?? null;
+            if ($teamId !== null) {
+                $teamAnswers[$teamId][$answer['question']][] = $answer;
+            }
+        }
+
+        $counted = [];
+        foreach ($teamAnswers as $teamId => $byQuestion) {
+            foreach ($byQuestion as $memberAnswers) {
+                $answer = $mode === 'majority' ? $this->majorityAnswer($memberAnswers) : $memberAnswers[0];
+                $counted[] = ['playerId' => $teamId] + $answer;
+            }
+        }
+
+        $teamOral = [];
+        foreach ($oralOutcomes as $oral) {
+            $teamId = $teamOf[$oral['playerId']] ?? null;
+            if ($teamId !== null) {
+                $teamOral[] = ['playerId' => $teamId] + $oral;
+            }
+        }
+
+        $members = array_count_values(array_filter(array_column($players, 'teamId'), 'is_string'));
+        $teamsById = array_column($teams, null, 'id');
+        $competitors = array_map(fn($team) => ['id' => $team['id'], 'nickname' => $team['name']], $teams);
+
+        return array_map(function ($entry) use ($teamsById, $members) {
+            $team = $teamsById[$entry['playerId']];
+            unset($entry['playerId'], $entry['nickname']);
+            return [
+                'teamId' => $team['id'],
+                'name' => $team['name'],
+                'color' => $team['color'],
+                'members' => $members[$team['id']] ?? 0
+            ] + $entry;
+        }, $this->standings($questions, $competitors, $counted, $revealedCount, $teamOral));
+    }
+
+    /**
+     * Survivors of elimination mode after the first $revealedCount questions
+     * Every revealed scored question is a round: a player still in the game who did not answer it
+     * correctly loses a life and is out at 0 lives. A round that would put every remaining player
+     * out costs nobody a life. With `revivalAfter` rounds set, an eliminated player returns with
+     * one life after sitting out that many rounds. Players who joined mid-game are judged from
+     * their `joinedQuestion` on.
+     * Returns players [{ playerId, nickname, lives, eliminated, eliminatedAt (question index),
+     * sitOut (rounds until the return, null when not coming back) }], rounds [{ question, survivors,
+     * eliminated, revived (player ids) }], survivors (count) and winner (the last player standing
+     * when nobody is coming back)
+     */
+    public function elimination(array $questions, array $players, array $answers, int $revealedCount): array {
+        $correct = [];
+        foreach ($answers as $answer) {
+            if ($answer['isCorrect']) {
+                $correct[$answer['playerId']][$answer['question']] = true;
+            }
+        }
+
+        $revivalAfter = $this->rules['revivalAfter'];
+        $status = [];
+        $joinedFrom = [];
+        foreach ($players as $player) {
+            $joinedFrom[$player['id']] = (int)($player['joinedQuestion'] ?? 0);
+            $status[$player['id']] = [
+                'playerId' => $player['id'],
+                'nickname' => $player['nickname'],
+                'lives' => $this->rules['lives'],
+                'eliminated' => false,
+                'eliminatedAt' => null,
+                'sitOut' => null,
+                'eliminatedRound' => null
+            ];
+        }
+
+        $rounds = [];
+        for ($index = 0; $index < $revealedCount && $index < count($questions); $index++) {
+            if (!QuestionTypes::isScored($questions[$index])) {
+                continue;
+            }
+            $round = count($rounds);
+
+            $missed = [];
+            $alive = 0;
+            foreach ($status as $id => $entry) {
+                // Players who joined later are not judged on questions they never saw
+                if ($entry['eliminated'] || $index < $joinedFrom[$id]) {
+                    continue;
+                }
+                $alive++;
+                if (empty($correct[$id][$index])) {
+                    $missed[] = $id;
+                }
+            }
+
+            $out = array_filter($missed, fn($id) => $status[$id]['lives'] <= 1);
+            $eliminated = [];
+            if (count($out) < $alive) {
+                foreach ($missed as $id) {
+                    if (--$status[$id]['lives'] === 0) {
+                        $status[$id]['eliminated'] = true;
+                        $status[$id]['eliminatedAt'] = $index;
+                        $status[$id]['eliminatedRound'] = $round;
+                        $eliminated[] = $id;
+                    }
+                }
+            }
+
+            // Players out since an earlier round return once they sat out revivalAfter rounds
+            $revived = [];
+            foreach ($status as $id => $entry) {
+                if ($revivalAfter > 0 && $entry['eliminated'] && $round - $entry['eliminatedRound'] >= $revivalAfter) {
+                    $status[$id] = ['lives' => 1, 'eliminated' => false, 'eliminatedAt' => null, 'eliminatedRound' => null] + $entry;
+                    $revived[] = $id;
+                }
+            }
+
+            $rounds[] = [
+                'question' => $index,
+                'survivors' => count(array_filter($status, fn($entry) => !$entry['eliminated'])),
+                'eliminated' => $eliminated,
+                'revived' => $revived
+            ];
+        }
+
+        foreach ($status as &$entry) {
+            if ($entry['eliminated'] && $revivalAfter > 0) {
+                $entry['sitOut'] = $revivalAfter - (count($rounds) - 1 - $entry['eliminatedRound']);
+            }
+            unset($entry['eliminatedRound']);
+        }
+        unset($entry);
+
+        $survivors = array_values(array_filter($status, fn($entry) => !$entry['eliminated']));
+
+        return [
+            'players' => array_values($status),
+            'rounds' => $rounds,
+            'survivors' => count($survivors),
+            'winner' => count($survivors) === 1 && count($status) > 1 && !$revivalAfter ? $survivors[0]['playerId'] : null
+        ];
+    }
+
+    /**
+     * The answer most members gave (the earliest of them on a tie), with their average answer time
+     */
+    private function majorityAnswer(array $memberAnswers): array {
+        $groups = [];
+        foreach ($memberAnswers as $answer) {
+            $groups[json_encode($answer['answer'])][] = $answer;
+        }
+
+        // Groups are in order of their first answer, so the stable sort keeps the earliest on a tie
+        usort($groups, fn($a, $b) => count($b) <=> count($a));
+        $group = $groups[0];
+
+        $times = array_filter(array_column($group, 'responseMs'), 'is_int');
+        $answer = $group[0];
+        $answer['responseMs'] = $times ? (int)round(array_sum($times) / count($times)) : null;
+
+        return $answer;
+    }
+
+    /**
+     * Competition ranks of scores (equal scores share a rank: 1, 2, 2, 4)
+     */
+    private function ranks(array $scores): array {
+        $ranks = [];
+        foreach ($scores as $i => $score) {
+            $ranks[$i] = 1 + count(array_filter($scores, fn($other) => $other > $score));
+        }
+        return $ranks;
+    }
+}
@@ -0,0 +1,88 @@
+<?php
+/**
+ * StateDiff.php - Compact patches between two state payloads
+ * Used for delta updates keyed on stateVersion
+ *
+ * A patch is a list of operations applied in order:
+ *   ['op' => 'set', 'path' => ['gameState', 'phase'], 'value' => 'reveal']
+ *   ['op' => 'remove', 'path' => ['currentQuestionData', 'image']]
+ *
+ * Only idempotent operations are produced (list items are set by index, never appended),
+ * so applying a patch to a state that is already partially up to date cannot duplicate data.
+ */
+
+class StateDiff {
+    /**
+     * Compute the operations that turn $old into $new
+     */
+    public static function diff($old, $new, array $path = []): array {
+        if ($old === $new) {
+            return [];
+        }
+
+        if (!is_array($old) || !is_array($new)) {
+            return [self::set($path, $new)];
+        }
+
+        $oldIsList = array_is_list($old);
+        $newIsList = array_is_list($new);
+
+        // Empty arrays are ambiguous (list vs object) - replace rather than guess
+        if ($old === [] || $new === [] || $oldIsList !== $newIsList) {
+            return [self::set($path, $new)];
+        }
+
+        if ($newIsList) {
+            return self::diffList($old, $new, $path);
+        }
+
+        $ops = [];
+        foreach ($new as $key => $value) {
+            $childPath = array_merge($path, [$key]);
+            if (!array_key_exists($key, $old)) {
+                $ops[] = self::set($childPath, $value);
+            } else {
+                array_push($ops, ...self::diff($old[$key], $value, $childPath));
+            }
+        }
+        foreach ($old as $key => $value) {
+            if (!array_key_exists($key, $new)) {
+                $ops[] = ['op' => 'remove', 'path' => array_merge($path, [$key])];
+            }
+        }
+        return $ops;
+    }
+
+    /**
+     * Diff two lists: per-index changes while the list grows or keeps its length,
+     * full replacement when it shrinks
+     */
+    private static function diffList(array $old, array $new, array $path): array {
+        if (count($new) < count($old)) {
+            return [self::set($path, $new)];
+        }
+
+        $ops = [];
+        foreach ($new as $index => $value) {
+            $childPath = array_merge($path, [$index]);
+            if ($index >= count($old)) {
+                $ops[] = self::set($childPath, $value);
+            } else {
+                array_push($ops, ...self::diff($old[$index], $value, $childPath));
+            }
+        }
+
+        // Many scattered changes are cheaper to send as the whole list
+        if (count($ops) > count($new)) {
+            return [self::set($path, $new)];
+        }
+        return $ops;
+    }
+
+    /**
+     * Build a set operation
+     */
+    private static function set(array $path, $value): array {
+        return ['op' => 'set', 'path' => $path, 'value' => $value];
+    }
+}
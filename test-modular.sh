@@ -113,11 +113,22 @@ test_url "$BASE_URL/assets/css/components/help-panel.css" "components/help-panel
 test_url "$BASE_URL/assets/css/components/notifications.css" "components/notifications.css"
 test_url "$BASE_URL/assets/css/components/modal.css" "components/modal.css"
 test_url "$BASE_URL/assets/css/components/progress.css" "components/progress.css"
+test_url "$BASE_URL/assets/css/components/poll-results.css" "components/poll-results.css"
+test_url "$BASE_URL/assets/css/components/hotspot.css" "components/hotspot.css"
+test_url "$BASE_URL/assets/css/components/media-player.css" "components/media-player.css"
+test_url "$BASE_URL/assets/css/components/countdown.css" "components/countdown.css"
+test_url "$BASE_URL/assets/css/components/topic-breakdown.css" "components/topic-breakdown.css"
 
 # Admin CSS
 test_url "$BASE_URL/assets/css/admin/dashboard.css" "admin/dashboard.css"
 test_url "$BASE_URL/assets/css/admin/tabs.css" "admin/tabs.css"
 test_url "$BASE_URL/assets/css/admin/game-controls.css" "admin/game-controls.css"
+test_url "$BASE_URL/assets/css/admin/debug-panel.css" "admin/debug-panel.css"
+test_url "$BASE_URL/assets/css/admin/session-replay.css" "admin/session-replay.css"
+test_url "$BASE_URL/assets/css/admin/leaderboard.css" "admin/leaderboard.css"
+test_url "$BASE_URL/assets/css/admin/team-manager.css" "admin/team-manager.css"
+test_url "$BASE_URL/assets/css/admin/survivors.css" "admin/survivors.css"
+test_url "$BASE_URL/assets/css/admin/progress-grid.css" "admin/progress-grid.css"
 
 # Player CSS
 test_url "$BASE_URL/assets/css/player/login.css" "player/login.css"
@@ -132,6 +143,12 @@ section "2. JavaScript Modules Availability"
 test_url "$BASE_URL/assets/js/core/api.js" "core/api.js"
 test_url "$BASE_URL/assets/js/core/state.js" "core/state.js"
 test_url "$BASE_URL/assets/js/core/utils.js" "core/utils.js"
+test_url "$BASE_URL/assets/js/core/patch.js" "core/patch.js"
+test_url "$BASE_URL/assets/js/core/errors.js" "core/errors.js"
+test_url "$BASE_URL/assets/js/core/clock.js" "core/clock.js"
+test_url "$BASE_URL/assets/js/core/tabs.js" "core/tabs.js"
+test_url "$BASE_URL/assets/js/core/history.js" "core/history.js"
+test_url "$BASE_URL/assets/js/core/questions.js" "core/questions.js"
 
 # Components
 test_url "$BASE_URL/assets/js/components/HelpPanel.js" "components/HelpPanel.js"
@@ -140,17 +157,33 @@ test_url "$BASE_URL/assets/js/components/MessageSystem.js" "components/MessageSy
 test_url "$BASE_URL/assets/js/components/MarkdownRenderer.js" "components/MarkdownRenderer.js"
 test_url "$BASE_URL/assets/js/components/Modal.js" "components/Modal.js"
 test_url "$BASE_URL/assets/js/components/ActionFeedback.js" "components/ActionFeedback.js"
+test_url "$BASE_URL/assets/js/components/TabTakeoverPrompt.js" "components/TabTakeoverPrompt.js"
+test_url "$BASE_URL/assets/js/components/PollResults.js" "components/PollResults.js"
+test_url "$BASE_URL/assets/js/components/HotspotImage.js" "components/HotspotImage.js"
+test_url "$BASE_URL/assets/js/components/MediaPlayer.js" "components/MediaPlayer.js"
+test_url "$BASE_URL/assets/js/components/Countdown.js" "components/Countdown.js"
+test_url "$BASE_URL/assets/js/components/TopicBreakdown.js" "components/TopicBreakdown.js"
 
 # Admin modules
 test_url "$BASE_URL/assets/js/admin/GameControl.js" "admin/GameControl.js"
 test_url "$BASE_URL/assets/js/admin/QuestionEditor.js" "admin/QuestionEditor.js"
+test_url "$BASE_URL/assets/js/admin/RegionEditor.js" "admin/RegionEditor.js"
+test_url "$BASE_URL/assets/js/admin/QuizSettings.js" "admin/QuizSettings.js"
+test_url "$BASE_URL/assets/js/admin/Leaderboard.js" "admin/Leaderboard.js"
+test_url "$BASE_URL/assets/js/admin/TeamManager.js" "admin/TeamManager.js"
+test_url "$BASE_URL/assets/js/admin/SurvivorBoard.js" "admin/SurvivorBoard.js"
+test_url "$BASE_URL/assets/js/admin/ProgressGrid.js" "admin/ProgressGrid.js"
 test_url "$BASE_URL/assets/js/admin/SessionManager.js" "admin/SessionManager.js"
 test_url "$BASE_URL/assets/js/admin/NotesEditor.js" "admin/NotesEditor.js"
 test_url "$BASE_URL/assets/js/admin/TabsNavigation.js" "admin/TabsNavigation.js"
+test_url "$BASE_URL/assets/js/admin/DebugPanel.js" "admin/DebugPanel.js"
+test_url "$BASE_URL/assets/js/admin/SessionReplay.js" "admin/SessionReplay.js"
 
 # Player modules
 test_url "$BASE_URL/assets/js/player/BuzzerPhase.js" "player/BuzzerPhase.js"
 test_url "$BASE_URL/assets/js/player/OptionsPhase.js" "player/OptionsPhase.js"
+test_url "$BASE_URL/assets/js/player/MatchPhase.js" "player/MatchPhase.js"
+test_url "$BASE_URL/assets/js/player/HotspotPhase.js" "player/HotspotPhase.js"
 test_url "$BASE_URL/assets/js/player/EndScreen.js" "player/EndScreen.js"
 test_url "$BASE_URL/assets/js/player/AudioManager.js" "player/AudioManager.js"
 test_url "$BASE_URL/assets/js/player/KeyboardShortcuts.js" "player/KeyboardShortcuts.js"
@@ -207,6 +240,34 @@ api_test "resetGame" '{"action":"resetGame"}' '"success":true' "Reset game"
 
 # Get game state
 api_test "getGameState" '{"action":"getGameState"}' '"success":true' "Get game state"
+api_test "getGameState" '{"action":"getGameState","sinceVersion":1}' '"stateVersion"' "Get game state since version"
+api_test "loadSession" '{"action":"loadSession"}' '"code":"missing_field"' "Validation errors carry a code"
+api_test "getServerTime" '{"action":"getServerTime"}' '"serverTime"' "Get server time"
+api_test "getRecording" '{"action":"getRecording"}' '"events"' "Get game recording"
+
+# Quiz settings
+api_test "updateSettings" '{"action":"updateSettings"}' '"code":"missing_field"' "Update settings requires settings"
+api_test "updateSettings" '{"action":"updateSettings","settings":{"timeLimit":0,"autoReveal":false}}' '"success":true' "Update settings"
+api_test "updateSettings" '{"action":"updateSettings","settings":{"streakBonus":500}}' '"code":"invalid_settings"' "Update settings rejects out-of-range scoring rules"
+api_test "updateSettings" '{"action":"updateSettings","settings":{"teamMode":"relay"}}' '"code":"invalid_settings"' "Update settings rejects unknown team modes"
+api_test "updateSettings" '{"action":"updateSettings","settings":{"lives":0}}' '"code":"invalid_settings"' "Update settings rejects zero lives"
+api_test "updateSettings" '{"action":"updateSettings","settings":{"deliveryMode":"async"}}' '"code":"invalid_settings"' "Update settings rejects unknown delivery modes"
+
+# Self-paced delivery
+api_test "advanceQuestion" '{"action":"advanceQuestion"}' '"code":"missing_field"' "Advance question requires a player"
+
+# Oral answer verdicts (buzzer round)
+api_test "adjudicateBuzzer" '{"action":"adjudicateBuzzer","playerId":"nobody"}' '"code":"missing_field"' "Adjudicate requires an outcome"
+api_test "adjudicateBuzzer" '{"action":"adjudicateBuzzer","playerId":"nobody","outcome":"maybe"}' '"code":"invalid_outcome"' "Adjudicate rejects unknown outcomes"
+
+# Teams
+api_test "saveTeams" '{"action":"saveTeams","teams":[{"name":"Red"},{"name":"red"}]}' '"code":"invalid_teams"' "Save teams rejects duplicate names"
+api_test "saveTeams" '{"action":"saveTeams","teams":[]}' '"success":true' "Save teams"
+api_test "getTeams" '{"action":"getTeams"}' '"teamMode"' "Get teams for the login screen"
+api_test "autoBalanceTeams" '{"action":"autoBalanceTeams"}' '"code":"invalid_teams"' "Auto-balance needs teams"
+api_test "updateSettings" '{"action":"updateSettings","settings":{"teamMode":"first","teamSelection":"pick"}}' '"success":true' "Turn on team mode"
+api_test "joinGame" '{"action":"joinGame","nickname":"TeamlessPlayer","teamId":"no-such-team"}' '"code":"invalid_teams"' "Join rejects an unknown team"
+api_test "updateSettings" '{"action":"updateSettings","settings":{"teamMode":"off"}}' '"success":true' "Turn off team mode"
 
 # Join game as player
 PLAYER_RESPONSE=$(curl -s -X POST "$API_URL" \
@@ -244,7 +305,9 @@ fi
 # Press buzzer
 if [ -n "$PLAYER_ID" ]; then
     api_test "pressBuzzer" "{\"action\":\"pressBuzzer\",\"playerId\":\"$PLAYER_ID\"}" '"success":true' "Press buzzer"
+    api_test "pressBuzzer" "{\"action\":\"pressBuzzer\",\"playerId\":\"$PLAYER_ID\"}" '"code":"already_buzzed"' "Press buzzer twice is rejected"
 fi
+api_test "pressBuzzer" '{"action":"pressBuzzer","playerId":"nobody"}' '"code":"player_not_found"' "Press buzzer requires a known player"
 
 # Show options
 api_test "showOptions" '{"action":"showOptions"}' '"success":true' "Show options"
@@ -257,12 +320,31 @@ fi
 # Reveal correct
 api_test "revealCorrect" '{"action":"revealCorrect"}' '"success":true' "Reveal correct answer"
 
+# Accept a typed answer after the fact (needs the answer text)
+api_test "acceptTextAnswer" '{"action":"acceptTextAnswer","questionIndex":0}' '"code":"missing_field"' "Accept text answer requires an answer"
+
 # Next question
 api_test "nextQuestion" '{"action":"nextQuestion"}' '"success":true' "Next question"
 
+# State stream (answers 'unsupported' on a single-worker dev server)
+test_content "$BASE_URL/stream.php?view=player" "event:" "SSE stream endpoint responds"
+
 # Soft reset
 api_test "softReset" '{"action":"softReset"}' '"success":true' "Soft reset"
 
+# Self-paced delivery: the reveal finds the player's own answer in their history
+if [ -n "$PLAYER_ID" ]; then
+    api_test "updateSettings" '{"action":"updateSettings","settings":{"deliveryMode":"self-paced"}}' '"success":true' "Switch to self-paced delivery"
+    api_test "startGame" '{"action":"startGame"}' '"success":true' "Start self-paced game"
+    api_test "advanceQuestion" "{\"action\":\"advanceQuestion\",\"playerId\":\"$PLAYER_ID\",\"questionIndex\":0}" '"code":"not_answered"' "Advance question requires an answer"
+    api_test "submitAnswer" "{\"action\":\"submitAnswer\",\"playerId\":\"$PLAYER_ID\",\"answer\":0,\"questionIndex\":0}" '"success":true' "Submit self-paced answer"
+    api_test "getGameState" "{\"action\":\"getGameState\",\"playerId\":\"$PLAYER_ID\"}" "\"playerAnswerHistory\":\[{\"playerId\":\"$PLAYER_ID\",\"question\":0" "Self-paced answer history carries the player"
+    api_test "advanceQuestion" "{\"action\":\"advanceQuestion\",\"playerId\":\"$PLAYER_ID\",\"questionIndex\":0}" '"question":1' "Advance to the next own question"
+    api_test "finishGame" '{"action":"finishGame"}' '"success":true' "Finish self-paced game"
+    api_test "softReset" '{"action":"softReset"}' '"success":true' "Soft reset after self-paced game"
+    api_test "updateSettings" '{"action":"updateSettings","settings":{"deliveryMode":"live"}}' '"success":true' "Switch back to live delivery"
+fi
+
 # Final reset
 api_test "resetGame" '{"action":"resetGame"}' '"success":true' "Final reset (cleanup)"
 